@@ -0,0 +1,85 @@
+/**
+ * activity_feed — typed, merged activity with an opaque "since" cursor.
+ */
+const { handlers } = require('../src/tools/bdi/beliefs');
+
+const parse = (r) => JSON.parse(r.content[0].text);
+
+const PLAN_ACTIVITY = [
+  { id: 'a1', type: 'status_change', node_id: 'n1', content: 'not_started → in_progress', created_at: '2026-06-01T10:00:00Z' },
+  { id: 'a2', type: 'log', node_id: 'n1', content: 'Progress note', created_at: '2026-06-01T10:05:00Z' },
+  { id: 'a3', activity_type: 'decision_created', content: 'Ship?', created_at: '2026-06-01T10:05:00Z' },
+  { id: 'a4', type: 'task_claimed', node_id: 'n2', user: { name: 'worker-1' }, created_at: '2026-06-01T10:10:00Z' },
+];
+
+function activityClient(items = PLAN_ACTIVITY) {
+  return {
+    activity: {
+      getPlanActivity: jest.fn().mockResolvedValue({ activities: items }),
+      getGlobalActivity: jest.fn().mockResolvedValue(items),
+    },
+    goals: {
+      get: jest.fn().mockResolvedValue({ id: 'g1', links: [{ linkedType: 'plan', linkedId: 'p1' }, { linkedType: 'plan', linkedId: 'p2' }] }),
+    },
+  };
+}
+
+describe('activity_feed', () => {
+  it('returns typed events oldest first with a cursor', async () => {
+    const client = activityClient();
+    const body = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' } }, client));
+    expect(client.activity.getPlanActivity).toHaveBeenCalledWith('p1');
+    expect(body.events.map((e) => [e.id, e.type])).toEqual([
+      ['a1', 'status_change'], ['a2', 'log'], ['a3', 'decision'], ['a4', 'claim'],
+    ]);
+    expect(body.events[3].actor).toBe('worker-1');
+    expect(typeof body.next_cursor).toBe('string');
+  });
+
+  it('returns only what changed since the cursor', async () => {
+    const client = activityClient();
+    const first = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' } }, client));
+
+    const unchanged = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' }, cursor: first.next_cursor }, client));
+    expect(unchanged.events).toEqual([]);
+    expect(unchanged.next_cursor).toBe(first.next_cursor);
+
+    client.activity.getPlanActivity.mockResolvedValue([
+      ...PLAN_ACTIVITY,
+      { id: 'a5', type: 'comment_added', content: 'Looks good', created_at: '2026-06-01T11:00:00Z' },
+    ]);
+    const next = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' }, cursor: unchanged.next_cursor }, client));
+    expect(next.events.map((e) => [e.id, e.type])).toEqual([['a5', 'comment']]);
+  });
+
+  it('pages forward without dropping events that share a timestamp', async () => {
+    const client = activityClient();
+    const page1 = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' }, limit: 2 }, client));
+    expect(page1.events.map((e) => e.id)).toEqual(['a3', 'a4']);
+
+    // Rewind to a cursor that stopped in the middle of the 10:05 tie.
+    const tie = Buffer.from(JSON.stringify({ s: 'plan:p1', t: '2026-06-01T10:05:00.000Z', ids: ['a2'] })).toString('base64url');
+    const page2 = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' }, cursor: tie, limit: 1 }, client));
+    expect(page2.events.map((e) => e.id)).toEqual(['a3']);
+    expect(page2.has_more).toBe(true);
+    const page3 = parse(await handlers.activity_feed({ scope: { plan_id: 'p1' }, cursor: page2.next_cursor }, client));
+    expect(page3.events.map((e) => e.id)).toEqual(['a4']);
+  });
+
+  it('filters by type and merges a goal\'s linked plans', async () => {
+    const client = activityClient();
+    const body = parse(await handlers.activity_feed({ scope: { goal_id: 'g1' }, types: ['claim'] }, client));
+    expect(client.activity.getPlanActivity).toHaveBeenCalledTimes(2);
+    expect(body.events.map((e) => e.plan_id)).toEqual(['p1', 'p2']);
+    expect(body.events.every((e) => e.type === 'claim')).toBe(true);
+  });
+
+  it('uses the global feed without a scope and rejects a cursor from another scope', async () => {
+    const client = activityClient();
+    const org = parse(await handlers.activity_feed({}, client));
+    expect(client.activity.getGlobalActivity).toHaveBeenCalled();
+    const res = await handlers.activity_feed({ scope: { plan_id: 'p1' }, cursor: org.next_cursor }, client);
+    expect(res.isError).toBe(true);
+    expect((await handlers.activity_feed({ cursor: 'garbage' }, client)).isError).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Agent identity — per-call agent_id > session (apiClient.agentId) >
+ * AGENT_PLANNER_AGENT_ID > 'mcp-agent', threaded through claims, logs,
+ * learnings, decisions and the briefing filter.
+ */
+const { resolveAgentId, defaultAgentId } = require('../src/agent-identity');
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+
+const parse = (r) => JSON.parse(r.content[0].text);
+
+describe('resolveAgentId', () => {
+  const saved = process.env.AGENT_PLANNER_AGENT_ID;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.AGENT_PLANNER_AGENT_ID;
+    else process.env.AGENT_PLANNER_AGENT_ID = saved;
+  });
+
+  it('prefers the per-call argument, then the session, then the env var', () => {
+    process.env.AGENT_PLANNER_AGENT_ID = 'env-agent';
+    expect(resolveAgentId({ agent_id: 'call-agent' }, { agentId: 'session-agent' })).toBe('call-agent');
+    expect(resolveAgentId({}, { agentId: 'session-agent' })).toBe('session-agent');
+    expect(resolveAgentId({}, {})).toBe('env-agent');
+  });
+
+  it("falls back to 'mcp-agent'", () => {
+    delete process.env.AGENT_PLANNER_AGENT_ID;
+    expect(defaultAgentId()).toBe('mcp-agent');
+    expect(resolveAgentId({ agent_id: '  ' }, {})).toBe('mcp-agent');
+  });
+});
+
+describe('identity flows through the tools', () => {
+  it('claim_next_task claims as the session agent on the legacy path', async () => {
+    const client = {
+      agentId: 'worker-3',
+      axiosInstance: {
+        post: jest.fn().mockRejectedValue(new Error('no facade')),
+        get: jest.fn().mockResolvedValue({ data: { suggestions: [{ id: 't1', plan_id: 'p1' }] } }),
+      },
+      users: { getMyTasks: jest.fn().mockResolvedValue({ tasks: [] }) },
+      nodes: { claimTask: jest.fn().mockResolvedValue({ expires_at: 'later' }) },
+    };
+    const body = parse(await intentions.handlers.claim_next_task({ scope: { plan_id: 'p1' } }, client));
+    expect(client.axiosInstance.post).toHaveBeenCalledWith('/agent/work-sessions', expect.objectContaining({ agent_id: 'worker-3' }));
+    expect(client.nodes.claimTask).toHaveBeenCalledWith('p1', 't1', 'worker-3', 30);
+    expect(body.claim.agent_id).toBe('worker-3');
+  });
+
+  it('release_task releases only the caller\'s claim and tags the log entry', async () => {
+    const client = {
+      nodes: { releaseTask: jest.fn().mockResolvedValue({}) },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({ id: 'log-1' }) },
+    };
+    await intentions.handlers.release_task({ task_id: 't1', plan_id: 'p1', message: 'handoff', agent_id: 'worker-1' }, client);
+    expect(client.nodes.releaseTask).toHaveBeenCalledWith('p1', 't1', 'worker-1');
+    expect(client.logs.addLogEntry).toHaveBeenCalledWith('p1', 't1', expect.objectContaining({ metadata: { agent_id: 'worker-1' } }));
+  });
+
+  it('add_learning and queue_decision record the agent in metadata', async () => {
+    const client = {
+      agentId: 'worker-2',
+      graphiti: { addEpisode: jest.fn().mockResolvedValue({ uuid: 'ep-1' }) },
+      axiosInstance: { post: jest.fn().mockResolvedValue({ data: { id: 'd1', status: 'pending' } }) },
+    };
+    await intentions.handlers.add_learning({ content: 'Retries fix the flake' }, client);
+    expect(client.graphiti.addEpisode.mock.calls[0][0].metadata.agent_id).toBe('worker-2');
+
+    await intentions.handlers.queue_decision({ plan_id: 'p1', title: 'Ship?', context: 'c', smallest_input_needed: 'approve' }, client);
+    expect(client.axiosInstance.post.mock.calls[0][1].metadata.agent_id).toBe('worker-2');
+  });
+
+  it('briefing forwards agent_id and filters the fallback fan-out by it', async () => {
+    const client = {
+      v1: { briefing: jest.fn().mockRejectedValue(new Error('down')) },
+      axiosInstance: {
+        get: jest.fn(async (url) => {
+          if (url === '/agent/briefing') throw new Error('down');
+          return { data: { decisions: [{ id: 'd1', metadata: { agent_id: 'a1' } }, { id: 'd2', metadata: { agent_id: 'a2' } }] } };
+        }),
+      },
+      goals: { getDashboard: jest.fn().mockResolvedValue({ goals: [] }) },
+      users: {
+        getMyTasks: jest.fn().mockResolvedValue({
+          tasks: [
+            { id: 't1', status: 'in_progress', agent_id: 'a1' },
+            { id: 't2', status: 'in_progress', agent_id: 'a2' },
+          ],
+        }),
+      },
+      coherence: { getPending: jest.fn().mockResolvedValue({}) },
+      graphiti: { getEpisodes: jest.fn().mockResolvedValue({ episodes: [] }) },
+    };
+    const body = parse(await beliefs.handlers.briefing({ agent_id: 'a1' }, client));
+    expect(client.v1.briefing).toHaveBeenCalledWith(expect.objectContaining({ agent_id: 'a1' }));
+    expect(body.agent_id).toBe('a1');
+    expect(body.my_tasks.in_progress.map((t) => t.id)).toEqual(['t1']);
+    expect(body.pending_decisions.map((d) => d.id)).toEqual(['d1']);
+  });
+});
@@ -86,6 +86,7 @@ describe('MCP agent-loop facade integration', () => {
       summary: 'Done',
       learning: { content: 'Reusable finding' },
       decision: undefined,
+      agent_id: 'mcp-agent',
     });
     expect(body.task.status).toBe('completed');
   });
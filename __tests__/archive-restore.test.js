@@ -0,0 +1,209 @@
+/**
+ * Trash view and restore — delete_plan / delete_node stamp an archive record,
+ * list_archived finds archived cascades, restore brings a cascade back with
+ * each node's pre-archive status.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+
+const PLAN_ID = 'plan-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// In-memory backend: updateNode / updatePlan write through, so a delete
+// followed by a restore can be checked end to end.
+// root → p1 (in_progress) → [t1 (completed), t2 (blocked) → [t3 (archived earlier)]], p2
+function backend() {
+  const nodes = {
+    root: { id: 'root', node_type: 'root', title: 'Plan', parent: null },
+    p1: { id: 'p1', node_type: 'phase', title: 'Build', status: 'in_progress', parent: 'root' },
+    t1: { id: 't1', node_type: 'task', title: 'API', status: 'completed', parent: 'p1' },
+    t2: { id: 't2', node_type: 'task', title: 'UI', status: 'blocked', parent: 'p1', metadata: { owner: 'ui-team' } },
+    t3: {
+      id: 't3', node_type: 'task', title: 'Spike', status: 'archived', parent: 't2',
+      metadata: { archive: { archived_at: '2026-01-05T00:00:00.000Z', reason: 'spike done', previous_status: 'completed', cascade_root: 't3' } },
+    },
+    p2: { id: 'p2', node_type: 'phase', title: 'Launch', status: 'not_started', parent: 'root' },
+  };
+  const plans = {
+    [PLAN_ID]: { id: PLAN_ID, title: 'Plan', status: 'active' },
+    'plan-old': { id: 'plan-old', title: 'Old plan', status: 'draft', metadata: { source: 'import' } },
+  };
+  // Only detailed reads carry metadata (null when a row has none)
+  const tree = (id, details) => ({
+    ...(({ metadata, ...row }) => row)(nodes[id]),
+    ...(details ? { metadata: nodes[id].metadata ?? null } : {}),
+    children: Object.values(nodes).filter((n) => n.parent === id).map((n) => tree(n.id, details)),
+  });
+
+  return {
+    nodes,
+    plans,
+    api: {
+      axiosInstance: { get: jest.fn().mockResolvedValue({ data: { plan_id: PLAN_ID } }) },
+      nodes: {
+        getNodes: jest.fn().mockImplementation(async (planId, opts) => (planId === PLAN_ID ? [tree('root', opts?.include_details)] : [])),
+        updateNode: jest.fn().mockImplementation(async (planId, id, payload) => {
+          Object.assign(nodes[id], payload);
+          return {};
+        }),
+      },
+      plans: {
+        getPlans: jest.fn().mockImplementation(async () => Object.values(plans)),
+        getPlan: jest.fn().mockImplementation(async (id) => plans[id]),
+        updatePlan: jest.fn().mockImplementation(async (id, payload) => {
+          const { metadata, ...rest } = payload;
+          Object.assign(plans[id], rest);
+          if (metadata) plans[id].metadata = { ...plans[id].metadata, ...metadata };
+          return {};
+        }),
+      },
+    },
+  };
+}
+
+describe('delete_node archive records', () => {
+  it('stamps each archived node with its previous status and the cascade root', async () => {
+    const { api, nodes } = backend();
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID, reason: 'descoped' }, api);
+
+    expect(nodes.t2.status).toBe('archived');
+    expect(nodes.t2.metadata).toEqual({
+      owner: 'ui-team',
+      archive: expect.objectContaining({ reason: 'descoped', previous_status: 'blocked', cascade_root: 'p1' }),
+    });
+    expect(nodes.t1.metadata.archive.previous_status).toBe('completed');
+    // Archived separately before — left alone
+    expect(nodes.t3.metadata.archive.cascade_root).toBe('t3');
+  });
+});
+
+describe('restore', () => {
+  it('brings a cascade back with pre-archive statuses and clears the records', async () => {
+    const { api, nodes } = backend();
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api);
+
+    const body = parse(await intentions.handlers.restore({ node_id: 'p1', plan_id: PLAN_ID }, api));
+
+    expect(body.restored).toEqual([
+      { node_id: 'p1', status: 'in_progress' },
+      { node_id: 't1', status: 'completed' },
+      { node_id: 't2', status: 'blocked' },
+    ]);
+    expect(nodes.t2.metadata).toEqual({ owner: 'ui-team', archive: null });
+    expect(nodes.t3.status).toBe('archived');
+  });
+
+  it('keeps the rest of the metadata through delete and restore', async () => {
+    const { api, nodes } = backend();
+    const estimate = { value: 3, unit: 'points' };
+    const recurrence = { series_id: 's1', rule: 'weekly' };
+    nodes.t1.metadata = { estimate, recurrence };
+
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api);
+    expect(api.nodes.getNodes).toHaveBeenCalledWith(PLAN_ID, { include_details: true });
+    expect(nodes.t1.metadata).toEqual(expect.objectContaining({ estimate, recurrence, archive: expect.any(Object) }));
+
+    await intentions.handlers.restore({ node_id: 'p1', plan_id: PLAN_ID }, api);
+    expect(nodes.t1.metadata).toEqual({ estimate, recurrence, archive: null });
+  });
+
+  it("writes the status only when the tree read didn't include metadata", async () => {
+    const { api, nodes } = backend();
+    nodes.t1.metadata = { estimate: { value: 3, unit: 'points' } };
+    const strip = ({ metadata, children, ...n }) => ({ ...n, children: children.map(strip) });
+    const getNodes = api.nodes.getNodes.getMockImplementation();
+    api.nodes.getNodes.mockImplementation(async (planId) => (await getNodes(planId)).map(strip));
+
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api);
+    expect(api.nodes.updateNode).toHaveBeenCalledWith(PLAN_ID, 't1', { status: 'archived' });
+    expect(nodes.t1.metadata).toEqual({ estimate: { value: 3, unit: 'points' } });
+  });
+
+  it('dry_run lists what would come back without writing', async () => {
+    const { api } = backend();
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api);
+    api.nodes.updateNode.mockClear();
+
+    const body = parse(await intentions.handlers.restore({ node_id: 't2', plan_id: PLAN_ID, dry_run: true }, api));
+
+    expect(body.preview.nodes_to_restore).toEqual([{ id: 't2', title: 'UI', node_type: 'task', status: 'blocked' }]);
+    expect(body.notes[0]).toMatch(/Parent p1 is still archived/);
+    expect(body.would_apply).toBe(true);
+    expect(api.nodes.updateNode).not.toHaveBeenCalled();
+  });
+
+  it('uses fallback_status for nodes archived without a record', async () => {
+    const { api, nodes } = backend();
+    nodes.p2.status = 'archived';
+    nodes.p2b = { id: 'p2b', node_type: 'task', title: 'Announce', status: 'archived', parent: 'p2' };
+
+    const body = parse(await intentions.handlers.restore(
+      { node_id: 'p2', plan_id: PLAN_ID, fallback_status: 'blocked' },
+      api,
+    ));
+
+    expect(body.restored).toEqual([{ node_id: 'p2', status: 'blocked' }, { node_id: 'p2b', status: 'blocked' }]);
+  });
+
+  it('refuses a node that is not archived', async () => {
+    const { api } = backend();
+    const res = await intentions.handlers.restore({ node_id: 'p2', plan_id: PLAN_ID }, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/not archived/);
+  });
+
+  it('restores a plan to the status it had before delete_plan', async () => {
+    const { api, plans } = backend();
+    await intentions.handlers.delete_plan({ plan_id: 'plan-old', reason: 'duplicate' }, api);
+    expect(plans['plan-old'].status).toBe('archived');
+
+    const body = parse(await intentions.handlers.restore({ plan_id: 'plan-old' }, api));
+
+    expect(body.status).toBe('draft');
+    expect(plans['plan-old']).toEqual(expect.objectContaining({ status: 'draft', metadata: { source: 'import', archive: null } }));
+  });
+});
+
+describe('list_archived', () => {
+  it('lists plans and one entry per node cascade, newest first', async () => {
+    const { api } = backend();
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID, reason: 'descoped' }, api);
+    await intentions.handlers.delete_plan({ plan_id: 'plan-old', reason: 'duplicate' }, api);
+
+    const body = parse(await beliefs.handlers.list_archived({}, api));
+
+    expect(body.summary).toEqual(expect.objectContaining({ total: 3, plans: 1, nodes: 2 }));
+    expect(body.archived.map((e) => [e.type, e.id, e.cascade_size])).toEqual(expect.arrayContaining([
+      ['node', 'p1', 3],
+      ['plan', 'plan-old', undefined],
+      ['node', 't3', 1],
+    ]));
+    expect(body.archived[2]).toEqual(expect.objectContaining({ id: 't3', reason: 'spike done', previous_status: 'completed' }));
+  });
+
+  it('filters by reason, date and kind', async () => {
+    const { api } = backend();
+    await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID, reason: 'Descoped in review' }, api);
+
+    const byReason = parse(await beliefs.handlers.list_archived({ plan_id: PLAN_ID, reason: 'descoped' }, api));
+    expect(byReason.archived.map((e) => e.id)).toEqual(['p1']);
+
+    const byDate = parse(await beliefs.handlers.list_archived({ archived_before: '2026-02-01' }, api));
+    expect(byDate.archived.map((e) => e.id)).toEqual(['t3']);
+
+    api.nodes.getNodes.mockClear();
+    const plansOnly = parse(await beliefs.handlers.list_archived({ kind: 'plans' }, api));
+    expect(plansOnly.summary.total).toBe(0);
+    expect(api.nodes.getNodes).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unparseable date', async () => {
+    const { api } = backend();
+    const res = await beliefs.handlers.list_archived({ archived_after: 'last tuesday' }, api);
+    expect(res.isError).toBe(true);
+  });
+});
@@ -204,11 +204,14 @@ describe('delete_plan tool', () => {
 
     const result = await handler({ plan_id: PLAN_ID, reason: 'obsolete' }, client);
 
-    expect(client.plans.updatePlan).toHaveBeenCalledWith(PLAN_ID, { status: 'archived' });
+    expect(client.plans.updatePlan).toHaveBeenCalledWith(PLAN_ID, {
+      status: 'archived',
+      metadata: { archive: expect.objectContaining({ reason: 'obsolete', cascade_root: PLAN_ID }) },
+    });
     const body = parseResponse(result);
     expect(body.archived).toBe(true);
     expect(body.reason).toBe('obsolete');
-    expect(body.next_step).toMatch(/restore.*active.*restore.*true/i);
+    expect(body.next_step).toMatch(/restore\(\{plan_id/);
   });
 });
 
@@ -231,6 +234,7 @@ describe('delete_node tool', () => {
       client,
     );
 
+    // No tree to read the node from → status only, so its metadata is left alone
     expect(client.nodes.updateNode).toHaveBeenCalledWith(
       PLAN_ID,
       NODE_ID,
@@ -239,4 +243,69 @@ describe('delete_node tool', () => {
     const body = parseResponse(result);
     expect(body.archived).toBe(true);
   });
+
+  describe('cascade', () => {
+    // root → phase p1 → [t1, t2 (archived) → [t3]]
+    function cascadeClient({ failOn } = {}) {
+      return {
+        nodes: {
+          getNodes: jest.fn().mockResolvedValue([{
+            id: 'root', node_type: 'root', children: [{
+              id: 'p1', node_type: 'phase', status: 'in_progress', metadata: {}, children: [
+                { id: 't1', status: 'completed', metadata: {}, children: [] },
+                {
+                  id: 't2', status: 'archived', metadata: {}, children: [
+                    { id: 't3', status: 'blocked', metadata: {}, children: [] },
+                  ],
+                },
+              ],
+            }],
+          }]),
+          updateNode: jest.fn((planId, id) => (id === failOn
+            ? Promise.reject(new Error('boom'))
+            : Promise.resolve({}))),
+        },
+      };
+    }
+
+    it('archives every live descendant, each with its own previous status', async () => {
+      const client = cascadeClient();
+      const body = parseResponse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, client));
+
+      const writes = client.nodes.updateNode.mock.calls;
+      expect(writes.map((c) => c[1])).toEqual(['p1', 't1', 't3']);
+      expect(writes.map((c) => c[2].metadata.archive.previous_status)).toEqual(['in_progress', 'completed', 'blocked']);
+      expect(writes.every((c) => c[2].metadata.archive.cascade_root === 'p1')).toBe(true);
+      expect(body.archived_node_ids).toEqual(['p1', 't1', 't3']);
+    });
+
+    it('writes only the node when cascade_children is false', async () => {
+      const client = cascadeClient();
+      const body = parseResponse(await intentions.handlers.delete_node(
+        { node_id: 'p1', plan_id: PLAN_ID, cascade_children: false },
+        client,
+      ));
+
+      expect(client.nodes.updateNode.mock.calls.map((c) => c[1])).toEqual(['p1']);
+      expect(body.archived_node_ids).toEqual(['p1']);
+    });
+
+    it('reports descendants it could not archive and keeps going', async () => {
+      const client = cascadeClient({ failOn: 't1' });
+      const body = parseResponse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, client));
+
+      expect(body.archived_node_ids).toEqual(['p1', 't3']);
+      expect(body.failures).toEqual([{ node_id: 't1', error: 'boom' }]);
+    });
+
+    it('falls back to archiving the node alone when the tree cannot be read', async () => {
+      const client = cascadeClient();
+      client.nodes.getNodes.mockRejectedValue(new Error('offline'));
+      const body = parseResponse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, client));
+
+      expect(client.nodes.updateNode).toHaveBeenCalledTimes(1);
+      expect(client.nodes.updateNode).toHaveBeenCalledWith(PLAN_ID, 'p1', { status: 'archived' });
+      expect(body.warning).toMatch(/only p1 is covered/);
+    });
+  });
 });
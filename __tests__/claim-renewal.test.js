@@ -0,0 +1,83 @@
+/**
+ * Claim renewal — renew_claim tool, and the opt-in ClaimRenewer that keeps
+ * claim_next_task claims alive until update_task releases them.
+ */
+const intentions = require('../src/tools/bdi/intentions');
+const { ClaimRenewer, setActiveRenewer } = require('../src/claim-renewer');
+
+const parse = (r) => JSON.parse(r.content[0].text);
+
+function claimClient(holder) {
+  return {
+    nodes: {
+      getTaskClaim: jest.fn().mockResolvedValue(holder ? { agent_id: holder, expires_at: '2999-01-01T00:00:00Z' } : null),
+      claimTask: jest.fn().mockResolvedValue({ expires_at: '2030-01-01T00:30:00Z' }),
+    },
+    axiosInstance: { get: jest.fn().mockResolvedValue({ data: { plan_id: 'p1' } }) },
+  };
+}
+
+describe('renew_claim', () => {
+  it('extends a claim held by the calling agent', async () => {
+    const client = claimClient('worker-1');
+    const body = parse(await intentions.handlers.renew_claim({ task_id: 't1', agent_id: 'worker-1', ttl_minutes: 45 }, client));
+    expect(client.nodes.getTaskClaim).toHaveBeenCalledWith('p1', 't1');
+    expect(client.nodes.claimTask).toHaveBeenCalledWith('p1', 't1', 'worker-1', 45);
+    expect(body).toMatchObject({ renewed: true, reacquired: false, expires_at: '2030-01-01T00:30:00Z' });
+  });
+
+  it('re-takes an expired claim', async () => {
+    const client = claimClient(null);
+    const body = parse(await intentions.handlers.renew_claim({ task_id: 't1', plan_id: 'p1' }, client));
+    expect(body.reacquired).toBe(true);
+  });
+
+  it('refuses a claim held by another agent', async () => {
+    const client = claimClient('worker-2');
+    const result = await intentions.handlers.renew_claim({ task_id: 't1', plan_id: 'p1', agent_id: 'worker-1' }, client);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('claimed by worker-2');
+    expect(client.nodes.claimTask).not.toHaveBeenCalled();
+  });
+});
+
+describe('ClaimRenewer', () => {
+  afterEach(() => setActiveRenewer(null));
+
+  it('tracks claims from claim_next_task and stops once update_task releases them', async () => {
+    const renewer = new ClaimRenewer({ apiClient: claimClient('mcp-agent') });
+    setActiveRenewer(renewer);
+
+    const client = {
+      v1: {
+        claimNext: jest.fn().mockResolvedValue({ task: { id: 't1' }, plan_id: 'p1', claim: {} }),
+        updateTask: jest.fn().mockResolvedValue({ task_id: 't1', status: 'completed' }),
+      },
+    };
+    await intentions.handlers.claim_next_task({ scope: { plan_id: 'p1' } }, client);
+    expect(renewer.list()).toEqual(['t1']);
+
+    await intentions.handlers.update_task({ task_id: 't1', status: 'in_progress' }, client);
+    expect(renewer.list()).toEqual(['t1']);
+
+    await intentions.handlers.update_task({ task_id: 't1', status: 'completed' }, client);
+    expect(renewer.list()).toEqual([]);
+  });
+
+  it('renews due claims and drops ones lost to another agent', async () => {
+    const apiClient = claimClient('mcp-agent');
+    const renewer = new ClaimRenewer({ apiClient });
+    renewer.track({ planId: 'p1', taskId: 't1', agentId: 'mcp-agent', ttlMinutes: 30 });
+
+    expect(await renewer.renewDue()).toEqual([]); // not due yet
+    expect(await renewer.renewDue({ force: true })).toEqual(['t1']);
+    expect(apiClient.nodes.claimTask).toHaveBeenCalledWith('p1', 't1', 'mcp-agent', 30);
+
+    apiClient.nodes.getTaskClaim.mockResolvedValue({ agent_id: 'someone-else', expires_at: '2999-01-01T00:00:00Z' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await renewer.renewDue({ force: true })).toEqual([]);
+    expect(renewer.list()).toEqual([]);
+    console.error.mockRestore();
+    renewer.stop();
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/api-client', () => ({
+  createApiClient: jest.fn(),
+}));
+
+const { createApiClient } = require('../src/api-client');
+const localClient = require('../src/cli/local-client');
+const { readJournal } = require('../src/cli/journal');
+
+function offline() {
+  return Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3000'), { code: 'ECONNREFUSED' });
+}
+
+function workspace(nodeStatus = 'not_started') {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+  process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+  const { ensureDir, writeConfig } = require('../src/cli/config');
+  writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret' });
+
+  const stateDir = path.join(tempDir, '.agentplanner');
+  ensureDir(stateDir);
+  fs.writeFileSync(path.join(stateDir, 'context.json'), JSON.stringify({
+    selection: { planId: 'plan-1', nodeId: 'node-1' },
+    nodeContext: { node: { title: 'Add login flow', status: nodeStatus } },
+  }));
+  return tempDir;
+}
+
+function offlineClient() {
+  return {
+    nodes: {
+      getNode: jest.fn().mockRejectedValue(offline()),
+      updateNodeStatus: jest.fn().mockRejectedValue(offline()),
+    },
+    logs: { addLogEntry: jest.fn().mockRejectedValue(offline()) },
+  };
+}
+
+describe('offline journal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('writebacks made while offline are queued in order against the last known status', async () => {
+    const dir = workspace('not_started');
+    createApiClient.mockReturnValue(offlineClient());
+
+    const started = await localClient.updateStatus('start', { dir });
+    const done = await localClient.updateStatus('done', { dir, message: 'Shipped' });
+
+    expect(started.queued).toBe(true);
+    expect(done.pending).toBe(2);
+    const entries = readJournal(dir);
+    expect(entries.map((e) => [e.command, e.state, e.baseStatus])).toEqual([
+      ['start', 'queued', 'not_started'],
+      ['done', 'queued', 'in_progress'],
+    ]);
+    expect(entries[1].message).toBe('Shipped');
+  });
+
+  test('non-network errors still fail and are not queued', async () => {
+    const dir = workspace();
+    const rejected = Object.assign(new Error('Forbidden'), { response: { status: 403, data: {} } });
+    createApiClient.mockReturnValue({
+      nodes: { updateNodeStatus: jest.fn().mockRejectedValue(rejected) },
+      logs: { addLogEntry: jest.fn() },
+    });
+
+    await expect(localClient.updateStatus('start', { dir })).rejects.toThrow('Forbidden');
+    expect(readJournal(dir)).toEqual([]);
+  });
+
+  test('sync replays queued entries in order once the API is back', async () => {
+    const dir = workspace('not_started');
+    createApiClient.mockReturnValue(offlineClient());
+    await localClient.updateStatus('start', { dir });
+    await localClient.updateStatus('done', { dir, message: 'Shipped' });
+
+    const calls = [];
+    const statuses = ['not_started', 'in_progress'];
+    createApiClient.mockReturnValue({
+      nodes: {
+        getNode: jest.fn().mockImplementation(async () => ({ status: statuses.shift() })),
+        updateNodeStatus: jest.fn().mockImplementation(async (p, n, status) => { calls.push(status); }),
+        claimTask: jest.fn().mockResolvedValue({}),
+        releaseTask: jest.fn().mockResolvedValue({}),
+      },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    });
+
+    const result = await localClient.syncJournal({ dir });
+
+    expect(calls).toEqual(['in_progress', 'completed']);
+    expect(result.replayed).toHaveLength(2);
+    expect(result.queued).toHaveLength(0);
+    expect(result.applied.map((e) => e.command)).toEqual(['start', 'done']);
+  });
+
+  test('a task changed on the server meanwhile is reported as a conflict, not overwritten', async () => {
+    const dir = workspace('not_started');
+    createApiClient.mockReturnValue(offlineClient());
+    await localClient.updateStatus('start', { dir });
+    await localClient.updateStatus('blocked', { dir, message: 'Waiting' });
+
+    const updateNodeStatus = jest.fn().mockResolvedValue({});
+    createApiClient.mockReturnValue({
+      nodes: { getNode: jest.fn().mockResolvedValue({ status: 'completed' }), updateNodeStatus },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    });
+
+    const result = await localClient.syncJournal({ dir });
+
+    expect(updateNodeStatus).not.toHaveBeenCalled();
+    expect(result.conflicts).toHaveLength(2);
+    expect(result.conflicts[0].conflict).toMatch(/completed.*not_started/);
+
+    const forced = await localClient.syncJournal({ dir, force: true });
+    expect(updateNodeStatus.mock.calls.map((c) => c[2])).toEqual(['in_progress', 'blocked']);
+    expect(forced.conflicts).toHaveLength(0);
+  });
+
+  test('a writeback interrupted after the status change resumes with the log entry only', async () => {
+    const dir = workspace('in_progress');
+    createApiClient.mockReturnValue({
+      nodes: { getNode: jest.fn(), updateNodeStatus: jest.fn().mockResolvedValue({}) },
+      logs: { addLogEntry: jest.fn().mockRejectedValue(offline()) },
+    });
+
+    const result = await localClient.updateStatus('blocked', { dir, message: 'Waiting on vendor' });
+    expect(result.queued).toBe(true);
+    expect(readJournal(dir)[0].done).toEqual({ status: true, log: false });
+
+    const updateNodeStatus = jest.fn();
+    const addLogEntry = jest.fn().mockResolvedValue({});
+    createApiClient.mockReturnValue({ nodes: { getNode: jest.fn(), updateNodeStatus }, logs: { addLogEntry } });
+
+    const synced = await localClient.syncJournal({ dir, clear: true });
+
+    expect(updateNodeStatus).not.toHaveBeenCalled();
+    expect(addLogEntry).toHaveBeenCalledWith('plan-1', 'node-1', { content: 'Waiting on vendor', log_type: 'challenge' });
+    expect(synced.replayed).toHaveLength(1);
+    expect(readJournal(dir)).toEqual([]);
+  });
+
+  test('an unreadable journal line is reported as a conflict and the rest still replays', async () => {
+    const dir = workspace('not_started');
+    createApiClient.mockReturnValue(offlineClient());
+    await localClient.updateStatus('start', { dir });
+    fs.appendFileSync(path.join(dir, '.agentplanner', 'journal.jsonl'), '{"id":"cut-sh');
+
+    const calls = [];
+    createApiClient.mockReturnValue({
+      nodes: {
+        getNode: jest.fn().mockResolvedValue({ status: 'not_started' }),
+        updateNodeStatus: jest.fn().mockImplementation(async (p, n, status) => { calls.push(status); }),
+      },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    });
+
+    const result = await localClient.syncJournal({ dir, force: true });
+
+    expect(calls).toEqual(['in_progress']);
+    expect(result.applied.map((e) => e.command)).toEqual(['start']);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ raw: '{"id":"cut-sh', conflict: expect.stringMatching(/^Unreadable journal line/) }),
+    ]);
+    // Kept until --clear, so nothing is lost silently
+    expect(readJournal(dir).map((e) => e.state)).toEqual(['applied', 'conflict']);
+  });
+
+  test('the next online writeback flushes the queue first', async () => {
+    const dir = workspace('not_started');
+    createApiClient.mockReturnValue(offlineClient());
+    await localClient.updateStatus('start', { dir });
+
+    const calls = [];
+    createApiClient.mockReturnValue({
+      nodes: {
+        getNode: jest.fn().mockResolvedValue({ status: 'not_started' }),
+        updateNodeStatus: jest.fn().mockImplementation(async (p, n, status) => { calls.push(status); }),
+      },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    });
+
+    const result = await localClient.updateStatus('done', { dir });
+
+    expect(calls).toEqual(['in_progress', 'completed']);
+    expect(result.queued).toBe(false);
+    expect(result.replay.applied).toHaveLength(1);
+  });
+});
@@ -684,4 +684,149 @@ describe('local client helpers', () => {
     expect(result.learned).toBe(false);
     expect(result.logged).toBe(true);
   });
+
+  test('heartbeat extends a claim held by the same agent', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+    process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+    const { ensureDir, writeConfig } = require('../src/cli/config');
+    writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret' });
+
+    const stateDir = path.join(tempDir, '.agentplanner');
+    ensureDir(stateDir);
+    fs.writeFileSync(path.join(stateDir, 'context.json'), JSON.stringify({ selection: { planId: 'plan-1', nodeId: 'node-1' } }));
+
+    const claimTask = jest.fn().mockResolvedValue({ expires_at: '2030-01-01T01:00:00Z' });
+    createApiClient.mockReturnValue({
+      nodes: {
+        getTaskClaim: jest.fn().mockResolvedValue({ agent_id: 'ap-cli', expires_at: '2999-01-01T00:00:00Z' }),
+        claimTask,
+      },
+    });
+
+    const result = await localClient.heartbeat({ dir: tempDir, ttl: '60' });
+    expect(claimTask).toHaveBeenCalledWith('plan-1', 'node-1', 'ap-cli', 60);
+    expect(result.reacquired).toBe(false);
+    expect(result.expiresAt).toBe('2030-01-01T01:00:00Z');
+  });
+
+  test('heartbeat refuses to take over another agent\'s claim', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+    process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+    const { writeConfig } = require('../src/cli/config');
+    writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret' });
+
+    const claimTask = jest.fn();
+    createApiClient.mockReturnValue({
+      nodes: {
+        getTaskClaim: jest.fn().mockResolvedValue({ claim: { agent_id: 'other-agent', expires_at: '2999-01-01T00:00:00Z' } }),
+        claimTask,
+      },
+    });
+
+    await expect(localClient.heartbeat({ dir: tempDir, planId: 'plan-1', nodeId: 'node-1' }))
+      .rejects.toThrow('claimed by other-agent');
+    expect(claimTask).not.toHaveBeenCalled();
+  });
+});
+
+describe('export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('exportPlan writes the rendered plan to --out', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+    process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+    const { writeConfig } = require('../src/cli/config');
+    writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret', defaultPlanId: 'plan-1' });
+
+    createApiClient.mockReturnValue({
+      plans: { getPlan: jest.fn().mockResolvedValue({ id: 'plan-1', title: 'Example Plan' }) },
+      nodes: {
+        getNodes: jest.fn().mockResolvedValue([
+          { id: 't1', node_type: 'task', title: 'Task A1', status: 'completed', children: [] },
+        ]),
+      },
+      dependencies: { listForPlan: jest.fn().mockResolvedValue([]) },
+    });
+
+    const out = path.join(tempDir, 'plan.md');
+    const result = await localClient.exportPlan({ dir: tempDir, out });
+
+    expect(result.planId).toBe('plan-1');
+    expect(result.outPath).toBe(out);
+    expect(fs.readFileSync(out, 'utf8')).toBe('# Example Plan\n\n- [x] Task A1\n');
+  });
+});
+
+describe('import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('importPlan reads the file and creates the plan via form_intention', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+    process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+    const { writeConfig } = require('../src/cli/config');
+    writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret' });
+
+    const createIntention = jest.fn().mockResolvedValue({
+      plan: { id: 'plan-9', status: 'draft' },
+      tree: [{ id: 'n1' }, { id: 'n2' }],
+      structure: { task_count: 2, dependency_edges: 1, created_without_dependencies: false },
+    });
+    createApiClient.mockReturnValue({ agentLoop: { createIntention } });
+
+    const file = path.join(tempDir, 'plan.md');
+    fs.writeFileSync(file, '# Example Plan\n\n- [ ] Task A1\n- [ ] Task A2\n  - Blocked by: Task A1\n');
+    const result = await localClient.importPlan(file, { goalId: 'goal-1', status: 'draft' });
+
+    expect(result.plan_id).toBe('plan-9');
+    expect(result.import).toEqual({ format: 'markdown', nodes_parsed: 2 });
+    expect(createIntention).toHaveBeenCalledWith(expect.objectContaining({
+      goal_id: 'goal-1',
+      title: 'Example Plan',
+      status: 'draft',
+      tree: [
+        { node_type: 'task', title: 'Task A1' },
+        { node_type: 'task', title: 'Task A2', depends_on: ['Task A1'] },
+      ],
+    }));
+  });
+});
+
+describe('knowledge', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('exportKnowledge writes JSONL and importKnowledge replays it with --remap', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-workspace-'));
+    process.env.AGENT_PLANNER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-config-'));
+    const { writeConfig } = require('../src/cli/config');
+    writeConfig({ apiUrl: 'https://agentplanner.io/api', token: 'secret' });
+
+    createApiClient.mockReturnValueOnce({
+      graphiti: {
+        getEpisodes: jest.fn().mockResolvedValue({ episodes: [
+          { uuid: 'ep-1', content: 'Use Postgres.', plan_id: 'plan-1', node_id: 'n1', created_at: '2026-02-01T00:00:00Z' },
+          { uuid: 'ep-2', content: 'Other plan.', plan_id: 'plan-2', created_at: '2026-02-02T00:00:00Z' },
+        ] }),
+      },
+    });
+    const out = path.join(tempDir, 'knowledge.jsonl');
+    const exported = await localClient.exportKnowledge({ planId: 'plan-1', out });
+    expect(exported.count).toBe(1);
+    expect(JSON.parse(fs.readFileSync(out, 'utf8')).scope).toEqual({ plan_id: 'plan-1', goal_id: null, node_id: 'n1' });
+
+    const addEpisode = jest.fn().mockResolvedValue({ episode: { uuid: 'new-1' } });
+    createApiClient.mockReturnValueOnce({
+      graphiti: { getEpisodes: jest.fn().mockResolvedValue({ episodes: [] }), addEpisode },
+    });
+    const result = await localClient.importKnowledge(out, { remap: 'plan-1=plan-9,n1=n9' });
+
+    expect(result.summary).toEqual({ imported: 1, duplicates: 0, failed: 0 });
+    expect(addEpisode).toHaveBeenCalledWith(expect.objectContaining({ plan_id: 'plan-9', node_id: 'n9', content: 'Use Postgres.' }));
+    expect(addEpisode.mock.calls[0][0].metadata.imported_from.imported_by).toBe('ap-cli');
+  });
 });
@@ -0,0 +1,157 @@
+/**
+ * Cross-plan and external dependencies:
+ *  - link_intentions(cross_plan=true) → dependencies.createCrossPlan
+ *  - add_external_dependency → dependencies.createExternal
+ *  - plan_analysis critical_path / bottlenecks fold in cross-plan edges
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+function nodeLookup(plans) {
+  return jest.fn((url) => {
+    const id = url.split('/').pop();
+    return Promise.resolve({ data: { id, plan_id: plans[id] } });
+  });
+}
+
+describe('link_intentions — cross-plan mode', () => {
+  it('creates a cross-plan blocks edge when cross_plan=true', async () => {
+    const client = {
+      axiosInstance: { get: nodeLookup({ a: 'plan-a', b: 'plan-b' }), post: jest.fn() },
+      dependencies: { createCrossPlan: jest.fn().mockResolvedValue({ id: 'dep-x' }) },
+    };
+
+    const res = await intentions.handlers.link_intentions(
+      { from_task_id: 'a', to_task_id: 'b', rationale: 'API before client', cross_plan: true },
+      client,
+    );
+
+    expect(client.dependencies.createCrossPlan).toHaveBeenCalledWith({
+      source_node_id: 'a',
+      target_node_id: 'b',
+      dependency_type: 'blocks',
+      metadata: { rationale: 'API before client' },
+    });
+    expect(client.axiosInstance.post).not.toHaveBeenCalled();
+    const body = parse(res);
+    expect(body).toMatchObject({
+      dependency_id: 'dep-x',
+      plan_id: 'plan-a',
+      to_plan_id: 'plan-b',
+      cross_plan: true,
+    });
+  });
+
+  it('maps a 409 from the cross-plan endpoint to cycle_detected', async () => {
+    const client = {
+      axiosInstance: { get: nodeLookup({ a: 'plan-a', b: 'plan-b' }) },
+      dependencies: {
+        createCrossPlan: jest.fn().mockRejectedValue({ response: { status: 409, data: { error: 'cycle' } } }),
+      },
+    };
+
+    const res = await intentions.handlers.link_intentions(
+      { from_task_id: 'a', to_task_id: 'b', rationale: 'r', cross_plan: true },
+      client,
+    );
+
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/cycle/i);
+  });
+});
+
+describe('add_external_dependency', () => {
+  it('creates an external blocker against the task', async () => {
+    const client = {
+      axiosInstance: { get: nodeLookup({ t1: 'plan-a' }) },
+      dependencies: {
+        createExternal: jest.fn().mockResolvedValue({ node: { id: 'ext-1' }, dependency: { id: 'dep-1' } }),
+      },
+    };
+
+    const res = await intentions.handlers.add_external_dependency(
+      { task_id: 't1', title: 'Vendor API key', owner: 'Acme', expected_by: '2026-11-01' },
+      client,
+    );
+
+    expect(client.dependencies.createExternal).toHaveBeenCalledWith(expect.objectContaining({
+      plan_id: 'plan-a',
+      title: 'Vendor API key',
+      target_node_id: 't1',
+      dependency_type: 'blocks',
+      metadata: expect.objectContaining({ owner: 'Acme', expected_by: '2026-11-01' }),
+    }));
+    expect(parse(res)).toMatchObject({ external_node_id: 'ext-1', dependency_id: 'dep-1', blocks_task_id: 't1' });
+  });
+
+  it('requires a title', async () => {
+    const client = { axiosInstance: { get: jest.fn() }, dependencies: { createExternal: jest.fn() } };
+    const res = await intentions.handlers.add_external_dependency({ task_id: 't1', title: ' ' }, client);
+    expect(res.isError).toBe(true);
+    expect(client.dependencies.createExternal).not.toHaveBeenCalled();
+  });
+});
+
+describe('plan_analysis — cross-plan edges', () => {
+  const PLAN = 'plan-a';
+  const edges = [
+    // plan-b's API task blocks our critical-path task
+    { id: 'e1', source_node_id: 'b1', source_plan_id: 'plan-b', source_status: 'in_progress', target_node_id: 'a1', target_plan_id: PLAN, dependency_type: 'blocks' },
+    // our a2 blocks two tasks elsewhere
+    { id: 'e2', source_node_id: 'a2', source_plan_id: PLAN, source_title: 'Schema', target_node_id: 'c1', target_plan_id: 'plan-c', dependency_type: 'blocks' },
+    { id: 'e3', source_node_id: 'a2', source_plan_id: PLAN, source_title: 'Schema', target_node_id: 'd1', target_plan_id: 'plan-d', dependency_type: 'blocks' },
+    // vendor key gates a3
+    { id: 'e4', source_node_id: 'x1', external: true, source_title: 'Vendor key', target_node_id: 'a3', target_plan_id: PLAN, dependency_type: 'blocks' },
+  ];
+
+  it('critical_path lists upstream cross-plan blockers and flags blocked_externally', async () => {
+    const client = {
+      axiosInstance: { get: jest.fn().mockResolvedValue({ data: { nodes: [{ id: 'a1' }, { id: 'a4' }] } }) },
+      dependencies: { listCrossPlan: jest.fn().mockResolvedValue({ dependencies: edges }) },
+    };
+
+    const body = parse(await beliefs.handlers.plan_analysis({ plan_id: PLAN, type: 'critical_path' }, client));
+
+    expect(client.dependencies.listCrossPlan).toHaveBeenCalledWith([PLAN]);
+    const cross = body.results.cross_plan;
+    expect(cross.blocked_externally).toBe(true);
+    expect(cross.upstream_blockers.map((e) => e.id)).toEqual(['e1', 'e4']);
+    expect(cross.upstream_blockers.find((e) => e.id === 'e1').on_critical_path).toBe(true);
+    expect(cross.downstream_dependents.map((e) => e.id)).toEqual(['e2', 'e3']);
+    expect(body.results.nodes).toHaveLength(2);
+  });
+
+  it('bottlenecks rank nodes that block other plans', async () => {
+    const client = {
+      axiosInstance: {
+        get: jest.fn().mockResolvedValue({ data: [{ id: 'a1', title: 'Local', downstream_count: 1 }] }),
+      },
+      dependencies: { listCrossPlan: jest.fn().mockResolvedValue(edges) },
+    };
+
+    const body = parse(await beliefs.handlers.plan_analysis({ plan_id: PLAN, type: 'bottlenecks' }, client));
+
+    expect(body.results.bottlenecks.map((b) => b.id)).toEqual(['a2', 'a1']);
+    expect(body.results.bottlenecks[0].cross_plan_downstream_count).toBe(2);
+    expect(body.results.external_blockers.map((e) => e.id)).toEqual(['e4']);
+    expect(body.note).toBeUndefined();
+  });
+
+  it('falls back to the in-plan result when the cross-plan listing fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = {
+      axiosInstance: { get: jest.fn().mockResolvedValue({ data: { nodes: [{ id: 'a1' }] } }) },
+      dependencies: { listCrossPlan: jest.fn().mockRejectedValue(new Error('boom')) },
+    };
+
+    const body = parse(await beliefs.handlers.plan_analysis({ plan_id: PLAN, type: 'critical_path' }, client));
+
+    expect(body.results).toEqual({ nodes: [{ id: 'a1' }] });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * curate_knowledge — list episodes by scope/source/date, delete or redact
+ * them with a logged reason, and supersede them with a correction that
+ * recall_knowledge honours.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+function backend() {
+  const episodes = [
+    {
+      uuid: 'ep-key', name: 'Staging key is sk-live-123', content: 'Staging uses API key sk-live-123 for payments.',
+      source: 'text', plan_id: 'plan-a', node_id: 'task-1', created_at: '2026-03-01T10:00:00Z',
+      metadata: { entry_type: 'fact', source_description: 'BDI add_learning', agent_id: 'coder' },
+    },
+    {
+      uuid: 'ep-port', name: 'Task: task-2', content: 'The API listens on port 8080.',
+      source: 'task_update', plan_id: 'plan-a', node_id: 'task-2', created_at: '2026-03-05T10:00:00Z',
+      metadata: { agent_id: 'planner' },
+    },
+    {
+      uuid: 'ep-other', name: 'Pricing', content: 'Pricing is per seat.',
+      source: 'text', plan_id: 'plan-b', created_at: '2026-03-08T10:00:00Z',
+      metadata: { entry_type: 'decision', source_description: 'BDI add_learning' },
+    },
+  ];
+  let next = 0;
+  const api = {
+    graphiti: {
+      getEpisodes: jest.fn().mockImplementation(async () => ({ episodes: [...episodes] })),
+      addEpisode: jest.fn().mockImplementation(async (data) => {
+        const uuid = `ep-new-${++next}`;
+        episodes.push({ uuid, created_at: '2026-03-10T10:00:00Z', ...data });
+        return { episode: { uuid }, coherence_warnings: [] };
+      }),
+      deleteEpisode: jest.fn().mockImplementation(async (id) => {
+        episodes.splice(episodes.findIndex((e) => e.uuid === id), 1);
+        return {};
+      }),
+      searchEntities: jest.fn().mockResolvedValue({ entities: [] }),
+      graphSearch: jest.fn().mockResolvedValue({
+        facts: [
+          { uuid: 'f1', fact: 'API listens on 8080', episodes: ['ep-port'] },
+          { uuid: 'f2', fact: 'Pricing is per seat', episodes: ['ep-other'] },
+        ],
+      }),
+    },
+    logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+  };
+  return { api, episodes };
+}
+
+describe('curate_knowledge list', () => {
+  it('filters by scope, source, agent and date, newest first', async () => {
+    const { api } = backend();
+    const all = parse(await intentions.handlers.curate_knowledge({ action: 'list' }, api));
+    expect(all.episodes.map((e) => e.episode_id)).toEqual(['ep-other', 'ep-port', 'ep-key']);
+    expect(all.episodes[2]).toEqual(expect.objectContaining({
+      plan_id: 'plan-a', node_id: 'task-1', entry_type: 'fact', source_description: 'BDI add_learning', agent_id: 'coder',
+    }));
+
+    const ids = async (args) => parse(await intentions.handlers.curate_knowledge({ action: 'list', ...args }, api))
+      .episodes.map((e) => e.episode_id);
+    expect(await ids({ scope: { plan_id: 'plan-a' } })).toEqual(['ep-port', 'ep-key']);
+    expect(await ids({ source: 'task_update' })).toEqual(['ep-port']);
+    expect(await ids({ source: 'add_learning', since: '2026-03-02' })).toEqual(['ep-other']);
+    expect(await ids({ recorded_by: 'coder', until: '2026-03-02' })).toEqual(['ep-key']);
+  });
+});
+
+describe('curate_knowledge changes', () => {
+  it('needs a reason', async () => {
+    const { api } = backend();
+    const res = await intentions.handlers.curate_knowledge({ action: 'delete', episode_id: 'ep-key' }, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/delete needs a reason/);
+    expect(api.graphiti.deleteEpisode).not.toHaveBeenCalled();
+  });
+
+  it('delete removes the episode and logs the reason', async () => {
+    const { api } = backend();
+    const body = parse(await intentions.handlers.curate_knowledge({
+      action: 'delete', episode_id: 'ep-key', reason: 'Contains a credential', agent_id: 'reviewer',
+    }, api));
+
+    expect(api.graphiti.deleteEpisode).toHaveBeenCalledWith('ep-key');
+    expect(body).toEqual(expect.objectContaining({ deleted: true, reason: 'Contains a credential' }));
+    expect(body.audit).toEqual({ task_logs: ['task-1'], failures: [] });
+    expect(api.logs.addLogEntry).toHaveBeenCalledWith('plan-a', 'task-1', expect.objectContaining({
+      content: 'Knowledge curation: deleted episode ep-key. Reason: Contains a credential',
+      log_type: 'decision',
+      metadata: { curation: expect.objectContaining({ action: 'delete', episode_id: 'ep-key', agent_id: 'reviewer' }) },
+    }));
+
+    // Nothing goes into the graph, where the reason would become facts
+    expect(api.graphiti.addEpisode).not.toHaveBeenCalled();
+    const listed = parse(await intentions.handlers.curate_knowledge({ action: 'list' }, api));
+    expect(listed.episodes.map((e) => e.episode_id)).toEqual(['ep-other', 'ep-port']);
+  });
+
+  it("delete goes ahead when the episodes can't be read", async () => {
+    const { api } = backend();
+    api.graphiti.getEpisodes.mockRejectedValueOnce(new Error('timeout'));
+    const body = parse(await intentions.handlers.curate_knowledge({ action: 'delete', episode_id: 'ep-key', reason: 'Credential' }, api));
+
+    expect(api.graphiti.deleteEpisode).toHaveBeenCalledWith('ep-key');
+    expect(body.deleted).toBe(true);
+    expect(body.warnings).toEqual(["Could not read episodes, so the delete isn't logged on a task: timeout"]);
+
+    api.graphiti.getEpisodes.mockRejectedValueOnce(new Error('timeout'));
+    const redact = await intentions.handlers.curate_knowledge({ action: 'redact', episode_id: 'ep-port', redact: ['8080'], reason: 'x' }, api);
+    expect(redact.content[0].text).toMatch(/Failed to read episodes/);
+  });
+
+  it('redact replaces the episode with a redacted copy', async () => {
+    const { api, episodes } = backend();
+    const body = parse(await intentions.handlers.curate_knowledge({
+      action: 'redact', episode_id: 'ep-key', redact: ['SK-LIVE-123'], reason: 'Credential',
+    }, api));
+
+    expect(body).toEqual(expect.objectContaining({ episode_id: 'ep-new-1', replaces: 'ep-key', redactions: 2, original_deleted: true }));
+    const copy = episodes.find((e) => e.uuid === 'ep-new-1');
+    expect(copy).toEqual(expect.objectContaining({
+      name: 'Staging key is [REDACTED]',
+      content: 'Staging uses API key [REDACTED] for payments.',
+      plan_id: 'plan-a',
+      node_id: 'task-1',
+    }));
+    expect(copy.metadata).toEqual(expect.objectContaining({ entry_type: 'fact', agent_id: 'coder' }));
+    expect(copy.metadata.curation).toEqual(expect.objectContaining({ action: 'redact', replaces: 'ep-key' }));
+    expect(episodes.some((e) => e.uuid === 'ep-key')).toBe(false);
+
+    const missing = await intentions.handlers.curate_knowledge({
+      action: 'redact', episode_id: 'ep-port', redact: ['password'], reason: 'x',
+    }, api);
+    expect(missing.content[0].text).toMatch(/None of the redact terms appear/);
+  });
+
+  it('supersede records a correction that recall_knowledge honours', async () => {
+    const { api } = backend();
+    const body = parse(await intentions.handlers.curate_knowledge({
+      action: 'supersede', episode_ids: ['ep-port'], content: 'The API listens on port 9090 since the March migration.',
+      reason: 'Port changed',
+    }, api));
+
+    expect(body).toEqual(expect.objectContaining({ episode_id: 'ep-new-1', supersedes: ['ep-port'] }));
+    expect(api.graphiti.addEpisode.mock.calls[0][0]).toEqual(expect.objectContaining({ plan_id: 'plan-a', node_id: 'task-2' }));
+    expect(api.logs.addLogEntry).toHaveBeenCalledWith('plan-a', 'task-2', expect.anything());
+
+    const recall = parse(await beliefs.handlers.recall_knowledge({ query: 'API port' }, api));
+    expect(recall.facts.map((f) => [f.uuid, f.status])).toEqual([['f2', 'current'], ['f1', 'superseded']]);
+    expect(recall.facts[1].superseded_by).toEqual(['ep-new-1']);
+    expect(recall.meta.superseded_fact_count).toBe(1);
+    expect(recall.episodes.find((e) => e.uuid === 'ep-port').superseded_by).toEqual(['ep-new-1']);
+
+    const listed = parse(await intentions.handlers.curate_knowledge({ action: 'list', scope: { node_id: 'task-2' } }, api));
+    expect(listed.episodes.find((e) => e.episode_id === 'ep-port').superseded_by).toEqual(['ep-new-1']);
+  });
+
+  it('recall_knowledge reports how far its supersession scan reached', async () => {
+    const { api, episodes } = backend();
+    const recall = async (query) => parse(await beliefs.handlers.recall_knowledge({ query, result_kind: 'facts' }, api));
+    expect((await recall('API port')).meta.supersession_scan).toEqual({ episodes_read: 3, limit: 200, complete: true });
+
+    for (let i = 0; i < 200; i += 1) episodes.push({ uuid: `ep-bulk-${i}`, content: `note ${i}` });
+    const full = await recall('API port');
+    expect(full.meta.supersession_scan).toEqual({ episodes_read: 203, limit: 200, complete: false });
+    expect(full.meta.supersession_note).toMatch(/Only corrections among the 200 most recent episodes were applied/);
+
+    // Nothing to annotate, nothing to scan
+    api.graphiti.getEpisodes.mockClear();
+    api.graphiti.graphSearch.mockResolvedValueOnce({ facts: [] });
+    expect((await recall('nothing')).meta.supersession_scan).toBeUndefined();
+    expect(api.graphiti.getEpisodes).not.toHaveBeenCalled();
+  });
+});
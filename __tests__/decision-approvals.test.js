@@ -0,0 +1,231 @@
+/**
+ * Multi-approver decisions — queue_decision's approval rule; resolve_decision
+ * records one vote per call and applies the outcome (including
+ * proposed_subtasks) only once the rule is met. Votes show in briefing and
+ * goal_state.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+const { normalizeApproval, tallyVotes } = require('../src/tools/bdi/_decisions');
+
+const PLAN_ID = 'plan-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+const vote = (voter, v, extra = {}) => ({ voter, vote: v, role: null, selected_option: null, ...extra });
+
+describe('tallyVotes', () => {
+  it('needs a quorum of approvals on the same option', () => {
+    const rule = normalizeApproval({ quorum: 2 });
+    expect(tallyVotes(rule, [vote('ana', 'approve')]).outcome).toBeNull();
+    expect(tallyVotes(rule, [vote('ana', 'approve', { selected_option: 'A' }), vote('bo', 'approve', { selected_option: 'B' })]).outcome).toBeNull();
+    expect(tallyVotes(rule, [vote('ana', 'approve', { selected_option: 'A' }), vote('bo', 'approve', { selected_option: 'A' })]).outcome)
+      .toEqual({ action: 'approve', selected_option: 'A' });
+  });
+
+  it('needs every required role covered', () => {
+    const rule = normalizeApproval({ required_roles: ['owner', 'editor'] });
+    expect(rule.quorum).toBe(2);
+    const twoOwners = tallyVotes(rule, [vote('ana', 'approve', { role: 'owner' }), vote('bo', 'approve', { role: 'owner' })]);
+    expect(twoOwners.outcome).toBeNull();
+    expect(twoOwners.missing_roles).toEqual(['editor']);
+    expect(tallyVotes(rule, [vote('ana', 'approve', { role: 'owner' }), vote('bo', 'approve', { role: 'editor' })]).outcome)
+      .toEqual({ action: 'approve', selected_option: null });
+  });
+
+  it("treats a required approver's reject as a veto", () => {
+    const rule = normalizeApproval({ required_approvers: ['ana', 'bo'], quorum: 3 });
+    expect(tallyVotes(rule, [vote('cy', 'reject')]).outcome).toBeNull();
+    expect(tallyVotes(rule, [vote('bo', 'reject')]).outcome).toEqual({ action: 'reject', selected_option: null });
+  });
+});
+
+describe('queue_decision approval rule', () => {
+  const base = { plan_id: PLAN_ID, title: 'Deploy to prod?', context: 'c', smallest_input_needed: 'approve' };
+
+  it('stores the rule in metadata', async () => {
+    const post = jest.fn().mockResolvedValue({ data: { id: 'dec-1', status: 'pending' } });
+    const body = parse(await intentions.handlers.queue_decision({
+      ...base, approval: { required_roles: ['owner', 'editor'] },
+    }, { axiosInstance: { post } }));
+
+    const expected = { required_approvers: [], required_roles: ['owner', 'editor'], quorum: 2 };
+    expect(post.mock.calls[0][1].metadata.approval).toEqual(expected);
+    expect(body.approval).toEqual(expected);
+  });
+
+  it('only takes plan roles', async () => {
+    const post = jest.fn();
+    const res = await intentions.handlers.queue_decision({
+      ...base, approval: { required_roles: ['owner', 'reviewer'] },
+    }, { axiosInstance: { post } });
+    expect(res.content[0].text).toMatch(/required_roles must be plan roles \(owner, admin, editor, viewer\)/);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it("won't let a deadline approve around the approvers", async () => {
+    const post = jest.fn();
+    const res = await intentions.handlers.queue_decision({
+      ...base, approval: { quorum: 2 }, decide_by: '2099-01-01T00:00:00Z', default_action: 'approve',
+    }, { axiosInstance: { post } });
+    expect(res.content[0].text).toMatch(/default_action can only be 'defer'/);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolve_decision with an approval rule', () => {
+  const USERS = {
+    ana: { id: 'u-ana', email: 'ana@example.com' },
+    bo: { id: 'u-bo', email: 'bo@example.com' },
+    cy: { id: 'u-cy', email: 'cy@example.com' },
+  };
+
+  // One shared decision; each client is a different user's API token
+  function backend(approval = { required_approvers: [], required_roles: ['owner', 'editor'], quorum: 2 }) {
+    const decision = {
+      id: 'dec-1', plan_id: PLAN_ID, title: 'Deploy to prod?', status: 'pending',
+      metadata: { approval, proposed_subtasks: [{ parent_id: 'ops', title: 'Run deploy' }] },
+    };
+    const post = jest.fn().mockImplementation(async () => {
+      decision.status = 'decided';
+      return { data: { id: 'dec-1', status: 'decided' } };
+    });
+    const createNode = jest.fn().mockResolvedValue({ id: 'task-9' });
+    const as = (user) => ({
+      axiosInstance: {
+        get: jest.fn().mockImplementation(async (url) => {
+          if (url === '/auth/profile') return { data: { user } };
+          if (url === `/plans/${PLAN_ID}`) return { data: { id: PLAN_ID, owner_id: 'u-ana' } };
+          if (url === `/plans/${PLAN_ID}/collaborators`) return { data: [{ user_id: 'u-bo', role: 'editor' }] };
+          return { data: JSON.parse(JSON.stringify(decision)) };
+        }),
+        put: jest.fn().mockImplementation(async (url, body) => {
+          decision.metadata = body.metadata;
+          return { data: decision };
+        }),
+        post,
+      },
+      nodes: { createNode },
+    });
+    return { as, decision, post, createNode };
+  }
+
+  const args = { decision_id: 'dec-1', plan_id: PLAN_ID, action: 'approve' };
+
+  it('records votes by token identity and plan role, applying the outcome once the rule is met', async () => {
+    const { as, decision, post, createNode } = backend();
+
+    const first = parse(await intentions.handlers.resolve_decision(args, as(USERS.ana)));
+    expect(first.status).toBe('pending');
+    expect(first.vote_recorded).toEqual({ voter: 'ana@example.com', role: 'owner', vote: 'approve' });
+    expect(first.approval).toEqual(expect.objectContaining({ approvals: 1, missing_roles: ['editor'], quorum_reached: false }));
+    expect(first.next_step).toBe('Waiting on a plan editor.');
+    expect(decision.metadata.votes).toEqual([
+      expect.objectContaining({ voter: 'ana@example.com', user_id: 'u-ana', role: 'owner', vote: 'approve' }),
+    ]);
+    expect(post).not.toHaveBeenCalled();
+    expect(createNode).not.toHaveBeenCalled();
+
+    const second = parse(await intentions.handlers.resolve_decision(args, as(USERS.bo)));
+    expect(second.status).toBe('decided');
+    expect(second.approval).toEqual(expect.objectContaining({ approvals: 2, quorum_reached: true }));
+    expect(second.created_subtasks).toEqual([{ id: 'task-9', title: 'Run deploy', parent_id: 'ops' }]);
+    expect(post).toHaveBeenCalledWith(`/plans/${PLAN_ID}/decisions/dec-1/resolve`, {
+      decision: 'approve',
+      rationale: 'Resolved by vote (quorum 2). Votes: ana@example.com (owner): approve; bo@example.com (editor): approve.',
+    });
+  });
+
+  it('ignores a claimed voter: one token voting twice is one vote', async () => {
+    const { as, decision, post } = backend({ required_approvers: [], required_roles: [], quorum: 2 });
+    const ana = as(USERS.ana);
+    await intentions.handlers.resolve_decision({ ...args, voter: 'ana', voter_role: 'owner' }, ana);
+    const again = parse(await intentions.handlers.resolve_decision({ ...args, voter: 'bo', voter_role: 'editor' }, ana));
+
+    expect(again.status).toBe('pending');
+    expect(again.approval).toEqual(expect.objectContaining({ approvals: 1 }));
+    expect(decision.metadata.votes.map((v) => v.voter)).toEqual(['ana@example.com']);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('matches required approvers by id and refuses non-members', async () => {
+    const { as, decision } = backend({ required_approvers: ['u-bo'], required_roles: [], quorum: 1 });
+    const outsider = await intentions.handlers.resolve_decision(args, as(USERS.cy));
+    expect(outsider.isError).toBe(true);
+    expect(outsider.content[0].text).toMatch(/cy@example.com is neither a member of plan/);
+    expect(decision.metadata.votes).toBeUndefined();
+
+    const bo = parse(await intentions.handlers.resolve_decision(args, as(USERS.bo)));
+    expect(bo.vote_recorded.voter).toBe('u-bo');
+    expect(bo.status).toBe('decided');
+  });
+
+  it("fails closed when the decision can't be read", async () => {
+    const { as, post } = backend();
+    const api = as(USERS.ana);
+    api.axiosInstance.get.mockRejectedValueOnce(new Error('socket hang up'));
+    const res = await intentions.handlers.resolve_decision(args, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Could not read decision dec-1, so it was not resolved/);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('writes again when a concurrent vote overwrote ours', async () => {
+    const { as, decision } = backend({ required_approvers: [], required_roles: [], quorum: 3 });
+    const ana = as(USERS.ana);
+    const put = ana.axiosInstance.put.getMockImplementation();
+    // bo's vote lands on top of ana's first write, from a stale read
+    ana.axiosInstance.put.mockImplementationOnce(async (url, body) => {
+      await put(url, body);
+      decision.metadata = { ...body.metadata, votes: [vote('bo@example.com', 'approve', { user_id: 'u-bo', role: 'editor', at: 't' })] };
+      return { data: decision };
+    });
+
+    const body = parse(await intentions.handlers.resolve_decision(args, ana));
+    expect(ana.axiosInstance.put).toHaveBeenCalledTimes(2);
+    expect(decision.metadata.votes.map((v) => v.voter)).toEqual(['bo@example.com', 'ana@example.com']);
+    expect(body.approval).toEqual(expect.objectContaining({ approvals: 2 }));
+  });
+});
+
+describe('votes in briefing and goal_state', () => {
+  const pending = {
+    id: 'dec-1', plan_id: PLAN_ID, title: 'Deploy?', status: 'pending',
+    metadata: {
+      approval: { required_approvers: ['ana'], required_roles: [], quorum: 2 },
+      votes: [{ voter: 'ana', role: null, vote: 'approve', selected_option: null }],
+    },
+  };
+
+  it('briefing shows the approval progress of pending decisions', async () => {
+    const api = { axiosInstance: { get: jest.fn().mockResolvedValue({ data: { pending_decisions: [pending] } }) } };
+    const body = parse(await beliefs.handlers.briefing({}, api));
+    expect(body.pending_decisions[0].approval).toEqual(expect.objectContaining({
+      approvals: 1,
+      missing_approvers: [],
+      quorum_reached: false,
+      votes: pending.metadata.votes,
+    }));
+  });
+
+  it("goal_state lists the goal's pending decisions with their votes", async () => {
+    const api = {
+      goals: {
+        get: jest.fn().mockResolvedValue({ id: 'g1', title: 'Launch', links: [{ linkedType: 'plan', linkedId: PLAN_ID }] }),
+        getQuality: jest.fn().mockResolvedValue({}),
+        getProgress: jest.fn().mockResolvedValue({}),
+        getKnowledgeGaps: jest.fn().mockResolvedValue({ gaps: [] }),
+        getPath: jest.fn().mockResolvedValue({ tasks: [] }),
+      },
+      axiosInstance: { get: jest.fn().mockResolvedValue({ data: [pending] }) },
+    };
+    const body = parse(await beliefs.handlers.goal_state({ goal_id: 'g1' }, api));
+    expect(body.pending_decisions).toEqual([expect.objectContaining({
+      decision_id: 'dec-1',
+      approval: expect.objectContaining({ approvals: 1, quorum_reached: false }),
+    })]);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Decision deadlines — queue_decision's decide_by + default_action, applied
+ * by briefing or the deadline scheduler once the deadline passes, and
+ * recorded as an auto-resolution.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+const { DecisionDeadlineScheduler } = require('../src/decision-deadlines');
+
+const PLAN_ID = 'plan-uuid';
+const NOW = Date.parse('2026-03-16T10:00:00Z');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+beforeAll(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+describe('queue_decision deadlines', () => {
+  const base = { plan_id: PLAN_ID, title: 'Ship?', context: 'c', smallest_input_needed: 'approve|defer' };
+
+  it('stores decide_by and default_action in metadata', async () => {
+    const post = jest.fn().mockResolvedValue({ data: { id: 'dec-1', status: 'pending', title: 'Ship?' } });
+    const body = parse(await intentions.handlers.queue_decision({
+      ...base,
+      options: [{ label: 'Ship', description: 'now' }, { label: 'Wait' }],
+      decide_by: '2026-03-17T09:00:00Z',
+      default_action: 'Wait',
+    }, { axiosInstance: { post } }));
+
+    expect(post.mock.calls[0][1].metadata).toEqual(expect.objectContaining({
+      decide_by: '2026-03-17T09:00:00.000Z',
+      default_action: 'Wait',
+    }));
+    expect(body).toEqual(expect.objectContaining({ decide_by: '2026-03-17T09:00:00.000Z', default_action: 'Wait' }));
+  });
+
+  it.each([
+    [{ default_action: 'approve' }, /needs decide_by/],
+    [{ decide_by: '2026-03-17T09:00:00Z' }, /needs default_action/],
+    [{ decide_by: '2026-03-15T09:00:00Z', default_action: 'approve' }, /already in the past/],
+    [{ decide_by: 'monday', default_action: 'approve' }, /ISO 8601/],
+    [{ decide_by: '2026-03-17T09:00:00Z', default_action: 'reject' }, /must be one of approve, defer/],
+  ])('rejects %o', async (deadline, message) => {
+    const post = jest.fn();
+    const res = await intentions.handlers.queue_decision({ ...base, ...deadline }, { axiosInstance: { post } });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(message);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
+
+describe('applying default actions', () => {
+  function backend() {
+    const decisions = {
+      overdue: {
+        id: 'overdue', plan_id: PLAN_ID, node_id: 'task-1', title: 'Add launch tasks?', status: 'pending',
+        metadata: {
+          decide_by: '2026-03-16T09:00:00.000Z',
+          default_action: 'approve',
+          proposed_subtasks: [{ parent_id: 'phase-1', title: 'Draft listing' }],
+        },
+      },
+      later: {
+        id: 'later', plan_id: PLAN_ID, title: 'Rename?', status: 'pending',
+        metadata: { decide_by: '2026-03-20T09:00:00.000Z', default_action: 'defer' },
+      },
+      plain: { id: 'plain', plan_id: PLAN_ID, title: 'Hire?', status: 'pending', metadata: {} },
+    };
+    const api = {
+      axiosInstance: {
+        get: jest.fn().mockImplementation(async (url) => {
+          if (url === '/agent/briefing') return { data: { pending_decisions: Object.values(decisions).filter((d) => d.status === 'pending') } };
+          if (url === `/plans/${PLAN_ID}/decisions`) return { data: { decisions: Object.values(decisions) } };
+          return { data: decisions[url.split('/').pop()] };
+        }),
+        post: jest.fn().mockImplementation(async (url) => {
+          const id = url.split('/')[4];
+          decisions[id].status = 'decided';
+          return { data: { id, status: 'decided' } };
+        }),
+      },
+      plans: { getPlans: jest.fn().mockResolvedValue([{ id: PLAN_ID, status: 'active' }]) },
+      nodes: { createNode: jest.fn().mockResolvedValue({ id: 'new-task' }) },
+      logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    };
+    return { api, decisions };
+  }
+
+  it('briefing resolves overdue decisions and records the auto-resolution', async () => {
+    const { api } = backend();
+    const body = parse(await beliefs.handlers.briefing({}, api));
+
+    expect(body.pending_decisions.map((d) => d.id)).toEqual(['later', 'plain']);
+    expect(body.auto_resolved_decisions).toEqual([expect.objectContaining({
+      decision_id: 'overdue',
+      action: 'approve',
+      default_action: 'approve',
+      created_subtasks: [{ id: 'new-task', title: 'Draft listing', parent_id: 'phase-1' }],
+    })]);
+    expect(api.axiosInstance.post).toHaveBeenCalledWith(`/plans/${PLAN_ID}/decisions/overdue/resolve`, {
+      decision: 'approve',
+      rationale: "Auto-resolved: no answer by 2026-03-16T09:00:00.000Z, so the default action 'approve' was applied.",
+    });
+    expect(api.logs.addLogEntry).toHaveBeenCalledWith(PLAN_ID, 'task-1', expect.objectContaining({
+      log_type: 'decision',
+      metadata: { decision_id: 'overdue', auto_resolved: true, default_action: 'approve' },
+    }));
+  });
+
+  it('leaves a decision alone when a human answered it after it was listed', async () => {
+    const { api, decisions } = backend();
+    const listed = { ...decisions.overdue };
+    decisions.overdue.status = 'decided';
+    api.axiosInstance.get.mockImplementation(async (url) => (url === '/agent/briefing'
+      ? { data: { pending_decisions: [listed] } }
+      : { data: decisions[url.split('/').pop()] }));
+
+    const body = parse(await beliefs.handlers.briefing({}, api));
+    expect(body.auto_resolved_decisions).toBeUndefined();
+    expect(api.axiosInstance.post).not.toHaveBeenCalled();
+  });
+
+  it('the scheduler applies an option-label default as approve with that option', async () => {
+    const { api, decisions } = backend();
+    decisions.overdue.metadata = { decide_by: '2026-03-16T09:00:00.000Z', default_action: 'Wait' };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const applied = await new DecisionDeadlineScheduler({ apiClient: api }).tick();
+
+    expect(applied.map((a) => a.decision_id)).toEqual(['overdue']);
+    expect(api.axiosInstance.post.mock.calls[0][1].decision).toBe('approve — Wait');
+    expect(decisions.later.status).toBe('pending');
+    console.error.mockRestore();
+  });
+});
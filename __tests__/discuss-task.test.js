@@ -0,0 +1,94 @@
+/**
+ * Task comment threads — discuss_task (list/add/reply), plus the
+ * awaiting-reply surfaces in task_context (depth ≥ 2) and briefing.
+ */
+const intentions = require('../src/tools/bdi/intentions');
+const beliefs = require('../src/tools/bdi/beliefs');
+
+const parse = (r) => JSON.parse(r.content[0].text);
+
+const COMMENTS = [
+  { id: 'c1', content: 'Can you use the v2 endpoint?', user: { name: 'Dana' }, created_at: '2026-06-01T10:00:00Z' },
+  { id: 'c2', parent_id: 'c1', content: 'Switched.', comment_type: 'agent', metadata: { agent_id: 'mcp-agent' }, created_at: '2026-06-01T11:00:00Z' },
+  { id: 'c3', parent_id: 'c2', content: 'Also add a retry please', user: { name: 'Dana' }, created_at: '2026-06-01T12:00:00Z' },
+  { id: 'c4', content: 'Looks good', user: { name: 'Lee' }, created_at: '2026-06-01T09:00:00Z', resolved: true },
+  { id: 'c5', content: 'FYI: done with review', user: { name: 'Lee' }, created_at: '2026-06-01T08:00:00Z' },
+  { id: 'c6', parent_id: 'c5', content: 'Thanks', comment_type: 'agent', created_at: '2026-06-01T08:30:00Z' },
+];
+
+function commentsClient() {
+  return {
+    comments: {
+      getComments: jest.fn().mockResolvedValue(COMMENTS),
+      addComment: jest.fn().mockResolvedValue({ id: 'c9' }),
+    },
+    axiosInstance: { get: jest.fn().mockResolvedValue({ data: { plan_id: 'p1' } }) },
+  };
+}
+
+describe('discuss_task', () => {
+  it('lists unresolved threads and flags the ones awaiting an agent reply', async () => {
+    const client = commentsClient();
+    const body = parse(await intentions.handlers.discuss_task({ task_id: 't1' }, client));
+    expect(client.comments.getComments).toHaveBeenCalledWith('p1', 't1');
+    expect(body.threads.map((t) => t.id)).toEqual(['c1', 'c5']);
+    expect(body.threads[0].replies.map((r) => r.id)).toEqual(['c2', 'c3']);
+    expect(body.threads[0].awaiting_agent_reply).toBe(true);
+    expect(body.threads[1].awaiting_agent_reply).toBe(false);
+    expect(body.awaiting_reply_count).toBe(1);
+  });
+
+  it('include_resolved returns resolved threads too', async () => {
+    const body = parse(await intentions.handlers.discuss_task({ task_id: 't1', plan_id: 'p1', include_resolved: true }, commentsClient()));
+    expect(body.threads.map((t) => t.id)).toContain('c4');
+  });
+
+  it('replies as the agent, threaded under the given comment', async () => {
+    const client = commentsClient();
+    const body = parse(await intentions.handlers.discuss_task(
+      { task_id: 't1', plan_id: 'p1', action: 'reply', comment_id: 'c3', content: 'Retry added', agent_id: 'worker-1' },
+      client,
+    ));
+    expect(client.comments.addComment).toHaveBeenCalledWith('p1', 't1', {
+      content: 'Retry added',
+      comment_type: 'agent',
+      metadata: { agent_id: 'worker-1' },
+      parent_id: 'c3',
+    });
+    expect(body).toMatchObject({ comment_id: 'c9', parent_id: 'c3', agent_id: 'worker-1' });
+  });
+
+  it('validates action arguments before calling the API', async () => {
+    const client = commentsClient();
+    expect((await intentions.handlers.discuss_task({ task_id: 't1', action: 'reply', content: 'x' }, client)).isError).toBe(true);
+    expect((await intentions.handlers.discuss_task({ task_id: 't1', action: 'add' }, client)).isError).toBe(true);
+    expect(client.comments.addComment).not.toHaveBeenCalled();
+  });
+});
+
+describe('awaiting-reply surfaces', () => {
+  it('task_context at depth 2 includes threads awaiting a reply; depth 1 does not', async () => {
+    const client = commentsClient();
+    client.axiosInstance.get.mockResolvedValue({ data: { node: { id: 't1', plan_id: 'p1' } } });
+
+    const deep = parse(await beliefs.handlers.task_context({ node_id: 't1', depth: 2 }, client));
+    expect(deep.comments_awaiting_reply.map((t) => t.id)).toEqual(['c1']);
+
+    const shallow = parse(await beliefs.handlers.task_context({ node_id: 't1', depth: 1 }, client));
+    expect(shallow.comments_awaiting_reply).toBeUndefined();
+  });
+
+  it('briefing adds a comments_awaiting_reply bucket for active tasks', async () => {
+    const client = commentsClient();
+    client.axiosInstance.get.mockResolvedValue({
+      data: {
+        as_of: '2026-06-01T13:00:00Z',
+        my_tasks: { in_progress: [{ id: 't1', plan_id: 'p1', title: 'Wire API' }], blocked: [] },
+      },
+    });
+    const body = parse(await beliefs.handlers.briefing({}, client));
+    expect(body.comments_awaiting_reply).toEqual([
+      expect.objectContaining({ task_id: 't1', comment_id: 'c1', author: 'Dana', content: 'Also add a retry please' }),
+    ]);
+  });
+});
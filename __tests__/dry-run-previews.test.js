@@ -0,0 +1,228 @@
+/**
+ * dry_run previews for structural mutations: form_intention, extend_intention,
+ * move_node, delete_node (cascade) and update_goal. A preview never writes.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const desires = require('../src/tools/bdi/desires');
+
+const PLAN_ID = 'plan-uuid';
+const GOAL_ID = 'goal-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// root → phase p1 → [t1, t2 → [t3 (archived)]], phase p2
+function planTree() {
+  return [{
+    id: 'root', node_type: 'root', title: 'Plan', children: [
+      {
+        id: 'p1', node_type: 'phase', title: 'Build', status: 'in_progress', children: [
+          { id: 't1', node_type: 'task', title: 'API', status: 'completed', children: [] },
+          {
+            id: 't2', node_type: 'task', title: 'UI', status: 'in_progress', children: [
+              { id: 't3', node_type: 'task', title: 'Old spike', status: 'archived', children: [] },
+            ],
+          },
+        ],
+      },
+      { id: 'p2', node_type: 'phase', title: 'Launch', status: 'not_started', children: [] },
+    ],
+  }];
+}
+
+function treeClient() {
+  return {
+    axiosInstance: {
+      get: jest.fn().mockResolvedValue({ data: { plan_id: PLAN_ID } }),
+      post: jest.fn(),
+    },
+    nodes: {
+      getNodes: jest.fn().mockResolvedValue(planTree()),
+      updateNode: jest.fn().mockResolvedValue({}),
+      createNode: jest.fn(),
+    },
+  };
+}
+
+describe('form_intention dry_run', () => {
+  function client() {
+    return {
+      agentLoop: { createIntention: jest.fn() },
+      goals: { get: jest.fn().mockResolvedValue({ id: GOAL_ID }), linkPlan: jest.fn() },
+      plans: { createPlan: jest.fn() },
+      nodes: { createNode: jest.fn() },
+      axiosInstance: { post: jest.fn() },
+    };
+  }
+
+  it('previews nodes, edges and goal links without creating anything', async () => {
+    const api = client();
+    const body = parse(await intentions.handlers.form_intention({
+      goal_id: GOAL_ID,
+      title: 'Auth',
+      rationale: 'r',
+      dry_run: true,
+      tree: [{
+        title: 'Build',
+        node_type: 'phase',
+        children: [
+          { title: 'Design', ref: 'design', depends_on: ['ship'] },
+          { title: 'Ship', ref: 'ship', depends_on: ['design', 'nowhere'] },
+        ],
+      }],
+    }, api));
+
+    expect(body.dry_run).toBe(true);
+    expect(body.preview.nodes_to_create).toEqual([
+      { preview_id: 'new-1', parent: null, node_type: 'phase', title: 'Build', ref: null },
+      { preview_id: 'new-2', parent: 'new-1', node_type: 'task', title: 'Design', ref: 'design' },
+      { preview_id: 'new-3', parent: 'new-1', node_type: 'task', title: 'Ship', ref: 'ship' },
+    ]);
+    expect(body.preview.edges_to_add).toEqual([{ from: 'new-3', to: 'new-2', type: 'blocks' }]);
+    expect(body.preview.edges_rejected).toEqual([
+      { from: 'new-2', to: 'new-3', type: 'blocks', reason: 'cycle' },
+      { from: 'nowhere', to: 'new-3', type: 'blocks', reason: 'unresolved' },
+    ]);
+    expect(body.preview.goal_links).toEqual([
+      { goal_id: GOAL_ID, action: 'link_plan', plan_id: null },
+      { goal_id: GOAL_ID, action: 'add_achiever', node_id: 'new-2' },
+      { goal_id: GOAL_ID, action: 'add_achiever', node_id: 'new-3' },
+    ]);
+    expect(body.would_apply).toBe(true);
+    expect(api.agentLoop.createIntention).not.toHaveBeenCalled();
+    expect(api.plans.createPlan).not.toHaveBeenCalled();
+    expect(api.axiosInstance.post).not.toHaveBeenCalled();
+  });
+
+  it('flags a goal that does not exist', async () => {
+    const api = client();
+    api.goals.get.mockRejectedValue(new Error('404'));
+    const body = parse(await intentions.handlers.form_intention(
+      { goal_id: 'missing', title: 'T', rationale: 'r', dry_run: true, tree: [{ title: 'A' }] },
+      api,
+    ));
+
+    expect(body.would_apply).toBe(false);
+    expect(body.warnings[0]).toMatch(/Goal missing not found/);
+  });
+});
+
+describe('extend_intention dry_run', () => {
+  it('previews children under the existing parent', async () => {
+    const api = treeClient();
+    const body = parse(await intentions.handlers.extend_intention({
+      parent_id: 't2',
+      rationale: 'split',
+      dry_run: true,
+      children: [{ title: 'Form', children: [{ title: 'Validation' }] }],
+    }, api));
+
+    expect(body.plan_id).toBe(PLAN_ID);
+    expect(body.preview.nodes_to_create.map((n) => [n.preview_id, n.parent])).toEqual([['new-1', 't2'], ['new-2', 'new-1']]);
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+  });
+});
+
+describe('move_node dry_run', () => {
+  it('previews the subtree that would move', async () => {
+    const api = treeClient();
+    const body = parse(await intentions.handlers.move_node(
+      { node_id: 't2', new_parent_id: 'p2', plan_id: PLAN_ID, dry_run: true },
+      api,
+    ));
+
+    expect(body.preview.nodes_to_move).toEqual([{
+      id: 't2', title: 'UI', from_parent_id: 'p1', to_parent_id: 'p2', position: null, subtree_size: 2, noop: false,
+    }]);
+    expect(body.would_apply).toBe(true);
+    expect(api.axiosInstance.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects a move under its own descendant as a cycle', async () => {
+    const body = parse(await intentions.handlers.move_node(
+      { node_id: 'p1', new_parent_id: 't3', plan_id: PLAN_ID, dry_run: true },
+      treeClient(),
+    ));
+
+    expect(body.preview.nodes_to_move).toEqual([]);
+    expect(body.preview.edges_rejected).toEqual([{ from: 't3', to: 'p1', type: 'parent', reason: 'cycle' }]);
+    expect(body.would_apply).toBe(false);
+  });
+});
+
+describe('delete_node cascade', () => {
+  it('dry_run lists the node and its live descendants', async () => {
+    const api = treeClient();
+    const body = parse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID, dry_run: true }, api));
+
+    expect(body.preview.nodes_to_archive).toEqual([
+      { id: 'p1', title: 'Build', node_type: 'phase', status: 'in_progress' },
+      { id: 't1', title: 'API', node_type: 'task', status: 'completed' },
+      { id: 't2', title: 'UI', node_type: 'task', status: 'in_progress' },
+    ]);
+    expect(api.nodes.updateNode).not.toHaveBeenCalled();
+  });
+
+  it('archives exactly what the preview listed', async () => {
+    const api = treeClient();
+    const body = parse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api));
+
+    expect(api.nodes.updateNode.mock.calls.map((c) => c[1])).toEqual(['p1', 't1', 't2']);
+    expect(body.archived_node_ids).toEqual(['p1', 't1', 't2']);
+  });
+
+  it('cascade_children=false archives only the node', async () => {
+    const api = treeClient();
+    const body = parse(await intentions.handlers.delete_node(
+      { node_id: 'p1', plan_id: PLAN_ID, cascade_children: false, dry_run: true },
+      api,
+    ));
+
+    expect(body.preview.nodes_to_archive.map((n) => n.id)).toEqual(['p1']);
+  });
+});
+
+describe('update_goal dry_run', () => {
+  it('diffs fields and links against the current goal without writing', async () => {
+    const api = {
+      goals: {
+        get: jest.fn().mockResolvedValue({
+          id: GOAL_ID, title: 'Old', status: 'active', priority: 2,
+          links: [{ id: 'l1', linkedType: 'plan', linkedId: 'plan-a' }],
+        }),
+        listAchievers: jest.fn().mockResolvedValue({ achievers: [{ id: 'a1', source_node_id: 'task-1' }] }),
+        update: jest.fn(),
+        linkPlan: jest.fn(),
+        unlinkPlan: jest.fn(),
+        addAchiever: jest.fn(),
+        removeAchiever: jest.fn(),
+      },
+    };
+
+    const body = parse(await desires.handlers.update_goal({
+      goal_id: GOAL_ID,
+      dry_run: true,
+      changes: {
+        title: 'New',
+        priority: 2,
+        add_linked_plans: ['plan-a', 'plan-b'],
+        remove_linked_plans: ['plan-a'],
+        remove_achievers: ['task-1', 'task-9'],
+      },
+    }, api));
+
+    expect(body.preview.field_changes).toEqual([{ field: 'title', from: 'Old', to: 'New' }]);
+    expect(body.preview.goal_links).toEqual([
+      { goal_id: GOAL_ID, action: 'link_plan', plan_id: 'plan-a', noop: true },
+      { goal_id: GOAL_ID, action: 'link_plan', plan_id: 'plan-b', noop: false },
+      { goal_id: GOAL_ID, action: 'unlink_plan', plan_id: 'plan-a', noop: false },
+      { goal_id: GOAL_ID, action: 'remove_achiever', node_id: 'task-1', noop: false },
+      { goal_id: GOAL_ID, action: 'remove_achiever', node_id: 'task-9', noop: true },
+    ]);
+    for (const write of ['update', 'linkPlan', 'unlinkPlan', 'addAchiever', 'removeAchiever']) {
+      expect(api.goals[write]).not.toHaveBeenCalled();
+    }
+  });
+});
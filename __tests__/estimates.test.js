@@ -0,0 +1,163 @@
+/**
+ * Effort estimates — recorded by form_intention / extend_intention /
+ * update_node in metadata.estimate; plan_analysis type=estimates compares
+ * them with cycle time derived from claims and status history.
+ */
+
+const beliefs = require('../src/tools/bdi/beliefs');
+const intentions = require('../src/tools/bdi/intentions');
+const { deriveCycleTimes } = require('../src/tools/bdi/_estimates');
+
+const PLAN_ID = 'plan-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+describe('deriveCycleTimes', () => {
+  it('runs from the first claim or in_progress to completion', () => {
+    const cycles = deriveCycleTimes([
+      { type: 'claim', node_id: 't1', occurred_at: '2026-01-01T09:00:00.000Z', actor: 'agent-a' },
+      { type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T10:00:00.000Z', details: { new_status: 'in_progress' } },
+      { type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T12:00:00.000Z', summary: "Status changed to 'completed'", actor: 'agent-b' },
+      { type: 'status_change', node_id: 't2', occurred_at: '2026-01-01T10:00:00.000Z', summary: 'Status changed to in_progress' },
+    ]);
+
+    expect(cycles.get('t1')).toEqual({
+      started_at: '2026-01-01T09:00:00.000Z',
+      completed_at: '2026-01-01T12:00:00.000Z',
+      agent: 'agent-a',
+      cycle_hours: 3,
+    });
+    expect(cycles.get('t2')).toEqual(expect.objectContaining({ completed_at: null, cycle_hours: null }));
+  });
+
+  it('leaves a task reopened after completion unmeasured until it completes again', () => {
+    const events = [
+      { type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T09:00:00.000Z', details: { new_status: 'in_progress' } },
+      { type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T10:00:00.000Z', details: { new_status: 'completed' } },
+      { type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T11:00:00.000Z', details: { new_status: 'in_progress' } },
+    ];
+    expect(deriveCycleTimes(events).get('t1').cycle_hours).toBeNull();
+
+    events.push({ type: 'status_change', node_id: 't1', occurred_at: '2026-01-01T13:00:00.000Z', details: { new_status: 'completed' } });
+    expect(deriveCycleTimes(events).get('t1').cycle_hours).toBe(4);
+  });
+});
+
+describe('recording estimates', () => {
+  it('form_intention stores each node estimate in metadata (legacy path)', async () => {
+    let nextId = 0;
+    const api = {
+      goals: { get: jest.fn().mockResolvedValue({ id: 'g1' }), addLink: jest.fn(), addAchiever: jest.fn() },
+      plans: { createPlan: jest.fn().mockResolvedValue({ id: PLAN_ID, title: 'P', status: 'active' }) },
+      nodes: { createNode: jest.fn().mockImplementation(async (planId, payload) => ({ id: `n${++nextId}`, ...payload })) },
+    };
+
+    await intentions.handlers.form_intention({
+      goal_id: 'g1',
+      title: 'P',
+      rationale: 'r',
+      tree: [{ title: 'Build', node_type: 'phase', children: [{ title: 'API', estimate: { value: 3, unit: 'points' } }] }],
+    }, api);
+
+    const payloads = api.nodes.createNode.mock.calls.map(([, payload]) => payload);
+    expect(payloads[0].metadata).toBeUndefined();
+    expect(payloads[1].metadata).toEqual({ estimate: { value: 3, unit: 'points' } });
+  });
+
+  it('form_intention sends the estimate as node metadata to the v1 facade', async () => {
+    const createIntention = jest.fn().mockResolvedValue({ plan: { id: PLAN_ID, status: 'active' }, tree: [] });
+    await intentions.handlers.form_intention({
+      goal_id: 'g1',
+      title: 'P',
+      rationale: 'r',
+      tree: [{ title: 'API', estimate: { value: 4, unit: 'hours' } }],
+    }, { agentLoop: { createIntention } });
+
+    expect(createIntention.mock.calls[0][0].tree).toEqual([
+      { title: 'API', metadata: { estimate: { value: 4, unit: 'hours' } } },
+    ]);
+  });
+
+  it('rejects an invalid estimate before creating anything', async () => {
+    const api = { nodes: { createNode: jest.fn() }, axiosInstance: { get: jest.fn() } };
+    const res = await intentions.handlers.extend_intention({
+      parent_id: 'p1',
+      plan_id: PLAN_ID,
+      rationale: 'r',
+      children: [{ title: 'API', estimate: { value: 3, unit: 'days' } }],
+    }, api);
+
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/estimate\.unit must be one of: points, hours/);
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+  });
+
+  it("update_node merges the estimate into the node's existing metadata", async () => {
+    const api = {
+      nodes: {
+        getNode: jest.fn().mockResolvedValue({ id: 't1', metadata: { source: 'import' } }),
+        updateNode: jest.fn().mockImplementation(async (planId, id, payload) => ({ id, ...payload })),
+      },
+    };
+    const body = parse(await intentions.handlers.update_node(
+      { node_id: 't1', plan_id: PLAN_ID, estimate: { value: 5, unit: 'hours' } },
+      api,
+    ));
+
+    expect(api.nodes.updateNode).toHaveBeenCalledWith(PLAN_ID, 't1', {
+      metadata: { source: 'import', estimate: { value: 5, unit: 'hours' } },
+    });
+    expect(body.applied_changes).toEqual(['estimate']);
+  });
+});
+
+describe('plan_analysis type=estimates', () => {
+  function api(activity) {
+    const tree = {
+      id: 'root', node_type: 'root', title: 'Plan', children: [
+        { id: 'p1', node_type: 'phase', title: 'Build', children: [
+          { id: 't1', node_type: 'task', title: 'API', status: 'completed', metadata: { estimate: { value: 2, unit: 'hours' } } },
+          { id: 't2', node_type: 'task', title: 'UI', status: 'completed', metadata: { estimate: { value: 3, unit: 'points' } } },
+        ] },
+        { id: 'p2', node_type: 'phase', title: 'Launch', children: [
+          { id: 't3', node_type: 'task', title: 'Docs', status: 'not_started' },
+        ] },
+      ],
+    };
+    // Only detailed reads carry metadata
+    const plain = ({ metadata, children = [], ...n }) => ({ ...n, children: children.map(plain) });
+    return {
+      nodes: { getNodes: jest.fn().mockImplementation(async (planId, opts) => [opts?.include_details ? tree : plain(tree)]) },
+      activity: { getPlanActivity: activity },
+    };
+  }
+
+  it('reports estimated vs actual effort per phase and per agent', async () => {
+    const activity = jest.fn().mockResolvedValue([
+      { type: 'claim', node_id: 't1', created_at: '2026-01-01T09:00:00Z', agent_id: 'agent-a' },
+      { type: 'status_change', node_id: 't1', created_at: '2026-01-01T14:00:00Z', details: { new_status: 'completed' } },
+      { type: 'claim', node_id: 't2', created_at: '2026-01-02T09:00:00Z', agent_id: 'agent-b' },
+      { type: 'status_change', node_id: 't2', created_at: '2026-01-02T15:00:00Z', details: { new_status: 'completed' } },
+    ]);
+    const { results } = parse(await beliefs.handlers.plan_analysis({ plan_id: PLAN_ID, type: 'estimates' }, api(activity)));
+
+    expect(results.totals).toEqual(expect.objectContaining({
+      tasks: 3, estimated_tasks: 2, estimated_hours: 2, estimated_points: 3, measured: 2, actual_hours: 11,
+    }));
+    const build = results.by_phase.find((p) => p.phase_id === 'p1');
+    expect(build).toEqual(expect.objectContaining({ actual_vs_estimated_hours: 2.5, hours_per_point: 2 }));
+    expect(results.by_agent.map((a) => [a.agent, a.actual_hours])).toEqual([['agent-a', 5], ['agent-b', 6]]);
+    expect(results.outliers).toEqual([{ id: 't1', title: 'API', agent: 'agent-a', estimated_hours: 2, actual_hours: 5 }]);
+    expect(results.unestimated_task_ids).toEqual(['t3']);
+  });
+
+  it('still totals estimates when the activity history is unavailable', async () => {
+    const activity = jest.fn().mockRejectedValue(new Error('boom'));
+    const { results } = parse(await beliefs.handlers.plan_analysis({ plan_id: PLAN_ID, type: 'estimates' }, api(activity)));
+
+    expect(results.totals).toEqual(expect.objectContaining({ estimated_hours: 2, measured: 0, actual_vs_estimated_hours: null }));
+    expect(results.warnings).toEqual([expect.stringMatching(/Activity history unavailable/)]);
+  });
+});
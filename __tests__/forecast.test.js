@@ -0,0 +1,132 @@
+/**
+ * plan_analysis type=forecast — Monte Carlo completion dates for a plan and
+ * the goals linked to it, simulated client-side over the dependency graph.
+ */
+
+const beliefs = require('../src/tools/bdi/beliefs');
+const { buildForecastModel, simulate, createRng, percentiles } = require('../src/tools/bdi/_forecast');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+function index(nodes) {
+  return new Map(nodes.map((n) => [n.id, { node_type: 'task', status: 'not_started', metadata: {}, ...n }]));
+}
+
+const hours = (value) => ({ estimate: { value, unit: 'hours' } });
+
+describe('forecast model', () => {
+  it('runs a blocks chain in sequence and independent tasks in parallel', () => {
+    const cycles = new Map([
+      ['done1', { cycle_hours: 4, agent: 'a' }],
+      ['done2', { cycle_hours: 4, agent: 'b' }],
+    ]);
+    const nodes = index([
+      { id: 'done1', status: 'completed', metadata: hours(4) },
+      { id: 'done2', status: 'completed', metadata: hours(4) },
+      { id: 't1', metadata: hours(2) },
+      { id: 't2', metadata: hours(3) },
+      { id: 't3', metadata: hours(5) },
+    ]);
+    const chain = [
+      { source_node_id: 't1', target_node_id: 't2', dependency_type: 'blocks' },
+      { source_node_id: 't2', target_node_id: 't3', dependency_type: 'blocks' },
+    ];
+
+    // History says estimates are exact, so the spread collapses
+    const sequential = buildForecastModel({ index: nodes, edges: chain, cycles });
+    expect(sequential.parallelism).toBe(2);
+    expect(simulate([sequential], 10, createRng(1))[0]).toEqual(new Array(10).fill(10));
+
+    // Two agents: t1 then t3 on one, t2 on the other
+    const parallel = buildForecastModel({ index: nodes, edges: [], cycles });
+    expect(simulate([parallel], 10, createRng(1))[0]).toEqual(new Array(10).fill(7));
+  });
+
+  it('counts time already spent on in-progress work', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const nodes = index([
+      { id: 'done', status: 'completed', metadata: hours(4) },
+      { id: 't1', status: 'in_progress', metadata: hours(4) },
+    ]);
+    const cycles = new Map([
+      ['done', { cycle_hours: 4, agent: 'a' }],
+      ['t1', { started_at: '2026-01-01T09:00:00Z' }],
+    ]);
+    const model = buildForecastModel({ index: nodes, edges: [], cycles, now });
+    expect(simulate([model], 5, createRng(1))[0]).toEqual(new Array(5).fill(1));
+  });
+
+  it('is not forecastable with neither history nor estimates', () => {
+    const model = buildForecastModel({ index: index([{ id: 't1' }]), edges: [], cycles: new Map() });
+    expect(model.forecastable).toBe(false);
+    expect(model.unsized_task_ids).toEqual(['t1']);
+  });
+
+  it('reports percentiles as hours and dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const result = percentiles([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20], now);
+    expect(result.p50).toEqual({ hours: 10, date: '2026-01-01T10:00:00.000Z' });
+    expect(result.p85.hours).toBe(17);
+    expect(result.p95.hours).toBe(19);
+  });
+});
+
+describe('plan_analysis type=forecast', () => {
+  function planTree(id, estimates) {
+    return [{
+      id: `${id}-root`, node_type: 'root', title: id, children: estimates.map((value, i) => ({
+        id: `${id}-t${i}`, node_type: 'task', title: `Task ${i}`, status: 'not_started', metadata: hours(value),
+      })),
+    }];
+  }
+
+  function api() {
+    const trees = { 'plan-a': planTree('plan-a', [2, 3]), 'plan-b': planTree('plan-b', [40]) };
+    // Only detailed reads carry metadata
+    const plain = ({ metadata, children = [], ...n }) => ({ ...n, children: children.map(plain) });
+    return {
+      nodes: { getNodes: jest.fn().mockImplementation(async (id, opts) => (opts?.include_details ? trees[id] : trees[id].map(plain))) },
+      activity: { getPlanActivity: jest.fn().mockResolvedValue([]) },
+      dependencies: { listForPlan: jest.fn().mockResolvedValue({ dependencies: [] }) },
+      goals: {
+        list: jest.fn().mockResolvedValue([
+          { id: 'g1', title: 'Launch', links: [{ linkedType: 'plan', linkedId: 'plan-a' }] },
+        ]),
+        get: jest.fn().mockResolvedValue({
+          id: 'g1',
+          links: [{ linkedType: 'plan', linkedId: 'plan-a' }, { linkedType: 'plan', linkedId: 'plan-b' }],
+        }),
+      },
+    };
+  }
+
+  it('forecasts the plan and each linked goal across all its plans', async () => {
+    const { results } = parse(await beliefs.handlers.plan_analysis(
+      { plan_id: 'plan-a', type: 'forecast', iterations: 200, seed: 7 },
+      api(),
+    ));
+
+    expect(results).toEqual(expect.objectContaining({ iterations: 200, seed: 7 }));
+    const [planA, planB] = results.plans;
+    expect(planA).toEqual(expect.objectContaining({ plan_id: 'plan-a', title: 'plan-a', parallelism: 1 }));
+    // Two tasks of 2h and 3h, stretched 0.8–2×, one at a time
+    expect(planA.forecast.p50.hours).toBeGreaterThanOrEqual(4);
+    expect(planA.forecast.p95.hours).toBeLessThanOrEqual(10);
+    expect(planA.forecast.p50.hours).toBeLessThanOrEqual(planA.forecast.p85.hours);
+    expect(planA.forecast.p85.hours).toBeLessThanOrEqual(planA.forecast.p95.hours);
+
+    // The goal finishes with its slowest plan
+    const [goal] = results.goals;
+    expect(goal).toEqual(expect.objectContaining({ goal_id: 'g1', title: 'Launch', plan_ids: ['plan-a', 'plan-b'] }));
+    expect(goal.forecast.p50.hours).toBeGreaterThanOrEqual(planB.forecast.p50.hours);
+  });
+
+  it('is reproducible with the same seed', async () => {
+    const args = { plan_id: 'plan-a', type: 'forecast', iterations: 100, seed: 42 };
+    const first = parse(await beliefs.handlers.plan_analysis(args, api())).results.plans[0].forecast;
+    const second = parse(await beliefs.handlers.plan_analysis(args, api())).results.plans[0].forecast;
+    expect(second.p85.hours).toBe(first.p85.hours);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * idempotency_key on write tools — a retried call returns the original result.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { setupTools } = require('../src/tools');
+const { bdiToolDefinitions, bdiToolHandler } = require('../src/tools/bdi');
+const { IdempotencyCache } = require('../src/idempotency');
+const { FileSessionStore } = require('../src/session-store');
+
+const GOAL_ID = 'goal-uuid';
+const FORM_ARGS = {
+  goal_id: GOAL_ID,
+  title: 'Auth revamp',
+  rationale: 'r',
+  tree: [{ title: 'Design', ref: 'design' }, { title: 'Build', depends_on: ['design'] }],
+};
+
+function client() {
+  let n = 0;
+  return {
+    agentLoop: {
+      createIntention: jest.fn().mockImplementation(async () => {
+        n += 1;
+        return {
+          plan: { id: `plan-${n}`, status: 'active' },
+          tree: [{ id: 'n1' }, { id: 'n2' }],
+          structure: { task_count: 2, dependency_edges: 1, created_without_dependencies: false },
+        };
+      }),
+    },
+    goals: { get: jest.fn() },
+    plans: { createPlan: jest.fn() },
+    nodes: { createNode: jest.fn() },
+  };
+}
+
+function planIdOf(res) {
+  return JSON.parse(res.content[0].text).plan_id;
+}
+
+describe('idempotency_key schema', () => {
+  const byName = Object.fromEntries(bdiToolDefinitions.map((d) => [d.name, d]));
+
+  it('is offered on write tools', () => {
+    for (const name of ['form_intention', 'extend_intention', 'propose_research_chain', 'queue_decision', 'update_task', 'create_goal']) {
+      expect(byName[name].inputSchema.properties.idempotency_key).toEqual(expect.objectContaining({ type: 'string' }));
+    }
+  });
+
+  it('is not offered on read tools', () => {
+    for (const name of ['briefing', 'task_context', 'plan_analysis', 'list_goals', 'export_plan']) {
+      expect(byName[name].inputSchema.properties.idempotency_key).toBeUndefined();
+    }
+  });
+});
+
+describe('write tools with idempotency_key', () => {
+  let idempotency;
+
+  beforeEach(() => {
+    idempotency = { cache: new IdempotencyCache(), scope: 'token-a' };
+  });
+
+  it('returns the original result on replay instead of creating again', async () => {
+    const api = client();
+    const args = { ...FORM_ARGS, idempotency_key: 'retry-1' };
+
+    const first = await bdiToolHandler('form_intention', args, api, { idempotency });
+    const replay = await bdiToolHandler('form_intention', { ...args }, api, { idempotency });
+
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(1);
+    expect(replay).toEqual(first);
+    expect(planIdOf(replay)).toBe('plan-1');
+    // The key is not forwarded to the tool itself
+    expect(api.agentLoop.createIntention.mock.calls[0][0].idempotency_key).toBeUndefined();
+  });
+
+  it('waits for an in-flight original rather than running twice', async () => {
+    const api = client();
+    const args = { ...FORM_ARGS, idempotency_key: 'retry-2' };
+
+    const [a, b] = await Promise.all([
+      bdiToolHandler('form_intention', args, api, { idempotency }),
+      bdiToolHandler('form_intention', args, api, { idempotency }),
+    ]);
+
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(1);
+    expect(planIdOf(b)).toBe(planIdOf(a));
+  });
+
+  it('rejects a key reused with different arguments', async () => {
+    const api = client();
+    await bdiToolHandler('form_intention', { ...FORM_ARGS, idempotency_key: 'k' }, api, { idempotency });
+    const res = await bdiToolHandler('form_intention', { ...FORM_ARGS, title: 'Other', idempotency_key: 'k' }, api, { idempotency });
+
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/already used for a different form_intention call/);
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps keys separate per user', async () => {
+    const api = client();
+    const args = { ...FORM_ARGS, idempotency_key: 'same' };
+
+    await bdiToolHandler('form_intention', args, api, { idempotency });
+    const otherUser = await bdiToolHandler('form_intention', args, api, {
+      idempotency: { cache: idempotency.cache, scope: 'token-b' },
+    });
+
+    expect(planIdOf(otherUser)).toBe('plan-2');
+  });
+
+  it('does not remember error results, so the call can be retried', async () => {
+    const api = client();
+    api.agentLoop.createIntention.mockRejectedValueOnce(new Error('boom'));
+    api.goals.get.mockRejectedValueOnce(new Error('goal lookup failed'));
+    const args = { ...FORM_ARGS, idempotency_key: 'flaky' };
+
+    const failed = await bdiToolHandler('form_intention', args, api, { idempotency });
+    const retried = await bdiToolHandler('form_intention', args, api, { idempotency });
+
+    expect(failed.isError).toBe(true);
+    expect(retried.isError).toBeUndefined();
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs normally without a key', async () => {
+    const api = client();
+    await bdiToolHandler('form_intention', FORM_ARGS, api, { idempotency });
+    await bdiToolHandler('form_intention', FORM_ARGS, api, { idempotency });
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(2);
+  });
+
+  it('forgets keys after the TTL', async () => {
+    const cache = new IdempotencyCache({ ttl: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const api = client();
+    const args = { ...FORM_ARGS, idempotency_key: 'old' };
+
+    await bdiToolHandler('form_intention', args, api, { idempotency: { cache, scope: 'a' } });
+    now.mockReturnValue(1_002_000);
+    expect(await cache.sweep()).toBe(1);
+    await bdiToolHandler('form_intention', args, api, { idempotency: { cache, scope: 'a' } });
+
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(2);
+    now.mockRestore();
+  });
+});
+
+describe('idempotency across restarts and through the MCP server', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-idempotency-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays from a file store shared by another process', async () => {
+    const api = client();
+    const args = { ...FORM_ARGS, idempotency_key: 'durable' };
+    const first = new IdempotencyCache({ store: new FileSessionStore({ dir }) });
+    const second = new IdempotencyCache({ store: new FileSessionStore({ dir }) });
+
+    await bdiToolHandler('form_intention', args, api, { idempotency: { cache: first, scope: 'tok' } });
+    const replay = await bdiToolHandler('form_intention', args, api, { idempotency: { cache: second, scope: 'tok' } });
+
+    expect(planIdOf(replay)).toBe('plan-1');
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(1);
+    // Neither the token nor the key is written to disk
+    const stored = fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8');
+    expect(stored).not.toMatch(/tok|durable/);
+  });
+
+  it('applies to tools/call', async () => {
+    const api = client();
+    const server = new Server({ name: 'test', version: '0.0.0' }, { capabilities: { tools: {} } });
+    setupTools(server, api, { idempotency: { cache: new IdempotencyCache(), scope: 'tok' } });
+    const call = () => server._requestHandlers.get('tools/call')({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'form_intention', arguments: { ...FORM_ARGS, idempotency_key: 'rpc' } },
+    });
+
+    const first = await call();
+    const replay = await call();
+
+    expect(replay).toEqual(first);
+    expect(api.agentLoop.createIntention).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * export_knowledge / import_knowledge — episodes to JSONL and back, with
+ * scope remapping and dedupe against existing content.
+ */
+
+const beliefs = require('../src/tools/bdi/beliefs');
+const intentions = require('../src/tools/bdi/intentions');
+const { KNOWLEDGE_SCHEMA, remapScope, unmappedIds } = require('../src/knowledge-transfer');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+const SOURCE_EPISODES = [
+  {
+    uuid: 'ep-1', name: 'DB choice', content: 'We chose Postgres over Mongo for relational billing data.',
+    source: 'text', plan_id: 'plan-s', node_id: 'task-s1', created_at: '2026-02-01T10:00:00Z', valid_at: '2026-02-01T09:00:00Z',
+    metadata: { entry_type: 'decision', source_description: 'BDI add_learning', agent_id: 'planner' },
+  },
+  {
+    uuid: 'ep-2', name: 'Task: task-s2', content: 'Stripe webhooks retry for 3 days.',
+    source: 'task_update', plan_id: 'plan-s', node_id: 'task-s2', created_at: '2026-02-03T10:00:00Z',
+    metadata: { agent_id: 'coder' },
+  },
+  {
+    uuid: 'ep-old', name: 'Port', content: 'The API listens on 8080.',
+    source: 'text', plan_id: 'plan-s', created_at: '2026-01-15T10:00:00Z', metadata: { entry_type: 'fact' },
+  },
+  {
+    uuid: 'ep-fix', name: 'Port', content: 'The API listens on 9090.',
+    source: 'text', plan_id: 'plan-s', created_at: '2026-02-05T10:00:00Z',
+    metadata: { entry_type: 'fact', curation: { action: 'supersede', supersedes: ['ep-old'], reason: 'moved' } },
+  },
+  {
+    uuid: 'ep-rec', name: 'Knowledge curation', content: 'Knowledge curation: deleted episode x.', plan_id: 'plan-s',
+    created_at: '2026-02-06T10:00:00Z', metadata: { entry_type: 'curation' },
+  },
+  {
+    uuid: 'ep-other', name: 'Elsewhere', content: 'Unrelated plan knowledge.', plan_id: 'plan-x', created_at: '2026-02-02T10:00:00Z',
+  },
+];
+
+function client(episodes) {
+  let next = 0;
+  return {
+    graphiti: {
+      getEpisodes: jest.fn().mockImplementation(async () => ({ episodes: [...episodes] })),
+      addEpisode: jest.fn().mockImplementation(async (data) => {
+        const uuid = `new-${++next}`;
+        episodes.push({ uuid, ...data });
+        return { episode: { uuid } };
+      }),
+    },
+    goals: {
+      get: jest.fn().mockResolvedValue({ id: 'goal-s', links: [{ linkedType: 'plan', linkedId: 'plan-s' }] }),
+    },
+  };
+}
+
+describe('export_knowledge', () => {
+  it("writes one line per episode of the scope, oldest first, without superseded or curation records", async () => {
+    const body = parse(await beliefs.handlers.export_knowledge({ scope: { goal_id: 'goal-s' } }, client([...SOURCE_EPISODES])));
+    const lines = body.content.trim().split('\n').map((l) => JSON.parse(l));
+
+    expect(body).toEqual(expect.objectContaining({ schema: KNOWLEDGE_SCHEMA, format: 'jsonl', count: 3 }));
+    expect(lines.map((l) => l.episode_id)).toEqual(['ep-1', 'ep-2', 'ep-fix']);
+    expect(lines[0]).toEqual({
+      schema: KNOWLEDGE_SCHEMA,
+      episode_id: 'ep-1',
+      name: 'DB choice',
+      content: 'We chose Postgres over Mongo for relational billing data.',
+      entry_type: 'decision',
+      source: 'text',
+      source_description: 'BDI add_learning',
+      agent_id: 'planner',
+      scope: { plan_id: 'plan-s', goal_id: 'goal-s', node_id: 'task-s1' },
+      created_at: '2026-02-01T10:00:00Z',
+      valid_at: '2026-02-01T09:00:00Z',
+    });
+
+    const withOld = parse(await beliefs.handlers.export_knowledge({
+      scope: { plan_id: 'plan-s' }, include_superseded: true, since: '2026-01-01', until: '2026-02-02',
+    }, client([...SOURCE_EPISODES])));
+    expect(withOld.content.trim().split('\n').map((l) => JSON.parse(l).episode_id)).toEqual(['ep-old', 'ep-1']);
+  });
+
+  it("says it can't reach past the most recent episodes", async () => {
+    const many = Array.from({ length: 1000 }, (_, i) => ({ uuid: `ep-${i}`, content: `note ${i}`, plan_id: 'plan-s' }));
+    const body = parse(await beliefs.handlers.export_knowledge({ since: '2026-01-01' }, client(many)));
+    expect(body.warnings).toEqual([
+      'Only the 1000 most recent episodes can be read, so older episodes are missing from this export (since/until only filter within those 1000).',
+    ]);
+  });
+});
+
+describe('import_knowledge', () => {
+  async function exported() {
+    return parse(await beliefs.handlers.export_knowledge({ scope: { goal_id: 'goal-s' } }, client([...SOURCE_EPISODES]))).content;
+  }
+
+  it('replays episodes with remapped scope and skips content already there', async () => {
+    const target = [{ uuid: 'prod-1', content: '  Stripe webhooks RETRY for 3 days. ' }];
+    const api = client(target);
+    const content = `${await exported()}not json\n`;
+    const remap = { 'plan-s': 'plan-p', 'goal-s': 'goal-p', 'task-s1': 'task-p1', 'task-s2': 'task-p2' };
+
+    const body = parse(await intentions.handlers.import_knowledge({ content, remap, agent_id: 'migrator' }, api));
+
+    expect(body.summary).toEqual({ imported: 2, duplicates: 1, failed: 0 });
+    expect(body.duplicates).toEqual([{ line: 2, episode_id: 'prod-1' }]);
+    expect(body.warnings).toEqual([expect.stringMatching(/^line 4: not JSON/)]);
+
+    const first = api.graphiti.addEpisode.mock.calls[0][0];
+    expect(first).toEqual(expect.objectContaining({
+      name: 'DB choice',
+      content: 'We chose Postgres over Mongo for relational billing data.',
+      plan_id: 'plan-p',
+      node_id: 'task-p1',
+    }));
+    expect(first.metadata).toEqual(expect.objectContaining({
+      entry_type: 'decision',
+      agent_id: 'planner',
+      goal_id: 'goal-p',
+      imported_from: {
+        episode_id: 'ep-1', created_at: '2026-02-01T10:00:00Z', valid_at: '2026-02-01T09:00:00Z', imported_by: 'migrator',
+      },
+    }));
+
+    // Importing the same file again writes nothing
+    const again = parse(await intentions.handlers.import_knowledge({ content, remap }, api));
+    expect(again.summary).toEqual({ imported: 0, duplicates: 3, failed: 0 });
+  });
+
+  it('reports how much of the graph duplicates were checked against', async () => {
+    const content = `${JSON.stringify({ content: 'New fact', scope: {} })}\n`;
+    const small = parse(await intentions.handlers.import_knowledge({ content, dry_run: true }, client([])));
+    expect(small.dedupe_scan).toEqual({ episodes_read: 0, limit: 1000, complete: true });
+    expect(small.warnings).toBeUndefined();
+
+    const many = Array.from({ length: 1000 }, (_, i) => ({ uuid: `ep-${i}`, content: `note ${i}` }));
+    const full = parse(await intentions.handlers.import_knowledge({ content, dry_run: true }, client(many)));
+    expect(full.dedupe_scan).toEqual({ episodes_read: 1000, limit: 1000, complete: false });
+    expect(full.warnings).toEqual([expect.stringMatching(/^Duplicates were only checked against the 1000 most recent episodes/)]);
+  });
+
+  it("fails on scope ids remap doesn't cover unless they are kept or dropped", async () => {
+    const api = client([]);
+    const content = await exported();
+    const res = await intentions.handlers.import_knowledge({ content, remap: { 'plan-s': 'plan-p' } }, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Scope ids with no remap entry: goal-s, task-s1, task-s2\. Map them with remap/);
+    expect(api.graphiti.addEpisode).not.toHaveBeenCalled();
+
+    const kept = parse(await intentions.handlers.import_knowledge({
+      content, remap: { 'plan-s': 'plan-p' }, keep_unmapped: true, dry_run: true,
+    }, api));
+    expect(kept.imported[0].scope).toEqual({ plan_id: 'plan-p', goal_id: 'goal-s', node_id: 'task-s1' });
+
+    const both = await intentions.handlers.import_knowledge({ content, keep_unmapped: true, drop_unmapped: true }, api);
+    expect(both.content[0].text).toMatch(/not both/);
+  });
+
+  it('dry_run reports without writing, deduping within the file', async () => {
+    const api = client([]);
+    const line = JSON.stringify({ content: 'Same thing', scope: { plan_id: 'plan-s', node_id: 'task-s1' } });
+    const body = parse(await intentions.handlers.import_knowledge({
+      content: `${line}\n${line}\n`, remap: { 'plan-s': 'plan-p' }, drop_unmapped: true, dry_run: true,
+    }, api));
+
+    expect(body.dry_run).toBe(true);
+    expect(body.imported).toEqual([{ line: 1, episode_id: null, scope: { plan_id: 'plan-p' } }]);
+    expect(body.duplicates).toEqual([{ line: 2, episode_id: null, duplicate_of_line: 1 }]);
+    expect(api.graphiti.addEpisode).not.toHaveBeenCalled();
+  });
+
+  it('rejects a file with no episodes', async () => {
+    const res = await intentions.handlers.import_knowledge({ content: '\n{"name":"x"}\n' }, client([]));
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/No episodes found/);
+  });
+});
+
+describe('unmappedIds', () => {
+  it('lists each uncovered scope id once', () => {
+    const records = [
+      { line: 1, record: { scope: { plan_id: 'a', node_id: 'n1' } } },
+      { line: 2, record: { scope: { plan_id: 'a', goal_id: 'g' } } },
+      { line: 3, record: {} },
+    ];
+    expect(unmappedIds(records, { a: 'b' })).toEqual(['n1', 'g']);
+  });
+});
+
+describe('remapScope', () => {
+  it("drops a task whose plan didn't survive", () => {
+    expect(remapScope({ plan_id: 'a', node_id: 'n' }, {}, true)).toEqual({});
+    expect(remapScope({ plan_id: 'a', node_id: 'n' }, { a: 'b' }, false)).toEqual({ plan_id: 'b', node_id: 'n' });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * list_decisions — the whole decision queue for batch triage: filters by
+ * plan, goal, urgency, status, age and requesting agent, with paging.
+ */
+
+const beliefs = require('../src/tools/bdi/beliefs');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const hoursAgo = (h) => new Date(NOW - h * 60 * 60 * 1000).toISOString();
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+function api() {
+  const decisions = {
+    'plan-a': [
+      {
+        id: 'd1', title: 'Pick a DB', status: 'pending', urgency: 'can_continue', created_at: hoursAgo(30),
+        options: [{ option: 'Postgres', recommendation: true }],
+        metadata: {
+          agent_id: 'planner', goal_id: 'g1', recommendation: 'Postgres',
+          proposed_subtasks: [{ parent_id: 'p1', title: 'Provision Postgres' }],
+        },
+      },
+      { id: 'd2', title: 'Ship on Friday?', status: 'pending', urgency: 'blocking', created_at: hoursAgo(2), metadata: { agent_id: 'coder' } },
+      { id: 'd3', title: 'Old question', status: 'decided', urgency: 'blocking', created_at: hoursAgo(100), metadata: {} },
+    ],
+    'plan-b': [
+      { id: 'd4', title: 'Rename it?', status: 'pending', urgency: 'informational', created_at: hoursAgo(50), metadata: { goal_id: 'g2' } },
+      { id: 'd5', title: 'Hire help?', status: 'pending', urgency: 'blocking', created_at: hoursAgo(10), metadata: { agent_id: 'planner' } },
+    ],
+  };
+  return {
+    axiosInstance: {
+      get: jest.fn().mockImplementation(async (url) => ({ data: { decisions: decisions[url.split('/')[2]] } })),
+    },
+    plans: {
+      getPlan: jest.fn().mockImplementation(async (id) => ({ id, title: `Plan ${id}` })),
+      getPlans: jest.fn().mockResolvedValue([
+        { id: 'plan-a', title: 'Plan A', status: 'active' },
+        { id: 'plan-b', title: 'Plan B', status: 'active' },
+        { id: 'plan-c', title: 'Plan C', status: 'archived' },
+      ]),
+    },
+    goals: {
+      get: jest.fn().mockResolvedValue({ id: 'g1', links: [{ linkedType: 'plan', linkedId: 'plan-a' }, { linkedType: 'plan', linkedId: 'plan-b' }] }),
+    },
+  };
+}
+
+beforeAll(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+describe('list_decisions', () => {
+  it('lists pending decisions across live plans, most urgent and oldest first', async () => {
+    const client = api();
+    const body = parse(await beliefs.handlers.list_decisions({}, client));
+
+    expect(body.decisions.map((d) => d.decision_id)).toEqual(['d5', 'd2', 'd1', 'd4']);
+    expect(body.summary).toEqual(expect.objectContaining({
+      total: 4,
+      by_urgency: { informational: 1, can_continue: 1, blocking: 2 },
+      oldest_age_hours: 50,
+      with_proposed_subtasks: 1,
+      next_offset: null,
+    }));
+    expect(body.decisions[2]).toEqual(expect.objectContaining({
+      plan_id: 'plan-a',
+      plan_title: 'Plan A',
+      urgency: 'can_continue',
+      agent_urgency: 'normal',
+      requested_by: 'planner',
+      goal_id: 'g1',
+      age_hours: 30,
+      recommendation: 'Postgres',
+      proposed_subtasks: [{ parent_id: 'p1', title: 'Provision Postgres' }],
+    }));
+    // Archived plans aren't scanned
+    expect(client.axiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(client.axiosInstance.get).toHaveBeenCalledWith('/plans/plan-a/decisions', { params: { status: 'pending' } });
+  });
+
+  it('filters by urgency in either vocabulary, age and agent', async () => {
+    const urgent = parse(await beliefs.handlers.list_decisions({ urgency: ['high'] }, api()));
+    expect(urgent.decisions.map((d) => d.decision_id)).toEqual(['d5', 'd2']);
+
+    const stale = parse(await beliefs.handlers.list_decisions({ older_than_hours: 24, status: 'all' }, api()));
+    expect(stale.decisions.map((d) => d.decision_id)).toEqual(['d3', 'd1', 'd4']);
+
+    const mine = parse(await beliefs.handlers.list_decisions({ agent_id: 'planner', newer_than_hours: 12 }, api()));
+    expect(mine.decisions.map((d) => d.decision_id)).toEqual(['d5']);
+  });
+
+  it("scopes to a goal's plans and leaves out decisions for other goals", async () => {
+    const body = parse(await beliefs.handlers.list_decisions({ goal_id: 'g1' }, api()));
+    expect(body.decisions.map((d) => d.decision_id)).toEqual(['d5', 'd2', 'd1']);
+  });
+
+  it('pages with offset', async () => {
+    const first = parse(await beliefs.handlers.list_decisions({ limit: 3 }, api()));
+    expect(first.decisions).toHaveLength(3);
+    expect(first.summary.next_offset).toBe(3);
+
+    const second = parse(await beliefs.handlers.list_decisions({ limit: 3, offset: 3 }, api()));
+    expect(second.decisions.map((d) => d.decision_id)).toEqual(['d4']);
+    expect(second.summary.next_offset).toBeNull();
+  });
+
+  it('rejects an unknown urgency', async () => {
+    const res = await beliefs.handlers.list_decisions({ urgency: ['urgent'] }, api());
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Unknown urgency urgent/);
+  });
+});
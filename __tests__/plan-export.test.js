@@ -0,0 +1,124 @@
+/**
+ * export_plan tool + plan-export renderers (Markdown / JSON / Mermaid).
+ */
+
+const { handlers, definitions } = require('../src/tools/bdi/beliefs');
+const { EXPORT_SCHEMA } = require('../src/plan-export');
+
+const PLAN = 'plan-1';
+
+function client({ edges = { dependencies: [{ id: 'd1', source_node_id: 't1', target_node_id: 't2', dependency_type: 'blocks' }] } } = {}) {
+  return {
+    plans: { getPlan: jest.fn().mockResolvedValue({ id: PLAN, title: 'Auth revamp', status: 'active' }) },
+    nodes: {
+      getNodes: jest.fn().mockResolvedValue([{
+        id: 'root',
+        node_type: 'root',
+        children: [
+          {
+            id: 'p1', node_type: 'phase', title: 'Build', status: 'in_progress', order_index: 0,
+            children: [
+              { id: 't2', node_type: 'task', title: 'Wire "login" UI', status: 'not_started', order_index: 1,
+                description: 'Hook up the form.\n\nAcceptance criteria:\n- Errors shown inline\n- Works offline', children: [] },
+              { id: 't1', node_type: 'task', title: 'Token endpoint', status: 'completed', order_index: 0, children: [] },
+            ],
+          },
+          { id: 'm1', node_type: 'milestone', title: 'Beta', status: 'blocked', order_index: 1, children: [] },
+        ],
+      }]),
+    },
+    dependencies: {
+      listForPlan: typeof edges === 'function' ? jest.fn(edges) : jest.fn().mockResolvedValue(edges),
+    },
+  };
+}
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+describe('export_plan', () => {
+  it('is registered with the three formats', () => {
+    const def = definitions.find((d) => d.name === 'export_plan');
+    expect(def.inputSchema.properties.format.enum).toEqual(['markdown', 'json', 'mermaid']);
+  });
+
+  it('renders a GitHub Markdown checklist with criteria and blockers', async () => {
+    const body = parse(await handlers.export_plan({ plan_id: PLAN }, client()));
+
+    expect(body.format).toBe('markdown');
+    expect(body.content).toBe([
+      '# Auth revamp',
+      '',
+      'Status: `active`',
+      '',
+      '- [ ] **Build** `in_progress`',
+      '  - [x] Token endpoint',
+      '  - [ ] Wire "login" UI',
+      '    - Blocked by: Token endpoint',
+      '    - Acceptance criteria:',
+      '      - Errors shown inline',
+      '      - Works offline',
+      '- [ ] Beta _(milestone)_ `blocked`',
+      '',
+      '## Dependencies',
+      '',
+      '- Token endpoint → blocks → Wire "login" UI',
+      '',
+    ].join('\n'));
+  });
+
+  it('returns the stable JSON document with the root node unwrapped', async () => {
+    const body = parse(await handlers.export_plan({ plan_id: PLAN, format: 'json' }, client()));
+
+    expect(body.content).toBeUndefined();
+    expect(body.document.schema).toBe(EXPORT_SCHEMA);
+    expect(body.document.nodes.map((n) => n.id)).toEqual(['p1', 'm1']);
+    expect(Object.keys(body.document.nodes[0])).toEqual([
+      'id', 'parent_id', 'node_type', 'title', 'status', 'description', 'acceptance_criteria', 'due_date', 'children',
+    ]);
+    expect(body.document.nodes[0].children[1].acceptance_criteria).toEqual(['Errors shown inline', 'Works offline']);
+    expect(body.document.edges).toEqual([{ id: 'd1', from: 't1', to: 't2', type: 'blocks' }]);
+  });
+
+  it('renders a Mermaid flowchart with hierarchy, blocks edges and status classes', async () => {
+    const body = parse(await handlers.export_plan({ plan_id: PLAN, format: 'mermaid' }, client()));
+
+    const lines = body.content.split('\n');
+    expect(lines[0]).toBe('flowchart TD');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  n1["Build"]:::in_progress',
+      '  n2["Token endpoint"]:::completed',
+      '  n3["Wire #quot;login#quot; UI"]',
+      '  n4{{"Beta"}}:::blocked',
+      '  n1 -.- n2',
+      '  n2 -->|blocks| n3',
+    ]));
+  });
+
+  it('renders a Mermaid gantt ordered by blocks edges', async () => {
+    const body = parse(await handlers.export_plan({ plan_id: PLAN, format: 'mermaid', diagram: 'gantt' }, client()));
+
+    const lines = body.content.split('\n');
+    expect(lines[0]).toBe('gantt');
+    expect(lines).toContain('  section Build');
+    expect(lines).toContain('    Wire "login" UI :n3, after n2, 1d');
+    expect(lines.find((l) => l.startsWith('    Token endpoint'))).toMatch(/:done, n2, \d{4}-\d{2}-\d{2}, 1d$/);
+    expect(lines).toContain('    Beta :milestone, crit, n4, ' + body.as_of.slice(0, 10) + ', 1d');
+  });
+
+  it('still exports the tree when the edge read fails', async () => {
+    const body = parse(await handlers.export_plan(
+      { plan_id: PLAN, format: 'json' },
+      client({ edges: () => Promise.reject(new Error('404')) }),
+    ));
+
+    expect(body.document.edges).toEqual([]);
+    expect(body.warnings[0]).toMatch(/Dependency edges unavailable/);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await handlers.export_plan({ plan_id: PLAN, format: 'pdf' }, client());
+    expect(res.isError).toBe(true);
+  });
+});
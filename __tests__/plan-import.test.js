@@ -0,0 +1,194 @@
+/**
+ * import_plan tool + plan-import parsers (Markdown / YAML / JSON).
+ */
+
+const { handlers, definitions } = require('../src/tools/bdi/intentions');
+const { detectFormat, parsePlanSource } = require('../src/plan-import');
+const { EXPORT_SCHEMA } = require('../src/plan-export');
+
+const GOAL_ID = 'goal-uuid';
+const PLAN_ID = 'plan-uuid';
+
+const OUTLINE = [
+  '# Auth revamp',
+  '',
+  'Replace session cookies with tokens.',
+  '',
+  '## Build',
+  '',
+  '- [ ] Token endpoint {#token}',
+  '  Issue short-lived JWTs.',
+  '- [ ] Wire login UI',
+  '  - Blocked by: token',
+  '  - Acceptance criteria:',
+  '    - Errors shown inline',
+  '    - Works offline',
+  '',
+  '## Launch',
+  '',
+  '- [ ] Beta _(milestone)_ `blocked`',
+  '',
+  '## Dependencies',
+  '',
+  '- Wire login UI → blocks → Beta',
+  '',
+].join('\n');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// Server-path client: form_intention hands the tree to createIntention.
+function client() {
+  return {
+    agentLoop: {
+      createIntention: jest.fn().mockResolvedValue({
+        plan: { id: PLAN_ID, status: 'active' },
+        tree: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        structure: { task_count: 3, dependency_edges: 2, created_without_dependencies: false },
+      }),
+    },
+    goals: { get: jest.fn() },
+    plans: { createPlan: jest.fn() },
+    nodes: { createNode: jest.fn() },
+  };
+}
+
+describe('plan-import parsers', () => {
+  it('detects the format from the file name, then the content', () => {
+    expect(detectFormat('', 'plan.md')).toBe('markdown');
+    expect(detectFormat('', 'plan.yml')).toBe('yaml');
+    expect(detectFormat('{"tree": []}')).toBe('json');
+    expect(detectFormat('# Title')).toBe('markdown');
+    expect(detectFormat('title: x\ntree: []')).toBe('yaml');
+  });
+
+  it('turns a Markdown outline into phases, tasks, refs, criteria and edges', () => {
+    const parsed = parsePlanSource(OUTLINE);
+
+    expect(parsed.format).toBe('markdown');
+    expect(parsed.title).toBe('Auth revamp');
+    expect(parsed.description).toBe('Replace session cookies with tokens.');
+    expect(parsed.node_count).toBe(5);
+    expect(parsed.tree).toEqual([
+      {
+        node_type: 'phase',
+        title: 'Build',
+        children: [
+          { node_type: 'task', title: 'Token endpoint', ref: 'token', description: 'Issue short-lived JWTs.' },
+          {
+            node_type: 'task',
+            title: 'Wire login UI',
+            description: 'Acceptance criteria:\n- Errors shown inline\n- Works offline',
+            depends_on: ['token'],
+          },
+        ],
+      },
+      {
+        node_type: 'phase',
+        title: 'Launch',
+        children: [{ node_type: 'milestone', title: 'Beta', depends_on: ['Wire login UI'] }],
+      },
+    ]);
+  });
+
+  it('reads YAML with nested children and acceptance criteria', () => {
+    const parsed = parsePlanSource([
+      'title: Auth revamp',
+      'goal_id: goal-from-file',
+      'tree:',
+      '  - title: Build',
+      '    node_type: phase',
+      '    children:',
+      '      - title: Token endpoint',
+      '        ref: token',
+      '      - title: Wire login UI',
+      '        depends_on: token',
+      '        acceptance_criteria: [Errors shown inline]',
+    ].join('\n'), { fileName: 'plan.yaml' });
+
+    expect(parsed.format).toBe('yaml');
+    expect(parsed.goal_id).toBe('goal-from-file');
+    expect(parsed.tree[0].children[1]).toEqual({
+      title: 'Wire login UI',
+      description: 'Acceptance criteria:\n- Errors shown inline',
+      depends_on: ['token'],
+    });
+  });
+
+  it('round-trips an export_plan JSON document', () => {
+    const parsed = parsePlanSource(JSON.stringify({
+      schema: EXPORT_SCHEMA,
+      plan: { id: 'p', title: 'Auth revamp', description: null },
+      nodes: [{
+        id: 'p1', node_type: 'phase', title: 'Build', acceptance_criteria: [],
+        children: [
+          { id: 't1', node_type: 'task', title: 'Token endpoint', acceptance_criteria: [], children: [] },
+          { id: 't2', node_type: 'task', title: 'Wire login UI', acceptance_criteria: ['Works offline'], children: [] },
+        ],
+      }],
+      edges: [{ id: 'd1', from: 't1', to: 't2', type: 'blocks' }],
+    }));
+
+    expect(parsed.title).toBe('Auth revamp');
+    expect(parsed.tree[0].children).toEqual([
+      { ref: 't1', title: 'Token endpoint', node_type: 'task' },
+      {
+        ref: 't2', title: 'Wire login UI', node_type: 'task',
+        description: 'Acceptance criteria:\n- Works offline', depends_on: ['t1'],
+      },
+    ]);
+  });
+
+  it('rejects unparseable or empty sources with import_invalid', () => {
+    expect(() => parsePlanSource('{ nope', { format: 'json' })).toThrow(expect.objectContaining({ code: 'import_invalid' }));
+    expect(() => parsePlanSource('# Only a title')).toThrow(/No nodes/);
+    expect(() => parsePlanSource('   ')).toThrow(/empty/);
+  });
+});
+
+describe('import_plan', () => {
+  it('is registered with the three formats', () => {
+    const def = definitions.find((d) => d.name === 'import_plan');
+    expect(def.inputSchema.properties.format.enum).toEqual(['markdown', 'yaml', 'json']);
+    expect(def.inputSchema.required).toEqual(['content']);
+  });
+
+  it('dry_run returns the parsed tree without creating anything', async () => {
+    const api = client();
+    const body = parse(await handlers.import_plan({ content: OUTLINE, dry_run: true }, api));
+
+    expect(body.dry_run).toBe(true);
+    expect(body.title).toBe('Auth revamp');
+    expect(body.tree).toHaveLength(2);
+    expect(body.import).toEqual({ format: 'markdown', nodes_parsed: 5 });
+    expect(api.agentLoop.createIntention).not.toHaveBeenCalled();
+  });
+
+  it('creates the plan through form_intention with depends_on intact', async () => {
+    const api = client();
+    const body = parse(await handlers.import_plan({ content: OUTLINE, goal_id: GOAL_ID }, api));
+
+    expect(api.agentLoop.createIntention).toHaveBeenCalledWith(expect.objectContaining({
+      goal_id: GOAL_ID,
+      title: 'Auth revamp',
+      rationale: 'Imported from markdown',
+      tree: parsePlanSource(OUTLINE).tree,
+    }));
+    expect(body.plan_id).toBe(PLAN_ID);
+    expect(body.structure.dependency_edges).toBe(2);
+    expect(body.import.nodes_parsed).toBe(5);
+  });
+
+  it('requires a goal when not dry-running', async () => {
+    const res = await handlers.import_plan({ content: OUTLINE }, client());
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/goal_id/);
+  });
+
+  it('reports parse failures as errors', async () => {
+    const res = await handlers.import_plan({ content: 'tree: [', format: 'yaml', goal_id: GOAL_ID }, client());
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Invalid YAML/);
+  });
+});
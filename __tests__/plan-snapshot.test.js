@@ -0,0 +1,206 @@
+/**
+ * Plan snapshots — plan_snapshot captures tree, statuses, edges and goal
+ * links; plan_diff compares two snapshots or a snapshot with the live plan;
+ * bulk mutations snapshot automatically before they write.
+ */
+
+const beliefs = require('../src/tools/bdi/beliefs');
+const intentions = require('../src/tools/bdi/intentions');
+const { diffSnapshots, setSnapshotStore, listSnapshots } = require('../src/plan-snapshot');
+const { MemorySessionStore } = require('../src/session-store');
+
+const PLAN_ID = 'plan-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// Mutable backend: root → p1 → [t1, t2], p2; t1 blocks t2; goal g1 → plan, g2 → t1
+function backend() {
+  const nodes = {
+    root: { id: 'root', node_type: 'root', title: 'Plan', parent: null },
+    p1: { id: 'p1', node_type: 'phase', title: 'Build', status: 'in_progress', parent: 'root' },
+    t1: { id: 't1', node_type: 'task', title: 'API', status: 'completed', parent: 'p1' },
+    t2: { id: 't2', node_type: 'task', title: 'UI', status: 'not_started', parent: 'p1' },
+    p2: { id: 'p2', node_type: 'phase', title: 'Launch', status: 'not_started', parent: 'root' },
+  };
+  const edges = [{ id: 'e1', source_node_id: 't1', target_node_id: 't2', dependency_type: 'blocks' }];
+  const tree = (id) => ({
+    ...nodes[id],
+    children: Object.values(nodes).filter((n) => n.parent === id).map((n) => tree(n.id)),
+  });
+
+  return {
+    nodes,
+    edges,
+    api: {
+      axiosInstance: { get: jest.fn().mockResolvedValue({ data: { plan_id: PLAN_ID } }) },
+      plans: { getPlan: jest.fn().mockResolvedValue({ id: PLAN_ID, title: 'Plan', status: 'active' }) },
+      nodes: {
+        getNodes: jest.fn().mockImplementation(async () => [tree('root')]),
+        updateNode: jest.fn().mockImplementation(async (planId, id, payload) => Object.assign(nodes[id], payload)),
+      },
+      dependencies: { listForPlan: jest.fn().mockImplementation(async () => ({ dependencies: [...edges] })) },
+      goals: {
+        list: jest.fn().mockResolvedValue([
+          { id: 'g1', title: 'Ship v2', links: [{ linkedType: 'plan', linkedId: PLAN_ID }] },
+          { id: 'g2', title: 'Fast API' },
+          { id: 'g3', title: 'Other', links: [{ linkedType: 'plan', linkedId: 'elsewhere' }] },
+        ]),
+        get: jest.fn().mockResolvedValue({ id: 'g2', links: [{ linked_type: 'task', linked_id: 't1' }] }),
+      },
+    },
+  };
+}
+
+beforeEach(() => {
+  setSnapshotStore(new MemorySessionStore());
+});
+
+afterAll(() => {
+  setSnapshotStore(null);
+});
+
+describe('diffSnapshots', () => {
+  it('reports added, removed, moved, retitled and status-changed nodes', () => {
+    const before = {
+      nodes: [
+        { id: 'a', parent_id: null, title: 'A', status: 'in_progress' },
+        { id: 'b', parent_id: 'a', title: 'B', status: 'not_started' },
+        { id: 'c', parent_id: 'a', title: 'C', status: 'not_started' },
+      ],
+      dependencies: [{ source_node_id: 'b', target_node_id: 'c', dependency_type: 'blocks' }],
+      goal_links: [{ goal_id: 'g', linked_type: 'plan', linked_id: 'p' }],
+    };
+    const after = {
+      nodes: [
+        { id: 'a', parent_id: null, title: 'A', status: 'completed' },
+        { id: 'b', parent_id: null, title: 'B (split)', status: 'not_started' },
+        { id: 'd', parent_id: 'a', title: 'D', status: 'not_started' },
+      ],
+      dependencies: [],
+      goal_links: [{ goal_id: 'g', linked_type: 'plan', linked_id: 'p' }],
+    };
+
+    const { summary, changes } = diffSnapshots(before, after);
+
+    expect(changes.added.map((n) => n.id)).toEqual(['d']);
+    expect(changes.removed.map((n) => n.id)).toEqual(['c']);
+    expect(changes.moved).toEqual([{ id: 'b', title: 'B (split)', from_parent_id: 'a', to_parent_id: null }]);
+    expect(changes.retitled).toEqual([{ id: 'b', from: 'B', to: 'B (split)' }]);
+    expect(changes.status_changed).toEqual([{ id: 'a', title: 'A', from: 'in_progress', to: 'completed' }]);
+    expect(changes.edges_removed).toEqual([{ from: 'b', to: 'c', type: 'blocks' }]);
+    expect(summary).toEqual(expect.objectContaining({ added: 1, removed: 1, goal_links_added: 0, unchanged: false }));
+  });
+});
+
+describe('plan_snapshot', () => {
+  it('captures nodes, statuses, edges and goal links', async () => {
+    const { api } = backend();
+    const body = parse(await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID, label: 'before run' }, api));
+
+    expect(body).toEqual(expect.objectContaining({ node_count: 4, dependency_count: 1, goal_link_count: 2, label: 'before run' }));
+    const [stored] = await listSnapshots(PLAN_ID);
+    expect(stored.payload.nodes[0]).toEqual(expect.objectContaining({ id: 'p1', parent_id: null, status: 'in_progress' }));
+    expect(stored.payload.goal_links).toEqual([
+      { goal_id: 'g1', goal_title: 'Ship v2', linked_type: 'plan', linked_id: PLAN_ID },
+      { goal_id: 'g2', goal_title: 'Fast API', linked_type: 'task', linked_id: 't1' },
+    ]);
+    // Only the goal without links on its list row is fetched
+    expect(api.goals.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('lists snapshots newest first', async () => {
+    const { api } = backend();
+    await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID, label: 'one' }, api);
+    await new Promise((r) => setTimeout(r, 5));
+    await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID, label: 'two' }, api);
+
+    const body = parse(await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID, action: 'list' }, api));
+    expect(body.snapshots.map((s) => s.label)).toEqual(['two', 'one']);
+  });
+
+  it('keeps only the newest MCP_SNAPSHOT_LIMIT per plan', async () => {
+    const { api } = backend();
+    process.env.MCP_SNAPSHOT_LIMIT = '2';
+    try {
+      for (const label of ['a', 'b', 'c']) {
+        await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID, label }, api);
+        await new Promise((r) => setTimeout(r, 5));
+      }
+    } finally {
+      delete process.env.MCP_SNAPSHOT_LIMIT;
+    }
+    expect((await listSnapshots(PLAN_ID)).map((s) => s.label)).toEqual(['c', 'b']);
+  });
+});
+
+describe('plan_diff', () => {
+  it('compares a snapshot with the live plan', async () => {
+    const { api, nodes, edges } = backend();
+    const { snapshot_id } = parse(await beliefs.handlers.plan_snapshot({ plan_id: PLAN_ID }, api));
+
+    nodes.t2.status = 'in_progress';
+    nodes.t2.parent = 'p2';
+    nodes.p2.title = 'Launch & announce';
+    nodes.t3 = { id: 't3', node_type: 'task', title: 'Docs', status: 'not_started', parent: 'p2' };
+    delete nodes.t1;
+    edges.length = 0;
+
+    const body = parse(await beliefs.handlers.plan_diff({ from_snapshot_id: snapshot_id }, api));
+
+    expect(body.to.live).toBe(true);
+    expect(body.changes.added.map((n) => n.id)).toEqual(['t3']);
+    expect(body.changes.removed.map((n) => n.id)).toEqual(['t1']);
+    expect(body.changes.moved).toEqual([{ id: 't2', title: 'UI', from_parent_id: 'p1', to_parent_id: 'p2' }]);
+    expect(body.changes.retitled).toEqual([{ id: 'p2', from: 'Launch', to: 'Launch & announce' }]);
+    expect(body.changes.status_changed).toEqual([{ id: 't2', title: 'UI', from: 'not_started', to: 'in_progress' }]);
+    expect(body.changes.edges_removed).toEqual([{ from: 't1', to: 't2', type: 'blocks' }]);
+    expect(body.changes.goal_links_removed).toEqual([expect.objectContaining({ goal_id: 'g2', linked_id: 't1' })]);
+  });
+
+  it('rejects an unknown snapshot', async () => {
+    const res = await beliefs.handlers.plan_diff({ from_snapshot_id: 'nope' }, backend().api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Snapshot nope not found/);
+  });
+});
+
+describe('automatic snapshots', () => {
+  it('are taken before a cascading delete_node and diff against the result', async () => {
+    const { api } = backend();
+    const deleted = parse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api));
+
+    expect(deleted.snapshot_id).toBeDefined();
+    const [auto] = await listSnapshots(PLAN_ID);
+    expect(auto.trigger).toBe('delete_node');
+
+    const diff = parse(await beliefs.handlers.plan_diff({ from_snapshot_id: deleted.snapshot_id }, api));
+    expect(diff.changes.status_changed.map((c) => [c.id, c.to])).toEqual([['p1', 'archived'], ['t1', 'archived'], ['t2', 'archived']]);
+  });
+
+  it('are taken once per plan before an update_task batch', async () => {
+    const { api } = backend();
+    api.logs = { addLogEntry: jest.fn() };
+    api.axiosInstance.delete = jest.fn();
+    const body = parse(await intentions.handlers.update_task(
+      { status: 'completed', tasks: [{ task_id: 't1' }, { task_id: 't2' }] },
+      api,
+    ));
+
+    expect(body.snapshots).toEqual([{ plan_id: PLAN_ID, snapshot_id: expect.any(String) }]);
+    expect((await listSnapshots(PLAN_ID)).map((s) => s.trigger)).toEqual(['update_task']);
+  });
+
+  it('can be turned off with MCP_AUTO_SNAPSHOT', async () => {
+    const { api } = backend();
+    process.env.MCP_AUTO_SNAPSHOT = 'off';
+    try {
+      const deleted = parse(await intentions.handlers.delete_node({ node_id: 'p1', plan_id: PLAN_ID }, api));
+      expect(deleted.snapshot_id).toBeUndefined();
+    } finally {
+      delete process.env.MCP_AUTO_SNAPSHOT;
+    }
+    expect(await listSnapshots(PLAN_ID)).toEqual([]);
+  });
+});
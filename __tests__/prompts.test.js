@@ -0,0 +1,83 @@
+/**
+ * MCP Prompts — the canonical workflows as prompts/list + prompts/get, with
+ * briefing / task_context pre-filled into the rendered message.
+ */
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { setupPrompts } = require('../src/prompts');
+const { WORKFLOWS } = require('../src/workflows');
+
+function makeServer(apiClient) {
+  const server = new Server(
+    { name: 'test', version: '0.0.0' },
+    { capabilities: { prompts: {} } },
+  );
+  setupPrompts(server, apiClient);
+  const call = (method, params = {}) => server._requestHandlers.get(method)({ jsonrpc: '2.0', id: 1, method, params });
+  return { server, call };
+}
+
+function apiClientFixture() {
+  return {
+    v1: {
+      briefing: jest.fn().mockResolvedValue({ goals: [{ id: 'goal-1', health: 'at_risk' }] }),
+    },
+    axiosInstance: {
+      get: jest.fn(async (url) => {
+        if (url.startsWith('/context/progressive')) return { data: { task: { id: 'task-1', title: 'Wire the thing' } } };
+        throw new Error(`unexpected GET ${url}`);
+      }),
+    },
+  };
+}
+
+describe('prompts/list', () => {
+  it('lists every canonical workflow with its arguments', async () => {
+    const { call } = makeServer(apiClientFixture());
+    const { prompts } = await call('prompts/list');
+    expect(prompts.map((p) => p.name)).toEqual(['setup-work', 'autopilot', 'start-task', 'multi-agent']);
+    const startTask = prompts.find((p) => p.name === 'start-task');
+    expect(startTask.arguments.map((a) => a.name)).toEqual(['plan_id', 'task_id']);
+  });
+});
+
+describe('prompts/get', () => {
+  it('renders autopilot with the steps and a pre-filled mission_control briefing', async () => {
+    const client = apiClientFixture();
+    const { call } = makeServer(client);
+    const result = await call('prompts/get', { name: 'autopilot', arguments: { goal_id: 'goal-1' } });
+
+    expect(client.v1.briefing).toHaveBeenCalledWith(expect.objectContaining({ scope: 'mission_control', goal_id: 'goal-1' }));
+    const { text } = result.messages[0].content;
+    expect(result.messages[0].role).toBe('user');
+    const autopilot = WORKFLOWS.find((w) => w.name === 'autopilot');
+    autopilot.steps.forEach((step, i) => expect(text).toContain(`${i + 1}. ${step}`));
+    expect(text).toContain('- goal_id: goal-1');
+    expect(text).toContain('"health": "at_risk"');
+  });
+
+  it('pre-fills task_context when start-task is given a task_id', async () => {
+    const client = apiClientFixture();
+    const { call } = makeServer(client);
+    const result = await call('prompts/get', { name: 'start-task', arguments: { task_id: 'task-1' } });
+
+    expect(client.v1.briefing).not.toHaveBeenCalled();
+    expect(result.messages[0].content.text).toContain('task_context(node_id="task-1", depth=2)');
+    expect(result.messages[0].content.text).toContain('Wire the thing');
+  });
+
+  it('still renders the workflow when the pre-fill read fails', async () => {
+    const client = apiClientFixture();
+    client.v1.briefing.mockRejectedValue(new Error('down'));
+    client.axiosInstance.get.mockRejectedValue(new Error('down'));
+    const { call } = makeServer(client);
+    const result = await call('prompts/get', { name: 'setup-work', arguments: { request: 'Launch the beta' } });
+
+    expect(result.messages[0].content.text).toContain('- request: Launch the beta');
+    expect(result.messages[0].content.text).toContain('Steps:');
+  });
+
+  it('rejects unknown prompts with InvalidParams', async () => {
+    const { call } = makeServer(apiClientFixture());
+    await expect(call('prompts/get', { name: 'nope' })).rejects.toMatchObject({ code: -32602 });
+  });
+});
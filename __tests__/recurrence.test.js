@@ -0,0 +1,166 @@
+/**
+ * Recurring tasks — an RRULE on a task created by form_intention /
+ * extend_intention; completing an instance through update_task creates the
+ * next one in the same parent, due on the next date and linked to the series.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const { validateRecurrence, startSeries, nextInstance } = require('../src/recurrence');
+
+const PLAN_ID = 'plan-uuid';
+// A Wednesday
+const NOW = Date.parse('2026-03-04T10:00:00Z');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+describe('recurrence rules', () => {
+  it('starts a series on the first matching date', () => {
+    expect(startSeries('FREQ=WEEKLY;BYDAY=MO', NOW)).toEqual({
+      due_date: '2026-03-09',
+      recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2026-03-09', instance: 1 },
+    });
+    expect(startSeries('RRULE:FREQ=MONTHLY;BYMONTHDAY=-1', NOW).due_date).toBe('2026-03-31');
+    expect(startSeries('FREQ=DAILY', NOW).due_date).toBe('2026-03-04');
+  });
+
+  it('finds the next date after the current instance', () => {
+    const weekly = { rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', dtstart: '2026-03-09', instance: 1 };
+    expect(nextInstance(weekly, 't1', '2026-03-09', NOW)).toEqual({
+      due_date: '2026-03-23',
+      recurrence: { rule: weekly.rule, dtstart: '2026-03-09', instance: 2, series_id: 't1', previous_id: 't1' },
+    });
+
+    // The 31st is skipped in months that don't have one
+    const monthly = { rule: 'FREQ=MONTHLY;BYMONTHDAY=31', dtstart: '2026-03-31', instance: 1, series_id: 's1' };
+    expect(nextInstance(monthly, 't2', '2026-03-31', NOW).due_date).toBe('2026-05-31');
+  });
+
+  it('moves an overdue series to the next date after today', () => {
+    const daily = { rule: 'FREQ=DAILY', dtstart: '2026-02-01', instance: 3 };
+    expect(nextInstance(daily, 't1', '2026-02-03', NOW).due_date).toBe('2026-03-05');
+  });
+
+  it('ends the series at COUNT or UNTIL', () => {
+    expect(nextInstance({ rule: 'FREQ=DAILY;COUNT=3', dtstart: '2026-03-02', instance: 3 }, 't', '2026-03-04', NOW)).toBeNull();
+    expect(nextInstance({ rule: 'FREQ=WEEKLY;UNTIL=20260310', dtstart: '2026-03-04', instance: 1 }, 't', '2026-03-04', NOW)).toBeNull();
+  });
+
+  it('rejects rules it cannot follow', () => {
+    expect(validateRecurrence('FREQ=WEEKLY;BYDAY=MO')).toBeNull();
+    expect(validateRecurrence('FREQ=HOURLY')).toMatch(/FREQ must be one of/);
+    expect(validateRecurrence('FREQ=MONTHLY;BYDAY=1MO')).toMatch(/positional forms/);
+    expect(validateRecurrence('FREQ=WEEKLY;BYSETPOS=1')).toMatch(/Unsupported rule part BYSETPOS/);
+  });
+});
+
+describe('recurring tasks', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('extend_intention creates the first instance with its due date', async () => {
+    const api = { nodes: { createNode: jest.fn().mockResolvedValue({ id: 'n1' }) } };
+    await intentions.handlers.extend_intention({
+      parent_id: 'ops',
+      plan_id: PLAN_ID,
+      rationale: 'chores',
+      children: [{ title: 'Dependency audit', recurrence: 'FREQ=WEEKLY;BYDAY=MO' }],
+    }, api);
+
+    expect(api.nodes.createNode).toHaveBeenCalledWith(PLAN_ID, expect.objectContaining({
+      parent_id: 'ops',
+      due_date: '2026-03-09',
+      metadata: { recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2026-03-09', instance: 1 } },
+    }));
+  });
+
+  it('rejects recurrence on a phase', async () => {
+    const res = await intentions.handlers.extend_intention({
+      parent_id: 'ops',
+      plan_id: PLAN_ID,
+      rationale: 'r',
+      children: [{ title: 'Ops', node_type: 'phase', recurrence: 'FREQ=DAILY' }],
+    }, { nodes: { createNode: jest.fn() } });
+    expect(res.content[0].text).toMatch(/only tasks can recur/);
+  });
+
+  function backend() {
+    const nodes = {
+      t1: {
+        id: 't1',
+        plan_id: PLAN_ID,
+        parent_id: 'ops',
+        title: 'Dependency audit',
+        task_mode: 'free',
+        status: 'in_progress',
+        due_date: '2026-03-09',
+        metadata: {
+          estimate: { value: 1, unit: 'hours' },
+          recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2026-03-09', instance: 1 },
+        },
+      },
+    };
+    return {
+      nodes,
+      api: {
+        axiosInstance: { get: jest.fn(), delete: jest.fn().mockResolvedValue({}) },
+        nodes: {
+          getNode: jest.fn().mockImplementation(async (planId, id) => ({ ...nodes[id] })),
+          updateNode: jest.fn().mockImplementation(async (planId, id, payload) => Object.assign(nodes[id], payload)),
+          createNode: jest.fn().mockImplementation(async (planId, payload) => {
+            nodes.t2 = { id: 't2', plan_id: planId, ...payload };
+            return nodes.t2;
+          }),
+        },
+      },
+    };
+  }
+
+  it('update_task completion creates the next instance in the same parent', async () => {
+    const { api, nodes } = backend();
+    const body = parse(await intentions.handlers.update_task({ task_id: 't1', plan_id: PLAN_ID, status: 'completed' }, api));
+
+    expect(body.recurrence).toEqual({ series_id: 't1', instance: 1, next_instance_id: 't2', next_due_date: '2026-03-16' });
+    expect(api.nodes.createNode).toHaveBeenCalledWith(PLAN_ID, {
+      node_type: 'task',
+      title: 'Dependency audit',
+      description: '',
+      task_mode: 'free',
+      parent_id: 'ops',
+      due_date: '2026-03-16',
+      metadata: {
+        estimate: { value: 1, unit: 'hours' },
+        recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2026-03-09', instance: 2, series_id: 't1', previous_id: 't1' },
+      },
+    });
+    expect(nodes.t1.metadata.recurrence.next_id).toBe('t2');
+
+    // Completing it again doesn't spawn a second successor
+    const again = parse(await intentions.handlers.update_task({ task_id: 't1', plan_id: PLAN_ID, status: 'completed' }, api));
+    expect(again.recurrence.next_instance_id).toBe('t2');
+    expect(api.nodes.createNode).toHaveBeenCalledTimes(1);
+  });
+
+  it('carries only the estimate over, not per-instance markers', async () => {
+    const { api, nodes } = backend();
+    Object.assign(nodes.t1.metadata, { split_from: 't0', imported_from: { plan_id: 'old' }, owner: 'ops-team' });
+    await intentions.handlers.update_task({ task_id: 't1', plan_id: PLAN_ID, status: 'completed' }, api);
+
+    expect(Object.keys(api.nodes.createNode.mock.calls[0][1].metadata).sort()).toEqual(['estimate', 'recurrence']);
+  });
+
+  it('leaves non-recurring tasks alone', async () => {
+    const { api, nodes } = backend();
+    delete nodes.t1.metadata.recurrence;
+    const body = parse(await intentions.handlers.update_task({ task_id: 't1', plan_id: PLAN_ID, status: 'completed' }, api));
+
+    expect(body.recurrence).toBeUndefined();
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+  });
+});
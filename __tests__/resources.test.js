@@ -0,0 +1,148 @@
+/**
+ * MCP Resources — agentplanner:// URIs for plans, goals and task context,
+ * plus polling-backed resources/subscribe.
+ */
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { setupResources, ResourceSubscriptions, parseResourceUri } = require('../src/resources');
+
+function makeServer(apiClient, options) {
+  const server = new Server(
+    { name: 'test', version: '0.0.0' },
+    { capabilities: { resources: { subscribe: true } } },
+  );
+  setupResources(server, apiClient, options);
+  const call = (method, params = {}) => server._requestHandlers.get(method)({ jsonrpc: '2.0', id: 1, method, params });
+  return { server, call };
+}
+
+function apiClientFixture() {
+  return {
+    plans: {
+      getPlans: jest.fn().mockResolvedValue([
+        { id: 'plan-1', title: 'Launch', status: 'active' },
+        { id: 'plan-old', title: 'Old', status: 'archived' },
+      ]),
+      getPlan: jest.fn().mockResolvedValue({ id: 'plan-1', title: 'Launch', status: 'active' }),
+    },
+    nodes: { getNodes: jest.fn().mockResolvedValue([{ id: 'n1', title: 'Phase', children: [] }]) },
+    goals: {
+      list: jest.fn().mockResolvedValue([{ id: 'goal-1', title: 'Ship', status: 'active' }]),
+      get: jest.fn().mockResolvedValue({ id: 'goal-1', title: 'Ship' }),
+    },
+    context: { getNodeContext: jest.fn().mockResolvedValue({ node: { id: 'task-1', title: 'Do it' } }) },
+  };
+}
+
+describe('parseResourceUri', () => {
+  it('recognises the three URI shapes', () => {
+    expect(parseResourceUri('agentplanner://plans/p1')).toEqual({ kind: 'plan', id: 'p1' });
+    expect(parseResourceUri('agentplanner://goals/g1')).toEqual({ kind: 'goal', id: 'g1' });
+    expect(parseResourceUri('agentplanner://tasks/t1/context')).toEqual({ kind: 'task_context', id: 't1' });
+  });
+
+  it('rejects anything else', () => {
+    expect(parseResourceUri('agentplanner://tasks/t1')).toBeNull();
+    expect(parseResourceUri('file:///etc/passwd')).toBeNull();
+    expect(parseResourceUri(undefined)).toBeNull();
+  });
+});
+
+describe('resource handlers', () => {
+  it('lists non-archived plans and active goals as concrete resources', async () => {
+    const { call } = makeServer(apiClientFixture());
+    const { resources } = await call('resources/list');
+    expect(resources.map((r) => r.uri)).toEqual(['agentplanner://plans/plan-1', 'agentplanner://goals/goal-1']);
+  });
+
+  it('advertises the URI templates', async () => {
+    const { call } = makeServer(apiClientFixture());
+    const { resourceTemplates } = await call('resources/templates/list');
+    expect(resourceTemplates.map((t) => t.uriTemplate)).toEqual([
+      'agentplanner://plans/{plan_id}',
+      'agentplanner://goals/{goal_id}',
+      'agentplanner://tasks/{task_id}/context',
+    ]);
+  });
+
+  it('reads a plan with its node tree', async () => {
+    const client = apiClientFixture();
+    const { call } = makeServer(client);
+    const result = await call('resources/read', { uri: 'agentplanner://plans/plan-1' });
+    const body = JSON.parse(result.contents[0].text);
+    expect(client.plans.getPlan).toHaveBeenCalledWith('plan-1');
+    expect(body.plan.title).toBe('Launch');
+    expect(body.nodes).toHaveLength(1);
+    expect(body.as_of).toBeDefined();
+    expect(result.contents[0].mimeType).toBe('application/json');
+  });
+
+  it('reads task context through context.getNodeContext', async () => {
+    const client = apiClientFixture();
+    const { call } = makeServer(client);
+    const result = await call('resources/read', { uri: 'agentplanner://tasks/task-1/context' });
+    expect(client.context.getNodeContext).toHaveBeenCalledWith('task-1');
+    expect(JSON.parse(result.contents[0].text).context.node.title).toBe('Do it');
+  });
+
+  it('rejects unknown URIs with InvalidParams', async () => {
+    const { call } = makeServer(apiClientFixture());
+    await expect(call('resources/read', { uri: 'agentplanner://nope/1' })).rejects.toMatchObject({ code: -32602 });
+  });
+
+  it('maps an upstream 404 to InvalidParams', async () => {
+    const client = apiClientFixture();
+    client.goals.get.mockRejectedValue({ response: { status: 404, data: { error: 'Goal not found' } } });
+    const { call } = makeServer(client);
+    await expect(call('resources/read', { uri: 'agentplanner://goals/missing' })).rejects.toMatchObject({ code: -32602 });
+  });
+
+  it('subscribe/unsubscribe go through the supplied registry', async () => {
+    const subscriptions = new ResourceSubscriptions({ apiClient: apiClientFixture(), notify: jest.fn() });
+    const { call } = makeServer(apiClientFixture(), { subscriptions });
+    await call('resources/subscribe', { uri: 'agentplanner://goals/goal-1' });
+    expect(subscriptions.list()).toEqual(['agentplanner://goals/goal-1']);
+    await call('resources/unsubscribe', { uri: 'agentplanner://goals/goal-1' });
+    expect(subscriptions.list()).toEqual([]);
+    subscriptions.close();
+  });
+});
+
+describe('ResourceSubscriptions', () => {
+  it('notifies only when the resource content changes', async () => {
+    const client = apiClientFixture();
+    const notify = jest.fn();
+    const subs = new ResourceSubscriptions({ apiClient: client, notify });
+    await subs.subscribe('agentplanner://plans/plan-1');
+
+    expect(await subs.poll()).toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+
+    client.plans.getPlan.mockResolvedValue({ id: 'plan-1', title: 'Launch', status: 'completed' });
+    expect(await subs.poll()).toEqual(['agentplanner://plans/plan-1']);
+    expect(notify).toHaveBeenCalledWith('agentplanner://plans/plan-1');
+    subs.close();
+  });
+
+  it('does not notify on a failed read, and recovers afterwards', async () => {
+    const client = apiClientFixture();
+    const notify = jest.fn();
+    const subs = new ResourceSubscriptions({ apiClient: client, notify });
+    await subs.subscribe('agentplanner://goals/goal-1');
+
+    client.goals.get.mockRejectedValueOnce(new Error('ECONNRESET'));
+    await subs.poll();
+    expect(notify).not.toHaveBeenCalled();
+
+    await subs.poll(); // baseline re-established
+    client.goals.get.mockResolvedValue({ id: 'goal-1', title: 'Ship v2' });
+    await subs.poll();
+    expect(notify).toHaveBeenCalledTimes(1);
+    subs.close();
+  });
+
+  it('rejects subscriptions to unknown URIs', async () => {
+    const subs = new ResourceSubscriptions({ apiClient: apiClientFixture() });
+    await expect(subs.subscribe('https://example.com')).rejects.toMatchObject({ code: -32602 });
+    subs.close();
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * split_task, merge_tasks and duplicate_subtree — restructure tasks and keep
+ * their dependency edges pointing at the right nodes.
+ */
+
+const intentions = require('../src/tools/bdi/intentions');
+const { setSnapshotStore } = require('../src/plan-snapshot');
+const { MemorySessionStore } = require('../src/session-store');
+
+const PLAN_ID = 'plan-uuid';
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// In-memory backend with write-through nodes and edges.
+// root → build → [schema, api (big), ui], launch
+// schema blocks api, api blocks ui, docs (in launch) relates_to api
+function backend() {
+  const nodes = {
+    root: { id: 'root', node_type: 'root', title: 'Plan', parent: null },
+    build: { id: 'build', node_type: 'phase', title: 'Build', status: 'in_progress', parent: 'root' },
+    schema: { id: 'schema', node_type: 'task', title: 'Schema', status: 'completed', parent: 'build' },
+    api: {
+      id: 'api', node_type: 'task', title: 'API', status: 'not_started', parent: 'build',
+      task_mode: 'implement', metadata: { owner: 'core' },
+    },
+    ui: { id: 'ui', node_type: 'task', title: 'UI', status: 'not_started', parent: 'build' },
+    launch: { id: 'launch', node_type: 'phase', title: 'Launch', status: 'not_started', parent: 'root' },
+    docs: { id: 'docs', node_type: 'task', title: 'Docs', status: 'not_started', parent: 'launch' },
+  };
+  let edges = [
+    { id: 'e1', source_node_id: 'schema', target_node_id: 'api', dependency_type: 'blocks' },
+    { id: 'e2', source_node_id: 'api', target_node_id: 'ui', dependency_type: 'blocks' },
+    { id: 'e3', source_node_id: 'docs', target_node_id: 'api', dependency_type: 'relates_to' },
+  ];
+  let seq = 0;
+  // Detailed reads carry every row's metadata (null when it has none)
+  const tree = (id, details) => ({
+    ...nodes[id],
+    ...(details ? { metadata: nodes[id].metadata ?? null } : {}),
+    parent_id: nodes[id].parent,
+    children: Object.values(nodes).filter((n) => n.parent === id).map((n) => tree(n.id, details)),
+  });
+
+  const api = {
+    axiosInstance: {
+      get: jest.fn().mockResolvedValue({ data: { plan_id: PLAN_ID } }),
+      post: jest.fn().mockImplementation(async (url, body) => {
+        const move = /\/nodes\/([^/]+)\/move$/.exec(url);
+        if (move) {
+          nodes[move[1]].parent = body.parent_id;
+          return { data: {} };
+        }
+        const edge = { id: `e-new-${edges.length + 1}`, ...body };
+        edges.push(edge);
+        return { data: edge };
+      }),
+      delete: jest.fn().mockImplementation(async (url) => {
+        const id = url.split('/').pop();
+        edges = edges.filter((e) => e.id !== id);
+        return { data: {} };
+      }),
+    },
+    plans: { getPlan: jest.fn().mockResolvedValue({ id: PLAN_ID, title: 'Plan' }) },
+    nodes: {
+      getNodes: jest.fn().mockImplementation(async (planId, opts) => [tree('root', opts?.include_details)]),
+      createNode: jest.fn().mockImplementation(async (planId, payload) => {
+        seq += 1;
+        const id = `n${seq}`;
+        nodes[id] = { id, status: 'not_started', ...payload, parent: payload.parent_id };
+        return { id, title: payload.title };
+      }),
+      updateNode: jest.fn().mockImplementation(async (planId, id, payload) => Object.assign(nodes[id], payload)),
+    },
+    dependencies: { listForPlan: jest.fn().mockImplementation(async () => ({ dependencies: edges })) },
+    logs: { addLogEntry: jest.fn().mockResolvedValue({}) },
+    goals: { list: jest.fn().mockResolvedValue([]) },
+  };
+  return { nodes, api, edges: () => edges };
+}
+
+const pairs = (edges) => edges.map((e) => `${e.source_node_id}>${e.target_node_id}:${e.dependency_type}`).sort();
+const loggedOn = (api) => api.logs.addLogEntry.mock.calls.map((c) => c[1]).sort();
+
+beforeEach(() => {
+  setSnapshotStore(new MemorySessionStore());
+});
+
+afterAll(() => {
+  setSnapshotStore(null);
+});
+
+describe('split_task', () => {
+  it('chains the subtasks and hands them the original edges', async () => {
+    const { api, nodes, edges } = backend();
+    const body = parse(await intentions.handlers.split_task({
+      task_id: 'api',
+      subtasks: [{ title: 'Endpoints', estimate: { value: 3, unit: 'points' } }, { title: 'Auth' }],
+      rationale: 'Too big for one claim',
+    }, api));
+
+    expect(body.subtasks).toEqual([{ id: 'n1', title: 'Endpoints' }, { id: 'n2', title: 'Auth' }]);
+    expect(nodes.n1).toEqual(expect.objectContaining({
+      parent: 'build',
+      task_mode: 'implement',
+      metadata: { estimate: { value: 3, unit: 'points' }, split_from: 'api' },
+    }));
+    expect(pairs(edges())).toEqual([
+      'docs>n1:relates_to',
+      'n1>n2:blocks',
+      'n2>ui:blocks',
+      'schema>n1:blocks',
+    ]);
+
+    expect(nodes.api.status).toBe('archived');
+    expect(nodes.api.metadata).toEqual(expect.objectContaining({
+      owner: 'core',
+      split_into: ['n1', 'n2'],
+      archive: expect.objectContaining({ previous_status: 'not_started', reason: 'Too big for one claim' }),
+    }));
+    expect(body.snapshot_id).toEqual(expect.any(String));
+    expect(loggedOn(api)).toEqual(['api', 'docs', 'n1', 'n2', 'schema', 'ui']);
+    expect(body.failures).toEqual([]);
+  });
+
+  it('previews parallel subtasks without writing', async () => {
+    const { api } = backend();
+    const body = parse(await intentions.handlers.split_task({
+      task_id: 'api', subtasks: [{ title: 'A' }, { title: 'B' }], sequential: false, dry_run: true,
+    }, api));
+
+    expect(body.preview.edges_to_add).toEqual([
+      { from: 'schema', to: 'new-1', type: 'blocks' },
+      { from: 'schema', to: 'new-2', type: 'blocks' },
+      { from: 'new-1', to: 'ui', type: 'blocks' },
+      { from: 'new-2', to: 'ui', type: 'blocks' },
+      { from: 'docs', to: 'new-1', type: 'relates_to' },
+    ]);
+    expect(body.preview.edges_to_remove.map((e) => e.id)).toEqual(['e1', 'e2', 'e3']);
+    expect(body.preview.nodes_to_archive).toEqual([expect.objectContaining({ id: 'api' })]);
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+    expect(api.axiosInstance.post).not.toHaveBeenCalled();
+  });
+
+  it('leaves the original alone when a subtask cannot be created', async () => {
+    const { api, nodes, edges } = backend();
+    api.nodes.createNode
+      .mockResolvedValueOnce({ id: 'n1', title: 'A' })
+      .mockRejectedValueOnce(new Error('quota'));
+    const body = parse(await intentions.handlers.split_task({
+      task_id: 'api', subtasks: [{ title: 'A' }, { title: 'B' }],
+    }, api));
+
+    expect(body.partial).toBe(true);
+    expect(nodes.api.status).toBe('not_started');
+    expect(edges()).toHaveLength(3);
+  });
+
+  it('only splits tasks', async () => {
+    const { api } = backend();
+    for (const [id, type] of [['build', 'phase'], ['root', 'root']]) {
+      const res = await intentions.handlers.split_task({ task_id: id, plan_id: PLAN_ID, subtasks: [{ title: 'A' }, { title: 'B' }] }, api);
+      expect(res.isError).toBe(true);
+      expect(res.content[0].text).toMatch(new RegExp(`${id} is a ${type}, not a task`));
+    }
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+  });
+});
+
+describe('merge_tasks', () => {
+  it('moves edges and children to the survivor and archives the duplicate', async () => {
+    const { api, nodes, edges } = backend();
+    // "Frontend" duplicates ui: blocked by api (already on ui) and by schema
+    nodes.frontend = {
+      id: 'frontend', node_type: 'task', title: 'Frontend', status: 'not_started', parent: 'build',
+      metadata: { recurrence: { series_id: 's1' } },
+    };
+    nodes.ui.metadata = { estimate: { value: 3, unit: 'points' } };
+    nodes.mock = { id: 'mock', node_type: 'task', title: 'Mockups', status: 'not_started', parent: 'frontend' };
+    edges().push(
+      { id: 'e4', source_node_id: 'api', target_node_id: 'frontend', dependency_type: 'blocks' },
+      { id: 'e5', source_node_id: 'schema', target_node_id: 'frontend', dependency_type: 'blocks' },
+      { id: 'e6', source_node_id: 'frontend', target_node_id: 'ui', dependency_type: 'blocks' },
+    );
+
+    const body = parse(await intentions.handlers.merge_tasks({
+      into_task_id: 'ui', task_ids: ['frontend'], rationale: 'Same work',
+    }, api));
+
+    // api→ui already existed; frontend→ui would be a self-loop
+    expect(body.edges_added).toEqual([expect.objectContaining({ from: 'schema', to: 'ui', type: 'blocks' })]);
+    expect(body.edges_removed.map((e) => e.dependency_id)).toEqual(['e4', 'e5', 'e6']);
+    expect(pairs(edges())).toEqual([
+      'api>ui:blocks',
+      'docs>api:relates_to',
+      'schema>api:blocks',
+      'schema>ui:blocks',
+    ]);
+
+    expect(nodes.mock.parent).toBe('ui');
+    expect(nodes.frontend.status).toBe('archived');
+    expect(nodes.frontend.metadata).toEqual(expect.objectContaining({ merged_into: 'ui', recurrence: { series_id: 's1' } }));
+    expect(nodes.ui.metadata).toEqual({ estimate: { value: 3, unit: 'points' }, merged_from: ['frontend'] });
+    expect(loggedOn(api)).toEqual(['api', 'frontend', 'schema', 'ui']);
+  });
+
+  it('only merges tasks', async () => {
+    const { api, nodes } = backend();
+    for (const args of [{ into_task_id: 'ui', task_ids: ['launch'] }, { into_task_id: 'build', task_ids: ['ui'] }, { into_task_id: 'ui', task_ids: ['root'] }]) {
+      const res = await intentions.handlers.merge_tasks({ ...args, plan_id: PLAN_ID }, api);
+      expect(res.isError).toBe(true);
+      expect(res.content[0].text).toMatch(/Only tasks can be merged: (launch is a phase|build is a phase|root is a root)/);
+    }
+    expect(api.nodes.updateNode).not.toHaveBeenCalled();
+    expect(nodes.launch.status).toBe('not_started');
+  });
+
+  it('rejects tasks from another plan', async () => {
+    const { api } = backend();
+    const res = await intentions.handlers.merge_tasks({ into_task_id: 'ui', task_ids: ['elsewhere'] }, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/must share a plan/);
+  });
+});
+
+describe('duplicate_subtree', () => {
+  it('clones the subtree with its internal edges', async () => {
+    const { api, nodes, edges } = backend();
+    nodes.old = { id: 'old', node_type: 'task', title: 'Old', status: 'archived', parent: 'build' };
+
+    const body = parse(await intentions.handlers.duplicate_subtree({ node_id: 'build', title: 'Build v2' }, api));
+
+    expect(body.new_node_id).toBe('n1');
+    expect(body.nodes_created).toBe(4);
+    expect(body.id_map).toEqual({ build: 'n1', schema: 'n2', api: 'n3', ui: 'n4' });
+    expect(nodes.n1).toEqual(expect.objectContaining({ title: 'Build v2', parent: 'root', node_type: 'phase' }));
+    expect(nodes.n3).toEqual(expect.objectContaining({
+      parent: 'n1', task_mode: 'implement', status: 'not_started', metadata: { duplicated_from: 'api' },
+    }));
+
+    // docs→api crosses the subtree boundary, so it isn't copied
+    expect(pairs(edges()).filter((e) => e.startsWith('n'))).toEqual(['n2>n3:blocks', 'n3>n4:blocks']);
+    expect(loggedOn(api)).toEqual(['build', 'n1', 'n2', 'n3', 'n4']);
+  });
+
+  it('refuses to copy the plan root', async () => {
+    const { api } = backend();
+    const res = await intentions.handlers.duplicate_subtree({ node_id: 'root', plan_id: PLAN_ID }, api);
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/Cannot duplicate the plan root/);
+    expect(api.nodes.createNode).not.toHaveBeenCalled();
+  });
+});
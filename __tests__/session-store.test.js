@@ -0,0 +1,148 @@
+/**
+ * Session stores + SessionManager persistence (HTTP transport).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager } = require('../src/session-manager');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../src/session-store');
+
+let dir;
+const managers = [];
+
+function manager(options) {
+  const m = new SessionManager(options);
+  managers.push(m);
+  return m;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-sessions-'));
+});
+
+afterEach(async () => {
+  for (const m of managers.splice(0)) await m.destroy();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.error.mockRestore();
+});
+
+describe('createSessionStore', () => {
+  it('defaults to the in-memory store', () => {
+    expect(createSessionStore()).toBeInstanceOf(MemorySessionStore);
+  });
+
+  it('builds a file store', () => {
+    expect(createSessionStore({ type: 'file', dir })).toBeInstanceOf(FileSessionStore);
+  });
+
+  it('rejects unknown store types', () => {
+    expect(() => createSessionStore({ type: 'redis' })).toThrow(/Unknown session store/);
+  });
+});
+
+describe('SessionManager with a file store', () => {
+  it('keeps initialization state, capabilities, client label and agent id across restarts', async () => {
+    const first = manager({ store: new FileSessionStore({ dir }) });
+    const id = await first.createSession();
+    await first.initializeSession(id, { roots: {} }, { clientLabel: 'claude-desktop', agentId: 'agent-7' });
+    first.setApiClient(id, { token: 'x' });
+    await first.destroy();
+
+    const second = manager({ store: new FileSessionStore({ dir }) });
+    const session = await second.getSession(id);
+
+    expect(session).toMatchObject({
+      id,
+      initialized: true,
+      clientCapabilities: { roots: {} },
+      clientLabel: 'claude-desktop',
+      agentId: 'agent-7',
+    });
+    expect(await second.isInitialized(id)).toBe(true);
+    // The API client is per process — the new replica rebuilds it
+    expect(second.getApiClient(id)).toBeNull();
+  });
+
+  it('two managers sharing a directory see each other\'s sessions', async () => {
+    const a = manager({ store: new FileSessionStore({ dir }) });
+    const b = manager({ store: new FileSessionStore({ dir }) });
+    const id = await a.createSession();
+
+    expect(await b.getSession(id)).toMatchObject({ id });
+    expect(await b.deleteSession(id)).toBe(true);
+    expect(await a.getSession(id)).toBeNull();
+  });
+
+  it('survives concurrent writes of one session', async () => {
+    const store = new FileSessionStore({ dir });
+    const writes = Array.from({ length: 10 }, (_, i) => store.set({ id: 'busy', lastActivityAt: i }));
+
+    await expect(Promise.all(writes)).resolves.toBeDefined();
+    expect(await store.get('busy')).toMatchObject({ id: 'busy' });
+    expect(fs.readdirSync(dir)).toEqual(['busy.json']);
+  });
+
+  it('never resolves a session id outside the store directory', async () => {
+    const m = manager({ store: new FileSessionStore({ dir }) });
+    fs.writeFileSync(path.join(os.tmpdir(), 'escape.json'), '{"id":"escape"}');
+
+    expect(await m.getSession('../escape')).toBeNull();
+    expect(await m.deleteSession('../escape')).toBe(false);
+    fs.rmSync(path.join(os.tmpdir(), 'escape.json'), { force: true });
+  });
+});
+
+describe('SessionManager timeout and cleanup', () => {
+  it('expires idle sessions and closes their subscriptions', async () => {
+    const m = manager({ store: new MemorySessionStore(), sessionTimeout: 1000 });
+    const id = await m.createSession();
+    const close = jest.fn();
+    m.setResourceSubscriptions(id, { close });
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    await m.cleanupExpiredSessions();
+    spy.mockRestore();
+
+    expect(close).toHaveBeenCalled();
+    expect(await m.getSession(id)).toBeNull();
+    expect((await m.getStats()).total).toBe(0);
+  });
+
+  it('treats an expired session as missing even before cleanup runs', async () => {
+    const store = new FileSessionStore({ dir });
+    const m = manager({ store, sessionTimeout: 1000 });
+    const id = await m.createSession();
+    await store.set({ ...(await store.get(id)), lastActivityAt: Date.now() - 5000 });
+
+    expect(await m.getSession(id)).toBeNull();
+    expect(await store.get(id)).toBeNull();
+  });
+
+  it('getSession refreshes last activity in the store', async () => {
+    const store = new MemorySessionStore();
+    const m = manager({ store, sessionTimeout: 1000 });
+    const id = await m.createSession();
+    await store.set({ ...(await store.get(id)), lastActivityAt: Date.now() - 900 });
+
+    await m.getSession(id);
+
+    expect(Date.now() - (await store.get(id)).lastActivityAt).toBeLessThan(100);
+  });
+
+  it('releases local state for sessions another replica removed', async () => {
+    const store = new FileSessionStore({ dir });
+    const m = manager({ store });
+    const id = await m.createSession();
+    const close = jest.fn();
+    m.setResourceSubscriptions(id, { close });
+
+    await store.delete(id);
+    await m.cleanupExpiredSessions();
+
+    expect(close).toHaveBeenCalled();
+    expect(m.getResourceSubscriptions(id)).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * update_task batch form — tasks: [...] transitions many tasks in one call,
+ * resolving each plan once and reporting applied/failures per task.
+ */
+const intentions = require('../src/tools/bdi/intentions');
+
+function parse(res) {
+  return JSON.parse(res.content[0].text);
+}
+
+// No v1 facade → legacy fan-out. Tasks a1/a2/a3 live in plan-a, b1 in plan-b.
+function legacyClient() {
+  const plans = { a1: 'plan-a', a2: 'plan-a', a3: 'plan-a', b1: 'plan-b' };
+  return {
+    axiosInstance: {
+      get: jest.fn().mockImplementation(async (url) => {
+        const id = url.split('/').pop();
+        if (!plans[id]) throw new Error('Request failed with status code 404');
+        return { data: { plan_id: plans[id] } };
+      }),
+      delete: jest.fn().mockResolvedValue({}),
+    },
+    nodes: {
+      getNodes: jest.fn().mockImplementation(async (planId) => [{
+        id: `root-${planId}`,
+        node_type: 'root',
+        children: Object.keys(plans).filter((id) => plans[id] === planId).map((id) => ({ id, children: [] })),
+      }]),
+      updateNode: jest.fn().mockResolvedValue({}),
+    },
+    logs: { addLogEntry: jest.fn().mockResolvedValue({ id: 'log-1' }) },
+    graphiti: { addEpisode: jest.fn().mockResolvedValue({}) },
+  };
+}
+
+describe('update_task — batch form', () => {
+  it('advertises tasks in the schema and no longer requires task_id', () => {
+    const def = intentions.definitions.find((d) => d.name === 'update_task');
+    expect(def.inputSchema.properties.tasks.items.required).toEqual(['task_id']);
+    expect(def.inputSchema.required).toBeUndefined();
+  });
+
+  it('applies top-level defaults and resolves each plan only once', async () => {
+    const client = legacyClient();
+    const body = parse(await intentions.handlers.update_task({
+      status: 'completed',
+      tasks: [
+        { task_id: 'a1', log_message: 'done' },
+        { task_id: 'a2' },
+        { task_id: 'b1', status: 'blocked', add_learning: 'vendor SDK lacks retries' },
+        { task_id: 'a3' },
+      ],
+    }, client));
+
+    // One node lookup per plan (a1 → plan-a covers a2/a3; b1 → plan-b)
+    expect(client.axiosInstance.get.mock.calls.map((c) => c[0])).toEqual(['/nodes/a1', '/nodes/b1']);
+    expect(client.nodes.updateNode.mock.calls.map((c) => [c[0], c[1], c[2].status])).toEqual([
+      ['plan-a', 'a1', 'completed'],
+      ['plan-a', 'a2', 'completed'],
+      ['plan-b', 'b1', 'blocked'],
+      ['plan-a', 'a3', 'completed'],
+    ]);
+    expect(client.axiosInstance.delete).toHaveBeenCalledTimes(4);
+    expect(client.graphiti.addEpisode).toHaveBeenCalledWith(expect.objectContaining({ node_id: 'b1', plan_id: 'plan-b' }));
+
+    expect(body.batch).toBe(true);
+    expect(body.summary).toEqual({ total: 4, succeeded: 4, partial: 0, failed: 0 });
+    expect(body.results[0]).toEqual(expect.objectContaining({
+      task_id: 'a1',
+      plan_id: 'plan-a',
+      applied: { status_changed: true, log_added: true, claim_released: true, learning_recorded: false },
+      failures: [],
+    }));
+  });
+
+  it('skips plan lookups entirely when plan_id is given', async () => {
+    const client = legacyClient();
+    await intentions.handlers.update_task({
+      plan_id: 'plan-a',
+      status: 'in_progress',
+      tasks: [{ task_id: 'a1' }, { task_id: 'a2' }],
+    }, client);
+
+    expect(client.axiosInstance.get).not.toHaveBeenCalled();
+    // The only tree read is the automatic snapshot taken before the batch writes
+    expect(client.nodes.getNodes.mock.calls).toEqual([['plan-a']]);
+  });
+
+  it('reports per-task failures without stopping the batch', async () => {
+    const client = legacyClient();
+    client.nodes.updateNode.mockImplementation(async (planId, taskId) => {
+      if (taskId === 'a2') throw new Error('Invalid status transition');
+    });
+
+    const body = parse(await intentions.handlers.update_task({
+      status: 'completed',
+      tasks: [{ task_id: 'ghost' }, { task_id: 'a2' }, { task_id: 'a1' }],
+    }, client));
+
+    expect(body.summary).toEqual({ total: 3, succeeded: 1, partial: 1, failed: 1 });
+    expect(body.results[0].failures[0]).toEqual(expect.objectContaining({ step: 'resolve_plan' }));
+    expect(body.results[1].failures).toEqual([{ step: 'update_status', error: 'Invalid status transition' }]);
+    expect(body.results[1].applied.claim_released).toBe(true);
+    expect(body.results[2].applied.status_changed).toBe(true);
+  });
+
+  it('uses the v1 facade per task when available', async () => {
+    const updateTask = jest.fn().mockImplementation(async (taskId) => ({
+      task_id: taskId,
+      applied: { status_changed: true, log_added: false, claim_released: true, learning_recorded: false },
+      failures: [],
+    }));
+    const body = parse(await intentions.handlers.update_task(
+      { status: 'completed', tasks: [{ task_id: 'a1' }, { task_id: 'a2' }] },
+      { v1: { updateTask } },
+    ));
+
+    expect(updateTask).toHaveBeenCalledWith('a1', expect.objectContaining({ status: 'completed' }));
+    expect(body.summary.succeeded).toBe(2);
+  });
+
+  it('rejects malformed batches', async () => {
+    const client = legacyClient();
+    for (const args of [
+      { tasks: [] },
+      { tasks: [{ status: 'completed' }] },
+      { task_id: 'a1', tasks: [{ task_id: 'a2' }] },
+      { tasks: [{ task_id: 'a1', session_id: 's1' }] },
+    ]) {
+      const res = await intentions.handlers.update_task(args, client);
+      expect(res.isError).toBe(true);
+    }
+    expect(client.nodes.updateNode).not.toHaveBeenCalled();
+  });
+});
@@ -91,6 +91,6 @@ describe('add_learning — entry_type persisted in metadata', () => {
       { graphiti: { addEpisode } },
     );
     const body = addEpisode.mock.calls[0][0];
-    expect(body.metadata).toEqual({ entry_type: 'decision', source_description: 'spike' });
+    expect(body.metadata).toEqual({ entry_type: 'decision', source_description: 'spike', agent_id: 'mcp-agent' });
   });
 });
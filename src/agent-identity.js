@@ -0,0 +1,44 @@
+/**
+ * Agent identity — who is claiming tasks, writing logs, recording learnings
+ * and queueing decisions.
+ *
+ * Several agents sharing one plan (and one user token) are only told apart by
+ * the agent_id they send. Resolution order, most specific first:
+ *   1. per-call `agent_id` tool argument
+ *   2. the API client's `agentId` (HTTP mode: the session's X-Agent-Id header)
+ *   3. AGENT_PLANNER_AGENT_ID env var
+ *   4. DEFAULT_AGENT_ID
+ */
+
+const DEFAULT_AGENT_ID = 'mcp-agent';
+const AGENT_ID_ENV = 'AGENT_PLANNER_AGENT_ID';
+
+/** The process-wide agent id: env var, else the built-in default. */
+function defaultAgentId() {
+  return (process.env[AGENT_ID_ENV] || '').trim() || DEFAULT_AGENT_ID;
+}
+
+/**
+ * Resolve the agent id for one tool call.
+ * @param {Object} [args] - Tool arguments (may carry agent_id)
+ * @param {Object} [apiClient] - API client (may carry a session agentId)
+ * @returns {string}
+ */
+function resolveAgentId(args, apiClient) {
+  const explicit = typeof args?.agent_id === 'string' ? args.agent_id.trim() : '';
+  return explicit || apiClient?.agentId || defaultAgentId();
+}
+
+/** Shared inputSchema fragment for tools that accept a per-call identity. */
+const agentIdProperty = {
+  type: 'string',
+  description: `Agent identity for this call (claims, logs, learnings, decisions). Defaults to the session/${AGENT_ID_ENV} identity.`,
+};
+
+module.exports = {
+  DEFAULT_AGENT_ID,
+  AGENT_ID_ENV,
+  defaultAgentId,
+  resolveAgentId,
+  agentIdProperty,
+};
@@ -2,6 +2,7 @@
  * Client for interacting with the Planning System API
  */
 const axios = require('axios');
+const { defaultAgentId } = require('./agent-identity');
 require('dotenv').config();
 
 // Get token from environment
@@ -227,12 +228,12 @@ const nodes = {
     await apiClient.delete(`/plans/${planId}/nodes/${nodeId}`);
   },
 
-  claimTask: async (planId, nodeId, agentId = 'mcp-agent', ttlMinutes = 30) => {
+  claimTask: async (planId, nodeId, agentId = defaultAgentId(), ttlMinutes = 30) => {
     const response = await apiClient.post(`/plans/${planId}/nodes/${nodeId}/claim`, { agent_id: agentId, ttl_minutes: ttlMinutes });
     return response.data;
   },
 
-  releaseTask: async (planId, nodeId, agentId = 'mcp-agent') => {
+  releaseTask: async (planId, nodeId, agentId = defaultAgentId()) => {
     const response = await apiClient.delete(`/plans/${planId}/nodes/${nodeId}/claim`, { data: { agent_id: agentId } });
     return response.data;
   },
@@ -842,6 +843,15 @@ const dependencies = {
     return response.data;
   },
 
+  /**
+   * List the dependency edges within a plan
+   * GET /plans/:id/dependencies
+   */
+  listForPlan: async (planId) => {
+    const response = await apiClient.get(`/plans/${planId}/dependencies`);
+    return response.data;
+  },
+
   /**
    * Create an external dependency node (and optionally a blocking edge)
    * POST /dependencies/external
@@ -856,6 +866,7 @@ const dependencies = {
  * Create an API client bound to a specific token.
  * Used by the HTTP MCP server to create per-session clients.
  * @param {string} token - API token or JWT
+ * @param {Object} [options] - { apiUrl, clientLabel, agentId }
  * @returns {Object} - API client modules (plans, nodes, etc.)
  */
 function createApiClient(token, options = {}) {
@@ -895,8 +906,13 @@ function createApiClient(token, options = {}) {
     }
   );
 
+  // options.agentId identifies this session's agent (e.g. the X-Agent-Id
+  // header); tools resolve it via agent-identity.resolveAgentId.
+  const sessionAgentId = options.agentId || defaultAgentId();
+
   // Build the same module structure using the per-session client
   return {
+    agentId: options.agentId || null,
     plans: {
       getPlans: async () => (await client.get('/plans')).data,
       getPlan: async (planId) => (await client.get(`/plans/${planId}`)).data,
@@ -918,8 +934,8 @@ function createApiClient(token, options = {}) {
       updateNode: async (planId, nodeId, nodeData) => (await client.put(`/plans/${planId}/nodes/${nodeId}`, nodeData)).data,
       updateNodeStatus: async (planId, nodeId, status) => (await client.put(`/plans/${planId}/nodes/${nodeId}/status`, { status })).data,
       deleteNode: async (planId, nodeId) => await client.delete(`/plans/${planId}/nodes/${nodeId}`),
-      claimTask: async (planId, nodeId, agentId = 'mcp-agent', ttlMinutes = 30) => (await client.post(`/plans/${planId}/nodes/${nodeId}/claim`, { agent_id: agentId, ttl_minutes: ttlMinutes })).data,
-      releaseTask: async (planId, nodeId, agentId = 'mcp-agent') => (await client.delete(`/plans/${planId}/nodes/${nodeId}/claim`, { data: { agent_id: agentId } })).data,
+      claimTask: async (planId, nodeId, agentId = sessionAgentId, ttlMinutes = 30) => (await client.post(`/plans/${planId}/nodes/${nodeId}/claim`, { agent_id: agentId, ttl_minutes: ttlMinutes })).data,
+      releaseTask: async (planId, nodeId, agentId = sessionAgentId) => (await client.delete(`/plans/${planId}/nodes/${nodeId}/claim`, { data: { agent_id: agentId } })).data,
       getTaskClaim: async (planId, nodeId) => (await client.get(`/plans/${planId}/nodes/${nodeId}/claim`)).data,
       suggestNextTasks: async (planId, limit = 5) => {
         const params = new URLSearchParams({ plan_id: planId, limit: String(limit) });
@@ -1028,6 +1044,7 @@ function createApiClient(token, options = {}) {
     dependencies: {
       createCrossPlan: async (data) => (await client.post('/dependencies/cross-plan', data)).data,
       listCrossPlan: async (planIds) => (await client.get('/dependencies/cross-plan', { params: { plan_ids: planIds.join(',') } })).data,
+      listForPlan: async (planId) => (await client.get(`/plans/${planId}/dependencies`)).data,
       createExternal: async (data) => (await client.post('/dependencies/external', data)).data,
     },
     v1: {
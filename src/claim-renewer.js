@@ -0,0 +1,183 @@
+/**
+ * Claim renewal — keeps task claims alive past their TTL.
+ *
+ * Claims expire after ttl_minutes (default 30); long implement-mode tasks
+ * outlive that and get picked up by another agent. `renewClaim` extends a
+ * claim held by the same agent id (or re-takes an expired one) and refuses
+ * when another agent holds it. It backs the renew_claim tool, the CLI
+ * `heartbeat` command and the opt-in ClaimRenewer below.
+ *
+ * ClaimRenewer (stdio only, MCP_CLAIM_AUTO_RENEW=true) tracks claims made by
+ * claim_next_task in this process and renews each at half its TTL until
+ * update_task / release_task releases it.
+ */
+
+const DEFAULT_TTL_MINUTES = 30;
+const DEFAULT_TICK_MS = 60 * 1000;
+
+/**
+ * Read the current claim on a task.
+ * @returns {Promise<Object|null>} claim ({agent_id, expires_at, ...}) or null when unclaimed
+ */
+async function getActiveClaim(apiClient, planId, taskId) {
+  let data;
+  try {
+    data = await apiClient.nodes.getTaskClaim(planId, taskId);
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+  const claim = data && Object.prototype.hasOwnProperty.call(data, 'claim') ? data.claim : data;
+  if (!claim || !claim.agent_id) return null;
+  if (claim.expires_at && new Date(claim.expires_at).getTime() <= Date.now()) return null;
+  return claim;
+}
+
+/**
+ * Extend the claim on a task for `agentId`.
+ *
+ * @param {Object} apiClient
+ * @param {Object} params - { planId, taskId, agentId, ttlMinutes }
+ * @returns {Promise<{expires_at: string|null, reacquired: boolean}>} reacquired is
+ *   true when no live claim existed and the task was claimed afresh
+ * @throws {Error} with code 'claim_collision' (and holder) when another agent holds the claim
+ */
+async function renewClaim(apiClient, { planId, taskId, agentId, ttlMinutes = DEFAULT_TTL_MINUTES }) {
+  const current = await getActiveClaim(apiClient, planId, taskId);
+  if (current && current.agent_id !== agentId) {
+    const err = new Error(`Task ${taskId} is claimed by ${current.agent_id}`);
+    err.code = 'claim_collision';
+    err.holder = current.agent_id;
+    err.expires_at = current.expires_at || null;
+    throw err;
+  }
+  const claim = await apiClient.nodes.claimTask(planId, taskId, agentId, ttlMinutes);
+  return {
+    expires_at: claim?.expires_at || claim?.claim?.expires_at || null,
+    reacquired: !current,
+  };
+}
+
+/**
+ * Background renewer for the claims this process holds.
+ */
+class ClaimRenewer {
+  constructor({ apiClient, tickMs } = {}) {
+    this.apiClient = apiClient;
+    this.tickMs = tickMs
+      || Number(process.env.MCP_CLAIM_RENEW_INTERVAL_MS)
+      || DEFAULT_TICK_MS;
+
+    // taskId -> { planId, agentId, ttlMinutes, renewAt }
+    this.claims = new Map();
+    this.timer = null;
+    this.renewing = false;
+  }
+
+  /**
+   * Start keeping a claim alive. Re-tracking a task resets its schedule.
+   */
+  track({ planId, taskId, agentId, ttlMinutes = DEFAULT_TTL_MINUTES }) {
+    if (!planId || !taskId) return;
+    this.claims.set(taskId, { planId, agentId, ttlMinutes, renewAt: this.nextRenewal(ttlMinutes) });
+    this.start();
+  }
+
+  /** Stop renewing a claim (it was released). */
+  untrack(taskId) {
+    this.claims.delete(taskId);
+    if (this.claims.size === 0) this.stop();
+  }
+
+  nextRenewal(ttlMinutes) {
+    return Date.now() + (ttlMinutes * 60 * 1000) / 2;
+  }
+
+  /**
+   * Renew every tracked claim that is due. A claim lost to another agent is
+   * dropped; transient failures are retried on the next tick.
+   * @param {Object} [options] - { force: renew regardless of schedule }
+   * @returns {Promise<string[]>} task ids renewed
+   */
+  async renewDue({ force = false } = {}) {
+    if (this.renewing) return [];
+    this.renewing = true;
+    const renewed = [];
+    try {
+      for (const [taskId, entry] of [...this.claims.entries()]) {
+        if (!force && entry.renewAt > Date.now()) continue;
+        try {
+          await renewClaim(this.apiClient, { ...entry, taskId });
+          if (!this.claims.has(taskId)) continue;
+          entry.renewAt = this.nextRenewal(entry.ttlMinutes);
+          renewed.push(taskId);
+        } catch (err) {
+          if (err.code === 'claim_collision') {
+            console.error(`Claim renewal: ${err.message}; no longer renewing`);
+            this.untrack(taskId);
+          } else {
+            console.error(`Claim renewal failed for ${taskId}:`, err.message || err);
+          }
+        }
+      }
+    } finally {
+      this.renewing = false;
+    }
+    return renewed;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.renewDue();
+    }, this.tickMs);
+
+    // Prevent the timer from keeping the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list() {
+    return [...this.claims.keys()];
+  }
+}
+
+// The process-wide renewer, installed by the stdio server when
+// MCP_CLAIM_AUTO_RENEW is on. Handlers report claims through trackClaim /
+// untrackClaim, which are no-ops otherwise (HTTP mode, tests).
+let activeRenewer = null;
+
+function setActiveRenewer(renewer) {
+  if (activeRenewer && activeRenewer !== renewer) activeRenewer.stop();
+  activeRenewer = renewer || null;
+}
+
+function trackClaim(claim) {
+  if (activeRenewer) activeRenewer.track(claim);
+}
+
+function untrackClaim(taskId) {
+  if (activeRenewer) activeRenewer.untrack(taskId);
+}
+
+/** True when MCP_CLAIM_AUTO_RENEW opts the stdio server into renewal. */
+function autoRenewEnabled() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.MCP_CLAIM_AUTO_RENEW || '').toLowerCase());
+}
+
+module.exports = {
+  DEFAULT_TTL_MINUTES,
+  getActiveClaim,
+  renewClaim,
+  ClaimRenewer,
+  setActiveRenewer,
+  trackClaim,
+  untrackClaim,
+  autoRenewEnabled,
+};
@@ -6,11 +6,14 @@
  * a thin local-client loop for login/context/status writeback.
  */
 
-const { getMyTasks, getNextTask, materializeContext, login, parseArgs, updateStatus } = require('./cli/local-client');
+const {
+  exportKnowledge, exportPlan, getMyTasks, getNextTask, heartbeat, importKnowledge, importPlan, materializeContext, login, parseArgs,
+  syncJournal, updateStatus,
+} = require('./cli/local-client');
 
 const args = process.argv.slice(2);
 const command = args[0];
-const { options } = parseArgs(args.slice(1));
+const { positional, options } = parseArgs(args.slice(1));
 
 function printHelp() {
   console.log(`
@@ -20,19 +23,28 @@ Usage:
   npx agent-planner-mcp                          Start MCP server (requires USER_API_TOKEN)
   npx agent-planner-mcp setup-claude-code       Install orchestration commands to .claude/
   npx agent-planner-mcp setup                   Interactive setup wizard
-  npx agent-planner-mcp login --token <token> [--api-url <url>] [--plan-id <id>]
+  npx agent-planner-mcp login --token <token> [--api-url <url>] [--plan-id <id>] [--agent-id <id>]
   npx agent-planner-mcp tasks [--plan-id <id>]
   npx agent-planner-mcp next [--plan-id <id>] [--fresh]
   npx agent-planner-mcp context --plan-id <id> [--node-id <id>] [--dir <path>]
   npx agent-planner-mcp start [--plan-id <id>] [--node-id <id>]
   npx agent-planner-mcp blocked [--plan-id <id>] [--node-id <id>] [--message "..."]
   npx agent-planner-mcp done [--plan-id <id>] [--node-id <id>] [--message "..."]
+  npx agent-planner-mcp heartbeat [--plan-id <id>] [--node-id <id>] [--ttl <minutes>]
+  npx agent-planner-mcp sync [--force] [--clear]
+  npx agent-planner-mcp export [--plan-id <id>] [--format markdown|json|mermaid] [--diagram flowchart|gantt] [--out <file>]
+  npx agent-planner-mcp import <file> --goal-id <id> [--title "..."] [--format markdown|yaml|json] [--status draft] [--dry-run]
+  npx agent-planner-mcp knowledge export [--plan-id <id> | --goal-id <id> | --node-id <id>] [--since <date>] [--until <date>]
+                                         [--entry-type <type>] [--include-superseded] [--out <file.jsonl>]
+  npx agent-planner-mcp knowledge import <file.jsonl> [--remap old=new,...] [--remap-file <map.json>] [--keep-unmapped | --drop-unmapped] [--dry-run]
   npx agent-planner-mcp --help
 
 Commands:
   login    Authenticate and store credentials. If --plan-id is passed it is
            saved as the default plan. If exactly one plan is accessible, it is
-           auto-selected as the default.
+           auto-selected as the default. --agent-id stores the identity
+           used for claims and learnings (default: ap-cli); any command also
+           accepts --agent-id for a one-off override.
   tasks    Queue view: list tasks assigned to you (uses /users/my-tasks).
            Filters by --plan-id or falls back to the stored default plan.
   next     Smart picker. Resolution order: (1) resume any in_progress task
@@ -52,11 +64,49 @@ Commands:
   done     Mark the current task as completed and release the claim. Optional
            --message is logged as progress AND written to the temporal
            knowledge graph as a learning episode.
+  heartbeat
+           Extend the claim on the current task (default 30 minutes from now).
+           Fails if another agent holds it; re-takes an expired claim. Run it
+           periodically during long work so the task isn't picked up by
+           someone else.
+  sync     Replay writebacks queued while the API was unreachable, in order,
+           and list journal entries as queued, applied or conflict. An entry
+           conflicts when the task's server status changed since it was
+           queued, or its journal line can't be read; --force applies
+           conflicted entries anyway, --clear forgets applied and conflicted
+           entries.
+  export   Render the plan's tree, statuses, acceptance criteria and blocks
+           edges as a GitHub Markdown checklist (default), JSON, or a Mermaid
+           flowchart / gantt (--format mermaid --diagram gantt). Prints to
+           stdout unless --out is given.
+  import   Create a plan from a Markdown outline, YAML or JSON file (format
+           from the extension, or --format). Headings become phases, list
+           items tasks; "Blocked by:" sub-bullets and depends_on become blocks
+           edges. Goes through form_intention, so its warnings apply.
+           --dry-run prints the parsed tree without creating anything.
+  knowledge export
+           Dump knowledge episodes (entry_type, plan/goal/node scope,
+           timestamps) as JSONL, oldest first — to move learnings to another
+           instance or keep them under version control. Prints to stdout
+           unless --out is given.
+  knowledge import
+           Replay an export through the knowledge graph. --remap (or a JSON
+           --remap-file) maps the source instance's plan/goal/node ids to
+           this one's. An id it doesn't map stops the import unless
+           --keep-unmapped keeps it or --drop-unmapped drops it. Episodes
+           whose content is already there are skipped. --dry-run reports
+           what would be written.
+
+Offline mode:
+  When the API can't be reached, start/blocked/done are written to
+  .agentplanner/journal.jsonl instead of failing. They are replayed by the
+  next writeback or by \`sync\`.
 
 Environment Variables:
   API_URL          - Agent Planner API URL (default: http://localhost:3000)
   USER_API_TOKEN   - API token from Agent Planner UI (required for server)
   MCP_SERVER_NAME  - Server name (default: planning-system-mcp)
+  AGENT_PLANNER_AGENT_ID - Agent identity for claims, logs and learnings
   NODE_ENV         - Environment (development/production)
 
 Documentation:
@@ -128,6 +178,17 @@ async function main() {
     case 'blocked':
     case 'done': {
       const result = await updateStatus(command, options);
+      if (result.replay.applied.length) {
+        console.log(`Replayed ${result.replay.applied.length} queued writeback(s).`);
+      }
+      if (result.replay.conflicts.length) {
+        console.log(`${result.replay.conflicts.length} queued writeback(s) conflicted. Run \`agent-planner-mcp sync\` to review.`);
+      }
+      if (result.queued) {
+        console.log(`API unreachable — queued ${command} for ${result.nodeId} (${result.pending} pending).`);
+        console.log('Run `agent-planner-mcp sync` when you are back online.');
+        return;
+      }
       console.log(`Updated ${result.nodeId} to ${result.status}`);
       if (result.logged) console.log('Added log entry.');
       if (result.claimed) console.log('Claimed task.');
@@ -136,6 +197,84 @@ async function main() {
       return;
     }
 
+    case 'heartbeat': {
+      const result = await heartbeat(options);
+      const until = result.expiresAt ? ` until ${result.expiresAt}` : ` for ${result.ttlMinutes} minutes`;
+      console.log(`${result.reacquired ? 'Re-claimed' : 'Renewed claim on'} ${result.nodeId} as ${result.agentId}${until}`);
+      return;
+    }
+
+    case 'sync': {
+      const result = await syncJournal(options);
+      if (result.offline) {
+        console.log('API still unreachable.');
+      }
+      console.log(`Journal: ${result.journalPath}`);
+      console.log(`Replayed ${result.replayed.length}, ${result.queued.length} queued, ${result.conflicts.length} conflicted.`);
+      const rows = [
+        ...result.queued.map((e) => ['queued', e]),
+        ...result.conflicts.map((e) => ['conflict', e]),
+        ...result.applied.map((e) => ['applied', e]),
+      ];
+      for (const [state, e] of rows) {
+        const when = e.appliedAt || e.conflictAt || e.queuedAt;
+        const note = e.conflict ? ` — ${e.conflict}` : '';
+        const change = e.raw === undefined ? `${e.command} ${e.nodeId} → ${e.status}` : JSON.stringify(e.raw);
+        console.log(`  [${state}] ${change} (${when})${note}`);
+      }
+      return;
+    }
+
+    case 'export': {
+      const result = await exportPlan(options);
+      for (const warning of result.warnings) console.error(`Warning: ${warning}`);
+      if (result.outPath) {
+        console.log(`Wrote ${result.format} export of ${result.planId} to ${result.outPath}`);
+      } else {
+        process.stdout.write(result.content);
+      }
+      return;
+    }
+
+    case 'import': {
+      const result = await importPlan(positional[0], options);
+      if (result.dry_run) {
+        console.log(JSON.stringify({ title: result.title, tree: result.tree }, null, 2));
+        console.log(`Parsed ${result.import.nodes_parsed} node(s) from ${result.import.format}; nothing created (--dry-run).`);
+      } else {
+        console.log(`Created plan ${result.plan_id} with ${result.nodes_created} node(s) and ${result.structure?.dependency_edges ?? 0} dependency edge(s).`);
+        if (result.url) console.log(result.url);
+        if (result.warning) console.log(`Warning: ${result.warning}`);
+      }
+      for (const warning of result.import.parse_warnings || []) console.error(`Warning: ${warning}`);
+      return;
+    }
+
+    case 'knowledge': {
+      const [sub, file] = positional;
+      if (sub === 'export') {
+        const result = await exportKnowledge(options);
+        for (const warning of result.warnings) console.error(`Warning: ${warning}`);
+        if (result.outPath) {
+          console.log(`Wrote ${result.count} episode(s) to ${result.outPath}`);
+        } else {
+          process.stdout.write(result.content);
+        }
+        return;
+      }
+      if (sub === 'import') {
+        const result = await importKnowledge(file, options);
+        const verb = result.dry_run ? 'Would import' : 'Imported';
+        console.log(`${verb} ${result.summary.imported} episode(s); ${result.summary.duplicates} duplicate(s) skipped, ${result.summary.failed} failed.`);
+        for (const f of result.failures) console.error(`  line ${f.line}: ${f.error}`);
+        for (const warning of result.warnings || []) console.error(`Warning: ${warning}`);
+        return;
+      }
+      console.error('Usage: agent-planner-mcp knowledge export|import ...');
+      process.exit(1);
+      return;
+    }
+
     case '--help':
     case '-h':
     case 'help':
@@ -48,6 +48,14 @@ function resolveApiConfig(overrides = {}) {
   };
 }
 
+// Agent identity for claims, logs and learnings: --agent-id, then the
+// AGENT_PLANNER_AGENT_ID env var, then the stored config. null when unset so
+// callers apply their own default.
+function resolveAgentId(overrides = {}) {
+  const config = readConfig();
+  return overrides.agentId || process.env.AGENT_PLANNER_AGENT_ID || config.agentId || null;
+}
+
 function mergeConfig(partial) {
   const existing = readConfig();
   return writeConfig({ ...existing, ...partial, updatedAt: new Date().toISOString() });
@@ -61,4 +69,5 @@ module.exports = {
   writeConfig,
   mergeConfig,
   resolveApiConfig,
+  resolveAgentId,
 };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { ensureDir } = require('./config');
+
+// Write-ahead journal for CLI writebacks made while the API is unreachable.
+// One JSON entry per line in .agentplanner/journal.jsonl, replayed in order by
+// `sync` (and before the next writeback). Entries move queued → applied or
+// queued → conflict; the most recent applied entries are kept for reporting.
+// A line that doesn't parse (e.g. cut short by a crash mid-append) is kept as
+// a conflict holding the raw text, so it can't block the entries after it.
+
+const JOURNAL_FILE = 'journal.jsonl';
+const KEEP_APPLIED = 50;
+
+// Network-level failures: the request never got an HTTP response.
+const OFFLINE_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_NETWORK',
+]);
+
+function isOfflineError(err) {
+  if (!err || err.response) return false;
+  return OFFLINE_CODES.has(err.code) || Boolean(err.request);
+}
+
+function getJournalPath(baseDir = process.cwd()) {
+  return path.join(baseDir, '.agentplanner', JOURNAL_FILE);
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return {
+      id: randomUUID(),
+      state: 'conflict',
+      raw: line,
+      conflict: `Unreadable journal line: ${err.message}`,
+      conflictAt: new Date().toISOString(),
+    };
+  }
+}
+
+function readJournal(baseDir = process.cwd()) {
+  const journalPath = getJournalPath(baseDir);
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(journalPath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map(parseLine);
+}
+
+function writeJournal(entries, baseDir = process.cwd()) {
+  const journalPath = getJournalPath(baseDir);
+  const applied = entries.filter((entry) => entry.state === 'applied');
+  const dropped = new Set(applied.slice(0, Math.max(0, applied.length - KEEP_APPLIED)));
+  const kept = entries.filter((entry) => !dropped.has(entry));
+
+  ensureDir(path.dirname(journalPath));
+  const tmpPath = `${journalPath}.tmp`;
+  fs.writeFileSync(tmpPath, kept.map((entry) => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+  fs.renameSync(tmpPath, journalPath);
+  return kept;
+}
+
+function pendingEntries(entries) {
+  return entries.filter((entry) => entry.state === 'queued');
+}
+
+/**
+ * Queue a writeback. baseStatus is the status the task had when the change
+ * was made locally — the previous pending entry's target for the same task,
+ * else the caller's last known status — and is what replay checks the
+ * server against to detect conflicts.
+ */
+function appendEntry(data, baseDir = process.cwd(), knownStatus = null) {
+  const entries = readJournal(baseDir);
+  const previous = entries
+    .filter((entry) => entry.nodeId === data.nodeId && entry.state !== 'applied')
+    .pop();
+
+  const entry = {
+    id: randomUUID(),
+    state: 'queued',
+    queuedAt: new Date().toISOString(),
+    baseStatus: previous ? previous.status : knownStatus,
+    done: { status: false, log: false },
+    ...data,
+  };
+
+  entries.push(entry);
+  writeJournal(entries, baseDir);
+  return entry;
+}
+
+module.exports = {
+  appendEntry,
+  getJournalPath,
+  isOfflineError,
+  pendingEntries,
+  readJournal,
+  writeJournal,
+};
@@ -2,11 +2,20 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { createApiClient } = require('../api-client');
-const { ensureDir, getConfigPath, mergeConfig, readConfig, resolveApiConfig, writeConfig } = require('./config');
+const { renewClaim } = require('../claim-renewer');
+const { exportPlan: renderPlanExport, extractAcceptanceCriteria } = require('../plan-export');
+const { detectFormat } = require('../plan-import');
+const { exportKnowledge: renderKnowledgeExport } = require('../knowledge-transfer');
+const { appendEntry, getJournalPath, isOfflineError, pendingEntries, readJournal, writeJournal } = require('./journal');
+const { ensureDir, getConfigPath, mergeConfig, readConfig, resolveAgentId, resolveApiConfig, writeConfig } = require('./config');
 
 const DEFAULT_AGENT_ID = 'ap-cli';
 const DEFAULT_CLAIM_TTL_MIN = 30;
 
+function cliAgentId(options = {}) {
+  return resolveAgentId(options) || DEFAULT_AGENT_ID;
+}
+
 function parseArgs(args = []) {
   const positional = [];
   const options = {};
@@ -92,6 +101,9 @@ async function login(options = {}) {
   if (defaultPlanId) {
     configData.defaultPlanId = defaultPlanId;
   }
+  if (options.agentId) {
+    configData.agentId = options.agentId;
+  }
 
   const configPath = writeConfig(configData);
 
@@ -156,17 +168,6 @@ function renderBulletList(items = []) {
   return items.filter(Boolean).map((item) => `- ${item}`);
 }
 
-function extractAcceptanceCriteria(text = '') {
-  const match = text.match(/Acceptance criteria:\s*([\s\S]*)/i);
-  if (!match) return [];
-
-  return match[1]
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line.startsWith('-'))
-    .map((line) => line.replace(/^-\s*/, '').trim());
-}
-
 function stripAcceptanceCriteria(text = '') {
   return text.replace(/\n*Acceptance criteria:\s*[\s\S]*/i, '').trim();
 }
@@ -337,7 +338,7 @@ function renderCurrentTask(selection, plan, nodeContext, planContext) {
   lines.push('- AgentPlanner (the API) is the source of truth for this plan and task.');
   lines.push('- Files under `.agentplanner/` are a regeneratable cache produced by `agent-planner-mcp context`.');
   lines.push('- Do not hand-edit `.agentplanner/` files; changes here are not synced back. Use the writeback commands above.');
-  lines.push('- Safe to delete `.agentplanner/` at any time — re-run `context` or `next` to repopulate.');
+  lines.push('- Safe to delete `.agentplanner/` at any time — re-run `context` or `next` to repopulate — unless `journal.jsonl` holds writebacks queued offline (check with `agent-planner-mcp sync`).');
   lines.push('');
   return lines.join('\n');
 }
@@ -390,7 +391,7 @@ async function tryClaim(api, planId, nodeId, options = {}) {
     await api.nodes.claimTask(
       planId,
       nodeId,
-      options.agentId || DEFAULT_AGENT_ID,
+      cliAgentId(options),
       Number(options.ttl) || DEFAULT_CLAIM_TTL_MIN,
     );
     return true;
@@ -402,14 +403,14 @@ async function tryClaim(api, planId, nodeId, options = {}) {
 async function tryRelease(api, planId, nodeId, options = {}) {
   if (typeof api.nodes?.releaseTask !== 'function') return false;
   try {
-    await api.nodes.releaseTask(planId, nodeId, options.agentId || DEFAULT_AGENT_ID);
+    await api.nodes.releaseTask(planId, nodeId, cliAgentId(options));
     return true;
   } catch (_err) {
     return false;
   }
 }
 
-async function tryRecordLearning(api, { planId, nodeId, taskTitle, message }) {
+async function tryRecordLearning(api, { planId, nodeId, taskTitle, message, agentId }) {
   if (!message || typeof api.graphiti?.addEpisode !== 'function') return false;
   try {
     await api.graphiti.addEpisode({
@@ -417,7 +418,7 @@ async function tryRecordLearning(api, { planId, nodeId, taskTitle, message }) {
       name: taskTitle ? `[done] ${taskTitle}` : `[done] ${nodeId}`,
       plan_id: planId,
       node_id: nodeId,
-      metadata: { entry_type: 'learning', source: DEFAULT_AGENT_ID },
+      metadata: { entry_type: 'learning', source: agentId || DEFAULT_AGENT_ID },
     });
     return true;
   } catch (_err) {
@@ -425,17 +426,147 @@ async function tryRecordLearning(api, { planId, nodeId, taskTitle, message }) {
   }
 }
 
-async function updateStatus(command, options = {}) {
-  const statusMap = {
-    start: 'in_progress',
-    blocked: 'blocked',
-    done: 'completed',
-  };
-  const logTypeMap = {
-    blocked: 'challenge',
-    done: 'progress',
-  };
+const STATUS_MAP = {
+  start: 'in_progress',
+  blocked: 'blocked',
+  done: 'completed',
+};
+const LOG_TYPE_MAP = {
+  blocked: 'challenge',
+  done: 'progress',
+};
+
+// Apply one writeback: status, then log entry, then the best-effort
+// claim/release/learning hooks. `entry.done` records the required steps
+// already applied, so a replay resumes where an interrupted writeback stopped.
+async function applyWriteback(api, entry) {
+  const hookOptions = { agentId: entry.agentId, ttl: entry.ttl };
+  const result = { logged: false, claimed: false, released: false, learned: false };
+
+  if (!entry.done.status) {
+    await api.nodes.updateNodeStatus(entry.planId, entry.nodeId, entry.status);
+    entry.done.status = true;
+  }
 
+  if (entry.message && LOG_TYPE_MAP[entry.command] && !entry.done.log) {
+    await api.logs.addLogEntry(entry.planId, entry.nodeId, {
+      content: entry.message,
+      log_type: LOG_TYPE_MAP[entry.command],
+    });
+    entry.done.log = true;
+    result.logged = true;
+  }
+
+  if (entry.command === 'start') {
+    result.claimed = await tryClaim(api, entry.planId, entry.nodeId, hookOptions);
+  } else if (entry.command === 'blocked' || entry.command === 'done') {
+    result.released = await tryRelease(api, entry.planId, entry.nodeId, hookOptions);
+  }
+
+  if (entry.command === 'done' && entry.message) {
+    result.learned = await tryRecordLearning(api, {
+      planId: entry.planId,
+      nodeId: entry.nodeId,
+      taskTitle: entry.taskTitle,
+      message: entry.message,
+      agentId: entry.agentId,
+    });
+  }
+
+  return result;
+}
+
+function markConflict(entry, reason) {
+  entry.state = 'conflict';
+  entry.conflict = reason;
+  entry.conflictAt = new Date().toISOString();
+}
+
+/**
+ * Replay queued writebacks in order. Before changing a task's status the
+ * server's current status is compared with the status the entry was queued
+ * against; if someone else moved the task meanwhile the entry (and any later
+ * entry for the same task) is marked as a conflict instead of overwriting.
+ * Stops at the first network failure, leaving the rest queued.
+ */
+async function replayJournal(api, baseDir, { force = false } = {}) {
+  const entries = readJournal(baseDir);
+  const outcome = { applied: [], conflicts: [], offline: false };
+  if (!entries.length) {
+    return { ...outcome, queued: [], entries };
+  }
+
+  if (force) {
+    // An unreadable line has nothing to retry
+    for (const entry of entries.filter((e) => e.state === 'conflict' && e.raw === undefined)) {
+      entry.state = 'queued';
+      entry.force = true;
+      delete entry.conflict;
+      delete entry.conflictAt;
+    }
+  }
+
+  const conflicted = new Set();
+  for (const entry of entries) {
+    if (entry.state !== 'queued') continue;
+
+    if (conflicted.has(entry.nodeId) && !entry.force) {
+      markConflict(entry, 'An earlier queued change to this task conflicted');
+      outcome.conflicts.push(entry);
+      continue;
+    }
+
+    try {
+      if (!entry.done.status && !entry.force) {
+        const node = await api.nodes.getNode(entry.planId, entry.nodeId);
+        const current = node?.status || null;
+        if (current === entry.status) {
+          entry.done.status = true;
+        } else if (entry.baseStatus && current && current !== entry.baseStatus) {
+          markConflict(entry, `Server status is ${current}; expected ${entry.baseStatus}`);
+          conflicted.add(entry.nodeId);
+          outcome.conflicts.push(entry);
+          continue;
+        }
+      }
+
+      await applyWriteback(api, entry);
+      entry.state = 'applied';
+      entry.appliedAt = new Date().toISOString();
+      outcome.applied.push(entry);
+    } catch (err) {
+      if (isOfflineError(err)) {
+        outcome.offline = true;
+        break;
+      }
+      markConflict(entry, err.response?.data?.error || err.message);
+      conflicted.add(entry.nodeId);
+      outcome.conflicts.push(entry);
+    } finally {
+      writeJournal(entries, baseDir);
+    }
+  }
+
+  const kept = writeJournal(entries, baseDir);
+  return { ...outcome, queued: pendingEntries(kept), entries: kept };
+}
+
+// Last status we know the task had: the cached context, when it is for this task.
+function knownStatus(workspaceContext, nodeId) {
+  const node = workspaceContext?.nodeContext?.node;
+  if (!node || workspaceContext.selection?.nodeId !== nodeId) return null;
+  return node.status || null;
+}
+
+// Keep the cached task status in step with what we wrote, so the next
+// offline writeback is queued against the right base status.
+function rememberStatus(baseDir, workspaceContext, nodeId, status) {
+  if (!workspaceContext?.nodeContext?.node || workspaceContext.selection?.nodeId !== nodeId) return;
+  workspaceContext.nodeContext.node.status = status;
+  fs.writeFileSync(getWorkspaceContextPath(baseDir), stringifyJson(workspaceContext));
+}
+
+async function updateStatus(command, options = {}) {
   const baseDir = path.resolve(options.dir || process.cwd());
   const selection = resolveSelection(options, baseDir);
   if (!selection.planId || !selection.nodeId) {
@@ -448,49 +579,257 @@ async function updateStatus(command, options = {}) {
   }
 
   const api = createApiClient(token, { apiUrl });
-  await api.nodes.updateNodeStatus(selection.planId, selection.nodeId, statusMap[command]);
+  const workspaceContext = readWorkspaceContext(baseDir);
+  const entry = {
+    command,
+    planId: selection.planId,
+    nodeId: selection.nodeId,
+    status: STATUS_MAP[command],
+    message: options.message || null,
+    agentId: cliAgentId(options),
+    ttl: Number(options.ttl) || DEFAULT_CLAIM_TTL_MIN,
+    taskTitle: workspaceContext?.nodeContext?.node?.title || null,
+    done: { status: false, log: false },
+  };
+  const summary = {
+    planId: selection.planId,
+    nodeId: selection.nodeId,
+    status: STATUS_MAP[command],
+  };
 
-  let logged = false;
-  if (options.message && logTypeMap[command]) {
-    await api.logs.addLogEntry(selection.planId, selection.nodeId, {
-      content: options.message,
-      log_type: logTypeMap[command],
-    });
-    logged = true;
+  const queue = () => {
+    const queued = appendEntry(entry, baseDir, knownStatus(workspaceContext, selection.nodeId));
+    return {
+      ...summary,
+      logged: false,
+      claimed: false,
+      released: false,
+      learned: false,
+      queued: true,
+      journalId: queued.id,
+      pending: pendingEntries(readJournal(baseDir)).length,
+      replay,
+    };
+  };
+
+  // Writebacks queued while offline reach the server before this one.
+  const replay = await replayJournal(api, baseDir);
+  if (replay.offline) {
+    return queue();
   }
 
-  let claimed = false;
-  let released = false;
-  let learned = false;
+  let result;
+  try {
+    result = await applyWriteback(api, entry);
+  } catch (err) {
+    if (!isOfflineError(err)) throw err;
+    return queue();
+  }
 
-  if (command === 'start') {
-    claimed = await tryClaim(api, selection.planId, selection.nodeId, options);
-  } else if (command === 'blocked' || command === 'done') {
-    released = await tryRelease(api, selection.planId, selection.nodeId, options);
+  rememberStatus(baseDir, workspaceContext, selection.nodeId, entry.status);
+  return { ...summary, ...result, queued: false, replay };
+}
+
+/**
+ * Replay the offline journal and report every entry by state.
+ * @param {Object} options - { dir, force: retry conflicts without the status
+ *   check, clear: forget applied and conflicted entries afterwards }
+ */
+async function syncJournal(options = {}) {
+  const baseDir = path.resolve(options.dir || process.cwd());
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
   }
 
-  if (command === 'done' && options.message) {
-    const workspaceContext = readWorkspaceContext(baseDir);
-    const taskTitle = workspaceContext?.nodeContext?.node?.title;
-    learned = await tryRecordLearning(api, {
-      planId: selection.planId,
-      nodeId: selection.nodeId,
-      taskTitle,
-      message: options.message,
-    });
+  const api = createApiClient(token, { apiUrl });
+  const replay = await replayJournal(api, baseDir, { force: Boolean(options.force) });
+
+  let entries = replay.entries;
+  if (options.clear && entries.length) {
+    entries = writeJournal(entries.filter((entry) => entry.state === 'queued'), baseDir);
+  }
+
+  return {
+    journalPath: getJournalPath(baseDir),
+    offline: replay.offline,
+    replayed: replay.applied,
+    newConflicts: replay.conflicts,
+    queued: entries.filter((entry) => entry.state === 'queued'),
+    applied: entries.filter((entry) => entry.state === 'applied'),
+    conflicts: entries.filter((entry) => entry.state === 'conflict'),
+  };
+}
+
+async function heartbeat(options = {}) {
+  const baseDir = path.resolve(options.dir || process.cwd());
+  const selection = resolveSelection(options, baseDir);
+  if (!selection.planId || !selection.nodeId) {
+    throw new Error('Missing plan/node selection. Pass --plan-id and --node-id, or run context with both first.');
+  }
+
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
   }
 
+  const api = createApiClient(token, { apiUrl });
+  const agentId = cliAgentId(options);
+  const ttlMinutes = Number(options.ttl) || DEFAULT_CLAIM_TTL_MIN;
+  const renewal = await renewClaim(api, {
+    planId: selection.planId,
+    taskId: selection.nodeId,
+    agentId,
+    ttlMinutes,
+  });
+
   return {
     planId: selection.planId,
     nodeId: selection.nodeId,
-    status: statusMap[command],
-    logged,
-    claimed,
-    released,
-    learned,
+    agentId,
+    ttlMinutes,
+    expiresAt: renewal.expires_at,
+    reacquired: renewal.reacquired,
   };
 }
 
+async function exportPlan(options = {}) {
+  const baseDir = path.resolve(options.dir || process.cwd());
+  const { planId } = resolveSelection(options, baseDir);
+  if (!planId) {
+    throw new Error('Missing plan id. Pass --plan-id or set a default plan with login.');
+  }
+
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
+  }
+
+  const api = createApiClient(token, { apiUrl });
+  const format = options.format || 'markdown';
+  const { document, content } = await renderPlanExport(api, planId, {
+    format,
+    diagram: options.diagram || 'flowchart',
+  });
+
+  let outPath = null;
+  if (options.out) {
+    outPath = path.resolve(options.out);
+    fs.writeFileSync(outPath, content);
+  }
+
+  return {
+    planId,
+    format,
+    content,
+    outPath,
+    warnings: document.warnings,
+  };
+}
+
+// Runs the import_plan tool against the CLI's client so imports behave
+// exactly like the MCP path (form_intention creation, edges, warnings).
+async function importPlan(file, options = {}) {
+  if (!file) {
+    throw new Error('Missing file. Usage: agent-planner-mcp import <file> --goal-id <id>');
+  }
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
+  }
+
+  const api = createApiClient(token, { apiUrl });
+  const { handlers } = require('../tools/bdi/intentions');
+  const response = await handlers.import_plan({
+    content,
+    format: options.format || detectFormat(content, file),
+    goal_id: options.goalId,
+    title: options.title,
+    rationale: options.rationale,
+    status: options.status,
+    visibility: options.visibility,
+    dry_run: Boolean(options.dryRun),
+  }, api);
+
+  const text = response.content[0].text;
+  if (response.isError) {
+    throw new Error(text);
+  }
+  return JSON.parse(text);
+}
+
+async function exportKnowledge(options = {}) {
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
+  }
+
+  const api = createApiClient(token, { apiUrl });
+  const { records, content, warnings } = await renderKnowledgeExport(api, {
+    scope: { plan_id: options.planId, goal_id: options.goalId, node_id: options.nodeId },
+    since: options.since,
+    until: options.until,
+    entry_type: options.entryType,
+    include_superseded: Boolean(options.includeSuperseded),
+  });
+
+  let outPath = null;
+  if (options.out) {
+    outPath = path.resolve(options.out);
+    fs.writeFileSync(outPath, content);
+  }
+
+  return { count: records.length, content, outPath, warnings };
+}
+
+// `--remap old=new,old2=new2` and/or `--remap-file map.json` ({ "old": "new" }).
+function parseRemap(options = {}) {
+  const remap = {};
+  if (options.remapFile) {
+    Object.assign(remap, JSON.parse(fs.readFileSync(path.resolve(options.remapFile), 'utf8')));
+  }
+  if (typeof options.remap === 'string') {
+    for (const pair of options.remap.split(',')) {
+      const [from, to] = pair.split('=').map((part) => part.trim());
+      if (!from || !to) throw new Error(`Bad --remap entry "${pair}". Use --remap old=new,old2=new2`);
+      remap[from] = to;
+    }
+  }
+  return remap;
+}
+
+// Runs the import_knowledge tool against the CLI's client, like importPlan.
+async function importKnowledge(file, options = {}) {
+  if (!file) {
+    throw new Error('Missing file. Usage: agent-planner-mcp knowledge import <file.jsonl>');
+  }
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+
+  const { apiUrl, token } = resolveApiConfig(options);
+  if (!token) {
+    throw new Error(`Not logged in. Run \`agent-planner-mcp login\` first. Config path: ${getConfigPath()}`);
+  }
+
+  const api = createApiClient(token, { apiUrl });
+  const { handlers } = require('../tools/bdi/intentions');
+  const response = await handlers.import_knowledge({
+    content,
+    remap: parseRemap(options),
+    keep_unmapped: Boolean(options.keepUnmapped),
+    drop_unmapped: Boolean(options.dropUnmapped),
+    dry_run: Boolean(options.dryRun),
+    agent_id: cliAgentId(options),
+  }, api);
+
+  const text = response.content[0].text;
+  if (response.isError) {
+    throw new Error(text);
+  }
+  return JSON.parse(text);
+}
+
 async function getMyTasks(options = {}) {
   const { apiUrl, token } = resolveApiConfig(options);
   if (!token) {
@@ -633,10 +972,15 @@ async function getNextTask(options = {}) {
 }
 
 module.exports = {
+  exportKnowledge,
+  exportPlan,
   getMyTasks,
   getNextTask,
   getWorkspaceContextPath,
   getWorkspaceStatePath,
+  heartbeat,
+  importKnowledge,
+  importPlan,
   login,
   materializeContext,
   parseArgs,
@@ -644,5 +988,6 @@ module.exports = {
   renderCurrentTask,
   renderPlanTree,
   resolveSelection,
+  syncJournal,
   updateStatus,
 };
@@ -0,0 +1,250 @@
+/**
+ * Decision deadlines — queue_decision's `decide_by` + `default_action`.
+ *
+ * A decision queued with a deadline resolves itself to its default action
+ * once the deadline passes unanswered, so an autopilot waiting on a
+ * `blocking` decision nobody looked at over the weekend can move again.
+ * Defaults are applied by:
+ *   - briefing, for the overdue decisions among those it reads (always)
+ *   - DecisionDeadlineScheduler (stdio only, MCP_DECISION_DEADLINES=true),
+ *     which sweeps every live plan's pending decisions each tick
+ * The HTTP transport has no scheduler, so over HTTP a deadline only fires
+ * when someone calls briefing after it has passed.
+ *
+ * Both live in the decision's metadata: { decide_by, default_action }, where
+ * default_action is 'approve', 'defer', or an option label (approve with
+ * that option). An auto-resolution goes through the same resolve call as a
+ * human one — approve still creates proposed_subtasks — and is recorded
+ * there: the rationale says it was automatic and which deadline passed.
+ * The task that prompted the decision, if any, gets a `decision` log too.
+ */
+
+const { safeArray } = require('./tools/bdi/_shared');
+const { resolveDecision } = require('./tools/bdi/_decisions');
+
+const DEFAULT_ACTIONS = ['approve', 'defer'];
+const DEFAULT_TICK_MS = 5 * 60 * 1000;
+// The scheduler reads at most this many plans' decisions per tick
+const MAX_SWEEP_PLANS = 25;
+
+// Decisions being auto-resolved right now, so briefing and the scheduler
+// don't resolve the same one twice
+const inFlight = new Set();
+
+const optionLabel = (o) => o?.label || o?.option || null;
+
+/**
+ * Check queue_decision's deadline arguments.
+ * @param {Object} args - { decide_by, default_action, options }
+ * @returns {string|null} error message
+ */
+function validateDeadline({ decide_by, default_action, options }) {
+  if (!decide_by && !default_action) return null;
+  if (!decide_by) return 'default_action needs decide_by (when it applies)';
+  if (!default_action) return 'decide_by needs default_action (what happens when it passes)';
+  const at = new Date(decide_by).getTime();
+  if (Number.isNaN(at)) return `decide_by must be an ISO 8601 timestamp, got "${decide_by}"`;
+  if (at <= Date.now()) return `decide_by ${decide_by} is already in the past`;
+  const labels = safeArray(options).map(optionLabel).filter(Boolean);
+  if (!DEFAULT_ACTIONS.includes(default_action) && !labels.includes(default_action)) {
+    const choices = [...DEFAULT_ACTIONS, ...labels.map((l) => `'${l}'`)].join(', ');
+    return `default_action must be one of ${choices}`;
+  }
+  return null;
+}
+
+/** The resolve_decision action a default_action stands for. */
+function defaultResolution(defaultAction) {
+  if (DEFAULT_ACTIONS.includes(defaultAction)) return { action: defaultAction, selectedOption: null };
+  return { action: 'approve', selectedOption: defaultAction };
+}
+
+/** True when a pending decision's deadline has passed and it has a default. */
+function isOverdue(decision, now = Date.now()) {
+  const { decide_by, default_action } = decision?.metadata || {};
+  if (!decide_by || !default_action) return false;
+  if ((decision.status || 'pending') !== 'pending') return false;
+  const at = new Date(decide_by).getTime();
+  return !Number.isNaN(at) && at <= now;
+}
+
+/**
+ * Apply one overdue decision's default action.
+ * @returns {Promise<Object|null>} what was applied, or null when the decision
+ *   was answered (or lost its deadline) since it was listed
+ * @throws the resolve call's error
+ */
+async function applyDefault(apiClient, decision, planId, now = Date.now()) {
+  // Re-read first: a human may have answered since the list was fetched
+  let current = decision;
+  try {
+    const fresh = await apiClient.axiosInstance
+      .get(`/plans/${planId}/decisions/${decision.id}`)
+      .then((r) => r.data);
+    if (fresh) current = fresh;
+  } catch {
+    // Best-effort — go with the listed copy
+  }
+  if (!isOverdue(current, now)) return null;
+
+  const { decide_by, default_action } = current.metadata;
+  const { action, selectedOption } = defaultResolution(default_action);
+  const note = `Auto-resolved: no answer by ${decide_by}, so the default action '${default_action}' was applied.`;
+  const { resolved, created, createFailures } = await resolveDecision(apiClient, {
+    planId,
+    decisionId: decision.id,
+    action,
+    message: note,
+    selectedOption,
+    decision: current,
+  });
+
+  const nodeId = current.node_id || decision.node_id;
+  if (nodeId && typeof apiClient.logs?.addLogEntry === 'function') {
+    try {
+      await apiClient.logs.addLogEntry(planId, nodeId, {
+        content: `Decision "${current.title || decision.title}": ${note}`,
+        log_type: 'decision',
+        metadata: { decision_id: decision.id, auto_resolved: true, default_action },
+      });
+    } catch (err) {
+      console.error(`Decision ${decision.id}: audit log failed:`, err.message || err);
+    }
+  }
+
+  return {
+    decision_id: decision.id,
+    plan_id: planId,
+    title: current.title || decision.title,
+    decide_by,
+    default_action,
+    action,
+    selected_option: selectedOption,
+    status: resolved.status || action,
+    created_subtasks: created,
+    create_failures: createFailures,
+  };
+}
+
+/**
+ * Apply the defaults of every overdue decision in `decisions` (each with a
+ * plan_id). Never throws.
+ * @returns {Promise<{ applied: Object[], failures: Object[] }>}
+ */
+async function applyOverdueDefaults(apiClient, decisions, now = Date.now()) {
+  const applied = [];
+  const failures = [];
+  for (const decision of safeArray(decisions)) {
+    const planId = decision.plan_id || decision.planId;
+    if (!planId || !isOverdue(decision, now) || inFlight.has(decision.id)) continue;
+    inFlight.add(decision.id);
+    try {
+      const result = await applyDefault(apiClient, decision, planId, now);
+      if (result) applied.push(result);
+    } catch (err) {
+      failures.push({ decision_id: decision.id, plan_id: planId, error: err.response?.data?.error || err.message });
+    } finally {
+      inFlight.delete(decision.id);
+    }
+  }
+  return { applied, failures };
+}
+
+/**
+ * Sweep the most recently updated live plans for overdue decisions.
+ * @returns {Promise<{ applied: Object[], failures: Object[] }>}
+ */
+async function sweepDecisionDeadlines(apiClient, now = Date.now()) {
+  const raw = await apiClient.plans.getPlans();
+  const plans = (Array.isArray(raw) ? raw : safeArray(raw.plans || raw))
+    .filter((p) => p.status !== 'archived')
+    .sort((a, b) => String(b.updated_at || b.updatedAt || '').localeCompare(String(a.updated_at || a.updatedAt || '')))
+    .slice(0, MAX_SWEEP_PLANS);
+
+  const decisions = [];
+  const failures = [];
+  for (const plan of plans) {
+    try {
+      const data = await apiClient.axiosInstance
+        .get(`/plans/${plan.id}/decisions`, { params: { status: 'pending' } })
+        .then((r) => r.data);
+      const rows = Array.isArray(data) ? data : safeArray(data?.decisions || data?.data);
+      decisions.push(...rows.map((d) => ({ plan_id: plan.id, ...d })));
+    } catch (err) {
+      failures.push({ plan_id: plan.id, error: err.response?.data?.error || err.message });
+    }
+  }
+  const result = await applyOverdueDefaults(apiClient, decisions, now);
+  return { applied: result.applied, failures: [...failures, ...result.failures] };
+}
+
+/**
+ * Background sweep for decision deadlines.
+ */
+class DecisionDeadlineScheduler {
+  constructor({ apiClient, tickMs } = {}) {
+    this.apiClient = apiClient;
+    this.tickMs = tickMs
+      || Number(process.env.MCP_DECISION_DEADLINE_INTERVAL_MS)
+      || DEFAULT_TICK_MS;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * One sweep; skipped while the previous one is still running.
+   * @returns {Promise<Object[]>} decisions auto-resolved
+   */
+  async tick() {
+    if (this.sweeping) return [];
+    this.sweeping = true;
+    try {
+      const { applied, failures } = await sweepDecisionDeadlines(this.apiClient);
+      for (const a of applied) {
+        console.error(`Decision ${a.decision_id} passed its deadline; applied default '${a.default_action}'`);
+      }
+      for (const f of failures) {
+        console.error(`Decision deadline sweep failed for ${f.decision_id || `plan ${f.plan_id}`}:`, f.error);
+      }
+      return applied;
+    } catch (err) {
+      console.error('Decision deadline sweep failed:', err.message || err);
+      return [];
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick();
+    }, this.tickMs);
+
+    // Prevent the timer from keeping the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/** True when MCP_DECISION_DEADLINES opts the stdio server into the scheduler. */
+function deadlineSchedulerEnabled() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.MCP_DECISION_DEADLINES || '').toLowerCase());
+}
+
+module.exports = {
+  DEFAULT_ACTIONS,
+  validateDeadline,
+  defaultResolution,
+  isOverdue,
+  applyOverdueDefaults,
+  sweepDecisionDeadlines,
+  DecisionDeadlineScheduler,
+  deadlineSchedulerEnabled,
+};
@@ -0,0 +1,178 @@
+/**
+ * Idempotency keys for mutating tools
+ *
+ * A transport that retries a write after a timeout (the hosted HTTP
+ * transport does) would otherwise create a second plan, R→P→I chain or
+ * decision. Write tools accept an optional `idempotency_key`; the first
+ * successful result for a key is remembered per user and returned unchanged
+ * when the same key is replayed, instead of running the tool again.
+ *
+ * - Records are scoped by user (the caller's API token, hashed — the token
+ *   itself is never stored), tool name and key.
+ * - Replaying a key with different arguments is rejected rather than
+ *   silently returning a result for another request.
+ * - Error results aren't remembered, so a failed call can be retried with
+ *   the same key.
+ * - A retry that arrives while the original call is still running waits for
+ *   it on the same process.
+ *
+ * Records live in a session-store-shaped store (see session-store.js), so the
+ * file store lets keys survive a restart and be shared between replicas.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionStore, defaultStoreDir } = require('./session-store');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const MAX_KEY_LENGTH = 255;
+
+/** Shared inputSchema fragment for write tools. */
+const idempotencyKeyProperty = {
+  type: 'string',
+  maxLength: MAX_KEY_LENGTH,
+  description: 'Optional. Reuse the same key when retrying this call: the original result is returned instead of writing again. Keys are remembered per user (24 hours by default).',
+};
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Key order must not matter when comparing a replay to the original call.
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function idempotencyError(message) {
+  return {
+    isError: true,
+    content: [{ type: 'text', text: message }],
+  };
+}
+
+class IdempotencyCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - session-store interface (default: in-memory)
+   * @param {number} [options.ttl] - how long a key is remembered, in ms
+   */
+  constructor(options = {}) {
+    this.store = options.store || createSessionStore({ type: 'memory' });
+    this.ttl = options.ttl || DEFAULT_TTL;
+
+    // Per-process: record id -> promise of the in-flight call
+    this.pending = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  recordId(scope, tool, key) {
+    // 64 hex chars — a valid file-store id, and no token or key on disk
+    return sha256(`${sha256(String(scope || ''))}:${tool}:${key}`);
+  }
+
+  /**
+   * Run `execute` once per (scope, tool, key).
+   * @param {Object} call - { scope, tool, key, args }
+   * @param {Function} execute - () => Promise<MCP tool result>
+   * @returns {Promise<Object>} the tool result (original one on replay)
+   */
+  async run({ scope, tool, key, args }, execute) {
+    if (typeof key !== 'string' || !key || key.length > MAX_KEY_LENGTH) {
+      return idempotencyError(`idempotency_key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const id = this.recordId(scope, tool, key);
+    const argsHash = sha256(stableStringify(args || {}));
+
+    // Checked before any await so a concurrent retry can't slip past it
+    const inFlight = this.pending.get(id);
+    if (inFlight) {
+      if (inFlight.argsHash !== argsHash) return this.reusedKey(tool, key);
+      return inFlight.promise;
+    }
+
+    const promise = (async () => {
+      await this.maybeSweep();
+
+      const record = await this.store.get(id);
+      if (record && Date.now() - record.createdAt < this.ttl) {
+        if (record.argsHash !== argsHash) return this.reusedKey(tool, key);
+        return record.result;
+      }
+
+      const result = await execute();
+      if (!result?.isError) {
+        await this.store.set({ id, tool, argsHash, result, createdAt: Date.now() });
+      }
+      return result;
+    })();
+
+    this.pending.set(id, { argsHash, promise });
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(id);
+    }
+  }
+
+  reusedKey(tool, key) {
+    return idempotencyError(
+      `idempotency_key "${key}" was already used for a different ${tool} call. ` +
+      'Use a new key for a new request.'
+    );
+  }
+
+  async maybeSweep() {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL) return;
+    this.lastSweep = Date.now();
+    try {
+      await this.sweep();
+    } catch (error) {
+      console.error('Idempotency sweep failed:', error.message);
+    }
+  }
+
+  /** Drop records older than the TTL. Returns the number removed. */
+  async sweep() {
+    const now = Date.now();
+    const expired = (await this.store.list()).filter((record) => now - record.createdAt >= this.ttl);
+    await Promise.all(expired.map((record) => this.store.delete(record.id)));
+    return expired.length;
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+/**
+ * Build a cache backed by the store type selected with MCP_SESSION_STORE.
+ * The file store keeps its records in an `idempotency/` directory next to
+ * the session files.
+ * @param {Object} [options] - { type: 'memory'|'file', dir, ttl }
+ */
+function createIdempotencyCache(options = {}) {
+  const type = (options.type || process.env.MCP_SESSION_STORE || 'memory').toLowerCase();
+  const dir = options.dir || path.join(defaultStoreDir(), 'idempotency');
+  const ttlHours = Number(process.env.MCP_IDEMPOTENCY_TTL_HOURS);
+  return new IdempotencyCache({
+    store: createSessionStore({ type, dir }),
+    ttl: options.ttl || (ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : DEFAULT_TTL),
+  });
+}
+
+module.exports = {
+  IdempotencyCache,
+  createIdempotencyCache,
+  idempotencyKeyProperty,
+};
@@ -3,6 +3,11 @@ const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { MCPHTTPServer } = require('./server-http');
 const { setupTools } = require('./tools');
+const { setupResources } = require('./resources');
+const { setupPrompts } = require('./prompts');
+const { ClaimRenewer, setActiveRenewer, autoRenewEnabled } = require('./claim-renewer');
+const { DecisionDeadlineScheduler, deadlineSchedulerEnabled } = require('./decision-deadlines');
+const apiClient = require('./api-client');
 const { SERVER_INSTRUCTIONS } = require('./server-instructions');
 const { version } = require('../package.json');
 require('dotenv').config();
@@ -17,7 +22,8 @@ require('dotenv').config();
  * Set MCP_TRANSPORT=http to use HTTP mode
  *
  * Features:
- * - Simplified architecture with tools-only interface
+ * - Tools plus subscribable resources (plans, goals, task context)
+ * - Canonical workflows as MCP prompts (slash commands in clients)
  * - Full CRUD operations on all entities
  * - Unified search across all scopes
  * - Batch operations for efficiency
@@ -77,7 +83,9 @@ async function main() {
         version: process.env.MCP_SERVER_VERSION || version
       }, {
         capabilities: {
-          tools: {}
+          tools: {},
+          resources: { subscribe: true },
+          prompts: {}
         },
         // Shown to the model on connect — the no-skill safety net mapping plain
         // intents to the BDI tool names + pointing at get_started.
@@ -86,8 +94,24 @@ async function main() {
 
       console.error('MCP Server created');
 
-      // Setup tools
+      // Setup tools, resources (plans/goals/task context, subscribable) and
+      // workflow prompts
       setupTools(server);
+      setupResources(server);
+      setupPrompts(server);
+
+      // Opt-in: keep this session's task claims alive until update_task /
+      // release_task releases them
+      if (autoRenewEnabled()) {
+        setActiveRenewer(new ClaimRenewer({ apiClient }));
+        console.error('Claim auto-renewal enabled');
+      }
+
+      // Opt-in: apply decide_by defaults on schedule, not only on briefing
+      if (deadlineSchedulerEnabled()) {
+        new DecisionDeadlineScheduler({ apiClient }).start();
+        console.error('Decision deadline scheduler enabled');
+      }
 
       // Connect transport
       const stdioTransport = new StdioServerTransport();
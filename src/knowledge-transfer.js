@@ -0,0 +1,285 @@
+/**
+ * Knowledge export / import — moves a project's knowledge episodes between
+ * AgentPlanner instances (staging → production, into a new workspace) or
+ * into version control, as JSONL.
+ *
+ * Shared by the export_knowledge / import_knowledge tools and the
+ * `knowledge export|import` CLI commands.
+ *
+ * One episode per line:
+ *
+ *   { schema, episode_id, name, content, entry_type, source,
+ *     source_description, agent_id, scope: { plan_id, goal_id, node_id },
+ *     created_at, valid_at }
+ *
+ * Export skips curate_knowledge's delete records and, unless asked, episodes
+ * a correction has superseded. Import replays each line through
+ * graphiti.addEpisode: scope ids are remapped first (ids from another
+ * instance mean nothing here, so an id with no remap entry fails the import
+ * unless the caller keeps or drops unmapped ids), and lines whose content is
+ * already in the graph — or earlier in the file — are skipped. The original id and
+ * timestamps travel in metadata.imported_from, since the episodes endpoint
+ * stamps its own.
+ *
+ * The episodes endpoint can't page or filter: both directions read the
+ * TRANSFER_SCAN most recent episodes and no further. An export can't reach
+ * older episodes, and an import only dedupes against that window; each says
+ * so in its warnings once the window is full.
+ */
+
+const { safeArray } = require('./tools/bdi/_shared');
+const { importError } = require('./plan-import');
+const {
+  episodeId, episodeContent, isCurationRecord, loadEpisodes, supersessions, episodeEntry,
+} = require('./tools/bdi/_knowledge');
+
+const KNOWLEDGE_SCHEMA = 'agentplanner.knowledge-export/v1';
+// Episodes read per export / per import dedupe (the endpoint has no paging or filters)
+const TRANSFER_SCAN = 1000;
+const IMPORT_SOURCE = 'knowledge import';
+
+/** Dedupe key: content with whitespace and case folded. */
+const contentKey = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/** One episode as an export line (an object; see toJsonl). */
+function exportRecord(episode) {
+  const e = episodeEntry(episode);
+  return {
+    schema: KNOWLEDGE_SCHEMA,
+    episode_id: e.episode_id,
+    name: e.name,
+    content: e.content,
+    entry_type: e.entry_type,
+    source: e.source,
+    source_description: e.source_description,
+    agent_id: e.agent_id,
+    scope: {
+      plan_id: e.plan_id,
+      goal_id: episode.metadata?.goal_id || null,
+      node_id: e.node_id,
+    },
+    created_at: e.created_at,
+    valid_at: episode.valid_at || null,
+  };
+}
+
+const toJsonl = (records) => records.map((r) => `${JSON.stringify(r)}\n`).join('');
+
+/**
+ * Export episodes, oldest first.
+ * @param {Object} apiClient
+ * @param {Object} [options] - { scope: { plan_id, goal_id, node_id }, since,
+ *   until, entry_type, include_superseded }
+ * @returns {Promise<{ records: Object[], content: string, warnings: string[] }>}
+ * @throws import_invalid for a bad since / until
+ */
+async function exportKnowledge(apiClient, options = {}) {
+  const { scope = {}, entry_type, include_superseded = false } = options;
+  const bounds = {};
+  for (const key of ['since', 'until']) {
+    if (!options[key]) continue;
+    bounds[key] = new Date(options[key]).getTime();
+    if (Number.isNaN(bounds[key])) throw importError(`${key} must be an ISO 8601 date or timestamp, got "${options[key]}"`);
+  }
+
+  let goalPlans = null;
+  if (scope.goal_id) {
+    const goal = await apiClient.goals.get(scope.goal_id);
+    goalPlans = new Set(safeArray(goal?.links)
+      .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+      .map((l) => l.linkedId || l.linked_id));
+  }
+
+  const warnings = [];
+  const episodes = await loadEpisodes(apiClient, TRANSFER_SCAN);
+  if (episodes.length >= TRANSFER_SCAN) {
+    warnings.push(`Only the ${TRANSFER_SCAN} most recent episodes can be read, so older episodes are missing from this export (since/until only filter within those ${TRANSFER_SCAN}).`);
+  }
+  const superseded = supersessions(episodes);
+
+  const records = episodes
+    .filter((e) => !isCurationRecord(e))
+    .filter((e) => include_superseded || !superseded.has(episodeId(e)))
+    .map(exportRecord)
+    .filter((r) => !scope.plan_id || r.scope.plan_id === scope.plan_id)
+    .filter((r) => !scope.node_id || r.scope.node_id === scope.node_id)
+    .filter((r) => !goalPlans || goalPlans.has(r.scope.plan_id) || r.scope.goal_id === scope.goal_id)
+    // Episodes of a goal's plans belong to that goal too
+    .map((r) => (goalPlans && !r.scope.goal_id ? { ...r, scope: { ...r.scope, goal_id: scope.goal_id } } : r))
+    .filter((r) => !entry_type || r.entry_type === entry_type)
+    .filter((r) => {
+      const at = r.created_at ? new Date(r.created_at).getTime() : NaN;
+      if (bounds.since !== undefined && !(at >= bounds.since)) return false;
+      if (bounds.until !== undefined && !(at < bounds.until)) return false;
+      return true;
+    })
+    .reverse();
+
+  return { records, content: toJsonl(records), warnings };
+}
+
+/**
+ * Parse an export back into records. Blank lines are skipped; a line that
+ * isn't an episode becomes a warning.
+ * @param {string} text - JSONL
+ * @returns {{ records: Array<{ line: number, record: Object }>, warnings: string[] }}
+ * @throws import_invalid when no line holds an episode
+ */
+function parseKnowledgeJsonl(text) {
+  const records = [];
+  const warnings = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    if (!raw.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch (err) {
+      warnings.push(`line ${line}: not JSON (${err.message})`);
+      return;
+    }
+    if (!record || typeof record !== 'object' || typeof record.content !== 'string' || !record.content.trim()) {
+      warnings.push(`line ${line}: no content, skipped`);
+      return;
+    }
+    if (record.schema && record.schema !== KNOWLEDGE_SCHEMA) {
+      warnings.push(`line ${line}: schema ${record.schema}, expected ${KNOWLEDGE_SCHEMA}; importing anyway`);
+    }
+    records.push({ line, record });
+  });
+  if (!records.length) throw importError('No episodes found — expected one JSON episode per line');
+  return { records, warnings };
+}
+
+const SCOPE_KEYS = ['plan_id', 'goal_id', 'node_id'];
+
+/** Scope ids in the records that remap doesn't cover, in first-seen order. */
+function unmappedIds(records, remap = {}) {
+  const ids = new Set();
+  for (const { record } of records) {
+    for (const key of SCOPE_KEYS) {
+      const id = record.scope?.[key];
+      if (id && !remap[id]) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * A record's scope after remapping. Unmapped ids are kept, or dropped with
+ * dropUnmapped (ids from another instance that have no counterpart here).
+ */
+function remapScope(scope = {}, remap = {}, dropUnmapped = false) {
+  const out = {};
+  for (const key of SCOPE_KEYS) {
+    const id = scope[key];
+    if (!id) continue;
+    if (remap[id]) out[key] = remap[id];
+    else if (!dropUnmapped) out[key] = id;
+  }
+  // A task only makes sense inside its plan
+  if (out.node_id && !out.plan_id) delete out.node_id;
+  return out;
+}
+
+/**
+ * Replay parsed records through graphiti.addEpisode.
+ * @param {Object} apiClient
+ * @param {Array<{ line, record }>} records - from parseKnowledgeJsonl
+ * @param {Object} [options] - { remap: { oldId: newId }, keep_unmapped /
+ *   drop_unmapped: what to do with scope ids remap doesn't cover, dry_run,
+ *   agent_id: recorded as the importer }
+ * @returns {Promise<{ imported, duplicates, failures, warnings, dedupe_scan }>} —
+ *   imported: [{ line, episode_id, scope }] (episode_id null on a dry run);
+ *   dedupe_scan: { episodes_read, limit, complete } — how much of the graph
+ *   duplicates were checked against (null when it couldn't be read)
+ * @throws import_invalid when scope ids are unmapped and neither kept nor dropped
+ */
+async function importKnowledge(apiClient, records, options = {}) {
+  const { remap = {}, keep_unmapped = false, drop_unmapped = false, dry_run = false, agent_id = null } = options;
+  if (keep_unmapped && drop_unmapped) throw importError('Pass keep_unmapped or drop_unmapped, not both');
+  // Another instance's ids would point at nothing here, or at something else
+  const unmapped = keep_unmapped || drop_unmapped ? [] : unmappedIds(records, remap);
+  if (unmapped.length) {
+    throw importError(
+      `Scope ids with no remap entry: ${unmapped.join(', ')}. Map them with remap, or pass `
+      + 'keep_unmapped (they exist on this instance too) or drop_unmapped (import without them).',
+    );
+  }
+  const warnings = [];
+
+  const seen = new Map();
+  let dedupeScan = null;
+  try {
+    const existing = await loadEpisodes(apiClient, TRANSFER_SCAN);
+    for (const e of existing) {
+      seen.set(contentKey(episodeContent(e)), { episode_id: episodeId(e) });
+    }
+    dedupeScan = { episodes_read: existing.length, limit: TRANSFER_SCAN, complete: existing.length < TRANSFER_SCAN };
+    if (!dedupeScan.complete) {
+      warnings.push(`Duplicates were only checked against the ${TRANSFER_SCAN} most recent episodes; content already in older episodes is imported again.`);
+    }
+  } catch (err) {
+    warnings.push(`Could not read existing episodes, so duplicates of them aren't skipped: ${err.message}`);
+  }
+
+  const imported = [];
+  const duplicates = [];
+  const failures = [];
+  for (const { line, record } of records) {
+    const key = contentKey(record.content);
+    const existing = seen.get(key);
+    if (existing) {
+      duplicates.push({ line, ...existing });
+      continue;
+    }
+
+    const scope = remapScope(record.scope, remap, drop_unmapped);
+    if (dry_run) {
+      seen.set(key, { episode_id: null, duplicate_of_line: line });
+      imported.push({ line, episode_id: null, scope });
+      continue;
+    }
+
+    const sourceDescription = record.source_description || IMPORT_SOURCE;
+    try {
+      const result = await apiClient.graphiti.addEpisode({
+        name: record.name || record.content.slice(0, 80),
+        content: record.content,
+        source: record.source || 'text',
+        source_description: sourceDescription,
+        plan_id: scope.plan_id,
+        node_id: scope.node_id,
+        metadata: {
+          entry_type: record.entry_type || undefined,
+          source_description: sourceDescription,
+          agent_id: record.agent_id || undefined,
+          goal_id: scope.goal_id,
+          imported_from: {
+            episode_id: record.episode_id || null,
+            created_at: record.created_at || null,
+            valid_at: record.valid_at || null,
+            imported_by: agent_id,
+          },
+        },
+      });
+      const id = result?.episode?.uuid || result?.uuid || null;
+      seen.set(key, { episode_id: id, duplicate_of_line: line });
+      imported.push({ line, episode_id: id, scope });
+    } catch (err) {
+      failures.push({ line, error: err.response?.data?.error || err.message });
+    }
+  }
+
+  return { imported, duplicates, failures, warnings, dedupe_scan: dedupeScan };
+}
+
+module.exports = {
+  KNOWLEDGE_SCHEMA,
+  TRANSFER_SCAN,
+  exportKnowledge,
+  parseKnowledgeJsonl,
+  unmappedIds,
+  remapScope,
+  importKnowledge,
+};
@@ -0,0 +1,327 @@
+/**
+ * Plan export — renders a plan's node tree, statuses, acceptance criteria and
+ * dependency edges as Markdown, JSON or Mermaid.
+ *
+ * Shared by the export_plan tool and the `export` CLI command. loadPlanExport
+ * builds the stable JSON document (schema EXPORT_SCHEMA); the renderers only
+ * ever read that document, so all three formats agree.
+ */
+
+const EXPORT_SCHEMA = 'agentplanner.plan-export/v1';
+const EXPORT_FORMATS = ['markdown', 'json', 'mermaid'];
+const MERMAID_DIAGRAMS = ['flowchart', 'gantt'];
+
+/**
+ * Pull acceptance criteria out of a task description ("Acceptance criteria:"
+ * followed by a dash list), the convention form_intention writes.
+ */
+function extractAcceptanceCriteria(text = '') {
+  const match = text.match(/Acceptance criteria:\s*([\s\S]*)/i);
+  if (!match) return [];
+
+  return match[1]
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('-'))
+    .map((line) => line.replace(/^-\s*/, '').trim());
+}
+
+function acceptanceCriteriaOf(node) {
+  const explicit = node.acceptance_criteria;
+  if (Array.isArray(explicit)) return explicit.map(String);
+  if (typeof explicit === 'string' && explicit.trim()) {
+    const listed = extractAcceptanceCriteria(`Acceptance criteria:\n${explicit}`);
+    return listed.length ? listed : [explicit.trim()];
+  }
+  return extractAcceptanceCriteria(node.description || '');
+}
+
+function toList(value, key) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value[key])) return value[key];
+  return [];
+}
+
+function byOrder(a, b) {
+  return (a.order_index ?? 0) - (b.order_index ?? 0);
+}
+
+// Normalize one API node (and its subtree) into the export shape. Key order
+// is fixed so the JSON output diffs cleanly between exports.
+function exportNode(node, parentId) {
+  const children = toList(node.children).slice().sort(byOrder);
+  return {
+    id: node.id,
+    parent_id: parentId,
+    node_type: node.node_type || 'task',
+    title: node.title || '',
+    status: node.status || 'not_started',
+    description: node.description || null,
+    acceptance_criteria: acceptanceCriteriaOf(node),
+    due_date: node.due_date || null,
+    children: children.map((child) => exportNode(child, node.id)),
+  };
+}
+
+function exportEdge(edge) {
+  return {
+    id: edge.id || null,
+    from: edge.source_node_id || edge.from_node_id || edge.source?.id,
+    to: edge.target_node_id || edge.to_node_id || edge.target?.id,
+    type: edge.dependency_type || edge.relation || 'blocks',
+  };
+}
+
+/**
+ * Fetch a plan and build its export document. The edge read is best-effort:
+ * when it fails the document still carries the tree, with a warning.
+ * @param {Object} apiClient
+ * @param {string} planId
+ * @returns {Promise<Object>} export document
+ */
+async function loadPlanExport(apiClient, planId) {
+  const [plan, nodes, edges] = await Promise.allSettled([
+    apiClient.plans.getPlan(planId),
+    apiClient.nodes.getNodes(planId, { include_details: true }),
+    apiClient.dependencies.listForPlan(planId),
+  ]);
+  if (plan.status !== 'fulfilled') throw plan.reason;
+  if (nodes.status !== 'fulfilled') throw nodes.reason;
+
+  // The plan's root node is structural; export what hangs under it.
+  let roots = toList(nodes.value, 'nodes');
+  if (roots.length === 1 && roots[0].node_type === 'root') {
+    roots = toList(roots[0].children);
+  }
+  roots = roots.filter((node) => node.node_type !== 'root').sort(byOrder);
+
+  const warnings = [];
+  if (edges.status !== 'fulfilled') {
+    warnings.push(`Dependency edges unavailable: ${edges.reason?.message || edges.reason}`);
+  }
+
+  return {
+    schema: EXPORT_SCHEMA,
+    exported_at: new Date().toISOString(),
+    plan: {
+      id: plan.value.id,
+      title: plan.value.title || '',
+      description: plan.value.description || null,
+      status: plan.value.status || null,
+    },
+    nodes: roots.map((node) => exportNode(node, null)),
+    edges: edges.status === 'fulfilled'
+      ? toList(edges.value, 'dependencies').map(exportEdge).filter((e) => e.from && e.to)
+      : [],
+    warnings,
+  };
+}
+
+function walk(nodes, visit, depth = 0) {
+  for (const node of nodes) {
+    visit(node, depth);
+    walk(node.children, visit, depth + 1);
+  }
+}
+
+function indexNodes(doc) {
+  const byId = new Map();
+  walk(doc.nodes, (node) => byId.set(node.id, node));
+  return byId;
+}
+
+function blockersOf(doc) {
+  const blockers = new Map();
+  for (const edge of doc.edges.filter((e) => e.type === 'blocks')) {
+    if (!blockers.has(edge.to)) blockers.set(edge.to, []);
+    blockers.get(edge.to).push(edge.from);
+  }
+  return blockers;
+}
+
+/**
+ * GitHub-flavoured Markdown: one checklist item per node, completed nodes
+ * ticked, with acceptance criteria and "blocked by" notes nested beneath.
+ */
+function renderMarkdown(doc) {
+  const byId = indexNodes(doc);
+  const blockers = blockersOf(doc);
+  const lines = [`# ${doc.plan.title}`, ''];
+
+  if (doc.plan.description) {
+    lines.push(doc.plan.description, '');
+  }
+  if (doc.plan.status) {
+    lines.push(`Status: \`${doc.plan.status}\``, '');
+  }
+
+  walk(doc.nodes, (node, depth) => {
+    const indent = '  '.repeat(depth);
+    const box = node.status === 'completed' ? '[x]' : '[ ]';
+    const title = node.node_type === 'phase' ? `**${node.title}**` : node.title;
+    const status = ['completed', 'not_started'].includes(node.status) ? '' : ` \`${node.status}\``;
+    const type = node.node_type === 'milestone' ? ' _(milestone)_' : '';
+    lines.push(`${indent}- ${box} ${title}${type}${status}`);
+
+    const blockedBy = (blockers.get(node.id) || []).map((id) => byId.get(id)?.title || id);
+    if (blockedBy.length) {
+      lines.push(`${indent}  - Blocked by: ${blockedBy.join(', ')}`);
+    }
+    if (node.acceptance_criteria.length) {
+      lines.push(`${indent}  - Acceptance criteria:`);
+      for (const criterion of node.acceptance_criteria) {
+        lines.push(`${indent}    - ${criterion}`);
+      }
+    }
+  });
+
+  const blocks = doc.edges.filter((e) => e.type === 'blocks');
+  if (blocks.length) {
+    lines.push('', '## Dependencies', '');
+    for (const edge of blocks) {
+      lines.push(`- ${byId.get(edge.from)?.title || edge.from} → blocks → ${byId.get(edge.to)?.title || edge.to}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\n/g, ' ');
+}
+
+// Mermaid ids must be simple tokens; number nodes in traversal order so the
+// diagram is stable for an unchanged plan.
+function mermaidIds(doc) {
+  const ids = new Map();
+  walk(doc.nodes, (node) => ids.set(node.id, `n${ids.size + 1}`));
+  return ids;
+}
+
+const STATUS_CLASSES = {
+  completed: 'fill:#d3f9d8,stroke:#2b8a3e',
+  in_progress: 'fill:#d0ebff,stroke:#1c7ed6',
+  blocked: 'fill:#ffe3e3,stroke:#c92a2a',
+  plan_ready: 'fill:#fff3bf,stroke:#e67700',
+};
+
+/** Flowchart: hierarchy as dotted links, `blocks` edges as labelled arrows. */
+function renderFlowchart(doc) {
+  const ids = mermaidIds(doc);
+  const lines = ['flowchart TD'];
+
+  walk(doc.nodes, (node) => {
+    const label = mermaidLabel(node.title);
+    const shape = node.node_type === 'milestone' ? `{{"${label}"}}` : `["${label}"]`;
+    const statusClass = STATUS_CLASSES[node.status] ? `:::${node.status}` : '';
+    lines.push(`  ${ids.get(node.id)}${shape}${statusClass}`);
+  });
+  walk(doc.nodes, (node) => {
+    for (const child of node.children) {
+      lines.push(`  ${ids.get(node.id)} -.- ${ids.get(child.id)}`);
+    }
+  });
+  for (const edge of doc.edges.filter((e) => ids.has(e.from) && ids.has(e.to))) {
+    lines.push(`  ${ids.get(edge.from)} -->|${edge.type}| ${ids.get(edge.to)}`);
+  }
+  for (const [status, style] of Object.entries(STATUS_CLASSES)) {
+    lines.push(`  classDef ${status} ${style}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const GANTT_TAGS = {
+  completed: 'done',
+  in_progress: 'active',
+  blocked: 'crit',
+};
+
+function ganttLabel(text) {
+  return String(text).replace(/[:#;]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gantt: one section per top-level node, tasks ordered by their `blocks`
+ * edges. Nodes carry no durations, so every task is drawn as one day from the
+ * export date (or its due date, when set).
+ */
+function renderGantt(doc) {
+  const ids = mermaidIds(doc);
+  const blockers = blockersOf(doc);
+  const start = doc.exported_at.slice(0, 10);
+  const lines = ['gantt', `  title ${ganttLabel(doc.plan.title)}`, '  dateFormat YYYY-MM-DD'];
+
+  // Only leaves (and childless top-level nodes) become gantt tasks, so
+  // `after` may only reference those.
+  const drawn = new Set();
+  walk(doc.nodes, (node) => {
+    if (!node.children.length) drawn.add(node.id);
+  });
+
+  const taskLine = (node) => {
+    const tag = GANTT_TAGS[node.status];
+    const after = (blockers.get(node.id) || []).filter((id) => drawn.has(id)).map((id) => ids.get(id));
+    const when = after.length
+      ? `after ${after.join(' ')}`
+      : (node.due_date ? String(node.due_date).slice(0, 10) : start);
+    const parts = [tag, ids.get(node.id), when, '1d'].filter(Boolean);
+    const kind = node.node_type === 'milestone' ? 'milestone, ' : '';
+    return `    ${ganttLabel(node.title)} :${kind}${parts.join(', ')}`;
+  };
+
+  for (const top of doc.nodes) {
+    lines.push(`  section ${ganttLabel(top.title)}`);
+    if (!top.children.length) {
+      lines.push(taskLine(top));
+      continue;
+    }
+    walk(top.children, (node) => {
+      if (!node.children.length) lines.push(taskLine(node));
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderMermaid(doc, diagram = 'flowchart') {
+  return diagram === 'gantt' ? renderGantt(doc) : renderFlowchart(doc);
+}
+
+/**
+ * Export a plan in one of EXPORT_FORMATS.
+ * @param {Object} apiClient
+ * @param {string} planId
+ * @param {Object} [options] - { format: 'markdown'|'json'|'mermaid', diagram: 'flowchart'|'gantt' }
+ * @returns {Promise<{document: Object, content: string}>}
+ */
+async function exportPlan(apiClient, planId, { format = 'markdown', diagram = 'flowchart' } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+  }
+  if (!MERMAID_DIAGRAMS.includes(diagram)) {
+    throw new Error(`Unknown Mermaid diagram "${diagram}" (expected one of: ${MERMAID_DIAGRAMS.join(', ')})`);
+  }
+
+  const document = await loadPlanExport(apiClient, planId);
+  let content;
+  if (format === 'json') {
+    content = `${JSON.stringify(document, null, 2)}\n`;
+  } else if (format === 'mermaid') {
+    content = renderMermaid(document, diagram);
+  } else {
+    content = renderMarkdown(document);
+  }
+  return { document, content };
+}
+
+module.exports = {
+  EXPORT_SCHEMA,
+  EXPORT_FORMATS,
+  MERMAID_DIAGRAMS,
+  extractAcceptanceCriteria,
+  loadPlanExport,
+  renderMarkdown,
+  renderMermaid,
+  exportPlan,
+};
@@ -0,0 +1,338 @@
+/**
+ * Plan import — parses Markdown outlines, YAML and JSON into the tree shape
+ * form_intention takes (node_type/title/description/ref/depends_on/children).
+ *
+ * Shared by the import_plan tool and the `import` CLI command; creation
+ * itself goes through form_intention so edges and its warnings behave the
+ * same as a hand-written tree.
+ *
+ * Markdown: `# Title` names the plan and the paragraph under it becomes the
+ * description. `##`+ headings are phases (nested by level); list items
+ * (`- [ ]`, `-`, `1.`) are tasks, nested by indentation, and a bold item is a
+ * phase. Under an item, `Blocked by: A, B` / `Depends on: A` sub-bullets add
+ * depends_on and an `Acceptance criteria:` sub-bullet collects the bullets
+ * below it. `{#ref}` at the end of a title sets its ref. A `## Dependencies`
+ * section of `A → blocks → B` lines also adds edges. This is the shape
+ * export_plan writes, so exports round-trip.
+ *
+ * YAML / JSON: `{ title, description, goal_id, rationale, tree: [...] }`
+ * where each node is `{ title, node_type, description, task_mode,
+ * agent_instructions, ref, depends_on, acceptance_criteria, children }`. A
+ * bare array is taken as the tree, and export_plan's JSON document
+ * (agentplanner.plan-export/v1) is accepted as-is.
+ */
+
+const YAML = require('yaml');
+const { EXPORT_SCHEMA } = require('./plan-export');
+const { codedError } = require('./tools/bdi/_shared');
+
+const IMPORT_FORMATS = ['markdown', 'yaml', 'json'];
+
+/** A source that can't be imported (plan or knowledge). */
+const importError = (message) => codedError('import_invalid', message);
+
+/**
+ * Guess the format from a file name, else from the content.
+ * @param {string} content
+ * @param {string} [fileName]
+ * @returns {'markdown'|'yaml'|'json'}
+ */
+function detectFormat(content, fileName = '') {
+  const ext = String(fileName).toLowerCase().split('.').pop();
+  if (['md', 'markdown'].includes(ext)) return 'markdown';
+  if (['yml', 'yaml'].includes(ext)) return 'yaml';
+  if (ext === 'json') return 'json';
+
+  const first = String(content).trimStart();
+  if (first.startsWith('{') || first.startsWith('[')) return 'json';
+  if (/^(#{1,6}\s|[-*+]\s|\d+[.)]\s)/.test(first)) return 'markdown';
+  return 'yaml';
+}
+
+function withCriteria(description, criteria) {
+  const list = (criteria || []).map((c) => String(c).trim()).filter(Boolean);
+  if (!list.length || /Acceptance criteria:/i.test(description || '')) return description || '';
+  const block = `Acceptance criteria:\n${list.map((c) => `- ${c}`).join('\n')}`;
+  return description ? `${description}\n\n${block}` : block;
+}
+
+// ─── Markdown ──────────────────────────────────────────────────────────────
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+const EDGE_LINE = /^(.+?)\s*(?:→\s*blocks\s*→|->\s*blocks\s*->|→|->)\s*(.+)$/;
+
+// Strip export decorations (status code spans, milestone tag, bold) and pull
+// out a `{#ref}`.
+function parseItemTitle(raw) {
+  let text = raw.trim();
+  const node = {};
+
+  const ref = text.match(/\s*\{#([^}\s]+)\}\s*$/);
+  if (ref) {
+    node.ref = ref[1];
+    text = text.slice(0, ref.index).trim();
+  }
+  text = text.replace(/(\s+`[a-z_]+`)+\s*$/, '').trim();
+  if (/\s+_\(milestone\)_$/.test(text)) {
+    node.node_type = 'milestone';
+    text = text.replace(/\s+_\(milestone\)_$/, '').trim();
+  }
+  const bold = text.match(/^\*\*(.+)\*\*$/);
+  if (bold) {
+    node.node_type = node.node_type || 'phase';
+    text = bold[1].trim();
+  }
+
+  node.title = text;
+  return node;
+}
+
+function splitRefs(text) {
+  return text.split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function parseMarkdown(content) {
+  const doc = { title: null, description: [], tree: [] };
+  const warnings = [];
+  const headings = []; // { level, node }
+  let items = []; // { indent, node } or { indent, criteriaFor }
+  let section = 'preamble'; // preamble | body | dependencies
+  let lastNode = null;
+  const edges = [];
+
+  const container = () => {
+    for (let i = items.length - 1; i >= 0; i -= 1) {
+      if (items[i].node) return items[i].node.children;
+    }
+    return headings.length ? headings[headings.length - 1].node.children : doc.tree;
+  };
+
+  for (const rawLine of String(content).split(/\r?\n/)) {
+    const line = rawLine.replace(/\t/g, '    ');
+    if (!line.trim()) {
+      if (section === 'preamble' && doc.description.length) doc.description.push('');
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      const text = heading[2];
+      items = [];
+      if (level === 1 && !doc.title) {
+        doc.title = text;
+        section = 'preamble';
+        continue;
+      }
+      if (/^dependencies$/i.test(text)) {
+        section = 'dependencies';
+        continue;
+      }
+      section = 'body';
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      const node = { ...parseItemTitle(text), children: [] };
+      node.node_type = node.node_type || 'phase';
+      container().push(node);
+      headings.push({ level, node });
+      lastNode = node;
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item && section === 'dependencies') {
+      const edge = item[2].trim().match(EDGE_LINE);
+      if (edge) edges.push({ from: edge[1].trim(), to: edge[2].trim() });
+      else warnings.push(`Ignored dependency line: ${item[2].trim()}`);
+      continue;
+    }
+
+    if (item) {
+      section = 'body';
+      const indent = item[1].length;
+      const text = item[2].trim();
+      while (items.length && items[items.length - 1].indent >= indent) items.pop();
+      const top = items[items.length - 1];
+
+      if (top?.criteriaFor) {
+        top.criteriaFor.acceptance_criteria.push(text);
+        continue;
+      }
+      if (top?.node) {
+        const deps = text.match(/^(?:blocked by|depends on):\s*(.+)$/i);
+        if (deps) {
+          top.node.depends_on.push(...splitRefs(deps[1]));
+          continue;
+        }
+        if (/^acceptance criteria:?\s*$/i.test(text)) {
+          items.push({ indent, criteriaFor: top.node });
+          continue;
+        }
+      }
+
+      const node = { ...parseItemTitle(text), depends_on: [], acceptance_criteria: [], children: [] };
+      node.node_type = node.node_type || 'task';
+      container().push(node);
+      items.push({ indent, node });
+      lastNode = node;
+      continue;
+    }
+
+    // Plain text: plan description before the first node, else the
+    // description of the node it follows.
+    if (section === 'preamble') {
+      // export_plan's status line is run-state, not description
+      if (!/^Status: `[a-z_]+`$/.test(line.trim())) doc.description.push(line.trim());
+    } else if (lastNode) {
+      lastNode.description = lastNode.description ? `${lastNode.description}\n${line.trim()}` : line.trim();
+    }
+  }
+
+  if (edges.length) {
+    const byTitle = new Map();
+    const index = (nodes) => {
+      for (const node of nodes) {
+        byTitle.set(node.title, node);
+        index(node.children);
+      }
+    };
+    index(doc.tree);
+    for (const { from, to } of edges) {
+      const target = byTitle.get(to);
+      if (!target) {
+        warnings.push(`Dependency target "${to}" not found`);
+        continue;
+      }
+      target.depends_on = target.depends_on || [];
+      if (!target.depends_on.includes(from)) target.depends_on.push(from);
+    }
+  }
+
+  return {
+    title: doc.title,
+    description: doc.description.join('\n').trim() || null,
+    tree: doc.tree,
+    warnings,
+  };
+}
+
+// ─── YAML / JSON ───────────────────────────────────────────────────────────
+
+// export_plan's JSON document: node ids become refs and edges depends_on.
+function fromExportDocument(doc) {
+  const dependsOn = new Map();
+  for (const edge of doc.edges || []) {
+    if ((edge.type || 'blocks') !== 'blocks') continue;
+    if (!dependsOn.has(edge.to)) dependsOn.set(edge.to, []);
+    dependsOn.get(edge.to).push(String(edge.from));
+  }
+  const convert = (node) => ({
+    ref: String(node.id),
+    title: node.title,
+    node_type: node.node_type,
+    description: node.description || '',
+    acceptance_criteria: node.acceptance_criteria,
+    depends_on: dependsOn.get(node.id) || [],
+    children: (node.children || []).map(convert),
+  });
+  return {
+    title: doc.plan?.title,
+    description: doc.plan?.description,
+    tree: (doc.nodes || []).map(convert),
+  };
+}
+
+function parseStructured(data) {
+  if (Array.isArray(data)) return { tree: data };
+  if (!data || typeof data !== 'object') {
+    throw importError('Expected an object with a `tree` array, or an array of nodes');
+  }
+  if (data.schema === EXPORT_SCHEMA) return fromExportDocument(data);
+  return { ...data, tree: data.tree || data.nodes || [] };
+}
+
+function parseDocument(content, format) {
+  if (format === 'json') {
+    try {
+      return parseStructured(JSON.parse(content));
+    } catch (err) {
+      if (err.code === 'import_invalid') throw err;
+      throw importError(`Invalid JSON: ${err.message}`);
+    }
+  }
+  let data;
+  try {
+    data = YAML.parse(content);
+  } catch (err) {
+    throw importError(`Invalid YAML: ${err.message}`);
+  }
+  return parseStructured(data);
+}
+
+// ─── Normalization ─────────────────────────────────────────────────────────
+
+const NODE_FIELDS = ['node_type', 'title', 'description', 'task_mode', 'agent_instructions', 'ref'];
+
+function normalizeNode(node) {
+  if (!node || typeof node !== 'object') {
+    throw importError('Every tree node must be an object with a title');
+  }
+  const out = {};
+  for (const field of NODE_FIELDS) {
+    if (node[field] !== undefined && node[field] !== null && node[field] !== '') out[field] = String(node[field]);
+  }
+  const description = withCriteria(out.description, node.acceptance_criteria);
+  if (description) out.description = description;
+  else delete out.description;
+
+  const deps = Array.isArray(node.depends_on) ? node.depends_on : node.depends_on ? [node.depends_on] : [];
+  if (deps.length) out.depends_on = deps.map(String);
+
+  const children = Array.isArray(node.children) ? node.children : [];
+  if (children.length) out.children = children.map(normalizeNode);
+  return out;
+}
+
+function countNodes(tree) {
+  return tree.reduce((sum, node) => sum + 1 + countNodes(node.children || []), 0);
+}
+
+/**
+ * Parse an import source into form_intention arguments.
+ * @param {string} content
+ * @param {Object} [options] - { format, fileName }
+ * @returns {{format: string, title: string|null, description: string|null,
+ *   goal_id?: string, rationale?: string, tree: Array, node_count: number, warnings: string[]}}
+ * @throws {Error} with code 'import_invalid' when the source can't be parsed
+ */
+function parsePlanSource(content, { format, fileName } = {}) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw importError('Nothing to import: content is empty');
+  }
+  const resolved = format || detectFormat(content, fileName);
+  if (!IMPORT_FORMATS.includes(resolved)) {
+    throw importError(`Unknown import format "${resolved}" (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+  }
+
+  const parsed = resolved === 'markdown' ? parseMarkdown(content) : parseDocument(content, resolved);
+  if (!Array.isArray(parsed.tree)) {
+    throw importError('`tree` must be an array of nodes');
+  }
+  const tree = parsed.tree.map(normalizeNode);
+  if (!tree.length) {
+    throw importError('No nodes found to import');
+  }
+
+  return {
+    format: resolved,
+    title: parsed.title || null,
+    description: parsed.description || null,
+    ...(parsed.goal_id ? { goal_id: String(parsed.goal_id) } : {}),
+    ...(parsed.rationale ? { rationale: String(parsed.rationale) } : {}),
+    tree,
+    node_count: countNodes(tree),
+    warnings: parsed.warnings || [],
+  };
+}
+
+module.exports = { IMPORT_FORMATS, importError, detectFormat, parsePlanSource };
@@ -0,0 +1,302 @@
+/**
+ * Plan snapshots — point-in-time copies of a plan's node tree, statuses,
+ * dependency edges and goal links, and the diff between two of them.
+ *
+ * Shared by the plan_snapshot / plan_diff tools and by the bulk mutations
+ * that snapshot automatically before they write (update_task's batch form,
+ * a cascading delete_node, restore of a cascade, split_task, merge_tasks,
+ * duplicate_subtree), so "what did this plan look
+ * like before the autopilot ran overnight?" has an answer.
+ *
+ * The payload extends save_as_blueprint's `{ nodes, dependencies }` with the
+ * run-state a blueprint leaves out — node statuses and goal links:
+ *
+ *   nodes         [{ id, parent_id, node_type, title, status, order_index, agent_instructions }]
+ *   dependencies  [{ id, source_node_id, target_node_id, dependency_type }]
+ *   goal_links    [{ goal_id, goal_title, linked_type, linked_id }]
+ *
+ * Snapshots live in a session-store-shaped store (see session-store.js) under
+ * `snapshots/`, so MCP_SESSION_STORE=file keeps them across restarts. The
+ * newest MCP_SNAPSHOT_LIMIT per plan (default 20) are kept.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionStore, defaultStoreDir } = require('./session-store');
+const { attempt } = require('./tools/bdi/_shared');
+
+const SNAPSHOT_SCHEMA = 'agentplanner.plan-snapshot/v1';
+const DEFAULT_LIMIT = 20;
+// Goals whose list row doesn't carry its links are fetched one by one; cap it
+const MAX_GOAL_LOOKUPS = 25;
+
+function toList(value, key) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value[key])) return value[key];
+  return [];
+}
+
+function errorMessage(err) {
+  return err?.response?.data?.error || err?.message || String(err);
+}
+
+// ─── Capture ─────────────────────────────────────────────────────
+
+function flattenNodes(roots) {
+  const nodes = [];
+  const visit = (node, parentId) => {
+    nodes.push({
+      id: node.id,
+      parent_id: parentId,
+      node_type: node.node_type || 'task',
+      title: node.title || '',
+      status: node.status || 'not_started',
+      order_index: node.order_index ?? null,
+      agent_instructions: node.agent_instructions || null,
+    });
+    for (const child of toList(node.children)) visit(child, node.id);
+  };
+
+  // The plan's root node is structural; top-level nodes get parent_id null
+  let top = toList(roots, 'nodes');
+  if (top.length === 1 && top[0].node_type === 'root') top = toList(top[0].children);
+  for (const node of top.filter((n) => n.node_type !== 'root')) visit(node, null);
+  return nodes;
+}
+
+function snapshotDependency(edge) {
+  return {
+    id: edge.id || null,
+    source_node_id: edge.source_node_id || edge.from_node_id || edge.source?.id,
+    target_node_id: edge.target_node_id || edge.to_node_id || edge.target?.id,
+    dependency_type: edge.dependency_type || edge.relation || 'blocks',
+  };
+}
+
+// Links from goals to this plan or to any of its nodes
+async function loadGoalLinks(apiClient, planId, nodeIds, warnings) {
+  let goals;
+  try {
+    goals = toList(await apiClient.goals.list({}), 'goals');
+  } catch (err) {
+    warnings.push(`Goal links unavailable: ${errorMessage(err)}`);
+    return [];
+  }
+
+  const links = [];
+  let lookups = 0;
+  for (const goal of goals) {
+    let goalLinks = goal.links;
+    if (!Array.isArray(goalLinks)) {
+      if (lookups >= MAX_GOAL_LOOKUPS) {
+        warnings.push(`Goal links read from the first ${MAX_GOAL_LOOKUPS} goals only`);
+        break;
+      }
+      lookups += 1;
+      try {
+        goalLinks = toList((await apiClient.goals.get(goal.id)).links);
+      } catch (err) {
+        warnings.push(`Links of goal ${goal.id} unavailable: ${errorMessage(err)}`);
+        continue;
+      }
+    }
+    for (const link of goalLinks) {
+      const type = link.linkedType || link.linked_type;
+      const id = link.linkedId || link.linked_id;
+      if ((type === 'plan' && id === planId) || (type === 'task' && nodeIds.has(id))) {
+        links.push({ goal_id: goal.id, goal_title: goal.title || null, linked_type: type, linked_id: id });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Read a plan and build a snapshot document (not stored). Only the node read
+ * is required; edges and goal links are best-effort and reported in warnings.
+ * @param {Object} apiClient
+ * @param {string} planId
+ * @param {Object} [options] - { label, trigger }
+ * @returns {Promise<Object>} snapshot
+ */
+async function captureSnapshot(apiClient, planId, options = {}) {
+  const [plan, nodes, edges] = await Promise.allSettled([
+    attempt(() => apiClient.plans.getPlan(planId)),
+    attempt(() => apiClient.nodes.getNodes(planId)),
+    attempt(() => apiClient.dependencies.listForPlan(planId)),
+  ]);
+  if (nodes.status !== 'fulfilled') throw nodes.reason;
+
+  const warnings = [];
+  const flatNodes = flattenNodes(nodes.value);
+  if (edges.status !== 'fulfilled') {
+    warnings.push(`Dependency edges unavailable: ${errorMessage(edges.reason)}`);
+  }
+  const goalLinks = await loadGoalLinks(apiClient, planId, new Set(flatNodes.map((n) => n.id)), warnings);
+
+  return {
+    schema: SNAPSHOT_SCHEMA,
+    id: crypto.randomUUID(),
+    plan_id: planId,
+    plan_title: plan.status === 'fulfilled' ? plan.value?.title || null : null,
+    taken_at: new Date().toISOString(),
+    label: options.label || null,
+    trigger: options.trigger || 'manual',
+    payload: {
+      nodes: flatNodes,
+      dependencies: edges.status === 'fulfilled'
+        ? toList(edges.value, 'dependencies').map(snapshotDependency).filter((e) => e.source_node_id && e.target_node_id)
+        : [],
+      goal_links: goalLinks,
+    },
+    warnings,
+  };
+}
+
+// ─── Diff ────────────────────────────────────────────────────────
+
+function edgeKey(e) {
+  return `${e.source_node_id}>${e.target_node_id}:${e.dependency_type}`;
+}
+
+function linkKey(l) {
+  return `${l.goal_id}:${l.linked_type}:${l.linked_id}`;
+}
+
+/**
+ * Compare two snapshot payloads (`before` → `after`). Nodes match by id.
+ * @returns {{ summary: Object, changes: Object }}
+ */
+function diffSnapshots(before, after) {
+  const oldNodes = new Map(toList(before.nodes).map((n) => [n.id, n]));
+  const newNodes = new Map(toList(after.nodes).map((n) => [n.id, n]));
+  const brief = (n) => ({ id: n.id, title: n.title, node_type: n.node_type, parent_id: n.parent_id, status: n.status });
+
+  const changes = {
+    added: [],
+    removed: [],
+    moved: [],
+    retitled: [],
+    status_changed: [],
+    edges_added: [],
+    edges_removed: [],
+    goal_links_added: [],
+    goal_links_removed: [],
+  };
+
+  for (const [id, node] of newNodes) {
+    const old = oldNodes.get(id);
+    if (!old) {
+      changes.added.push(brief(node));
+      continue;
+    }
+    if ((old.parent_id ?? null) !== (node.parent_id ?? null)) {
+      changes.moved.push({ id, title: node.title, from_parent_id: old.parent_id ?? null, to_parent_id: node.parent_id ?? null });
+    }
+    if (old.title !== node.title) changes.retitled.push({ id, from: old.title, to: node.title });
+    if (old.status !== node.status) changes.status_changed.push({ id, title: node.title, from: old.status, to: node.status });
+  }
+  for (const [id, node] of oldNodes) {
+    if (!newNodes.has(id)) changes.removed.push(brief(node));
+  }
+
+  const setDiff = (a, b, key) => {
+    const keys = new Set(toList(b).map(key));
+    return toList(a).filter((item) => !keys.has(key(item)));
+  };
+  const edge = (e) => ({ from: e.source_node_id, to: e.target_node_id, type: e.dependency_type });
+  changes.edges_added = setDiff(after.dependencies, before.dependencies, edgeKey).map(edge);
+  changes.edges_removed = setDiff(before.dependencies, after.dependencies, edgeKey).map(edge);
+  changes.goal_links_added = setDiff(after.goal_links, before.goal_links, linkKey);
+  changes.goal_links_removed = setDiff(before.goal_links, after.goal_links, linkKey);
+
+  const summary = Object.fromEntries(Object.entries(changes).map(([key, list]) => [key, list.length]));
+  summary.unchanged = Object.values(changes).every((list) => list.length === 0);
+  return { summary, changes };
+}
+
+// ─── Store ───────────────────────────────────────────────────────
+
+// The process-wide store. Created from the environment on first use;
+// setSnapshotStore swaps it (tests, or a server that builds its own).
+let activeStore = null;
+
+function createSnapshotStore(options = {}) {
+  const type = (options.type || process.env.MCP_SESSION_STORE || 'memory').toLowerCase();
+  return createSessionStore({ type, dir: options.dir || path.join(defaultStoreDir(), 'snapshots') });
+}
+
+function snapshotStore() {
+  if (!activeStore) activeStore = createSnapshotStore();
+  return activeStore;
+}
+
+function setSnapshotStore(store) {
+  activeStore = store || null;
+}
+
+function snapshotLimit() {
+  const limit = Number(process.env.MCP_SNAPSHOT_LIMIT);
+  return limit > 0 ? Math.floor(limit) : DEFAULT_LIMIT;
+}
+
+/** Snapshots of a plan, newest first. */
+async function listSnapshots(planId) {
+  const all = await snapshotStore().list();
+  return all
+    .filter((s) => s.schema === SNAPSHOT_SCHEMA && s.plan_id === planId)
+    .sort((a, b) => b.taken_at.localeCompare(a.taken_at));
+}
+
+async function getSnapshot(snapshotId) {
+  const snapshot = await snapshotStore().get(snapshotId);
+  return snapshot?.schema === SNAPSHOT_SCHEMA ? snapshot : null;
+}
+
+/** Store a snapshot and drop the plan's oldest beyond the limit. */
+async function saveSnapshot(snapshot) {
+  const store = snapshotStore();
+  await store.set(snapshot);
+  const stale = (await listSnapshots(snapshot.plan_id)).slice(snapshotLimit());
+  await Promise.all(stale.map((s) => store.delete(s.id)));
+  return snapshot;
+}
+
+/** Capture and store in one step. */
+async function takeSnapshot(apiClient, planId, options = {}) {
+  return saveSnapshot(await captureSnapshot(apiClient, planId, options));
+}
+
+/** True unless MCP_AUTO_SNAPSHOT turns automatic snapshots off. */
+function autoSnapshotEnabled() {
+  return !['0', 'false', 'no', 'off'].includes(String(process.env.MCP_AUTO_SNAPSHOT || '').toLowerCase());
+}
+
+/**
+ * Snapshot a plan before a bulk mutation. Never fails the mutation: returns
+ * the snapshot id, or null when disabled or the plan couldn't be read.
+ */
+async function autoSnapshot(apiClient, planId, trigger) {
+  if (!autoSnapshotEnabled()) return null;
+  try {
+    return (await takeSnapshot(apiClient, planId, { trigger })).id;
+  } catch (err) {
+    console.error(`Automatic snapshot of plan ${planId} before ${trigger} failed:`, errorMessage(err));
+    return null;
+  }
+}
+
+module.exports = {
+  SNAPSHOT_SCHEMA,
+  captureSnapshot,
+  diffSnapshots,
+  loadGoalLinks,
+  createSnapshotStore,
+  setSnapshotStore,
+  listSnapshots,
+  getSnapshot,
+  saveSnapshot,
+  takeSnapshot,
+  autoSnapshotEnabled,
+  autoSnapshot,
+};
@@ -0,0 +1,116 @@
+/**
+ * MCP Prompts — the canonical agent workflows as prompts/list + prompts/get.
+ *
+ * Every MCP client that supports prompts exposes these as slash commands
+ * (/agentplanner:autopilot, /agentplanner:start-task, ...), so the workflows
+ * reach agents that don't have SKILL.md loaded. Each rendered prompt embeds
+ * the live `briefing` or `task_context` output, so the agent's first turn
+ * starts from current state instead of spending a read on it.
+ */
+
+const { ListPromptsRequestSchema, GetPromptRequestSchema, McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const defaultApiClient = require('./api-client');
+const { WORKFLOWS } = require('./workflows');
+const beliefs = require('./tools/bdi/beliefs');
+
+const workflowsByName = new Map(WORKFLOWS.map((w) => [w.name, w]));
+
+/**
+ * Run the workflow's pre-fill read through the same BDI handler the tool uses.
+ * @returns {Promise<{label: string, text: string|null, error?: string}>}
+ */
+async function loadPrefill(workflow, args, apiClient) {
+  let label;
+  let response;
+  try {
+    if (workflow.prefill === 'task_context' && args.task_id) {
+      label = `task_context(node_id="${args.task_id}", depth=2)`;
+      response = await beliefs.handlers.task_context({ node_id: args.task_id, depth: 2 }, apiClient);
+    } else {
+      label = `briefing(scope="${workflow.briefing_scope}")`;
+      response = await beliefs.handlers.briefing({
+        scope: workflow.briefing_scope,
+        goal_id: args.goal_id,
+        plan_id: args.plan_id,
+      }, apiClient);
+    }
+  } catch (err) {
+    return { label, text: null, error: err.message || String(err) };
+  }
+  const text = response?.content?.[0]?.text || '';
+  return response?.isError ? { label, text: null, error: text } : { label, text };
+}
+
+/**
+ * Render a workflow prompt into MCP prompt messages.
+ * @param {string} name - Prompt name (see workflows.js)
+ * @param {Object} args - Prompt arguments (strings)
+ * @param {Object} apiClient
+ */
+async function renderPrompt(name, args = {}, apiClient = defaultApiClient) {
+  const workflow = workflowsByName.get(name);
+  if (!workflow) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}. Available: ${WORKFLOWS.map((w) => w.name).join(', ')}`);
+  }
+  for (const arg of workflow.arguments) {
+    if (arg.required && !args[arg.name]) {
+      throw new McpError(ErrorCode.InvalidParams, `Prompt ${name} requires argument ${arg.name}`);
+    }
+  }
+
+  const prefill = await loadPrefill(workflow, args, apiClient);
+
+  const given = workflow.arguments.filter((a) => args[a.name]);
+  const lines = [
+    `Run the AgentPlanner workflow: ${workflow.title}.`,
+    '',
+  ];
+  if (given.length) {
+    lines.push('Inputs:');
+    lines.push(...given.map((a) => `- ${a.name}: ${args[a.name]}`));
+    lines.push('');
+  }
+  lines.push('Steps:');
+  lines.push(...workflow.steps.map((step, i) => `${i + 1}. ${step}`));
+  lines.push('');
+  if (prefill.text) {
+    lines.push(`Current state — ${prefill.label} was already called for you:`);
+    lines.push('```json');
+    lines.push(prefill.text);
+    lines.push('```');
+  } else {
+    lines.push(`Current state could not be pre-loaded (${prefill.label}: ${prefill.error}). Call it yourself as the first step.`);
+  }
+
+  return {
+    description: workflow.description,
+    messages: [{ role: 'user', content: { type: 'text', text: lines.join('\n') } }],
+  };
+}
+
+/**
+ * Wire workflow prompts into an MCP server.
+ * @param {Server} server - MCP server instance (must advertise the prompts capability)
+ * @param {Object} [apiClientOverride] - Per-session API client (HTTP mode); falls back to default (stdio mode)
+ */
+function setupPrompts(server, apiClientOverride) {
+  const apiClient = apiClientOverride || defaultApiClient;
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: WORKFLOWS.map((w) => ({
+        name: w.name,
+        title: w.title,
+        description: w.description,
+        arguments: w.arguments,
+      })),
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return renderPrompt(name, args || {}, apiClient);
+  });
+}
+
+module.exports = { setupPrompts, renderPrompt };
@@ -0,0 +1,192 @@
+/**
+ * Recurring tasks — an RRULE-style rule on a task, and the date of each
+ * instance in its series.
+ *
+ * form_intention / extend_intention store the rule in the task's
+ * `metadata.recurrence` and give the first instance the first matching date
+ * as its due_date. When update_task completes an instance, the next one is
+ * created in the same parent, due on the next matching date, linked back to
+ * the series:
+ *
+ *   metadata.recurrence = { rule, dtstart, instance, series_id, previous_id, next_id }
+ *
+ * series_id is the first instance's id (absent on the first instance
+ * itself); next_id is set on an instance once its successor exists, so
+ * completing it twice doesn't spawn two.
+ *
+ * Supported rule parts (RFC 5545 subset, dates only, UTC):
+ *   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY  INTERVAL=n  COUNT=n  UNTIL=YYYYMMDD
+ *   BYDAY=MO,TU,…      (DAILY, WEEKLY)
+ *   BYMONTHDAY=1,15,-1 (MONTHLY; -1 is the last day of the month)
+ */
+
+const { codedError } = require('./tools/bdi/_shared');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Give up looking for a next date this far out (covers yearly rules with
+// sparse BYMONTHDAY combinations without looping forever on impossible ones)
+const MAX_SCAN_DAYS = 366 * 12;
+
+const recurrenceError = (message) => codedError('recurrence_invalid', message);
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) throw recurrenceError(`UNTIL must be YYYYMMDD, got "${value}"`);
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function positiveInt(name, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw recurrenceError(`${name} must be a positive integer, got "${value}"`);
+  return n;
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO", optionally "RRULE:"-prefixed).
+ * @returns {{ freq, interval, byday, bymonthday, count, until }}
+ */
+function parseRule(rule) {
+  if (typeof rule !== 'string' || !rule.trim()) throw recurrenceError("recurrence must be an RRULE string like 'FREQ=WEEKLY;BYDAY=MO'");
+  const parsed = { freq: null, interval: 1, byday: null, bymonthday: null, count: null, until: null };
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    if (key === 'FREQ') {
+      parsed.freq = value.toUpperCase();
+      if (!FREQUENCIES.includes(parsed.freq)) throw recurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+    } else if (key === 'INTERVAL') {
+      parsed.interval = positiveInt('INTERVAL', value);
+    } else if (key === 'COUNT') {
+      parsed.count = positiveInt('COUNT', value);
+    } else if (key === 'UNTIL') {
+      parsed.until = parseUntil(value);
+    } else if (key === 'BYDAY') {
+      parsed.byday = value.toUpperCase().split(',').map((d) => {
+        if (!WEEKDAYS.includes(d)) throw recurrenceError(`BYDAY takes MO,TU,WE,TH,FR,SA,SU (positional forms like 1MO aren't supported), got "${d}"`);
+        return WEEKDAYS.indexOf(d);
+      });
+    } else if (key === 'BYMONTHDAY') {
+      parsed.bymonthday = value.split(',').map((d) => {
+        const n = Number(d);
+        if (!Number.isInteger(n) || n === 0 || n < -1 || n > 31) throw recurrenceError(`BYMONTHDAY takes 1–31 or -1, got "${d}"`);
+        return n;
+      });
+    } else {
+      throw recurrenceError(`Unsupported rule part ${key} (supported: FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY)`);
+    }
+  }
+  if (!parsed.freq) throw recurrenceError('recurrence needs FREQ (DAILY, WEEKLY, MONTHLY or YEARLY)');
+  if (parsed.byday && !['DAILY', 'WEEKLY'].includes(parsed.freq)) throw recurrenceError('BYDAY is supported with FREQ=DAILY or WEEKLY');
+  if (parsed.bymonthday && parsed.freq !== 'MONTHLY') throw recurrenceError('BYMONTHDAY is supported with FREQ=MONTHLY');
+  if (parsed.count && parsed.until) throw recurrenceError('Use COUNT or UNTIL, not both');
+  return parsed;
+}
+
+/** Error message for an invalid rule, or null. */
+function validateRecurrence(rule) {
+  try {
+    parseRule(rule);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// ─── Dates ───────────────────────────────────────────────────────
+
+const toDay = (value) => {
+  const d = new Date(value);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const monthsBetween = (a, b) => (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+// Monday-based week index, so WEEKLY;INTERVAL=2 alternates whole weeks
+const weekOf = (ms) => Math.floor((ms / DAY_MS + 3) / 7);
+
+// Does `day` belong to the series that starts on `start`?
+function matches(rule, start, day) {
+  const d = new Date(day);
+  const s = new Date(start);
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.round((day - start) / DAY_MS) % rule.interval === 0
+        && (!rule.byday || rule.byday.includes(d.getUTCDay()));
+    case 'WEEKLY':
+      return (weekOf(day) - weekOf(start)) % rule.interval === 0
+        && (rule.byday || [s.getUTCDay()]).includes(d.getUTCDay());
+    case 'MONTHLY': {
+      if (monthsBetween(s, d) % rule.interval !== 0) return false;
+      const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+      return (rule.bymonthday || [s.getUTCDate()])
+        .some((n) => (n === -1 ? d.getUTCDate() === lastDay : d.getUTCDate() === n));
+    }
+    case 'YEARLY':
+      return (d.getUTCFullYear() - s.getUTCFullYear()) % rule.interval === 0
+        && d.getUTCMonth() === s.getUTCMonth() && d.getUTCDate() === s.getUTCDate();
+    default:
+      return false;
+  }
+}
+
+// First matching day on or after `from`, or null
+function scan(rule, start, from) {
+  for (let day = Math.max(toDay(from), start), i = 0; i < MAX_SCAN_DAYS; i += 1, day += DAY_MS) {
+    if (rule.until !== null && day > rule.until) return null;
+    if (matches(rule, start, day)) return day;
+  }
+  return null;
+}
+
+/**
+ * Recurrence metadata for a new series' first instance and its due date.
+ * The series starts on the first matching day on or after `now`.
+ * @returns {{ due_date: string|null, recurrence: Object }}
+ */
+function startSeries(rule, now = Date.now()) {
+  const parsed = parseRule(rule);
+  // A rule without BYDAY/BYMONTHDAY anchors on today
+  const first = scan(parsed, toDay(now), now);
+  return {
+    due_date: first === null ? null : isoDay(first),
+    recurrence: { rule, dtstart: first === null ? isoDay(toDay(now)) : isoDay(first), instance: 1 },
+  };
+}
+
+/**
+ * The instance after `recurrence` (a task's metadata.recurrence): its due
+ * date and metadata, or null when COUNT / UNTIL ends the series.
+ * @param {Object} recurrence
+ * @param {string} taskId - the instance being completed
+ * @param {string|null} dueDate - its due date (the next one comes after it)
+ * @param {number} [now]
+ */
+function nextInstance(recurrence, taskId, dueDate, now = Date.now()) {
+  const rule = parseRule(recurrence.rule);
+  const instance = Number(recurrence.instance) || 1;
+  if (rule.count !== null && instance >= rule.count) return null;
+
+  const start = toDay(recurrence.dtstart || dueDate || now);
+  // The day after this instance's due date — or after today, if it's overdue
+  const after = Math.max(toDay(dueDate || now), toDay(now)) + DAY_MS;
+  const next = scan(rule, start, after);
+  if (next === null) return null;
+  return {
+    due_date: isoDay(next),
+    recurrence: {
+      rule: recurrence.rule,
+      dtstart: isoDay(start),
+      instance: instance + 1,
+      series_id: recurrence.series_id || taskId,
+      previous_id: taskId,
+    },
+  };
+}
+
+module.exports = {
+  parseRule,
+  validateRecurrence,
+  startSeries,
+  nextInstance,
+};
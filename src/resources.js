@@ -0,0 +1,320 @@
+/**
+ * MCP Resources — plans, goals and task context as attachable, subscribable
+ * resources.
+ *
+ * Lets a client (e.g. Claude Desktop) attach AgentPlanner state to a
+ * conversation without spending a tool call. Three URI shapes, each backed by
+ * an existing API client read:
+ *   agentplanner://plans/{plan_id}           → plans.getPlan (+ node tree)
+ *   agentplanner://goals/{goal_id}           → goals.get
+ *   agentplanner://tasks/{task_id}/context   → context.getNodeContext
+ *
+ * resources/subscribe is served by a poller: the backend has no push channel,
+ * so each subscribed URI is re-read on an interval and the client receives
+ * notifications/resources/updated whenever its content changes.
+ */
+
+const {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+} = require('@modelcontextprotocol/sdk/types.js');
+const defaultApiClient = require('./api-client');
+const { asOf, safeArray } = require('./tools/bdi/_shared');
+
+const URI_SCHEME = 'agentplanner://';
+const MIME_TYPE = 'application/json';
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${URI_SCHEME}plans/{plan_id}`,
+    name: 'Plan',
+    description: 'A plan with its status and full phase/task tree.',
+    mimeType: MIME_TYPE,
+  },
+  {
+    uriTemplate: `${URI_SCHEME}goals/{goal_id}`,
+    name: 'Goal',
+    description: 'A goal with its success criteria and linked plans/tasks.',
+    mimeType: MIME_TYPE,
+  },
+  {
+    uriTemplate: `${URI_SCHEME}tasks/{task_id}/context`,
+    name: 'Task context',
+    description: 'Leaf-up context for a task: ancestry, linked goals, relevant knowledge.',
+    mimeType: MIME_TYPE,
+  },
+];
+
+const URI_PATTERNS = [
+  { kind: 'plan', re: /^agentplanner:\/\/plans\/([^/]+)$/ },
+  { kind: 'goal', re: /^agentplanner:\/\/goals\/([^/]+)$/ },
+  { kind: 'task_context', re: /^agentplanner:\/\/tasks\/([^/]+)\/context$/ },
+];
+
+/**
+ * Parse an agentplanner:// URI.
+ * @param {string} uri
+ * @returns {{kind: string, id: string}|null} null when the URI is not ours
+ */
+function parseResourceUri(uri) {
+  if (typeof uri !== 'string') return null;
+  for (const { kind, re } of URI_PATTERNS) {
+    const match = uri.match(re);
+    if (match) return { kind, id: decodeURIComponent(match[1]) };
+  }
+  return null;
+}
+
+function planUri(planId) {
+  return `${URI_SCHEME}plans/${planId}`;
+}
+
+function goalUri(goalId) {
+  return `${URI_SCHEME}goals/${goalId}`;
+}
+
+function taskContextUri(taskId) {
+  return `${URI_SCHEME}tasks/${taskId}/context`;
+}
+
+/**
+ * Load the payload behind a resource URI. No `as_of` here — the result doubles
+ * as the change fingerprint for subscriptions, so it must be stable across
+ * reads of unchanged state.
+ */
+async function loadResource(uri, apiClient) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+  }
+
+  try {
+    if (parsed.kind === 'plan') {
+      // The node tree is what makes an attached plan useful; it is best-effort
+      // so a plan still resolves if the tree read fails.
+      const [plan, nodes] = await Promise.allSettled([
+        apiClient.plans.getPlan(parsed.id),
+        apiClient.nodes.getNodes(parsed.id),
+      ]);
+      if (plan.status !== 'fulfilled') throw plan.reason;
+      return {
+        plan: plan.value,
+        nodes: nodes.status === 'fulfilled' ? safeArray(nodes.value) : null,
+      };
+    }
+    if (parsed.kind === 'goal') {
+      return { goal: await apiClient.goals.get(parsed.id) };
+    }
+    return { task_id: parsed.id, context: await apiClient.context.getNodeContext(parsed.id) };
+  } catch (err) {
+    const status = err.response?.status;
+    const upstream = err.response?.data?.error || err.message;
+    if (status === 404) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+    throw new McpError(ErrorCode.InternalError, `Failed to read ${uri}: ${upstream}`);
+  }
+}
+
+/**
+ * Per-connection resource subscriptions.
+ *
+ * Holds the last-seen fingerprint of every subscribed URI and re-reads them on
+ * `pollInterval`. `notify(uri)` is transport-specific: stdio wires it to
+ * server.sendResourceUpdated, HTTP to the session's SSE stream.
+ */
+class ResourceSubscriptions {
+  constructor({ apiClient, notify, pollInterval } = {}) {
+    this.apiClient = apiClient || defaultApiClient;
+    this.notify = notify || (() => {});
+    this.pollInterval = pollInterval
+      || Number(process.env.MCP_RESOURCE_POLL_MS)
+      || DEFAULT_POLL_INTERVAL_MS;
+
+    // uri -> last fingerprint (null when the last read failed)
+    this.subscriptions = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  async fingerprint(uri) {
+    try {
+      return JSON.stringify(await loadResource(uri, this.apiClient));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Subscribe to a URI. Idempotent.
+   * @param {string} uri
+   */
+  async subscribe(uri) {
+    if (!parseResourceUri(uri)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+    }
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, await this.fingerprint(uri));
+    }
+    this.startPolling();
+  }
+
+  /**
+   * Unsubscribe from a URI. Stops polling when nothing is left.
+   * @param {string} uri
+   */
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+    if (this.subscriptions.size === 0) this.stopPolling();
+  }
+
+  /**
+   * Re-read every subscribed URI and notify for those whose content changed.
+   * A failed read never notifies — it only resets the fingerprint so the next
+   * successful read does.
+   * @returns {Promise<string[]>} URIs that were notified
+   */
+  async poll() {
+    if (this.polling) return [];
+    this.polling = true;
+    const changed = [];
+    try {
+      for (const [uri, previous] of [...this.subscriptions.entries()]) {
+        const current = await this.fingerprint(uri);
+        // Unsubscribed while we were reading.
+        if (!this.subscriptions.has(uri)) continue;
+        this.subscriptions.set(uri, current);
+        if (current !== null && previous !== null && current !== previous) {
+          changed.push(uri);
+          try {
+            await this.notify(uri);
+          } catch (err) {
+            console.error(`Resource notification failed for ${uri}:`, err.message || err);
+          }
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+    return changed;
+  }
+
+  startPolling() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.poll();
+    }, this.pollInterval);
+
+    // Prevent the timer from keeping the process alive
+    this.timer.unref();
+  }
+
+  stopPolling() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list() {
+    return [...this.subscriptions.keys()];
+  }
+
+  close() {
+    this.stopPolling();
+    this.subscriptions.clear();
+  }
+}
+
+/**
+ * Wire resource handlers into an MCP server.
+ * @param {Server} server - MCP server instance (must advertise the resources capability)
+ * @param {Object} [apiClientOverride] - Per-session API client (HTTP mode); falls back to default (stdio mode)
+ * @param {Object} [options]
+ * @param {ResourceSubscriptions} [options.subscriptions] - Subscription registry to use; a
+ *   server-bound one is created when omitted (stdio mode)
+ * @returns {ResourceSubscriptions} the subscription registry in use
+ */
+function setupResources(server, apiClientOverride, options = {}) {
+  const apiClient = apiClientOverride || defaultApiClient;
+  const subscriptions = options.subscriptions || new ResourceSubscriptions({
+    apiClient,
+    notify: (uri) => server.sendResourceUpdated({ uri }),
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    // Concrete entries for what the user can see right now; anything else is
+    // reachable through the templates.
+    const [plansRes, goalsRes] = await Promise.allSettled([
+      apiClient.plans.getPlans(),
+      apiClient.goals.list({ status: 'active' }),
+    ]);
+    const plans = plansRes.status === 'fulfilled'
+      ? safeArray(Array.isArray(plansRes.value) ? plansRes.value : plansRes.value?.plans)
+      : [];
+    const goals = goalsRes.status === 'fulfilled' ? safeArray(goalsRes.value) : [];
+
+    return {
+      resources: [
+        ...plans
+          .filter((p) => p.status !== 'archived')
+          .map((p) => ({
+            uri: planUri(p.id),
+            name: p.title || p.id,
+            description: `Plan (${p.status || 'unknown'})`,
+            mimeType: MIME_TYPE,
+          })),
+        ...goals.map((g) => ({
+          uri: goalUri(g.id),
+          name: g.title || g.id,
+          description: `Goal (${g.status || 'unknown'})`,
+          mimeType: MIME_TYPE,
+        })),
+      ],
+    };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const data = await loadResource(uri, apiClient);
+    return {
+      contents: [{
+        uri,
+        mimeType: MIME_TYPE,
+        text: JSON.stringify({ as_of: asOf(), ...data }, null, 2),
+      }],
+    };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await subscriptions.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  return subscriptions;
+}
+
+module.exports = {
+  setupResources,
+  ResourceSubscriptions,
+  parseResourceUri,
+  planUri,
+  goalUri,
+  taskContextUri,
+  RESOURCE_TEMPLATES,
+};
@@ -15,6 +15,9 @@
 const express = require('express');
 const { SessionManager } = require('./session-manager');
 const { setupTools } = require('./tools');
+const { createIdempotencyCache } = require('./idempotency');
+const { setupResources, ResourceSubscriptions } = require('./resources');
+const { setupPrompts } = require('./prompts');
 const { SERVER_INSTRUCTIONS } = require('./server-instructions');
 const { createApiClient } = require('./api-client');
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
@@ -37,12 +40,17 @@ class MCPHTTPServer {
     this.port = options.port || process.env.PORT || 3100;
     this.host = options.host || process.env.HOST || '127.0.0.1';
 
-    // Session manager
+    // Session manager (store: MCP_SESSION_STORE, or options.sessionStore)
     this.sessionManager = new SessionManager({
+      store: options.sessionStore,
       sessionTimeout: options.sessionTimeout || 30 * 60 * 1000,
       cleanupInterval: options.cleanupInterval || 5 * 60 * 1000
     });
 
+    // Idempotency keys for write tools, remembered per user across sessions
+    // (same store type as the sessions unless options.idempotencyCache)
+    this.idempotencyCache = options.idempotencyCache || createIdempotencyCache();
+
     // Store for pending SSE streams per session
     this.sseStreams = new Map(); // sessionId -> { res, req }
 
@@ -249,13 +257,19 @@ class MCPHTTPServer {
           header: 'Authorization',
           format: 'ApiKey <token>'
         },
-        capabilities: { tools: true }
+        capabilities: { tools: true, resources: true, prompts: true }
       });
     });
 
     // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      const stats = this.sessionManager.getStats();
+    this.app.get('/health', async (req, res) => {
+      let stats;
+      try {
+        stats = await this.sessionManager.getStats();
+      } catch (error) {
+        console.error('Session store unavailable:', error.message);
+        return res.status(503).json({ status: 'degraded', error: 'session store unavailable' });
+      }
       res.json({
         status: 'ok',
         version: MCP_PROTOCOL_VERSION,
@@ -309,7 +323,7 @@ class MCPHTTPServer {
     try {
       // Get or create session
       let sessionId = req.get('Mcp-Session-Id');
-      let session = sessionId ? this.sessionManager.getSession(sessionId) : null;
+      let session = sessionId ? await this.sessionManager.getSession(sessionId) : null;
 
       // Validate session exists if session ID provided
       if (sessionId && !session) {
@@ -351,17 +365,23 @@ class MCPHTTPServer {
 
         // If this is an initialize request, create session and include session ID
         if (message.method === 'initialize' && response.result) {
-          sessionId = this.sessionManager.createSession();
-          this.sessionManager.initializeSession(sessionId, message.params?.capabilities);
+          // An X-Agent-Id header names the agent behind this session, so
+          // several agents sharing one token keep distinct claims, logs and
+          // learnings. Both it and the client label are stored with the
+          // session so any replica can rebuild the same API client.
+          const agentId = (req.get('X-Agent-Id') || '').trim() || undefined;
+          const clientLabel = message.params?.clientInfo?.name || undefined;
+          sessionId = await this.sessionManager.createSession();
+          await this.sessionManager.initializeSession(sessionId, message.params?.capabilities, { clientLabel, agentId });
 
           // Create a per-session API client bound to this user's token
-          const sessionApiClient = createApiClient(req.userToken);
+          const sessionApiClient = createApiClient(req.userToken, { agentId, clientLabel });
           this.sessionManager.setApiClient(sessionId, sessionApiClient);
 
           // Set session ID header in response
           res.setHeader('Mcp-Session-Id', sessionId);
 
-          console.error(`Session initialized: ${sessionId} (per-user token)`);
+          console.error(`Session initialized: ${sessionId} (per-user token${agentId ? `, agent ${agentId}` : ''})`);
         }
 
         // Check if we should stream the response via SSE
@@ -404,7 +424,7 @@ class MCPHTTPServer {
   /**
    * Handle GET requests (SSE streams for server-to-client messages)
    */
-  handleMCPGet(req, res) {
+  async handleMCPGet(req, res) {
     try {
       // Validate Accept header
       const acceptHeader = req.get('Accept') || '';
@@ -430,7 +450,7 @@ class MCPHTTPServer {
         });
       }
 
-      const session = this.sessionManager.getSession(sessionId);
+      const session = await this.sessionManager.getSession(sessionId);
       if (!session) {
         return res.status(404).json({
           jsonrpc: '2.0',
@@ -476,7 +496,7 @@ class MCPHTTPServer {
   /**
    * Handle DELETE requests (session termination)
    */
-  handleMCPDelete(req, res) {
+  async handleMCPDelete(req, res) {
     const sessionId = req.get('Mcp-Session-Id');
 
     if (!sessionId) {
@@ -497,7 +517,20 @@ class MCPHTTPServer {
     }
 
     // Delete session
-    const deleted = this.sessionManager.deleteSession(sessionId);
+    let deleted;
+    try {
+      deleted = await this.sessionManager.deleteSession(sessionId);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      return res.status(500).json({
+        jsonrpc: '2.0',
+        error: {
+          code: -32603,
+          message: 'Internal error',
+          data: error.message
+        }
+      });
+    }
 
     if (deleted) {
       return res.status(204).send();
@@ -522,7 +555,9 @@ class MCPHTTPServer {
       version: process.env.MCP_SERVER_VERSION || version
     }, {
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {}
       },
       // Shown to the model on connect — the no-skill safety net (see index.js).
       instructions: SERVER_INSTRUCTIONS
@@ -530,11 +565,19 @@ class MCPHTTPServer {
 
     // Get per-session API client (bound to user's token), or create one for initialize requests
     const sessionApiClient = session
-      ? this.sessionManager.getApiClient(sessionId)
+      ? this.getSessionApiClient(session, userToken)
       : (userToken ? createApiClient(userToken) : null);
 
-    // Setup tools with the per-session API client
-    setupTools(mcpServer, sessionApiClient);
+    // Setup tools, resources and prompts with the per-session API client. The MCP
+    // server is per-request, so resource subscriptions live on the session and
+    // notify through its SSE stream instead of the server instance.
+    setupTools(mcpServer, sessionApiClient, {
+      idempotency: { cache: this.idempotencyCache, scope: userToken }
+    });
+    setupResources(mcpServer, sessionApiClient, {
+      subscriptions: session ? this.getResourceSubscriptions(sessionId, sessionApiClient) : undefined
+    });
+    setupPrompts(mcpServer, sessionApiClient);
 
     // Process the request through MCP server
     try {
@@ -564,6 +607,19 @@ class MCPHTTPServer {
     } catch (error) {
       console.error(`Error handling method ${message.method}:`, error);
 
+      // Preserve protocol-level errors (McpError, e.g. an unknown resource URI)
+      // so clients can tell a bad request from a server fault.
+      if (typeof error.code === 'number') {
+        return {
+          jsonrpc: '2.0',
+          id: message.id,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        };
+      }
+
       return {
         jsonrpc: '2.0',
         id: message.id,
@@ -576,6 +632,54 @@ class MCPHTTPServer {
     }
   }
 
+  /**
+   * Get the session's API client, rebuilding it from the request token when
+   * this process hasn't served the session before (restart, another replica).
+   */
+  getSessionApiClient(session, userToken) {
+    let apiClient = this.sessionManager.getApiClient(session.id);
+    if (!apiClient && userToken) {
+      apiClient = createApiClient(userToken, {
+        agentId: session.agentId || undefined,
+        clientLabel: session.clientLabel || undefined
+      });
+      this.sessionManager.setApiClient(session.id, apiClient);
+    }
+    return apiClient;
+  }
+
+  /**
+   * Get (or lazily create) the resource subscription registry for a session.
+   * Update notifications go out over the session's GET SSE stream; if the
+   * client has no stream open the notification is dropped, as the transport
+   * spec allows.
+   */
+  getResourceSubscriptions(sessionId, apiClient) {
+    let subscriptions = this.sessionManager.getResourceSubscriptions(sessionId);
+    if (!subscriptions) {
+      subscriptions = new ResourceSubscriptions({
+        apiClient,
+        notify: (uri) => this.sendNotification(sessionId, 'notifications/resources/updated', { uri })
+      });
+      this.sessionManager.setResourceSubscriptions(sessionId, subscriptions);
+    }
+    return subscriptions;
+  }
+
+  /**
+   * Push a JSON-RPC notification to a session's SSE stream
+   * @returns {boolean} True if a stream was open to receive it
+   */
+  sendNotification(sessionId, method, params) {
+    const stream = this.sseStreams.get(sessionId);
+    if (!stream) {
+      return false;
+    }
+
+    stream.res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method, params })}\n\n`);
+    return true;
+  }
+
   /**
    * Determine if response should be streamed via SSE
    */
@@ -637,7 +741,12 @@ class MCPHTTPServer {
       this.sseStreams.clear();
 
       // Destroy session manager
-      this.sessionManager.destroy();
+      this.sessionManager.destroy().catch((error) => {
+        console.error('Error closing session store:', error.message);
+      });
+      this.idempotencyCache.close().catch((error) => {
+        console.error('Error closing idempotency store:', error.message);
+      });
 
       // Close HTTP server
       if (this.server) {
@@ -5,16 +5,27 @@
  * Each session tracks:
  * - Unique session ID (Mcp-Session-Id header)
  * - Initialization state
- * - Client capabilities
+ * - Client capabilities and client label (clientInfo.name)
+ * - Agent id (X-Agent-Id header on initialize)
+ * - Resource subscriptions (closed when the session ends)
  * - Creation and last activity timestamps
+ *
+ * Session records live in a pluggable store (see session-store.js) so they
+ * survive restarts and can be shared between replicas. The API client and
+ * subscription pollers can't be serialized; they are kept per process and
+ * rebuilt on demand by the replica that serves the session.
  */
 
 const { randomUUID } = require('crypto');
+const { createSessionStore } = require('./session-store');
 
 class SessionManager {
   constructor(options = {}) {
-    // In-memory session storage
-    this.sessions = new Map();
+    // Serializable session records
+    this.store = options.store || createSessionStore();
+
+    // Per-process state: sessionId -> { apiClient, resourceSubscriptions }
+    this.local = new Map();
 
     // Configuration
     this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000; // 30 minutes default
@@ -23,25 +34,27 @@ class SessionManager {
     // Start periodic cleanup
     this.startCleanup();
 
-    console.error('SessionManager initialized');
+    console.error(`SessionManager initialized (${this.store.constructor.name})`);
   }
 
   /**
    * Create a new session
-   * @returns {string} Session ID
+   * @returns {Promise<string>} Session ID
    */
-  createSession() {
+  async createSession() {
     const sessionId = randomUUID();
 
     const session = {
       id: sessionId,
       initialized: false,
       clientCapabilities: null,
+      clientLabel: null,
+      agentId: null,
       createdAt: Date.now(),
       lastActivityAt: Date.now()
     };
 
-    this.sessions.set(sessionId, session);
+    await this.store.set(session);
 
     console.error(`Session created: ${sessionId}`);
     return sessionId;
@@ -50,21 +63,28 @@ class SessionManager {
   /**
    * Get a session by ID
    * @param {string} sessionId - Session ID
-   * @returns {Object|null} Session object or null if not found
+   * @returns {Promise<Object|null>} Session object or null if not found (or expired)
    */
-  getSession(sessionId) {
+  async getSession(sessionId) {
     if (!sessionId) {
       return null;
     }
 
-    const session = this.sessions.get(sessionId);
+    const session = await this.store.get(sessionId);
 
     if (!session) {
       return null;
     }
 
+    // A shared store can hold sessions no replica has swept yet
+    if (this.isExpired(session, Date.now())) {
+      await this.expireSession(session);
+      return null;
+    }
+
     // Update last activity
     session.lastActivityAt = Date.now();
+    await this.store.set(session);
 
     return session;
   }
@@ -73,60 +93,101 @@ class SessionManager {
    * Mark a session as initialized
    * @param {string} sessionId - Session ID
    * @param {Object} clientCapabilities - Client capabilities from initialize request
+   * @param {Object} [client] - { clientLabel, agentId } identifying the connecting client
    */
-  initializeSession(sessionId, clientCapabilities) {
-    const session = this.sessions.get(sessionId);
+  async initializeSession(sessionId, clientCapabilities, client = {}) {
+    const session = await this.store.get(sessionId);
 
     if (!session) {
       throw new Error(`Session not found: ${sessionId}`);
     }
 
     session.initialized = true;
-    session.clientCapabilities = clientCapabilities;
+    session.clientCapabilities = clientCapabilities || null;
+    session.clientLabel = client.clientLabel || null;
+    session.agentId = client.agentId || null;
     session.lastActivityAt = Date.now();
 
+    await this.store.set(session);
+
     console.error(`Session initialized: ${sessionId}`);
   }
 
+  localState(sessionId) {
+    let state = this.local.get(sessionId);
+    if (!state) {
+      state = { apiClient: null, resourceSubscriptions: null };
+      this.local.set(sessionId, state);
+    }
+    return state;
+  }
+
   /**
-   * Store a per-session API client
+   * Store a per-session API client (this process only)
    * @param {string} sessionId - Session ID
    * @param {Object} apiClient - API client instance bound to user's token
    */
   setApiClient(sessionId, apiClient) {
-    const session = this.sessions.get(sessionId);
-    if (session) {
-      session.apiClient = apiClient;
-    }
+    this.localState(sessionId).apiClient = apiClient;
   }
 
   /**
    * Get the per-session API client
    * @param {string} sessionId - Session ID
-   * @returns {Object|null} API client or null
+   * @returns {Object|null} API client, or null if this process hasn't built one yet
    */
   getApiClient(sessionId) {
-    const session = this.sessions.get(sessionId);
-    return session?.apiClient || null;
+    return this.local.get(sessionId)?.apiClient || null;
+  }
+
+  /**
+   * Store the session's resource subscription registry (this process only)
+   * @param {string} sessionId - Session ID
+   * @param {ResourceSubscriptions} subscriptions - Registry (see resources.js)
+   */
+  setResourceSubscriptions(sessionId, subscriptions) {
+    this.localState(sessionId).resourceSubscriptions = subscriptions;
+  }
+
+  /**
+   * Get the session's resource subscription registry
+   * @param {string} sessionId - Session ID
+   * @returns {ResourceSubscriptions|null} Registry or null
+   */
+  getResourceSubscriptions(sessionId) {
+    return this.local.get(sessionId)?.resourceSubscriptions || null;
+  }
+
+  /**
+   * Release per-session resources (subscription pollers) before a session is dropped
+   * @param {string} sessionId - Session ID
+   */
+  releaseSession(sessionId) {
+    const state = this.local.get(sessionId);
+    if (state?.resourceSubscriptions) {
+      state.resourceSubscriptions.close();
+    }
+    this.local.delete(sessionId);
   }
 
   /**
    * Check if a session is initialized
    * @param {string} sessionId - Session ID
-   * @returns {boolean} True if initialized
+   * @returns {Promise<boolean>} True if initialized
    */
-  isInitialized(sessionId) {
-    const session = this.sessions.get(sessionId);
-    return session && session.initialized;
+  async isInitialized(sessionId) {
+    const session = await this.store.get(sessionId);
+    return Boolean(session && session.initialized);
   }
 
   /**
    * Delete a session
    * @param {string} sessionId - Session ID
-   * @returns {boolean} True if session was deleted
+   * @returns {Promise<boolean>} True if session was deleted
    */
-  deleteSession(sessionId) {
-    const deleted = this.sessions.delete(sessionId);
+  async deleteSession(sessionId) {
+    this.releaseSession(sessionId);
+    const deleted = await this.store.delete(sessionId);
 
     if (deleted) {
       console.error(`Session deleted: ${sessionId}`);
@@ -135,20 +196,40 @@ class SessionManager {
     return deleted;
   }
 
+  isExpired(session, now) {
+    return now - session.lastActivityAt > this.sessionTimeout;
+  }
+
+  async expireSession(session) {
+    this.releaseSession(session.id);
+    await this.store.delete(session.id);
+    const age = Date.now() - session.lastActivityAt;
+    console.error(`Session expired: ${session.id} (inactive for ${Math.round(age / 1000)}s)`);
+  }
+
   /**
-   * Clean up expired sessions
+   * Clean up expired sessions, plus local state for sessions another
+   * replica has already removed from the store
    */
-  cleanupExpiredSessions() {
+  async cleanupExpiredSessions() {
     const now = Date.now();
     let cleanedCount = 0;
 
-    for (const [sessionId, session] of this.sessions.entries()) {
-      const age = now - session.lastActivityAt;
+    const sessions = await this.store.list();
+    const live = new Set();
 
-      if (age > this.sessionTimeout) {
-        this.sessions.delete(sessionId);
+    for (const session of sessions) {
+      if (this.isExpired(session, now)) {
+        await this.expireSession(session);
         cleanedCount++;
-        console.error(`Session expired: ${sessionId} (inactive for ${Math.round(age / 1000)}s)`);
+      } else {
+        live.add(session.id);
+      }
+    }
+
+    for (const sessionId of [...this.local.keys()]) {
+      if (!live.has(sessionId)) {
+        this.releaseSession(sessionId);
       }
     }
 
@@ -162,7 +243,9 @@ class SessionManager {
    */
   startCleanup() {
     this.cleanupTimer = setInterval(() => {
-      this.cleanupExpiredSessions();
+      this.cleanupExpiredSessions().catch((error) => {
+        console.error('Session cleanup failed:', error.message);
+      });
     }, this.cleanupInterval);
 
     // Prevent the timer from keeping the process alive
@@ -181,18 +264,19 @@ class SessionManager {
 
   /**
    * Get session statistics
-   * @returns {Object} Statistics object
+   * @returns {Promise<Object>} Statistics object
    */
-  getStats() {
+  async getStats() {
     const now = Date.now();
+    const sessions = await this.store.list();
     const stats = {
-      total: this.sessions.size,
+      total: sessions.length,
       initialized: 0,
       uninitialized: 0,
       sessions: []
     };
 
-    for (const [sessionId, session] of this.sessions.entries()) {
+    for (const session of sessions) {
       if (session.initialized) {
         stats.initialized++;
       } else {
@@ -200,8 +284,9 @@ class SessionManager {
       }
 
       stats.sessions.push({
-        id: sessionId,
+        id: session.id,
         initialized: session.initialized,
+        clientLabel: session.clientLabel || null,
         age: Math.round((now - session.createdAt) / 1000),
         idleTime: Math.round((now - session.lastActivityAt) / 1000)
       });
@@ -211,11 +296,15 @@ class SessionManager {
   }
 
   /**
-   * Destroy the session manager
+   * Destroy the session manager. Persistent stores keep their sessions so
+   * clients can resume against the next process.
    */
-  destroy() {
+  async destroy() {
     this.stopCleanup();
-    this.sessions.clear();
+    for (const sessionId of [...this.local.keys()]) {
+      this.releaseSession(sessionId);
+    }
+    await this.store.close();
     console.error('SessionManager destroyed');
   }
 }
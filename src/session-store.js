@@ -0,0 +1,165 @@
+/**
+ * Session stores for the MCP HTTP server
+ *
+ * SessionManager keeps the serializable part of each session (id,
+ * initialization state, client capabilities, client label, agent id and
+ * timestamps) in a pluggable store, so sessions survive a restart and can be
+ * shared by several replicas behind a load balancer. Per-process state (API
+ * client, resource subscription pollers) stays in SessionManager and is
+ * rebuilt on whichever replica serves the request.
+ *
+ * A store implements:
+ * - get(id)        → Promise<Object|null>
+ * - set(session)   → Promise<void>
+ * - delete(id)     → Promise<boolean>
+ * - list()         → Promise<Object[]>
+ * - close()        → Promise<void>
+ *
+ * Select one with MCP_SESSION_STORE (`memory` | `file`); the file store
+ * writes to MCP_SESSION_STORE_DIR, which replicas can share via a volume.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Session ids arrive in the Mcp-Session-Id header and become file names in
+// the file store — never let one escape the store directory.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{1,128}$/;
+
+function defaultStoreDir() {
+  return process.env.MCP_SESSION_STORE_DIR || path.join(os.tmpdir(), 'agent-planner-mcp-sessions');
+}
+
+/**
+ * Default store: a process-local Map. Sessions are lost on restart.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async set(session) {
+    this.sessions.set(session.id, { ...session });
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.sessions.values()].map((session) => ({ ...session }));
+  }
+
+  async close() {
+    this.sessions.clear();
+  }
+}
+
+/**
+ * One JSON file per session under `dir`. Writes go through a temp file and
+ * rename so a concurrent reader never sees a half-written session.
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || defaultStoreDir();
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(sessionId) {
+    if (!SESSION_ID_PATTERN.test(String(sessionId))) {
+      return null;
+    }
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    const file = this.filePath(sessionId);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (error instanceof SyntaxError) {
+        console.error(`Ignoring unreadable session file: ${file}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(session) {
+    const file = this.filePath(session.id);
+    if (!file) {
+      throw new Error(`Invalid session id: ${session.id}`);
+    }
+
+    // Unique per write: concurrent sets of one session must not share a
+    // temp file, or the second rename finds it gone
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(session));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete(sessionId) {
+    const file = this.filePath(sessionId);
+    if (!file) {
+      return false;
+    }
+
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    const names = await fs.promises.readdir(this.dir);
+    const sessions = await Promise.all(
+      names
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => this.get(name.slice(0, -'.json'.length)))
+    );
+    return sessions.filter(Boolean);
+  }
+
+  async close() {
+    // Sessions stay on disk for the next process (or another replica).
+  }
+}
+
+/**
+ * Build the store selected by options.type or MCP_SESSION_STORE.
+ * @param {Object} [options] - { type: 'memory'|'file', dir }
+ * @returns {MemorySessionStore|FileSessionStore}
+ */
+function createSessionStore(options = {}) {
+  const type = (options.type || process.env.MCP_SESSION_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({ dir: options.dir });
+    default:
+      throw new Error(`Unknown session store "${type}" (expected memory or file)`);
+  }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore, defaultStoreDir };
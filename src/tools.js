@@ -10,14 +10,31 @@
 const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
 const defaultApiClient = require('./api-client');
 const { bdiToolDefinitions, bdiToolHandler, bdiToolNames } = require('./tools/bdi');
+const { createIdempotencyCache } = require('./idempotency');
+
+// stdio mode serves one user; its idempotency keys share one cache.
+let stdioIdempotency = null;
+
+function defaultIdempotency() {
+  if (!stdioIdempotency) {
+    stdioIdempotency = {
+      cache: createIdempotencyCache(),
+      scope: process.env.USER_API_TOKEN || process.env.API_TOKEN || 'stdio',
+    };
+  }
+  return stdioIdempotency;
+}
 
 /**
  * Wire BDI tools into an MCP server.
  * @param {Server} server - MCP server instance
  * @param {Object} [apiClientOverride] - Per-session API client (HTTP mode); falls back to default (stdio mode)
+ * @param {Object} [options] - { idempotency: { cache, scope } } — HTTP mode passes a
+ *   shared cache scoped to the caller's token; stdio uses a process-wide one
  */
-function setupTools(server, apiClientOverride) {
+function setupTools(server, apiClientOverride, options = {}) {
   const apiClient = apiClientOverride || defaultApiClient;
+  const idempotency = options.idempotency || defaultIdempotency();
 
   if (process.env.NODE_ENV === 'development') {
     console.error(`Setting up MCP tools (${bdiToolDefinitions.length} BDI tools)`);
@@ -45,7 +62,7 @@ function setupTools(server, apiClientOverride) {
     }
 
     try {
-      return await bdiToolHandler(name, args, apiClient);
+      return await bdiToolHandler(name, args, apiClient, { idempotency });
     } catch (err) {
       if (process.env.NODE_ENV === 'development') {
         console.error(`Tool ${name} threw:`, err);
@@ -0,0 +1,40 @@
+/**
+ * Archive records — shared by delete_plan, delete_node, list_archived and
+ * restore.
+ *
+ * The backend's soft delete only flips status to 'archived', which forgets
+ * what the status was and which nodes went together in a cascade. So the
+ * delete tools stamp `metadata.archive` onto everything they archive:
+ *
+ *   { archived_at, reason, previous_status, cascade_root }
+ *
+ * cascade_root is the id delete_node (or delete_plan) was called on. Restoring
+ * that root brings back exactly the nodes archived with it, each with its own
+ * previous_status — not descendants that were archived separately.
+ *
+ * Plans and nodes archived before this existed (or through the web UI) have
+ * no record; they are still listed, with previous_status null.
+ */
+
+/** The archive record on a plan or node, or null if it has none. */
+function archiveRecord(entity) {
+  const record = entity?.metadata?.archive;
+  return record && typeof record === 'object' ? record : null;
+}
+
+/** Metadata to write alongside status='archived'. */
+function archivedMetadata(metadata, record) {
+  return { ...(metadata || {}), archive: record };
+}
+
+/** Metadata to write on restore — the record is cleared, not deleted, so a shallow merge removes it too. */
+function restoredMetadata(metadata) {
+  return { ...(metadata || {}), archive: null };
+}
+
+/** When it was archived: the record's timestamp, else the last update. */
+function archivedAt(entity) {
+  return archiveRecord(entity)?.archived_at || entity?.updated_at || entity?.updatedAt || null;
+}
+
+module.exports = { archiveRecord, archivedMetadata, restoredMetadata, archivedAt };
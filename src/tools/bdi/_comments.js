@@ -0,0 +1,79 @@
+/**
+ * Task comment threads — shared by discuss_task, task_context and briefing.
+ *
+ * Humans leave feedback on tasks in the web UI as comments; agents reply
+ * through discuss_task. A comment counts as agent-authored when it carries an
+ * agent marker (comment_type 'agent' or metadata.agent_id, both stamped by
+ * discuss_task). A thread is "awaiting agent reply" when it is unresolved and
+ * its latest message is from a human.
+ */
+
+const { safeArray } = require('./_shared');
+
+const AGENT_COMMENT_TYPE = 'agent';
+
+function isResolved(c) {
+  return Boolean(c.resolved || c.resolved_at || c.is_resolved || c.status === 'resolved');
+}
+
+function agentOfComment(c) {
+  return c.metadata?.agent_id || c.agent_id || (c.comment_type === AGENT_COMMENT_TYPE ? 'agent' : null);
+}
+
+/** Flatten the backend comment shape into what agents see. */
+function normalizeComment(c) {
+  const agentId = agentOfComment(c);
+  return {
+    id: c.id,
+    parent_id: c.parent_id || c.parent_comment_id || null,
+    content: c.content,
+    author: c.user?.name || c.user?.email || c.user_name || c.author || agentId || null,
+    is_agent: Boolean(agentId),
+    agent_id: agentId,
+    created_at: c.created_at || null,
+    resolved: isResolved(c),
+  };
+}
+
+/**
+ * Group comments into threads (root + replies, oldest first). Replies whose
+ * parent isn't in the list become roots of their own.
+ * @param {Array|Object} raw - getComments response
+ * @returns {Array<Object>} threads, newest activity first
+ */
+function buildThreads(raw) {
+  const comments = safeArray(Array.isArray(raw) ? raw : raw?.comments).map(normalizeComment);
+  const byTime = (a, b) => String(a.created_at || '').localeCompare(String(b.created_at || ''));
+  const byId = new Map(comments.map((c) => [c.id, c]));
+  const rootOf = (c) => {
+    const seen = new Set();
+    let cur = c;
+    while (cur.parent_id && byId.has(cur.parent_id) && !seen.has(cur.id)) {
+      seen.add(cur.id);
+      cur = byId.get(cur.parent_id);
+    }
+    return cur;
+  };
+  const roots = comments.filter((c) => rootOf(c) === c).sort(byTime);
+
+  return roots
+    .map((root) => {
+      // Nested replies flatten into their root's thread.
+      const replies = comments.filter((c) => c !== root && rootOf(c) === root).sort(byTime);
+      const latest = replies.length ? replies[replies.length - 1] : root;
+      return {
+        ...root,
+        replies,
+        last_activity_at: latest.created_at,
+        awaiting_agent_reply: !root.resolved && !latest.is_agent,
+      };
+    })
+    .sort((a, b) => String(b.last_activity_at || '').localeCompare(String(a.last_activity_at || '')));
+}
+
+/** Threads on one task still waiting for an agent to answer. */
+function awaitingReply(threads) {
+  return threads.filter((t) => t.awaiting_agent_reply);
+}
+
+module.exports = { AGENT_COMMENT_TYPE, buildThreads, awaitingReply, normalizeComment };
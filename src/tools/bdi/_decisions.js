@@ -0,0 +1,293 @@
+/**
+ * Decision queue helpers — shared by queue_decision / resolve_decision
+ * (intentions), list_decisions (beliefs) and the deadline sweep
+ * (../../decision-deadlines.js).
+ *
+ * Agents speak low/normal/high; the backend stores urgency as
+ * blocking/can_continue/informational. Everything an agent sends beyond the
+ * strict decision schema (goal, requesting agent, proposed_subtasks, the
+ * free-text recommendation, deadline, approval rule and votes) lives in the
+ * decision's metadata.
+ */
+
+const { safeArray } = require('./_shared');
+
+const URGENCY_MAP = { low: 'informational', normal: 'can_continue', high: 'blocking' };
+const BACKEND_URGENCIES = Object.values(URGENCY_MAP);
+const AGENT_URGENCY = Object.fromEntries(Object.entries(URGENCY_MAP).map(([agent, backend]) => [backend, agent]));
+// Most urgent first
+const URGENCY_RANK = { blocking: 0, can_continue: 1, informational: 2 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Backend urgency for either vocabulary, or null if unrecognised. */
+function backendUrgency(value) {
+  if (!value) return null;
+  if (BACKEND_URGENCIES.includes(value)) return value;
+  return URGENCY_MAP[value] || null;
+}
+
+const createdAt = (d) => d.created_at || d.createdAt || null;
+
+/**
+ * One decision as list_decisions returns it.
+ * @param {Object} decision - backend decision row
+ * @param {Object} plan - { id, title } of the owning plan
+ * @param {number} [now] - ms timestamp, for age_hours
+ */
+function decisionEntry(decision, plan, now = Date.now()) {
+  const metadata = decision.metadata || {};
+  const created = createdAt(decision);
+  const createdMs = created ? new Date(created).getTime() : NaN;
+  const urgency = backendUrgency(decision.urgency) || 'can_continue';
+  return {
+    decision_id: decision.id,
+    plan_id: decision.plan_id || plan.id,
+    plan_title: plan.title || null,
+    node_id: decision.node_id || null,
+    title: decision.title,
+    context: decision.context || null,
+    status: decision.status || 'pending',
+    urgency,
+    agent_urgency: AGENT_URGENCY[urgency],
+    goal_id: metadata.goal_id || null,
+    requested_by: metadata.agent_id || decision.agent_id || null,
+    created_at: created,
+    age_hours: Number.isNaN(createdMs) ? null : Math.round(((now - createdMs) / HOUR_MS) * 10) / 10,
+    options: safeArray(decision.options),
+    recommendation: metadata.recommendation || null,
+    smallest_input_needed: metadata.smallest_input_needed || null,
+    proposed_subtasks: safeArray(metadata.proposed_subtasks),
+    decide_by: metadata.decide_by || null,
+    default_action: metadata.default_action || null,
+    approval: approvalStatus(decision),
+  };
+}
+
+// ─── Multi-approver decisions ────────────────────────────────────
+//
+// A decision queued with an approval rule isn't resolved by the first
+// resolve_decision call. Each call records a vote in metadata.votes — one per
+// voter, a later vote replacing an earlier one — and the outcome is applied
+// only once the votes satisfy the rule:
+//
+//   metadata.approval = { required_approvers?, quorum?, required_roles? }
+//   metadata.votes    = [{ voter, user_id, role, vote, selected_option, message, at }]
+//
+// approve needs every required approver, a voter for every required role and
+// `quorum` approvals in all, agreeing on the selected option. reject and
+// defer need `quorum` votes; a required approver's reject is a veto.
+//
+// Who votes is never taken from tool arguments: the voter is the user behind
+// the API token (so one token is one vote) and their role is their
+// membership of the plan, so required_roles name plan roles.
+
+const VOTES = ['approve', 'defer', 'reject'];
+const PLAN_ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+/** Error message for an invalid approval rule, or null. */
+function validateApproval(approval) {
+  if (approval === undefined || approval === null) return null;
+  if (typeof approval !== 'object' || Array.isArray(approval)) return 'approval must be an object';
+  const { required_approvers: approvers, quorum, required_roles: roles } = approval;
+  if (approvers !== undefined && (!Array.isArray(approvers) || approvers.some((a) => typeof a !== 'string' || !a))) {
+    return 'approval.required_approvers must be a list of user ids or emails';
+  }
+  if (roles !== undefined && (!Array.isArray(roles) || roles.some((r) => !PLAN_ROLES.includes(r)))) {
+    return `approval.required_roles must be plan roles (${PLAN_ROLES.join(', ')})`;
+  }
+  if (quorum !== undefined && (!Number.isInteger(quorum) || quorum < 1)) {
+    return 'approval.quorum must be a positive integer';
+  }
+  if (!safeArray(approvers).length && !safeArray(roles).length && quorum === undefined) {
+    return 'approval needs required_approvers, required_roles or quorum';
+  }
+  return null;
+}
+
+/** The stored form of an approval rule, with the number of votes it needs. */
+function normalizeApproval(approval) {
+  const required_approvers = [...new Set(safeArray(approval.required_approvers))];
+  const required_roles = [...new Set(safeArray(approval.required_roles))];
+  const quorum = Math.max(approval.quorum || 1, required_approvers.length, required_roles.length);
+  return { required_approvers, required_roles, quorum };
+}
+
+/**
+ * The decision's approval rule, or null for a single-caller decision. A
+ * stored rule that no longer validates still counts — it fails closed
+ * (waits for votes it can't get) rather than letting one caller resolve.
+ */
+function approvalRule(decision) {
+  const approval = decision?.metadata?.approval;
+  return approval && typeof approval === 'object' ? normalizeApproval(approval) : null;
+}
+
+/**
+ * Who is voting: the user behind the API token and their role on the plan
+ * (owner, their collaborator role, or null when they aren't a member).
+ * @returns {Promise<{ user_id, email, role }>}
+ * @throws when the profile or the plan can't be read
+ */
+async function loadVoter(apiClient, planId) {
+  const get = (url) => apiClient.axiosInstance.get(url).then((r) => r.data);
+  const profile = await get('/auth/profile');
+  const user = profile?.user || profile;
+  if (!user?.id) throw new Error('the API token has no user profile');
+  const voter = { user_id: user.id, email: user.email || null, role: null };
+
+  const plan = await get(`/plans/${planId}`);
+  if ((plan?.owner_id || plan?.ownerId) === user.id) return { ...voter, role: 'owner' };
+  const members = await get(`/plans/${planId}/collaborators`);
+  const member = safeArray(members?.collaborators || members)
+    .find((c) => (c.user_id || c.userId || c.user?.id) === user.id);
+  return { ...voter, role: member?.role || null };
+}
+
+/**
+ * The name a voter's votes are recorded under: the required_approvers entry
+ * naming them (by id or email), else their email, else their id.
+ */
+function voterName(rule, voter) {
+  return rule.required_approvers.find((a) => a === voter.user_id || a === voter.email)
+    || voter.email
+    || voter.user_id;
+}
+
+/** `votes` with `vote` added, replacing that voter's earlier vote. */
+function castVote(votes, vote) {
+  return [
+    ...safeArray(votes).filter((v) => v.voter !== vote.voter && !(vote.user_id && v.user_id === vote.user_id)),
+    vote,
+  ];
+}
+
+/**
+ * Where the votes stand against the rule.
+ * @returns {{ rule, votes, approvals, rejections, deferrals, missing_approvers,
+ *   missing_roles, outcome: { action, selected_option }|null }}
+ */
+function tallyVotes(rule, votes) {
+  const list = safeArray(votes);
+  const of = (vote) => list.filter((v) => v.vote === vote);
+  const approvals = of('approve');
+  const rejections = of('reject');
+  const deferrals = of('defer');
+  const approvedBy = new Set(approvals.map((v) => v.voter));
+  const missingApprovers = rule.required_approvers.filter((a) => !approvedBy.has(a));
+  const missingRoles = rule.required_roles.filter((r) => !approvals.some((v) => v.role === r));
+
+  let outcome = null;
+  // Approvals only count together when they chose the same option
+  const byOption = new Map();
+  for (const v of approvals) {
+    const key = v.selected_option || null;
+    byOption.set(key, [...(byOption.get(key) || []), v]);
+  }
+  for (const [option, group] of byOption) {
+    const voters = new Set(group.map((v) => v.voter));
+    if (group.length >= rule.quorum
+      && rule.required_approvers.every((a) => voters.has(a))
+      && rule.required_roles.every((r) => group.some((v) => v.role === r))) {
+      outcome = { action: 'approve', selected_option: option };
+    }
+  }
+  if (!outcome) {
+    const veto = rejections.some((v) => rule.required_approvers.includes(v.voter));
+    if (veto || rejections.length >= rule.quorum) outcome = { action: 'reject', selected_option: null };
+    else if (deferrals.length >= rule.quorum) outcome = { action: 'defer', selected_option: null };
+  }
+
+  return {
+    rule,
+    votes: list,
+    approvals: approvals.length,
+    rejections: rejections.length,
+    deferrals: deferrals.length,
+    missing_approvers: missingApprovers,
+    missing_roles: missingRoles,
+    outcome,
+  };
+}
+
+/** approval progress for a decision — null when it has no approval rule. */
+function approvalStatus(decision) {
+  const rule = approvalRule(decision);
+  if (!rule) return null;
+  const { outcome, ...tally } = tallyVotes(rule, decision.metadata.votes);
+  return { ...tally, quorum_reached: Boolean(outcome) };
+}
+
+/**
+ * Resolve a decision and, on approve, create its proposed_subtasks.
+ * @param {Object} apiClient
+ * @param {Object} params - { planId, decisionId, action, message, selectedOption,
+ *   decision: the decision as read beforehand (null → no subtasks to create) }
+ * @returns {Promise<{ resolved, created, createFailures }>}
+ * @throws the resolve call's error; subtask failures are collected instead
+ */
+async function resolveDecision(apiClient, { planId, decisionId, action, message, selectedOption, decision }) {
+  // The backend resolve schema is strict {decision, rationale}. Encode the
+  // action (+ chosen option) into `decision` and the note into `rationale` —
+  // the previous {resolution, message, selected_option} body was rejected.
+  const decisionText = selectedOption ? `${action} — ${selectedOption}` : action;
+  const resolved = await apiClient.axiosInstance
+    .post(`/plans/${planId}/decisions/${decisionId}/resolve`, {
+      decision: decisionText,
+      rationale: message || undefined,
+    })
+    .then((r) => r.data);
+
+  // On approve, materialize any proposed_subtasks atomically (best-effort per task).
+  const created = [];
+  const createFailures = [];
+  if (action === 'approve' && decision?.metadata?.proposed_subtasks?.length) {
+    for (const proposal of decision.metadata.proposed_subtasks) {
+      try {
+        // createNode's schema is .strict() and has no acceptance_criteria field —
+        // sending it 400s the whole subtask. Fold it into the description so the
+        // criteria survive instead of being silently dropped on approval.
+        const description = [
+          proposal.description,
+          proposal.acceptance_criteria ? `Acceptance criteria: ${proposal.acceptance_criteria}` : null,
+        ].filter(Boolean).join('\n\n') || undefined;
+        const node = await apiClient.nodes.createNode(planId, {
+          parent_id: proposal.parent_id,
+          node_type: proposal.node_type || 'task',
+          title: proposal.title,
+          description,
+          status: 'not_started',
+          task_mode: proposal.task_mode || 'free',
+          agent_instructions: proposal.agent_instructions,
+        });
+        created.push({ id: node.id || node.node?.id, title: proposal.title, parent_id: proposal.parent_id });
+      } catch (err) {
+        createFailures.push({
+          title: proposal.title,
+          parent_id: proposal.parent_id,
+          error: err.response?.data?.error || err.message,
+        });
+      }
+    }
+  }
+  return { resolved: resolved || {}, created, createFailures };
+}
+
+module.exports = {
+  URGENCY_MAP,
+  BACKEND_URGENCIES,
+  URGENCY_RANK,
+  backendUrgency,
+  decisionEntry,
+  VOTES,
+  PLAN_ROLES,
+  validateApproval,
+  normalizeApproval,
+  approvalRule,
+  loadVoter,
+  voterName,
+  castVote,
+  tallyVotes,
+  approvalStatus,
+  resolveDecision,
+};
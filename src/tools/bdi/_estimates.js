@@ -0,0 +1,250 @@
+/**
+ * Effort estimates and actual cycle time — shared by form_intention,
+ * extend_intention, update_node (which record estimates) and plan_analysis
+ * type=estimates (which compares them with what the work really took).
+ *
+ * An estimate is `{ value, unit }` with unit 'points' or 'hours', stored on
+ * the node as `metadata.estimate` (node create/update schemas are strict, so
+ * metadata is where extra fields go).
+ *
+ * Cycle time is derived, never entered: from the first time a task was
+ * claimed or moved to in_progress, through its completion, read off the
+ * plan's activity history (claims and update_task status changes).
+ */
+
+const { safeArray } = require('./_shared');
+
+const ESTIMATE_UNITS = ['points', 'hours'];
+const HOUR_MS = 60 * 60 * 1000;
+// A task that took more than this multiple of its hour estimate is listed as an outlier
+const OUTLIER_RATIO = 2;
+
+const estimateProperty = {
+  type: 'object',
+  description: "Effort estimate, e.g. { value: 3, unit: 'points' } or { value: 4, unit: 'hours' }. plan_analysis type=estimates compares it with the actual cycle time.",
+  properties: {
+    value: { type: 'number', minimum: 0 },
+    unit: { type: 'string', enum: ESTIMATE_UNITS },
+  },
+  required: ['value', 'unit'],
+};
+
+/** Error message for an invalid estimate, or null. */
+function validateEstimate(estimate) {
+  if (!estimate || typeof estimate !== 'object' || Array.isArray(estimate)) {
+    return "estimate must be an object like { value: 3, unit: 'points' }";
+  }
+  if (typeof estimate.value !== 'number' || !Number.isFinite(estimate.value) || estimate.value < 0) {
+    return 'estimate.value must be a non-negative number';
+  }
+  if (!ESTIMATE_UNITS.includes(estimate.unit)) {
+    return `estimate.unit must be one of: ${ESTIMATE_UNITS.join(', ')}`;
+  }
+  return null;
+}
+
+/** Just the fields that are stored. */
+function normalizeEstimate(estimate) {
+  return { value: estimate.value, unit: estimate.unit };
+}
+
+/** The estimate recorded on a node, or null. */
+function estimateOf(node) {
+  const estimate = node?.metadata?.estimate;
+  return estimate && !validateEstimate(estimate) ? normalizeEstimate(estimate) : null;
+}
+
+// ─── Cycle time ──────────────────────────────────────────────────
+
+// The status a status_change event moved to. The backend's activity rows
+// vary; fall back to reading it off the message ("… to in_progress").
+function statusAfter(event) {
+  const details = event.details || {};
+  const explicit = details.new_status || details.to_status || details.status || details.to;
+  if (typeof explicit === 'string') return explicit;
+  const match = String(event.summary || '').match(/\bto\s+['"]?([a-z_]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Per-task start, completion and agent, from normalized activity events
+ * (activity_feed's shape: { type, occurred_at, node_id, actor, summary, details }).
+ * @returns {Map<string, { started_at, completed_at, agent, cycle_hours }>}
+ */
+function deriveCycleTimes(events) {
+  const byNode = new Map();
+  const sorted = safeArray(events)
+    .filter((e) => e.node_id && e.occurred_at)
+    .sort((a, b) => String(a.occurred_at).localeCompare(String(b.occurred_at)));
+
+  for (const event of sorted) {
+    const entry = byNode.get(event.node_id) || { started_at: null, completed_at: null, agent: null, reopened: false };
+    const status = event.type === 'status_change' ? statusAfter(event) : null;
+
+    if (event.type === 'claim' || status === 'in_progress') {
+      if (!entry.started_at) entry.started_at = event.occurred_at;
+      if (event.type === 'claim' && !entry.agent) entry.agent = event.actor;
+      // Reopened after completion: the cycle runs to the next completion
+      if (entry.completed_at) entry.reopened = true;
+    }
+    if (status === 'completed') {
+      entry.completed_at = event.occurred_at;
+      entry.reopened = false;
+      if (!entry.agent) entry.agent = event.actor;
+    }
+    byNode.set(event.node_id, entry);
+  }
+
+  const cycles = new Map();
+  for (const [nodeId, entry] of byNode) {
+    const done = entry.started_at && entry.completed_at && !entry.reopened;
+    cycles.set(nodeId, {
+      started_at: entry.started_at,
+      completed_at: done ? entry.completed_at : null,
+      agent: entry.agent || null,
+      cycle_hours: done
+        ? Math.max(0, (new Date(entry.completed_at) - new Date(entry.started_at)) / HOUR_MS)
+        : null,
+    });
+  }
+  return cycles;
+}
+
+// ─── Estimated vs actual ─────────────────────────────────────────
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function emptyBucket() {
+  return {
+    tasks: 0,
+    estimated_tasks: 0,
+    estimated_points: 0,
+    estimated_hours: 0,
+    completed: 0,
+    measured: 0,
+    actual_hours: 0,
+    // Over measured tasks only, so the ratios compare like with like
+    measured_estimated_hours: 0,
+    measured_hours_for_hour_estimates: 0,
+    measured_points: 0,
+    measured_hours_for_point_estimates: 0,
+  };
+}
+
+function addToBucket(bucket, task) {
+  bucket.tasks += 1;
+  if (task.estimate) {
+    bucket.estimated_tasks += 1;
+    bucket[`estimated_${task.estimate.unit}`] += task.estimate.value;
+  }
+  if (task.status === 'completed') bucket.completed += 1;
+  if (task.cycle_hours == null) return;
+  bucket.measured += 1;
+  bucket.actual_hours += task.cycle_hours;
+  if (task.estimate?.unit === 'hours') {
+    bucket.measured_estimated_hours += task.estimate.value;
+    bucket.measured_hours_for_hour_estimates += task.cycle_hours;
+  } else if (task.estimate?.unit === 'points') {
+    bucket.measured_points += task.estimate.value;
+    bucket.measured_hours_for_point_estimates += task.cycle_hours;
+  }
+}
+
+function finishBucket(bucket) {
+  return {
+    tasks: bucket.tasks,
+    estimated_tasks: bucket.estimated_tasks,
+    estimated_points: round(bucket.estimated_points),
+    estimated_hours: round(bucket.estimated_hours),
+    completed: bucket.completed,
+    measured: bucket.measured,
+    actual_hours: round(bucket.actual_hours),
+    // > 1 means work took longer than estimated
+    actual_vs_estimated_hours: bucket.measured_estimated_hours
+      ? round(bucket.measured_hours_for_hour_estimates / bucket.measured_estimated_hours)
+      : null,
+    hours_per_point: bucket.measured_points
+      ? round(bucket.measured_hours_for_point_estimates / bucket.measured_points)
+      : null,
+  };
+}
+
+/**
+ * Estimated vs actual effort for a plan, per phase and per agent.
+ * @param {Map} index - loadPlanIndex output (nodes carry metadata)
+ * @param {Map} cycles - deriveCycleTimes output
+ */
+function summarizeEstimates(index, cycles) {
+  // The top-level phase a node sits under (or null for loose tasks)
+  const phaseOf = (node) => {
+    let current = node;
+    let phase = null;
+    while (current) {
+      if (current.node_type === 'phase') phase = current;
+      current = index.get(current.parent_id);
+    }
+    return phase;
+  };
+
+  const tasks = [...index.values()]
+    .filter((n) => n.node_type === 'task' || n.node_type === 'milestone')
+    .filter((n) => n.status !== 'archived')
+    .map((n) => {
+      const cycle = cycles.get(n.id) || {};
+      return {
+        id: n.id,
+        title: n.title,
+        status: n.status,
+        phase: phaseOf(n),
+        agent: cycle.agent || null,
+        estimate: estimateOf(n),
+        started_at: cycle.started_at || null,
+        completed_at: cycle.completed_at || null,
+        cycle_hours: cycle.cycle_hours ?? null,
+      };
+    });
+
+  const total = emptyBucket();
+  const phases = new Map();
+  const agents = new Map();
+  for (const task of tasks) {
+    addToBucket(total, task);
+    const phaseKey = task.phase?.id || null;
+    if (!phases.has(phaseKey)) phases.set(phaseKey, { phase_id: phaseKey, title: task.phase?.title || '(no phase)', bucket: emptyBucket() });
+    addToBucket(phases.get(phaseKey).bucket, task);
+    if (task.cycle_hours != null || task.agent) {
+      const agentKey = task.agent || 'unattributed';
+      if (!agents.has(agentKey)) agents.set(agentKey, emptyBucket());
+      addToBucket(agents.get(agentKey), task);
+    }
+  }
+
+  const outliers = tasks
+    .filter((t) => t.cycle_hours != null && t.estimate?.unit === 'hours' && t.estimate.value > 0)
+    .filter((t) => t.cycle_hours / t.estimate.value > OUTLIER_RATIO)
+    .map((t) => ({
+      id: t.id,
+      title: t.title,
+      agent: t.agent,
+      estimated_hours: t.estimate.value,
+      actual_hours: round(t.cycle_hours),
+    }));
+
+  return {
+    totals: finishBucket(total),
+    by_phase: [...phases.values()].map(({ phase_id, title, bucket }) => ({ phase_id, title, ...finishBucket(bucket) })),
+    by_agent: [...agents.entries()].map(([agent, bucket]) => ({ agent, ...finishBucket(bucket) })),
+    outliers,
+    unestimated_task_ids: tasks.filter((t) => !t.estimate).map((t) => t.id),
+  };
+}
+
+module.exports = {
+  ESTIMATE_UNITS,
+  estimateProperty,
+  validateEstimate,
+  normalizeEstimate,
+  estimateOf,
+  deriveCycleTimes,
+  summarizeEstimates,
+};
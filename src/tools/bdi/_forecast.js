@@ -0,0 +1,245 @@
+/**
+ * Monte Carlo completion forecast — plan_analysis type=forecast.
+ *
+ * Each iteration samples a duration for every remaining task and schedules
+ * the plan's `blocks` graph onto `parallelism` workers (list scheduling in
+ * dependency order). The spread of finish times gives P50/P85/P95 dates.
+ * Runs entirely client-side so it works against backends that predate it.
+ *
+ * Durations come from the plan's own history where it has one, otherwise
+ * from estimates (see _estimates.js):
+ *   - hour estimate   × a sampled actual/estimated ratio of finished tasks
+ *   - point estimate  × a sampled hours-per-point of finished tasks
+ *   - no estimate     → a sampled cycle time of a finished task
+ * Cycle times are wall-clock, so the simulated hours map straight onto
+ * calendar time without a working-hours model.
+ */
+
+const { safeArray } = require('./_shared');
+const { estimateOf } = require('./_estimates');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_ITERATIONS = 1000;
+const MAX_ITERATIONS = 5000;
+const PERCENTILES = [50, 85, 95];
+// Without history, an hour estimate is stretched by one of these — estimates
+// run optimistic far more often than pessimistic.
+const DEFAULT_ESTIMATE_SPREAD = [0.8, 1, 1, 1.25, 1.5, 2];
+const DONE_STATUSES = ['completed', 'archived'];
+
+/** Small seeded PRNG (mulberry32) so a forecast can be reproduced. */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (rng, list) => list[Math.floor(rng() * list.length)];
+
+function edgeEnds(edge) {
+  return {
+    source: edge.source_node_id || edge.from_node_id || edge.source?.id,
+    target: edge.target_node_id || edge.to_node_id || edge.target?.id,
+    type: edge.dependency_type || edge.relation || 'blocks',
+  };
+}
+
+// Remaining tasks in dependency order; tasks caught in a cycle go last with
+// their in-cycle blockers dropped so the simulation still terminates.
+function scheduleOrder(tasks) {
+  const order = [];
+  const placed = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const task of tasks) {
+      if (placed.has(task.id)) continue;
+      if (task.blockers.every((b) => placed.has(b))) {
+        order.push(task);
+        placed.add(task.id);
+        progress = true;
+      }
+    }
+  }
+  const cyclic = tasks.filter((t) => !placed.has(t.id));
+  for (const task of cyclic) {
+    task.blockers = task.blockers.filter((b) => placed.has(b));
+    order.push(task);
+  }
+  return { order, cyclic: cyclic.map((t) => t.id) };
+}
+
+/**
+ * Everything the simulation needs for one plan.
+ * @param {Object} input
+ * @param {Map} input.index - loadPlanIndex output
+ * @param {Array} input.edges - the plan's dependency edges
+ * @param {Map} input.cycles - deriveCycleTimes output
+ * @param {number} [input.parallelism] - workers; default from history
+ * @param {number} [input.now] - ms timestamp
+ * @returns {{ tasks, parallelism, basis, warnings, forecastable }}
+ */
+function buildForecastModel({ index, edges, cycles, parallelism, now = Date.now() }) {
+  const warnings = [];
+  const all = [...index.values()].filter((n) => n.node_type === 'task' || n.node_type === 'milestone');
+
+  // What finished tasks actually took
+  const history = [];
+  const hourRatios = [];
+  const hoursPerPoint = [];
+  const agents = new Set();
+  for (const node of all) {
+    const cycle = cycles.get(node.id);
+    if (node.status !== 'completed' || cycle?.cycle_hours == null) continue;
+    history.push(cycle.cycle_hours);
+    if (cycle.agent) agents.add(cycle.agent);
+    const estimate = estimateOf(node);
+    if (estimate?.value > 0) {
+      (estimate.unit === 'hours' ? hourRatios : hoursPerPoint).push(cycle.cycle_hours / estimate.value);
+    }
+  }
+
+  const remaining = all.filter((n) => !DONE_STATUSES.includes(n.status));
+  const remainingIds = new Set(remaining.map((n) => n.id));
+  const blockersOf = new Map(remaining.map((n) => [n.id, []]));
+  for (const edge of safeArray(edges).map(edgeEnds)) {
+    if (edge.type === 'blocks' && remainingIds.has(edge.source) && remainingIds.has(edge.target)) {
+      blockersOf.get(edge.target).push(edge.source);
+    }
+  }
+
+  // Fallback for unestimated tasks with no history: the plan's hour estimates
+  const hourEstimates = all.map(estimateOf).filter((e) => e?.unit === 'hours').map((e) => e.value);
+  const unsized = [];
+  const tasks = remaining.map((node) => {
+    const estimate = estimateOf(node);
+    let sample;
+    if (node.node_type === 'milestone') {
+      sample = () => 0;
+    } else if (estimate?.unit === 'hours') {
+      const ratios = hourRatios.length ? hourRatios : DEFAULT_ESTIMATE_SPREAD;
+      sample = (rng) => estimate.value * pick(rng, ratios);
+    } else if (estimate?.unit === 'points' && hoursPerPoint.length) {
+      sample = (rng) => estimate.value * pick(rng, hoursPerPoint);
+    } else if (history.length) {
+      sample = (rng) => pick(rng, history);
+    } else if (hourEstimates.length) {
+      sample = (rng) => pick(rng, hourEstimates) * pick(rng, DEFAULT_ESTIMATE_SPREAD);
+    } else {
+      unsized.push(node.id);
+      sample = null;
+    }
+
+    const startedAt = cycles.get(node.id)?.started_at;
+    const elapsed = node.status === 'in_progress' && startedAt
+      ? Math.max(0, (now - new Date(startedAt).getTime()) / HOUR_MS)
+      : 0;
+    return {
+      id: node.id,
+      title: node.title,
+      in_progress: node.status === 'in_progress',
+      elapsed_hours: elapsed,
+      blockers: blockersOf.get(node.id),
+      sample,
+    };
+  });
+
+  const { order, cyclic } = scheduleOrder(tasks);
+  if (cyclic.length) warnings.push(`Dependency cycle among ${cyclic.length} task(s); their order was ignored`);
+
+  const inProgress = tasks.filter((t) => t.in_progress).length;
+  const workers = Math.max(1, Math.floor(Number(parallelism) || 0) || Math.max(agents.size, inProgress, 1));
+  if (!parallelism && !agents.size) warnings.push('No finished work to infer parallelism from; assumed one agent at a time');
+
+  return {
+    tasks: order,
+    parallelism: workers,
+    forecastable: unsized.length === 0,
+    unsized_task_ids: unsized,
+    basis: {
+      remaining_tasks: remaining.length,
+      history_samples: history.length,
+      estimated_remaining: remaining.filter((n) => estimateOf(n)).length,
+      calibrated_from_history: hourRatios.length + hoursPerPoint.length > 0,
+    },
+    warnings,
+  };
+}
+
+/** One simulated finish time, in hours from now. */
+function simulateOnce(model, rng) {
+  const finish = new Map();
+  const workers = new Array(model.parallelism).fill(0);
+  let end = 0;
+  // In-progress work already holds a worker, so it's scheduled first
+  const ordered = [...model.tasks.filter((t) => t.in_progress), ...model.tasks.filter((t) => !t.in_progress)];
+  for (const task of ordered) {
+    const ready = task.blockers.reduce((max, id) => Math.max(max, finish.get(id) ?? 0), 0);
+    const duration = Math.max(0, task.sample(rng) - task.elapsed_hours);
+    let done;
+    if (duration === 0) {
+      done = ready;
+    } else {
+      let w = 0;
+      for (let i = 1; i < workers.length; i += 1) if (workers[i] < workers[w]) w = i;
+      done = Math.max(workers[w], ready) + duration;
+      workers[w] = done;
+    }
+    finish.set(task.id, done);
+    end = Math.max(end, done);
+  }
+  return end;
+}
+
+/**
+ * Run every model for the same iterations. Returns one array of finish
+ * hours per model, aligned by iteration so a goal spanning several plans
+ * can take the per-iteration maximum.
+ */
+function simulate(models, iterations, rng) {
+  const runs = models.map(() => []);
+  for (let i = 0; i < iterations; i += 1) {
+    models.forEach((model, m) => runs[m].push(simulateOnce(model, rng)));
+  }
+  return runs;
+}
+
+/** P50/P85/P95 of finish hours, as hours from now and calendar dates. */
+function percentiles(hours, now = Date.now()) {
+  const sorted = [...hours].sort((a, b) => a - b);
+  const result = {};
+  for (const p of PERCENTILES) {
+    const value = sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : 0;
+    result[`p${p}`] = {
+      hours: Math.round(value * 10) / 10,
+      date: new Date(now + value * HOUR_MS).toISOString(),
+    };
+  }
+  return result;
+}
+
+/** Element-wise max — a goal is done when its last plan is. */
+function latestOf(runs) {
+  return runs[0].map((_, i) => Math.max(...runs.map((r) => r[i])));
+}
+
+function clampIterations(value) {
+  const n = Math.floor(Number(value) || DEFAULT_ITERATIONS);
+  return Math.min(Math.max(n, 100), MAX_ITERATIONS);
+}
+
+module.exports = {
+  DEFAULT_ITERATIONS,
+  MAX_ITERATIONS,
+  createRng,
+  buildForecastModel,
+  simulate,
+  percentiles,
+  latestOf,
+  clampIterations,
+};
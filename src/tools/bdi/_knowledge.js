@@ -0,0 +1,154 @@
+/**
+ * Knowledge episode helpers — shared by curate_knowledge (intentions) and
+ * recall_knowledge (beliefs).
+ *
+ * The episodes endpoint has no update, so curation is expressed with the
+ * calls it does have: a redaction is a redacted copy plus a delete, and a
+ * correction is a new episode whose metadata names the episodes it
+ * supersedes. Both carry metadata.curation:
+ *
+ *   { action, episode_id | replaces | supersedes, reason, agent_id, at }
+ *
+ * The audit trail itself stays out of the graph — Graphiti extracts facts
+ * from every episode, and a delete reason often describes what was removed.
+ * It goes to the task log of the episode's task instead. Earlier versions did
+ * leave `curation` record episodes behind for deletes; those are still kept
+ * out of recall, listings and exports.
+ *
+ * A fact whose source episodes have all been superseded is reported by
+ * recall_knowledge as status 'superseded', with superseded_by.
+ *
+ * Nor can episodes be filtered, so supersessions are only found among the
+ * EPISODE_SCAN most recent episodes: once a correction is older than that,
+ * the episodes it superseded read as current again. recall_knowledge reports
+ * how far its scan reached in meta.supersession_scan.
+ */
+
+const { safeArray } = require('./_shared');
+
+// How many recent episodes a curation read scans (the endpoint has no filters)
+const EPISODE_SCAN = 200;
+const CURATION_ENTRY_TYPE = 'curation';
+const REDACTED = '[REDACTED]';
+
+const episodeId = (e) => e?.uuid || e?.id || null;
+const episodeContent = (e) => e?.content ?? e?.episode_body ?? '';
+const entryTypeOf = (e) => e?.metadata?.entry_type || e?.entry_type || null;
+
+/** Delete record episodes from earlier versions — bookkeeping, not knowledge. */
+const isCurationRecord = (e) => entryTypeOf(e) === CURATION_ENTRY_TYPE;
+
+/** The episode rows out of a getEpisodes response, whichever shape it has. */
+function episodeList(raw) {
+  return safeArray(raw?.episodes?.episodes || raw?.episodes || raw);
+}
+
+/** The most recent episodes, newest first. */
+async function loadEpisodes(apiClient, max = EPISODE_SCAN) {
+  const raw = await apiClient.graphiti.getEpisodes({ max_episodes: max });
+  return episodeList(raw)
+    .slice()
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+/**
+ * Which episodes have been superseded, and by what.
+ * @param {Object[]} episodes
+ * @returns {Map<string, string[]>} superseded episode id → correcting episode ids
+ */
+function supersessions(episodes) {
+  const map = new Map();
+  for (const e of safeArray(episodes)) {
+    const curation = e.metadata?.curation;
+    if (curation?.action !== 'supersede') continue;
+    for (const old of safeArray(curation.supersedes)) {
+      map.set(old, [...(map.get(old) || []), episodeId(e)]);
+    }
+  }
+  return map;
+}
+
+/**
+ * Supersessions for recall_knowledge, from the most recent episodes.
+ * @returns {Promise<{ superseded: Map<string, string[]>,
+ *   scan: { episodes_read, limit, complete } }>} — complete is false once the
+ *   scan is full, when older corrections may have been missed
+ * @throws when the episodes can't be read
+ */
+async function loadSupersessions(apiClient) {
+  const episodes = await loadEpisodes(apiClient);
+  return {
+    superseded: supersessions(episodes),
+    scan: { episodes_read: episodes.length, limit: EPISODE_SCAN, complete: episodes.length < EPISODE_SCAN },
+  };
+}
+
+/** Source episode ids of a Graphiti fact (edge). */
+const factEpisodes = (f) => safeArray(f.episodes || f.episode_ids || f.source_episodes);
+
+/**
+ * The correcting episodes of a fact whose every source episode has been
+ * superseded, or null.
+ */
+function factSupersededBy(fact, superseded) {
+  const sources = factEpisodes(fact);
+  if (!sources.length || !sources.every((id) => superseded.has(id))) return null;
+  return [...new Set(sources.flatMap((id) => superseded.get(id)))];
+}
+
+/**
+ * One episode as curate_knowledge lists it.
+ * @param {Object} e - episode row
+ * @param {Map<string, string[]>} superseded - from supersessions()
+ */
+function episodeEntry(e, superseded = new Map()) {
+  const metadata = e.metadata || {};
+  const id = episodeId(e);
+  return {
+    episode_id: id,
+    name: e.name || null,
+    content: episodeContent(e),
+    source: e.source || null,
+    source_description: metadata.source_description || e.source_description || null,
+    entry_type: entryTypeOf(e),
+    plan_id: e.plan_id || metadata.plan_id || null,
+    node_id: e.node_id || metadata.node_id || null,
+    agent_id: metadata.agent_id || e.agent_id || null,
+    created_at: e.created_at || null,
+    superseded_by: superseded.get(id) || null,
+    curation: metadata.curation || null,
+  };
+}
+
+/**
+ * Replace every occurrence of each term (case-insensitive) with [REDACTED].
+ * @returns {{ text: string, count: number }}
+ */
+function redactText(text, terms) {
+  let count = 0;
+  let out = String(text || '');
+  for (const term of safeArray(terms)) {
+    if (!term) continue;
+    const pattern = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    out = out.replace(pattern, () => {
+      count += 1;
+      return REDACTED;
+    });
+  }
+  return { text: out, count };
+}
+
+module.exports = {
+  EPISODE_SCAN,
+  CURATION_ENTRY_TYPE,
+  episodeId,
+  episodeContent,
+  isCurationRecord,
+  episodeList,
+  loadEpisodes,
+  supersessions,
+  loadSupersessions,
+  factSupersededBy,
+  episodeEntry,
+  redactText,
+};
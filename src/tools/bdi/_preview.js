@@ -0,0 +1,183 @@
+/**
+ * Dry-run previews for structural mutations — shared by form_intention,
+ * extend_intention, move_node, delete_node, restore, split_task,
+ * merge_tasks, duplicate_subtree and update_goal.
+ *
+ * A preview never writes. Every dry_run response carries the same `preview`
+ * shape, so an autonomous loop can show a human the blast radius before
+ * committing:
+ *
+ *   nodes_to_create   [{ preview_id, parent, node_type, title, ref }]
+ *   nodes_to_move     [{ id, title, from_parent_id, to_parent_id, position, subtree_size }]
+ *   nodes_to_archive  [{ id, title, node_type, status }]
+ *   nodes_to_restore  [{ id, title, node_type, status }]   status: the one it gets back
+ *   edges_to_add      [{ from, to, type }]
+ *   edges_to_remove   [{ id, from, to, type }]   rewired by split_task / merge_tasks
+ *   edges_rejected    [{ from, to, type, reason }]   reason: unresolved | ambiguous | self | cycle
+ *   goal_links        [{ goal_id, action, plan_id?, node_id?, noop? }]
+ *   field_changes     [{ field, from, to }]
+ *
+ * Nodes that don't exist yet are addressed by `preview_id` (new-1, new-2, …)
+ * in `parent`, `from` and `to`.
+ */
+
+const { asOf, formatResponse, safeArray } = require('./_shared');
+
+function emptyPreview() {
+  return {
+    nodes_to_create: [],
+    nodes_to_move: [],
+    nodes_to_archive: [],
+    nodes_to_restore: [],
+    edges_to_add: [],
+    edges_to_remove: [],
+    edges_rejected: [],
+    goal_links: [],
+    field_changes: [],
+  };
+}
+
+/**
+ * Wrap a preview in the common dry_run response.
+ * @param {Object} fields - tool-specific top-level fields (plan_id, node_id, …)
+ * @param {Object} preview - from emptyPreview(), filled in
+ * @param {string[]} [warnings] - reasons the real call would fail or be partial
+ */
+function previewResponse(fields, preview, warnings = []) {
+  return formatResponse({
+    as_of: asOf(),
+    dry_run: true,
+    ...fields,
+    preview,
+    would_apply: warnings.length === 0,
+    warnings,
+    next_action_hint: warnings.length
+      ? 'Resolve the warnings, then call again without dry_run to apply.'
+      : 'Call again without dry_run to apply exactly this change.',
+  });
+}
+
+// True when `target` is reachable from `start` along `adjacency`. Adding an
+// edge a→b closes a cycle exactly when b already reaches a.
+function reaches(adjacency, start, target) {
+  const seen = new Set();
+  const stack = [start];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === target) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(adjacency.get(id) || []));
+  }
+  return false;
+}
+
+/**
+ * Preview a tree of new nodes under `parent` (an existing node id, or null
+ * for a plan's top level). depends_on resolves the way form_intention does:
+ * ref first, else a unique title; edges that would close a cycle among the
+ * new nodes are rejected.
+ * @returns {{ nodes_to_create: Array, edges_to_add: Array, edges_rejected: Array }}
+ */
+function previewTree(tree, parent = null) {
+  const nodes = [];
+  const refMap = new Map();
+  const titleMap = new Map();
+  const intents = [];
+
+  const visit = (children, parentId) => {
+    for (const child of safeArray(children)) {
+      const previewId = `new-${nodes.length + 1}`;
+      nodes.push({
+        preview_id: previewId,
+        parent: parentId,
+        node_type: child.node_type || 'task',
+        title: child.title,
+        ref: child.ref ? String(child.ref) : null,
+      });
+      if (child.ref) refMap.set(String(child.ref), previewId);
+      titleMap.set(child.title, [...(titleMap.get(child.title) || []), previewId]);
+      if (Array.isArray(child.depends_on) && child.depends_on.length) {
+        intents.push({ dependsOn: child.depends_on.map(String), target: previewId });
+      }
+      visit(child.children, previewId);
+    }
+  };
+  visit(tree, parent);
+
+  const edgesToAdd = [];
+  const edgesRejected = [];
+  const adjacency = new Map();
+  for (const { dependsOn, target } of intents) {
+    for (const ref of dependsOn) {
+      const byTitle = titleMap.get(ref) || [];
+      const source = refMap.get(ref) || (byTitle.length === 1 ? byTitle[0] : null);
+      if (!source) {
+        edgesRejected.push({ from: ref, to: target, type: 'blocks', reason: byTitle.length > 1 ? 'ambiguous' : 'unresolved' });
+      } else if (source === target) {
+        edgesRejected.push({ from: source, to: target, type: 'blocks', reason: 'self' });
+      } else if (reaches(adjacency, target, source)) {
+        edgesRejected.push({ from: source, to: target, type: 'blocks', reason: 'cycle' });
+      } else {
+        adjacency.set(source, [...(adjacency.get(source) || []), target]);
+        edgesToAdd.push({ from: source, to: target, type: 'blocks' });
+      }
+    }
+  }
+
+  return { nodes_to_create: nodes, edges_to_add: edgesToAdd, edges_rejected: edgesRejected };
+}
+
+/**
+ * Flat index of a plan's node tree: id → { id, title, node_type, status,
+ * parent_id, children: [ids], metadata, updated_at }. The plan root is kept,
+ * so a root id passed as a parent resolves. With `details`, entries also
+ * carry description, task_mode and agent_instructions (for copying nodes).
+ * metadata stays undefined when the read didn't include it, so a caller
+ * writing metadata back can tell "none" from "not loaded" — load with
+ * `details` before writing it.
+ */
+async function loadPlanIndex(apiClient, planId, { details = false } = {}) {
+  const data = details
+    ? await apiClient.nodes.getNodes(planId, { include_details: true })
+    : await apiClient.nodes.getNodes(planId);
+  const roots = Array.isArray(data) ? data : safeArray(data?.nodes);
+  const index = new Map();
+
+  const visit = (node, parentId) => {
+    const children = safeArray(node.children);
+    index.set(node.id, {
+      id: node.id,
+      title: node.title,
+      node_type: node.node_type || 'task',
+      status: node.status || 'not_started',
+      parent_id: node.parent_id ?? parentId,
+      children: children.map((c) => c.id),
+      metadata: node.metadata === undefined ? undefined : node.metadata || {},
+      updated_at: node.updated_at || node.updatedAt || null,
+      ...(details ? {
+        description: node.description || '',
+        task_mode: node.task_mode || 'free',
+        agent_instructions: node.agent_instructions || null,
+      } : {}),
+    });
+    for (const child of children) visit(child, node.id);
+  };
+  for (const root of roots) visit(root, null);
+  return index;
+}
+
+/** `nodeId` and everything under it, parents before children. */
+function subtreeIds(index, nodeId) {
+  const ids = [];
+  const stack = [nodeId];
+  while (stack.length) {
+    const id = stack.shift();
+    if (!index.has(id)) continue;
+    ids.push(id);
+    stack.unshift(...index.get(id).children);
+  }
+  return ids;
+}
+
+module.exports = { emptyPreview, previewResponse, previewTree, loadPlanIndex, subtreeIds };
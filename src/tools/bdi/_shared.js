@@ -42,6 +42,24 @@ function apiErrorMessage(err) {
   return err?.message || 'unknown error';
 }
 
+/**
+ * An Error carrying a `code`, so callers can tell bad input (e.g.
+ * 'import_invalid') from an API failure without matching on the message.
+ */
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Run a read for Promise.allSettled: a synchronous throw (e.g. a client
+ * without that method) becomes a rejection instead of escaping the batch.
+ */
+function attempt(read) {
+  return Promise.resolve().then(read);
+}
+
 /**
  * The web app origin (where /app/plans/:id lives), for building shareable plan
  * links agents can post (e.g. to Slack). Derived from API_URL — the web app
@@ -72,4 +90,6 @@ function isV1Unavailable(err) {
   return !(body && typeof body === 'object' && body.error);
 }
 
-module.exports = { asOf, formatResponse, errorResponse, safeArray, apiErrorMessage, isV1Unavailable, webOrigin, planUrl };
+module.exports = {
+  asOf, formatResponse, errorResponse, safeArray, apiErrorMessage, codedError, attempt, isV1Unavailable, webOrigin, planUrl,
+};
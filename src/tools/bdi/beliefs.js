@@ -1,22 +1,41 @@
 /**
  * BDI beliefs — state queries.
  *
- * 6 tools: briefing, task_context, goal_state, recall_knowledge, search,
- * plan_analysis. Each answers one whole agentic question and returns `as_of`.
+ * Tools: briefing, task_context, goal_state, recall_knowledge, list_plans,
+ * list_archived, list_decisions, search, plan_analysis, activity_feed,
+ * export_plan, export_knowledge, plan_snapshot, plan_diff. Each answers one
+ * whole agentic question and returns `as_of`.
  */
 
-const { asOf, formatResponse, errorResponse, safeArray, isV1Unavailable, planUrl } = require('./_shared');
+const { asOf, formatResponse, errorResponse, safeArray, attempt, isV1Unavailable, planUrl } = require('./_shared');
+const { buildThreads, awaitingReply } = require('./_comments');
+const { EXPORT_FORMATS, MERMAID_DIAGRAMS, exportPlan } = require('../../plan-export');
+const { archiveRecord, archivedAt } = require('./_archive');
+const { loadPlanIndex } = require('./_preview');
+const { captureSnapshot, diffSnapshots, loadGoalLinks, listSnapshots, getSnapshot, takeSnapshot } = require('../../plan-snapshot');
+const { deriveCycleTimes, summarizeEstimates } = require('./_estimates');
+const { createRng, buildForecastModel, simulate, percentiles, latestOf, clampIterations } = require('./_forecast');
+const {
+  URGENCY_MAP, BACKEND_URGENCIES, URGENCY_RANK, backendUrgency, decisionEntry, approvalStatus,
+} = require('./_decisions');
+const { isOverdue, applyOverdueDefaults } = require('../../decision-deadlines');
+const { isCurationRecord, episodeId, loadSupersessions, factSupersededBy } = require('./_knowledge');
+const { KNOWLEDGE_SCHEMA, TRANSFER_SCAN, exportKnowledge } = require('../../knowledge-transfer');
 
 // A Graphiti fact is superseded once it has an `expired_at`, or an `invalid_at`
 // that is in the past — the temporal graph has replaced it with a newer truth.
 // recall_knowledge used to return these inline with current facts, undistinguished,
 // so an agent could act on stale knowledge. Tag each fact `status` and sort
-// current-first so the valid facts read first.
-function annotateFacts(facts, nowMs = Date.now()) {
+// current-first so the valid facts read first. A fact is also superseded when
+// curate_knowledge has superseded every episode it came from (`superseded`,
+// see _knowledge.js); those carry `superseded_by`.
+function annotateFacts(facts, nowMs = Date.now(), superseded = new Map()) {
   const list = safeArray(facts).map((f) => {
     const invalidMs = f.invalid_at ? new Date(f.invalid_at).getTime() : null;
-    const superseded = Boolean(f.expired_at) || (invalidMs != null && invalidMs <= nowMs);
-    return { ...f, status: superseded ? 'superseded' : 'current' };
+    const supersededBy = factSupersededBy(f, superseded);
+    if (supersededBy) return { ...f, status: 'superseded', superseded_by: supersededBy };
+    const expired = Boolean(f.expired_at) || (invalidMs != null && invalidMs <= nowMs);
+    return { ...f, status: expired ? 'superseded' : 'current' };
   });
   list.sort((a, b) => (a.status === b.status ? 0 : a.status === 'current' ? -1 : 1));
   return list;
@@ -30,7 +49,9 @@ const briefingDefinition = {
   name: 'briefing',
   description:
     "Mission control state in one call. Returns goal health summary, " +
-    "pending decisions, my tasks, recent activity, and a top recommendation. " +
+    "pending decisions, my tasks, comments awaiting an agent reply, recent " +
+    "activity, and a top recommendation. Pending decisions past their " +
+    "decide_by are resolved to their default_action first. " +
     "Use this as the single read for Cowork live artifacts and the autopilot's " +
     "first call.",
   inputSchema: {
@@ -40,22 +61,110 @@ const briefingDefinition = {
       goal_id: { type: 'string' },
       plan_id: { type: 'string' },
       recent_window_hours: { type: 'number', default: 24 },
+      agent_id: {
+        type: 'string',
+        description: "Only show tasks, decisions and activity attributed to this agent (e.g. your own identity when several agents share a plan).",
+      },
     },
   },
 };
 
+// Which agent a task claim, decision or episode is attributed to — claims
+// carry it top-level, decisions and episodes in metadata.
+const agentOf = (item) => item?.agent_id || item?.claimed_by_agent || item?.metadata?.agent_id || null;
+
+// Briefing reads comments for at most this many active tasks (one call each).
+const COMMENT_SCAN_TASK_LIMIT = 10;
+
+/**
+ * Add the "comments awaiting agent reply" bucket: unresolved threads on my
+ * in-progress/blocked tasks whose latest message is from a human. Best-effort
+ * and never throws; skipped when the briefing source already provides it.
+ */
+async function withAwaitingComments(data, apiClient) {
+  if (!data || data.error || data.comments_awaiting_reply || typeof apiClient.comments?.getComments !== 'function') {
+    return data;
+  }
+  const buckets = data.my_tasks || {};
+  const tasks = [...safeArray(buckets.in_progress), ...safeArray(buckets.blocked)]
+    .filter((t) => t.id && t.plan_id)
+    .slice(0, COMMENT_SCAN_TASK_LIMIT);
+
+  const settled = await Promise.allSettled(
+    tasks.map((t) => apiClient.comments.getComments(t.plan_id, t.id)),
+  );
+  const awaiting = [];
+  settled.forEach((res, i) => {
+    if (res.status !== 'fulfilled') return;
+    const task = tasks[i];
+    for (const thread of awaitingReply(buildThreads(res.value))) {
+      const latest = thread.replies.length ? thread.replies[thread.replies.length - 1] : thread;
+      awaiting.push({
+        task_id: task.id,
+        plan_id: task.plan_id,
+        task_title: task.title,
+        comment_id: thread.id,
+        author: latest.author,
+        content: latest.content,
+        last_activity_at: thread.last_activity_at,
+      });
+    }
+  });
+  return { ...data, comments_awaiting_reply: awaiting };
+}
+
+/**
+ * Apply the default action of any pending decision whose decide_by has
+ * passed (see decision-deadlines.js): it leaves pending_decisions and shows
+ * up in auto_resolved_decisions instead. Never throws.
+ */
+async function withDeadlineDefaults(data, apiClient) {
+  const pending = safeArray(data?.pending_decisions);
+  if (!pending.some((d) => isOverdue(d))) return data;
+  const { applied, failures } = await applyOverdueDefaults(apiClient, pending);
+  if (!applied.length && !failures.length) return data;
+  const resolvedIds = new Set(applied.map((a) => a.decision_id));
+  return {
+    ...data,
+    pending_decisions: pending.filter((d) => !resolvedIds.has(d.id)),
+    auto_resolved_decisions: applied,
+    ...(failures.length ? { auto_resolve_failures: failures } : {}),
+  };
+}
+
+// Votes so far on multi-approver decisions, as `approval` on each one
+function withApprovalStatus(data) {
+  const pending = safeArray(data?.pending_decisions);
+  if (!pending.some((d) => d?.metadata?.approval)) return data;
+  return {
+    ...data,
+    pending_decisions: pending.map((d) => {
+      const approval = approvalStatus(d);
+      return approval ? { ...d, approval } : d;
+    }),
+  };
+}
+
+// Post-processing shared by every briefing path
+async function finishBriefing(data, apiClient) {
+  const withDefaults = await withDeadlineDefaults(data, apiClient);
+  return withAwaitingComments(withApprovalStatus(withDefaults), apiClient);
+}
+
 async function briefingHandler(args, apiClient) {
   const briefingParams = {
     scope: args.scope,
     goal_id: args.goal_id,
     plan_id: args.plan_id,
     recent_window_hours: args.recent_window_hours,
+    agent_id: args.agent_id,
   };
 
   // v1 public path first; same server-side handler as /agent/briefing.
   if (apiClient.v1) {
     try {
-      return formatResponse(await apiClient.v1.briefing(briefingParams));
+      const data = await apiClient.v1.briefing(briefingParams);
+      return formatResponse(await finishBriefing(data, apiClient));
     } catch {
       // Fall through to the internal facade path, then the legacy fan-out.
     }
@@ -63,7 +172,7 @@ async function briefingHandler(args, apiClient) {
 
   try {
     const response = await apiClient.axiosInstance.get('/agent/briefing', { params: briefingParams });
-    return formatResponse(response.data);
+    return formatResponse(await finishBriefing(response.data, apiClient));
   } catch {
     // Fall back to the pre-facade fan-out for self-hosted older APIs.
   }
@@ -108,11 +217,13 @@ async function briefingHandler(args, apiClient) {
 
   let decisions = safeArray(pending.decisions);
   if (args.plan_id) decisions = decisions.filter((d) => d.plan_id === args.plan_id);
+  if (args.agent_id) decisions = decisions.filter((d) => agentOf(d) === args.agent_id);
 
   let agentRequests = safeArray(pending.agent_requests);
   if (args.plan_id) agentRequests = agentRequests.filter((r) => r.plan_id === args.plan_id);
 
-  const tasks = safeArray(myTasks.tasks || myTasks);
+  let tasks = safeArray(myTasks.tasks || myTasks);
+  if (args.agent_id) tasks = tasks.filter((t) => agentOf(t) === args.agent_id);
   const myTasksBucketed = {
     in_progress: tasks.filter((t) => t.status === 'in_progress'),
     blocked: tasks.filter((t) => t.status === 'blocked'),
@@ -126,6 +237,7 @@ async function briefingHandler(args, apiClient) {
   const allEpisodes = safeArray(episodes.episodes?.episodes || episodes.episodes);
   const recentActivity = allEpisodes
     .filter((e) => e.created_at && new Date(e.created_at).getTime() >= recentSinceMs)
+    .filter((e) => !args.agent_id || agentOf(e) === args.agent_id)
     .map((e) => ({
       type: 'episode',
       ref_id: e.uuid,
@@ -174,9 +286,10 @@ async function briefingHandler(args, apiClient) {
     })),
   ];
 
-  return formatResponse({
+  return formatResponse(await finishBriefing({
     as_of: asOf(),
     scope: args.scope || 'mission_control',
+    ...(args.agent_id ? { agent_id: args.agent_id } : {}),
     goal_health: {
       summary: goalSummary,
       goals: goals.map((g) => ({
@@ -196,7 +309,7 @@ async function briefingHandler(args, apiClient) {
     top_recommendation: topRecommendation,
     coherence_pending: coherencePendingList,
     meta: { partial: failures.length > 0, failures },
-  });
+  }, apiClient));
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -208,7 +321,8 @@ const taskContextDefinition = {
   description:
     "Get progressive context for a task. Depth: 1 (task only), 2 (+ neighborhood), " +
     "3 (+ knowledge), 4 (+ extended plan/goals/transitive deps). For RPI implement " +
-    "tasks, automatically includes research+plan outputs from the chain.",
+    "tasks, automatically includes research+plan outputs from the chain. " +
+    "Depth 2+ also includes unresolved comment threads awaiting an agent reply (answer via discuss_task).",
   inputSchema: {
     type: 'object',
     properties: {
@@ -224,6 +338,22 @@ const taskContextDefinition = {
   },
 };
 
+// Unresolved threads on the task awaiting an agent reply. Best-effort: null
+// when comments can't be read, so the context itself never fails on them.
+async function loadAwaitingComments(nodeId, data, apiClient) {
+  if (typeof apiClient.comments?.getComments !== 'function') return null;
+  try {
+    let planId = data?.node?.plan_id || data?.task?.plan_id || data?.plan?.id || data?.plan_id;
+    if (!planId) {
+      const node = await apiClient.axiosInstance.get(`/nodes/${nodeId}`).then((r) => r.data);
+      planId = node.plan_id || node.planId;
+    }
+    return awaitingReply(buildThreads(await apiClient.comments.getComments(planId, nodeId)));
+  } catch {
+    return null;
+  }
+}
+
 async function taskContextHandler(args, apiClient) {
   const { node_id, task_id, depth = 2, token_budget = 0 } = args;
   const nodeId = node_id || task_id;
@@ -239,7 +369,12 @@ async function taskContextHandler(args, apiClient) {
   });
   try {
     const response = await apiClient.axiosInstance.get(`/context/progressive?${params}`);
-    return formatResponse({ as_of: asOf(), ...response.data });
+    const context = { as_of: asOf(), ...response.data };
+    if (depth >= 2) {
+      const awaiting = await loadAwaitingComments(nodeId, response.data, apiClient);
+      if (awaiting) context.comments_awaiting_reply = awaiting;
+    }
+    return formatResponse(context);
   } catch (err) {
     return errorResponse('upstream_unavailable', `Failed to load task context: ${err.response?.data?.error || err.message}`);
   }
@@ -269,7 +404,7 @@ async function goalStateHandler(args, apiClient) {
   // Same response shape — the server composition was ported from this handler.
   if (apiClient.v1) {
     try {
-      return formatResponse(await apiClient.v1.goalState(goal_id));
+      return formatResponse(withApprovalStatus(await apiClient.v1.goalState(goal_id)));
     } catch (err) {
       if (!isV1Unavailable(err)) {
         const status = err.response?.status;
@@ -327,6 +462,16 @@ async function goalStateHandler(args, apiClient) {
     .filter((l) => (l.linkedType || l.linked_type) === 'task')
     .map((l) => ({ id: l.linkedId || l.linked_id, link_id: l.id }));
 
+  // Pending decisions in the goal's plans, with any votes cast so far
+  const decisionWarnings = [];
+  const pending_decisions = (await loadDecisionEntries(
+    apiClient,
+    linked_plans.map((p) => ({ id: p.id })),
+    'pending',
+    decisionWarnings,
+  )).filter((d) => !d.goal_id || d.goal_id === goal_id);
+  for (const message of decisionWarnings) failures.push({ source: 'decisions', message });
+
   return formatResponse({
     as_of: asOf(),
     goal: {
@@ -345,6 +490,7 @@ async function goalStateHandler(args, apiClient) {
     progress: progress,
     bottlenecks,
     knowledge_gaps: safeArray(gaps.gaps || gaps),
+    pending_decisions,
     meta: { partial: failures.length > 0, failures },
   });
 }
@@ -359,7 +505,8 @@ const recallKnowledgeDefinition = {
     "Universal knowledge graph query. Returns facts, entities, recent episodes, " +
     "and contradictions in one shape. Use result_kind to control payload size. " +
     "Each fact carries status: 'current' or 'superseded' (the graph has since " +
-    "replaced it) — facts are sorted current-first; prefer current facts. " +
+    "replaced it, or curate_knowledge superseded its source episodes — see " +
+    "superseded_by) — facts are sorted current-first; prefer current facts. " +
     "Replaces recall_knowledge legacy + find_entities + get_recent_episodes + check_contradictions.",
   inputSchema: {
     type: 'object',
@@ -378,23 +525,57 @@ const recallKnowledgeDefinition = {
   },
 };
 
+// Episodes as recall_knowledge returns them: without curate_knowledge's delete
+// records, and with superseded_by on the ones a correction replaced.
+function curatedEpisodes(episodes, superseded) {
+  return safeArray(episodes)
+    .filter((e) => !isCurationRecord(e))
+    .map((e) => (superseded.has(episodeId(e)) ? { ...e, superseded_by: superseded.get(episodeId(e)) } : e));
+}
+
+// Corrections recorded by curate_knowledge, read only when there are facts or
+// episodes to annotate. How far the scan reached goes in meta — corrections
+// older than it aren't applied (see _knowledge.js).
+async function recallSupersessions(apiClient, hasResults, meta) {
+  if (!hasResults || typeof apiClient.graphiti?.getEpisodes !== 'function') return new Map();
+  try {
+    const { superseded, scan } = await loadSupersessions(apiClient);
+    meta.supersession_scan = scan;
+    if (!scan.complete) {
+      meta.supersession_note = `Only corrections among the ${scan.limit} most recent episodes were applied; a fact corrected before them reads as current.`;
+    }
+    return superseded;
+  } catch (err) {
+    meta.failures = [...safeArray(meta.failures), { source: 'graphiti.supersessions', message: err.message }];
+    return new Map();
+  }
+}
+
 async function recallKnowledgeHandler(args, apiClient) {
   const { query, scope = {}, since, entry_type = 'all', result_kind = 'all', max_results = 10, include_contradictions = false } = args;
   if (!query || !String(query).trim()) {
     return errorResponse('invalid_arg', 'recall_knowledge requires a non-empty query string');
   }
 
+  const wantFacts = result_kind === 'all' || result_kind === 'facts';
+  const wantEntities = result_kind === 'all' || result_kind === 'entities';
+  const wantEpisodes = result_kind === 'all' || result_kind === 'episodes';
+
   // v1 facade: one server-side call replaces the 4-endpoint fan-out below.
   if (apiClient.v1) {
     try {
       const data = await apiClient.v1.knowledgeSearch({
         query, since, entry_type, result_kind, max_results, include_contradictions, ...scope,
       });
+      const hasResults = safeArray(data?.facts).length > 0 || safeArray(data?.episodes).length > 0;
+      const meta = { ...(data?.meta || {}) };
+      const superseded = await recallSupersessions(apiClient, hasResults, meta);
+      if (data && Array.isArray(data.episodes)) data.episodes = curatedEpisodes(data.episodes, superseded);
       if (data && Array.isArray(data.facts)) {
-        data.facts = annotateFacts(data.facts);
-        const superseded = data.facts.filter((f) => f.status === 'superseded').length;
-        data.meta = { ...(data.meta || {}), superseded_fact_count: superseded };
+        data.facts = annotateFacts(data.facts, Date.now(), superseded);
+        meta.superseded_fact_count = data.facts.filter((f) => f.status === 'superseded').length;
       }
+      if (data && Object.keys(meta).length) data.meta = meta;
       return formatResponse(data);
     } catch (err) {
       if (!isV1Unavailable(err)) {
@@ -404,10 +585,6 @@ async function recallKnowledgeHandler(args, apiClient) {
     }
   }
 
-  const wantFacts = result_kind === 'all' || result_kind === 'facts';
-  const wantEntities = result_kind === 'all' || result_kind === 'entities';
-  const wantEpisodes = result_kind === 'all' || result_kind === 'episodes';
-
   const calls = [];
   if (wantFacts && query) {
     calls.push({ key: 'facts', p: apiClient.graphiti.graphSearch({ query, max_results, ...scope }) });
@@ -424,6 +601,10 @@ async function recallKnowledgeHandler(args, apiClient) {
 
   const settled = await Promise.allSettled(calls.map((c) => c.p));
   const out = { as_of: asOf(), facts: [], entities: [], episodes: [], contradictions: null, meta: { failures: [] } };
+  const hasResults = settled.some((s, i) => s.status === 'fulfilled'
+    && ['facts', 'episodes'].includes(calls[i].key)
+    && safeArray(s.value?.facts || s.value?.episodes?.episodes || s.value?.episodes || s.value).length > 0);
+  const superseded = await recallSupersessions(apiClient, hasResults, out.meta);
 
   settled.forEach((s, i) => {
     const key = calls[i].key;
@@ -432,10 +613,10 @@ async function recallKnowledgeHandler(args, apiClient) {
       return;
     }
     const v = s.value;
-    if (key === 'facts') out.facts = annotateFacts(v.facts || v);
+    if (key === 'facts') out.facts = annotateFacts(v.facts || v, Date.now(), superseded);
     if (key === 'entities') out.entities = safeArray(v.entities || v);
     if (key === 'episodes') {
-      let eps = safeArray(v.episodes?.episodes || v.episodes || v);
+      let eps = curatedEpisodes(v.episodes?.episodes || v.episodes || v, superseded);
       if (since) {
         const sinceMs = new Date(since).getTime();
         eps = eps.filter((e) => e.created_at && new Date(e.created_at).getTime() >= sinceMs);
@@ -537,6 +718,310 @@ async function listPlansHandler(args, apiClient) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// list_archived — the trash view. What delete_plan / delete_node archived,
+// filterable by plan, date and reason, one entry per restorable cascade.
+// ─────────────────────────────────────────────────────────────────────────
+
+// Without plan_id every live plan's tree is read; cap it so one call stays cheap
+const MAX_SCANNED_PLANS = 25;
+
+const listArchivedDefinition = {
+  name: 'list_archived',
+  description:
+    'List archived plans and nodes, newest first. A node archived by a ' +
+    'delete_node cascade is listed once, at its root, with cascade_size — ' +
+    'pass that id to restore to bring the whole cascade back. Filter by ' +
+    'plan, archive date or reason.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      plan_id: { type: 'string', description: 'Only this plan (and the nodes archived inside it). Omit to scan recent plans.' },
+      kind: { type: 'string', enum: ['all', 'plans', 'nodes'], default: 'all' },
+      archived_after: { type: 'string', description: 'ISO 8601 date or timestamp' },
+      archived_before: { type: 'string', description: 'ISO 8601 date or timestamp' },
+      reason: { type: 'string', description: 'Substring match on the archive reason (case-insensitive)' },
+      limit: { type: 'integer', default: 50 },
+    },
+  },
+};
+
+// Archived nodes, collapsed to the cascade roots restore accepts
+function archivedNodeEntries(index, planId) {
+  const entries = new Map();
+  const rootOf = (node) => {
+    const record = archiveRecord(node);
+    if (record) {
+      const root = index.get(record.cascade_root);
+      return root && root.status === 'archived' && root.id !== node.id ? root.id : node.id;
+    }
+    // Unrecorded: part of the nearest unrecorded archived ancestor's cascade
+    let rootId = node.id;
+    let parent = index.get(index.get(rootId).parent_id);
+    while (parent && parent.status === 'archived' && !archiveRecord(parent)) {
+      rootId = parent.id;
+      parent = index.get(parent.parent_id);
+    }
+    return rootId;
+  };
+
+  for (const node of index.values()) {
+    if (node.status !== 'archived') continue;
+    const rootId = rootOf(node);
+    const root = index.get(rootId);
+    if (!entries.has(rootId)) {
+      const record = archiveRecord(root);
+      entries.set(rootId, {
+        type: 'node',
+        id: root.id,
+        plan_id: planId,
+        title: root.title,
+        node_type: root.node_type,
+        archived_at: archivedAt(root),
+        reason: record?.reason ?? null,
+        previous_status: record?.previous_status ?? null,
+        cascade_size: 0,
+      });
+    }
+    entries.get(rootId).cascade_size += 1;
+  }
+  return [...entries.values()];
+}
+
+async function listArchivedHandler(args, apiClient) {
+  const { plan_id, kind = 'all', reason, limit = 50 } = args;
+
+  const bounds = {};
+  for (const key of ['archived_after', 'archived_before']) {
+    if (!args[key]) continue;
+    bounds[key] = new Date(args[key]).getTime();
+    if (Number.isNaN(bounds[key])) {
+      return errorResponse('invalid_argument', `${key} must be an ISO 8601 date or timestamp, got "${args[key]}"`);
+    }
+  }
+
+  let plans;
+  try {
+    if (plan_id) {
+      plans = [await apiClient.plans.getPlan(plan_id)];
+    } else {
+      const raw = await apiClient.plans.getPlans();
+      plans = Array.isArray(raw) ? raw : safeArray(raw.plans || raw);
+    }
+  } catch (err) {
+    if (plan_id && err.response?.status === 404) return errorResponse('not_found', `Plan ${plan_id} not found`);
+    return errorResponse('upstream_unavailable', `list_archived failed: ${err.response?.data?.error || err.message}`);
+  }
+
+  const entries = [];
+  const warnings = [];
+
+  if (kind !== 'nodes') {
+    for (const plan of plans.filter((p) => p.status === 'archived')) {
+      const record = archiveRecord(plan);
+      entries.push({
+        type: 'plan',
+        id: plan.id,
+        url: planUrl(plan.id),
+        title: plan.title,
+        archived_at: archivedAt(plan),
+        reason: record?.reason ?? null,
+        previous_status: record?.previous_status ?? null,
+      });
+    }
+  }
+
+  if (kind !== 'plans') {
+    // An archived plan's nodes come back with the plan, so only live plans are scanned
+    let scan = plan_id ? plans : plans.filter((p) => p.status !== 'archived');
+    if (scan.length > MAX_SCANNED_PLANS) {
+      scan = [...scan]
+        .sort((a, b) => String(b.updated_at || b.updatedAt || '').localeCompare(String(a.updated_at || a.updatedAt || '')))
+        .slice(0, MAX_SCANNED_PLANS);
+      warnings.push(`Only the ${MAX_SCANNED_PLANS} most recently updated plans were scanned for archived nodes; pass plan_id to look in another.`);
+    }
+    for (const plan of scan) {
+      try {
+        // Archive records live in metadata, which only a detailed read returns
+        entries.push(...archivedNodeEntries(await loadPlanIndex(apiClient, plan.id, { details: true }), plan.id));
+      } catch (err) {
+        warnings.push(`Could not read nodes of plan ${plan.id}: ${err.response?.data?.error || err.message}`);
+      }
+    }
+  }
+
+  const needle = reason ? reason.toLowerCase() : null;
+  const matches = entries
+    .filter((e) => !needle || (e.reason || '').toLowerCase().includes(needle))
+    .filter((e) => {
+      if (bounds.archived_after === undefined && bounds.archived_before === undefined) return true;
+      const at = e.archived_at ? new Date(e.archived_at).getTime() : NaN;
+      if (Number.isNaN(at)) return false;
+      if (bounds.archived_after !== undefined && at < bounds.archived_after) return false;
+      if (bounds.archived_before !== undefined && at > bounds.archived_before) return false;
+      return true;
+    })
+    .sort((a, b) => String(b.archived_at || '').localeCompare(String(a.archived_at || '')));
+
+  const page = matches.slice(0, limit);
+  const response = {
+    as_of: asOf(),
+    summary: {
+      total: matches.length,
+      plans: matches.filter((e) => e.type === 'plan').length,
+      nodes: matches.filter((e) => e.type === 'node').length,
+      returned: page.length,
+      truncated: matches.length > page.length,
+    },
+    archived: page,
+    next_action_hint: page.length
+      ? "restore({plan_id}) for a plan, restore({node_id}) for a node and its cascade; add dry_run=true to check first."
+      : null,
+  };
+  if (warnings.length) response.warnings = warnings;
+  return formatResponse(response);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// list_decisions — the whole decision queue, filterable, for batch triage.
+// briefing only shows the first 10 pending decisions.
+// ─────────────────────────────────────────────────────────────────────────
+
+const DECISIONS_DEFAULT_LIMIT = 25;
+const DECISIONS_MAX_LIMIT = 100;
+
+const listDecisionsDefinition = {
+  name: 'list_decisions',
+  description:
+    "List queued decisions across plans, most urgent first and oldest first " +
+    "within an urgency, with each decision's options, recommendation and " +
+    "proposed_subtasks — everything a reviewer needs to triage the queue in " +
+    "one pass. Filter by plan, goal, urgency, status, age and requesting " +
+    "agent; page with offset / next_offset.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      plan_id: { type: 'string', description: 'Only this plan. Omit to scan recent plans.' },
+      goal_id: { type: 'string', description: "Only the plans linked to this goal (decisions queued for a different goal are left out)." },
+      status: { type: 'string', default: 'pending', description: "Decision status, or 'all'." },
+      urgency: {
+        type: 'array',
+        items: { type: 'string', enum: [...BACKEND_URGENCIES, ...Object.keys(URGENCY_MAP)] },
+        description: "Any of blocking / can_continue / informational (or queue_decision's high / normal / low).",
+      },
+      agent_id: { type: 'string', description: 'Only decisions queued by this agent.' },
+      older_than_hours: { type: 'number', description: 'Only decisions waiting at least this long.' },
+      newer_than_hours: { type: 'number', description: 'Only decisions queued within this many hours.' },
+      limit: { type: 'integer', default: DECISIONS_DEFAULT_LIMIT, description: `Max decisions per call (≤ ${DECISIONS_MAX_LIMIT})` },
+      offset: { type: 'integer', default: 0, description: 'next_offset from a previous call with the same filters' },
+    },
+  },
+};
+
+// Plans to read decisions from: one plan, a goal's plans, or the most
+// recently updated live plans.
+async function decisionPlans(args, apiClient, warnings) {
+  if (args.plan_id) return [await apiClient.plans.getPlan(args.plan_id)];
+
+  const raw = await apiClient.plans.getPlans();
+  const plans = Array.isArray(raw) ? raw : safeArray(raw.plans || raw);
+  if (args.goal_id) {
+    const goal = await apiClient.goals.get(args.goal_id);
+    const byId = new Map(plans.map((p) => [p.id, p]));
+    return safeArray(goal?.links)
+      .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+      .map((l) => l.linkedId || l.linked_id)
+      .map((id) => byId.get(id) || { id, title: null });
+  }
+
+  const live = plans.filter((p) => p.status !== 'archived');
+  if (live.length <= MAX_SCANNED_PLANS) return live;
+  warnings.push(`Only the ${MAX_SCANNED_PLANS} most recently updated plans were scanned; pass plan_id or goal_id to look in another.`);
+  return [...live]
+    .sort((a, b) => String(b.updated_at || b.updatedAt || '').localeCompare(String(a.updated_at || a.updatedAt || '')))
+    .slice(0, MAX_SCANNED_PLANS);
+}
+
+// decisionEntry()s for the given plans; unreadable plans become warnings
+async function loadDecisionEntries(apiClient, plans, status, warnings) {
+  const now = Date.now();
+  const params = status === 'all' ? {} : { status };
+  const settled = await Promise.allSettled(plans.map(async (plan) => apiClient.axiosInstance
+    .get(`/plans/${plan.id}/decisions`, { params })
+    .then((r) => r.data)));
+  const entries = [];
+  settled.forEach((result, i) => {
+    const plan = plans[i];
+    if (result.status === 'rejected') {
+      const err = result.reason;
+      warnings.push(`Could not read decisions of plan ${plan.id}: ${err.response?.data?.error || err.message}`);
+      return;
+    }
+    const rows = Array.isArray(result.value) ? result.value : safeArray(result.value?.decisions || result.value?.data);
+    entries.push(...rows.map((d) => decisionEntry(d, plan, now)));
+  });
+  return entries;
+}
+
+async function listDecisionsHandler(args, apiClient) {
+  const { goal_id, status = 'pending', agent_id, older_than_hours, newer_than_hours } = args;
+  const limit = Math.min(Math.max(Number(args.limit) || DECISIONS_DEFAULT_LIMIT, 1), DECISIONS_MAX_LIMIT);
+  const offset = Math.max(Math.floor(Number(args.offset) || 0), 0);
+
+  const urgencies = safeArray(args.urgency).map((u) => [u, backendUrgency(u)]);
+  const unknown = urgencies.filter(([, mapped]) => !mapped).map(([u]) => u);
+  if (unknown.length) {
+    return errorResponse('invalid_arg', `Unknown urgency ${unknown.join(', ')} — use ${BACKEND_URGENCIES.join(', ')} (or high, normal, low)`);
+  }
+  const urgencyFilter = urgencies.length ? new Set(urgencies.map(([, mapped]) => mapped)) : null;
+
+  const warnings = [];
+  let plans;
+  try {
+    plans = await decisionPlans(args, apiClient, warnings);
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return errorResponse('not_found', args.plan_id ? `Plan ${args.plan_id} not found` : `Goal ${goal_id} not found`);
+    }
+    return errorResponse('upstream_unavailable', `list_decisions failed: ${err.response?.data?.error || err.message}`);
+  }
+
+  const entries = await loadDecisionEntries(apiClient, plans, status, warnings);
+
+  // The backend may ignore the status param, so every filter runs here too
+  const matches = entries
+    .filter((d) => status === 'all' || d.status === status)
+    .filter((d) => !goal_id || !d.goal_id || d.goal_id === goal_id)
+    .filter((d) => !urgencyFilter || urgencyFilter.has(d.urgency))
+    .filter((d) => !agent_id || d.requested_by === agent_id)
+    .filter((d) => older_than_hours == null || (d.age_hours != null && d.age_hours >= older_than_hours))
+    .filter((d) => newer_than_hours == null || (d.age_hours != null && d.age_hours <= newer_than_hours))
+    .sort((a, b) => (URGENCY_RANK[a.urgency] - URGENCY_RANK[b.urgency])
+      || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+  const page = matches.slice(offset, offset + limit);
+  const byUrgency = Object.fromEntries(BACKEND_URGENCIES.map((u) => [u, matches.filter((d) => d.urgency === u).length]));
+  const ages = matches.map((d) => d.age_hours).filter((a) => a != null);
+  const response = {
+    as_of: asOf(),
+    summary: {
+      total: matches.length,
+      by_urgency: byUrgency,
+      oldest_age_hours: ages.length ? Math.max(...ages) : null,
+      with_proposed_subtasks: matches.filter((d) => d.proposed_subtasks.length).length,
+      returned: page.length,
+      offset,
+      next_offset: offset + page.length < matches.length ? offset + page.length : null,
+    },
+    decisions: page,
+    next_action_hint: page.length
+      ? "resolve_decision({decision_id, plan_id, action}) for each; approving creates its proposed_subtasks."
+      : null,
+  };
+  if (warnings.length) response.warnings = warnings;
+  return formatResponse(response);
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // search — universal text search.
 // ─────────────────────────────────────────────────────────────────────────
@@ -610,28 +1095,243 @@ async function searchHandler(args, apiClient) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────
-// plan_analysis — advanced reads (impact, critical_path, bottlenecks, coherence).
+// plan_analysis — advanced reads (impact, critical_path, bottlenecks,
+// coherence, estimates, forecast).
 // ─────────────────────────────────────────────────────────────────────────
 
 const planAnalysisDefinition = {
   name: 'plan_analysis',
   description:
     "Advanced plan reads: impact analysis (delay/block/remove), critical path, " +
-    "bottleneck list, or coherence check. Replaces the legacy analyze_impact / " +
+    "bottleneck list, coherence check, or estimates — estimated vs actual " +
+    "effort per phase and per agent, with actual cycle time derived from " +
+    "claims and status history — or forecast: a Monte Carlo simulation over " +
+    "the dependency graph, sampling past cycle times or estimates, that " +
+    "returns P50/P85/P95 completion dates for the plan and each goal linked " +
+    "to it. critical_path and bottlenecks also " +
+    "fold in cross-plan and external `blocks` edges (results.cross_plan, " +
+    "cross_plan_downstream_count, external_blockers). Replaces the legacy analyze_impact / " +
     "get_critical_path / run_coherence_check / check_coherence_pending tools.",
   inputSchema: {
     type: 'object',
     properties: {
       plan_id: { type: 'string' },
-      type: { type: 'string', enum: ['impact', 'critical_path', 'bottlenecks', 'coherence'] },
+      type: { type: 'string', enum: ['impact', 'critical_path', 'bottlenecks', 'coherence', 'estimates', 'forecast'] },
       node_id: { type: 'string' },
       scenario: { type: 'string', enum: ['delay', 'block', 'remove'] },
+      iterations: { type: 'integer', default: 1000, description: 'forecast: simulation runs (100–5000).' },
+      parallelism: { type: 'integer', description: 'forecast: tasks worked at once. Default: agents seen finishing work in the plan.' },
+      seed: { type: 'integer', description: 'forecast: random seed, to reproduce an earlier forecast (each response reports its seed).' },
     },
     required: ['plan_id', 'type'],
   },
 };
 
-const PLAN_ANALYSIS_TYPES = ['impact', 'critical_path', 'bottlenecks', 'coherence'];
+const PLAN_ANALYSIS_TYPES = ['impact', 'critical_path', 'bottlenecks', 'coherence', 'estimates', 'forecast'];
+// A goal is forecast across all its plans; cap how many get simulated
+const MAX_FORECAST_PLANS = 10;
+
+// Edges that cross this plan's boundary — `blocks` links to/from other plans
+// and external blockers. The critical-path / bottleneck endpoints only see
+// in-plan edges, so these are merged in client-side. Returns null when the
+// dependencies API is unavailable (older backends, narrow test clients).
+function normalizeCrossEdge(e) {
+  const source = e.source_node || e.source || {};
+  const target = e.target_node || e.target || {};
+  const external = Boolean(
+    e.external || e.is_external || source.node_type === 'external' || e.source_type === 'external',
+  );
+  return {
+    id: e.id || null,
+    source_node_id: e.source_node_id || source.id || null,
+    source_plan_id: e.source_plan_id || source.plan_id || null,
+    source_title: e.source_title || source.title || null,
+    source_status: e.source_status || source.status || null,
+    target_node_id: e.target_node_id || target.id || null,
+    target_plan_id: e.target_plan_id || target.plan_id || null,
+    target_title: e.target_title || target.title || null,
+    relation: e.dependency_type || e.relation || 'blocks',
+    external,
+  };
+}
+
+async function loadCrossPlanEdges(apiClient, planId) {
+  if (!apiClient.dependencies?.listCrossPlan) return null;
+  try {
+    const raw = await apiClient.dependencies.listCrossPlan([planId]);
+    const edges = safeArray(Array.isArray(raw) ? raw : raw?.dependencies || raw?.edges).map(normalizeCrossEdge);
+    return edges.filter((e) => e.relation === 'blocks');
+  } catch (err) {
+    console.error('plan_analysis: listCrossPlan failed:', err.message);
+    return null;
+  }
+}
+
+const isInbound = (planId) => (e) => e.target_plan_id === planId && (e.external || e.source_plan_id !== planId);
+const isOutbound = (planId) => (e) => e.source_plan_id === planId && !e.external && e.target_plan_id !== planId;
+
+// Upstream blockers from other plans / the outside world that gate nodes on
+// this plan's critical path — the path can't finish before they do.
+function withCrossPlanCriticalPath(result, edges, planId) {
+  const pathIds = new Set(safeArray(result?.nodes).map((n) => n.id || n.node_id));
+  const upstream = edges.filter(isInbound(planId)).map((e) => ({
+    ...e,
+    on_critical_path: pathIds.has(e.target_node_id),
+  }));
+  const unresolved = upstream.filter((e) => e.on_critical_path && e.source_status !== 'completed');
+  return {
+    ...(result || {}),
+    cross_plan: {
+      upstream_blockers: upstream,
+      downstream_dependents: edges.filter(isOutbound(planId)),
+      blocked_externally: unresolved.length > 0,
+    },
+  };
+}
+
+// Fold cross-plan dependents into the bottleneck ranking: a task that
+// blocks work in three other plans is a bottleneck even if nothing in its
+// own plan waits on it.
+function withCrossPlanBottlenecks(result, edges, planId) {
+  const list = safeArray(Array.isArray(result) ? result : result?.bottlenecks);
+  const downstream = new Map();
+  for (const e of edges.filter(isOutbound(planId))) {
+    const entry = downstream.get(e.source_node_id) || { title: e.source_title, status: e.source_status, count: 0 };
+    entry.count += 1;
+    downstream.set(e.source_node_id, entry);
+  }
+  const inPlanCount = (b) => b.downstream_count ?? b.direct_downstream_count ?? b.blocked_count ?? 0;
+
+  const merged = list.map((b) => {
+    const id = b.id || b.node_id;
+    const cross = downstream.get(id)?.count || 0;
+    downstream.delete(id);
+    return { ...b, cross_plan_downstream_count: cross };
+  });
+  for (const [id, entry] of downstream) {
+    if (entry.status === 'completed') continue;
+    merged.push({ id, title: entry.title, status: entry.status, downstream_count: 0, cross_plan_downstream_count: entry.count });
+  }
+  merged.sort((a, b) => (inPlanCount(b) + b.cross_plan_downstream_count) - (inPlanCount(a) + a.cross_plan_downstream_count));
+
+  const external = edges.filter(isInbound(planId)).filter((e) => e.external);
+  const base = Array.isArray(result) ? {} : (result || {});
+  return { ...base, bottlenecks: merged, external_blockers: external };
+}
+
+// Estimated vs actual effort. Estimates come from node metadata; cycle time
+// from the plan's activity history, which is best-effort — without it the
+// report still totals the estimates.
+async function estimatesAnalysis(apiClient, planId) {
+  // Estimates live in metadata, which only a detailed read returns
+  const index = await loadPlanIndex(apiClient, planId, { details: true });
+  const warnings = [];
+  let events = [];
+  try {
+    events = (await loadActivity({ plan_id: planId }, apiClient)).map(normalizeActivity);
+  } catch (err) {
+    warnings.push(`Activity history unavailable, so no actual cycle times: ${err.response?.data?.error || err.message}`);
+  }
+  const result = summarizeEstimates(index, deriveCycleTimes(events));
+  if (warnings.length) result.warnings = warnings;
+  return result;
+}
+
+// One plan's simulation input. Only the node read is required; history and
+// edges are best-effort and reported in the model's warnings.
+async function loadForecastModel(apiClient, planId, parallelism) {
+  const [index, activity, deps] = await Promise.allSettled([
+    // Estimates live in metadata, which only a detailed read returns
+    attempt(() => loadPlanIndex(apiClient, planId, { details: true })),
+    attempt(() => loadActivity({ plan_id: planId }, apiClient)),
+    attempt(() => apiClient.dependencies.listForPlan(planId)),
+  ]);
+  if (index.status !== 'fulfilled') throw index.reason;
+
+  const failed = (s) => s.reason?.response?.data?.error || s.reason?.message;
+  const model = buildForecastModel({
+    index: index.value,
+    edges: deps.status === 'fulfilled' ? safeArray(Array.isArray(deps.value) ? deps.value : deps.value?.dependencies) : [],
+    cycles: deriveCycleTimes(activity.status === 'fulfilled' ? activity.value.map(normalizeActivity) : []),
+    parallelism,
+  });
+  if (activity.status !== 'fulfilled') model.warnings.push(`Activity history unavailable, so estimates only: ${failed(activity)}`);
+  if (deps.status !== 'fulfilled') model.warnings.push(`Dependency edges unavailable, so tasks run in any order: ${failed(deps)}`);
+  const root = [...index.value.values()].find((n) => n.node_type === 'root');
+  model.title = root?.title || null;
+  return model;
+}
+
+// Completion forecast for the plan and each goal linked to it. A goal is
+// done when the last of its plans is, so its other plans are simulated in
+// the same iterations and the per-iteration latest taken.
+async function forecastAnalysis(apiClient, planId, args) {
+  const iterations = clampIterations(args.iterations);
+  const seed = Number.isInteger(args.seed) ? args.seed : Math.floor(Math.random() * 2 ** 32);
+  const models = new Map([[planId, await loadForecastModel(apiClient, planId, args.parallelism)]]);
+  const warnings = [];
+
+  const goals = [];
+  const goalLinks = await loadGoalLinks(apiClient, planId, new Set(), warnings);
+  for (const link of goalLinks.filter((l) => l.linked_type === 'plan')) {
+    let planIds = [planId];
+    try {
+      const goal = await apiClient.goals.get(link.goal_id);
+      planIds = [...new Set([planId, ...safeArray(goal?.links)
+        .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+        .map((l) => l.linkedId || l.linked_id)])];
+    } catch (err) {
+      warnings.push(`Other plans of goal ${link.goal_id} unavailable: ${err.message}`);
+    }
+    const missing = [];
+    for (const id of planIds) {
+      if (models.has(id)) continue;
+      if (models.size >= MAX_FORECAST_PLANS) {
+        missing.push(id);
+        continue;
+      }
+      try {
+        models.set(id, await loadForecastModel(apiClient, id, args.parallelism));
+      } catch {
+        missing.push(id);
+      }
+    }
+    goals.push({ goal_id: link.goal_id, title: link.goal_title, plan_ids: planIds, missing });
+  }
+
+  const forecastable = [...models.entries()].filter(([, m]) => m.forecastable);
+  const runs = new Map(forecastable.map(([id], i) => [id, i]));
+  const simulated = simulate(forecastable.map(([, m]) => m), iterations, createRng(seed));
+  const now = Date.now();
+  const noData = 'Nothing to sample durations from: add estimates (update_node estimate) or finish some tasks first.';
+
+  return {
+    iterations,
+    seed,
+    plans: [...models.entries()].map(([id, model]) => ({
+      plan_id: id,
+      title: model.title,
+      parallelism: model.parallelism,
+      basis: model.basis,
+      forecast: runs.has(id) ? percentiles(simulated[runs.get(id)], now) : null,
+      ...(model.forecastable ? {} : { note: noData, unsized_task_ids: model.unsized_task_ids }),
+      ...(model.warnings.length ? { warnings: model.warnings } : {}),
+    })),
+    goals: goals.map(({ goal_id, title, plan_ids, missing }) => {
+      const covered = plan_ids.filter((id) => runs.has(id));
+      const complete = covered.length === plan_ids.length;
+      return {
+        goal_id,
+        title,
+        plan_ids,
+        forecast: complete ? percentiles(latestOf(covered.map((id) => simulated[runs.get(id)])), now) : null,
+        ...(complete ? {} : { note: `Not every plan of this goal could be forecast (${plan_ids.filter((id) => !runs.has(id)).join(', ')})` }),
+        ...(missing.length ? { unreadable_plan_ids: missing } : {}),
+      };
+    }),
+    ...(warnings.length ? { warnings } : {}),
+  };
+}
 
 async function planAnalysisHandler(args, apiClient) {
   const { plan_id, type, node_id, scenario } = args;
@@ -654,6 +1354,18 @@ async function planAnalysisHandler(args, apiClient) {
       result = (await apiClient.axiosInstance.get(`/plans/${plan_id}/nodes/${node_id}/impact?${params}`)).data;
     } else if (type === 'coherence') {
       result = await apiClient.coherence.runCheck(plan_id);
+    } else if (type === 'estimates') {
+      result = await estimatesAnalysis(apiClient, plan_id);
+    } else if (type === 'forecast') {
+      result = await forecastAnalysis(apiClient, plan_id, args);
+    }
+    if (type === 'critical_path' || type === 'bottlenecks') {
+      const edges = await loadCrossPlanEdges(apiClient, plan_id);
+      if (edges && edges.length) {
+        result = type === 'critical_path'
+          ? withCrossPlanCriticalPath(result, edges, plan_id)
+          : withCrossPlanBottlenecks(result, edges, plan_id);
+      }
     }
     const payload = { as_of: asOf(), type, results: result || {} };
     // Critical-path / bottleneck analysis is driven by `blocks` dependency
@@ -672,6 +1384,393 @@ async function planAnalysisHandler(args, apiClient) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// activity_feed — "what changed since my last tick", with an opaque cursor.
+// ─────────────────────────────────────────────────────────────────────────
+
+const ACTIVITY_TYPES = ['status_change', 'log', 'decision', 'comment', 'claim'];
+const ACTIVITY_DEFAULT_LIMIT = 50;
+const ACTIVITY_MAX_LIMIT = 200;
+
+const activityFeedDefinition = {
+  name: 'activity_feed',
+  description:
+    "Merged, typed stream of status changes, logs, decisions, comments and claims " +
+    "for a plan, a goal (its linked plans) or the whole org, oldest first. Returns " +
+    "next_cursor — pass it back as `cursor` on the next call to get only what changed " +
+    "since, instead of re-reading everything (the autopilot tick pattern).",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      scope: {
+        type: 'object',
+        properties: {
+          plan_id: { type: 'string' },
+          goal_id: { type: 'string' },
+        },
+        description: 'Omit for org-wide activity.',
+      },
+      cursor: { type: 'string', description: 'next_cursor from a previous call with the same scope' },
+      types: {
+        type: 'array',
+        items: { type: 'string', enum: ACTIVITY_TYPES },
+        description: 'Only return these event types (default: all)',
+      },
+      limit: { type: 'integer', default: ACTIVITY_DEFAULT_LIMIT, description: `Max events per call (≤ ${ACTIVITY_MAX_LIMIT})` },
+    },
+  },
+};
+
+// Map the backend's activity vocabulary onto the five agent-facing types.
+function activityType(item) {
+  const raw = String(item.type || item.activity_type || item.action || item.event_type || '').toLowerCase();
+  if (raw.includes('claim')) return 'claim';
+  if (raw.includes('decision')) return 'decision';
+  if (raw.includes('comment')) return 'comment';
+  if (raw.includes('status')) return 'status_change';
+  if (raw.includes('log') || item.log_type) return 'log';
+  return 'other';
+}
+
+function normalizeActivity(item) {
+  // ISO-normalized so cursor comparisons are plain string comparisons.
+  const when = new Date(item.created_at || item.timestamp || item.occurred_at || NaN);
+  const occurredAt = Number.isNaN(when.getTime()) ? null : when.toISOString();
+  const nodeId = item.node_id || item.nodeId || item.node?.id || null;
+  return {
+    id: String(item.id || `${occurredAt}:${nodeId}:${item.type || item.activity_type || ''}`),
+    type: activityType(item),
+    occurred_at: occurredAt,
+    plan_id: item.plan_id || item.planId || item.plan?.id || null,
+    node_id: nodeId,
+    node_title: item.node_title || item.node?.title || null,
+    actor: item.user?.name || item.user_name || item.actor || item.metadata?.agent_id || item.agent_id || null,
+    summary: item.content || item.description || item.message || item.title || null,
+    details: item.details || item.metadata || undefined,
+  };
+}
+
+// Cursors are opaque to callers: base64url JSON of the scope they belong to,
+// the newest timestamp delivered, and the ids delivered at that timestamp
+// (ties on the same timestamp must not be dropped or repeated).
+function scopeKey(scope) {
+  return scope.plan_id ? `plan:${scope.plan_id}` : scope.goal_id ? `goal:${scope.goal_id}` : 'org';
+}
+
+function encodeActivityCursor(scope, at, ids) {
+  return Buffer.from(JSON.stringify({ s: scopeKey(scope), t: at, ids }), 'utf8').toString('base64url');
+}
+
+function decodeActivityCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed.s !== 'string' || !Array.isArray(parsed.ids)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+async function loadActivity(scope, apiClient) {
+  const unwrapList = (r) => safeArray(Array.isArray(r) ? r : r?.activities || r?.activity || r?.items || r?.data);
+  if (scope.plan_id) {
+    return unwrapList(await apiClient.activity.getPlanActivity(scope.plan_id));
+  }
+  if (scope.goal_id) {
+    const goal = await apiClient.goals.get(scope.goal_id);
+    const planIds = safeArray(goal?.links)
+      .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+      .map((l) => l.linkedId || l.linked_id);
+    const settled = await Promise.allSettled(planIds.map((id) => apiClient.activity.getPlanActivity(id)));
+    return settled.flatMap((r, i) => (r.status === 'fulfilled'
+      ? unwrapList(r.value).map((item) => ({ plan_id: planIds[i], ...item }))
+      : []));
+  }
+  return unwrapList(await apiClient.activity.getGlobalActivity());
+}
+
+async function activityFeedHandler(args, apiClient) {
+  const scope = args.scope || {};
+  const limit = Math.min(Math.max(Number(args.limit) || ACTIVITY_DEFAULT_LIMIT, 1), ACTIVITY_MAX_LIMIT);
+  const types = safeArray(args.types).filter((t) => ACTIVITY_TYPES.includes(t));
+
+  let since = null;
+  if (args.cursor) {
+    since = decodeActivityCursor(args.cursor);
+    if (!since) return errorResponse('invalid_arg', 'cursor is not a valid activity_feed cursor');
+    if (since.s !== scopeKey(scope)) {
+      return errorResponse('invalid_arg', `cursor belongs to scope ${since.s}, not ${scopeKey(scope)}`);
+    }
+  }
+
+  let raw;
+  try {
+    raw = await loadActivity(scope, apiClient);
+  } catch (err) {
+    const status = err.response?.status;
+    if (status === 404) return errorResponse('not_found', `Scope ${scopeKey(scope)} not found`);
+    if (status === 403) return errorResponse('forbidden', `Access denied to ${scopeKey(scope)}`);
+    return errorResponse('upstream_unavailable', `activity_feed failed: ${err.response?.data?.error || err.message}`);
+  }
+
+  const seen = new Set(since?.ids || []);
+  const events = raw
+    .map(normalizeActivity)
+    .filter((e) => e.occurred_at)
+    .sort((a, b) => String(a.occurred_at).localeCompare(String(b.occurred_at)))
+    .filter((e) => !since || e.occurred_at > since.t || (e.occurred_at === since.t && !seen.has(e.id)));
+
+  // First call: the latest `limit` events. With a cursor: the oldest `limit`
+  // events after it, so repeated calls page forward without gaps.
+  const page = since ? events.slice(0, limit) : events.slice(-limit);
+  const has_more = since ? events.length > page.length : false;
+
+  // The cursor advances over everything delivered, including events the
+  // `types` filter hid — they were seen, just not wanted.
+  let next_cursor = args.cursor || null;
+  if (page.length) {
+    const lastAt = page[page.length - 1].occurred_at;
+    const ids = page.filter((e) => e.occurred_at === lastAt).map((e) => e.id);
+    if (since && since.t === lastAt) ids.push(...since.ids);
+    next_cursor = encodeActivityCursor(scope, lastAt, ids);
+  }
+
+  const visible = types.length ? page.filter((e) => types.includes(e.type)) : page;
+  return formatResponse({
+    as_of: asOf(),
+    scope: scopeKey(scope),
+    events: visible,
+    count: visible.length,
+    has_more,
+    next_cursor,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// export_plan — the plan as Markdown, JSON or Mermaid, for PRs and docs.
+// ─────────────────────────────────────────────────────────────────────────
+
+const exportPlanDefinition = {
+  name: 'export_plan',
+  description:
+    "Render a plan's node tree, statuses, acceptance criteria and `blocks` " +
+    "edges for pasting into a PR or design doc: a GitHub Markdown checklist " +
+    "(default), a stable JSON document (schema agentplanner.plan-export/v1), " +
+    "or a Mermaid flowchart / gantt diagram. The inverse of form_intention.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      plan_id: { type: 'string' },
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'markdown' },
+      diagram: {
+        type: 'string',
+        enum: MERMAID_DIAGRAMS,
+        default: 'flowchart',
+        description: 'Mermaid diagram type (format=mermaid only)',
+      },
+    },
+    required: ['plan_id'],
+  },
+};
+
+async function exportPlanHandler(args, apiClient) {
+  const { plan_id, format = 'markdown', diagram = 'flowchart' } = args;
+  if (!plan_id) return errorResponse('invalid_arg', 'export_plan requires plan_id');
+  if (!EXPORT_FORMATS.includes(format)) {
+    return errorResponse('invalid_arg', `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!MERMAID_DIAGRAMS.includes(diagram)) {
+    return errorResponse('invalid_arg', `diagram must be one of: ${MERMAID_DIAGRAMS.join(', ')}`);
+  }
+
+  try {
+    const { document, content } = await exportPlan(apiClient, plan_id, { format, diagram });
+    const payload = {
+      as_of: asOf(),
+      plan_id,
+      format,
+      ...(format === 'mermaid' ? { diagram } : {}),
+      // JSON comes back as the document itself rather than a string of it.
+      ...(format === 'json' ? { document } : { content }),
+    };
+    if (document.warnings.length) payload.warnings = document.warnings;
+    return formatResponse(payload);
+  } catch (err) {
+    const status = err.response?.status;
+    if (status === 404) return errorResponse('not_found', `Plan ${plan_id} not found`);
+    return errorResponse('upstream_unavailable', `export_plan failed: ${err.response?.data?.error || err.message}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// export_knowledge — knowledge episodes as JSONL, for import_knowledge on
+// another instance or for version control. See src/knowledge-transfer.js.
+// ─────────────────────────────────────────────────────────────────────────
+
+const exportKnowledgeDefinition = {
+  name: 'export_knowledge',
+  description:
+    "Dump knowledge episodes as JSONL (schema agentplanner.knowledge-export/v1), one " +
+    "episode per line with its entry_type, scope (plan/goal/node) and timestamps, " +
+    "oldest first. Feed the result to import_knowledge on another instance, or commit " +
+    "it. Leaves out episodes curate_knowledge superseded unless include_superseded. " +
+    `Reaches the ${TRANSFER_SCAN} most recent episodes at most; older ones can't be exported.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      scope: {
+        type: 'object',
+        properties: { plan_id: { type: 'string' }, goal_id: { type: 'string' }, node_id: { type: 'string' } },
+        description: "Only this plan's, goal's (its linked plans') or task's episodes. Omit for all.",
+      },
+      since: { type: 'string', description: 'ISO 8601 — only episodes created at or after this' },
+      until: { type: 'string', description: 'ISO 8601 — only episodes created before this' },
+      entry_type: { type: 'string', description: "Only this entry_type (e.g. 'decision')" },
+      include_superseded: { type: 'boolean', default: false },
+    },
+  },
+};
+
+async function exportKnowledgeHandler(args, apiClient) {
+  try {
+    const { records, content, warnings } = await exportKnowledge(apiClient, args);
+    const payload = { as_of: asOf(), schema: KNOWLEDGE_SCHEMA, format: 'jsonl', count: records.length, content };
+    if (warnings.length) payload.warnings = warnings;
+    return formatResponse(payload);
+  } catch (err) {
+    if (err.code === 'import_invalid') return errorResponse('invalid_arg', err.message);
+    if (err.response?.status === 404) return errorResponse('not_found', `Goal ${args.scope?.goal_id} not found`);
+    return errorResponse('upstream_unavailable', `export_knowledge failed: ${err.response?.data?.error || err.message}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// plan_snapshot / plan_diff — point-in-time copies of a plan and what changed
+// since. Bulk mutations snapshot automatically; see src/plan-snapshot.js.
+// ─────────────────────────────────────────────────────────────────────────
+
+const planSnapshotDefinition = {
+  name: 'plan_snapshot',
+  description:
+    "Capture the plan's node tree, statuses, dependency edges and goal links " +
+    "as a snapshot (action 'take'), or list the plan's snapshots, newest " +
+    "first (action 'list'). update_task batches, cascading delete_node and " +
+    "restore take one automatically before they write. Compare with plan_diff.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      plan_id: { type: 'string' },
+      action: { type: 'string', enum: ['take', 'list'], default: 'take' },
+      label: { type: 'string', description: "Optional name for the snapshot, e.g. 'before overnight run'." },
+    },
+    required: ['plan_id'],
+  },
+};
+
+async function planSnapshotHandler(args, apiClient) {
+  const { plan_id, action = 'take', label } = args;
+  if (!plan_id) return errorResponse('invalid_arg', 'plan_snapshot requires plan_id');
+  if (!['take', 'list'].includes(action)) return errorResponse('invalid_arg', "action must be 'take' or 'list'");
+
+  if (action === 'list') {
+    try {
+      // Snapshots are only as visible as the plan they were taken from
+      await apiClient.plans.getPlan(plan_id);
+      const snapshots = await listSnapshots(plan_id);
+      return formatResponse({
+        as_of: asOf(),
+        plan_id,
+        snapshots: snapshots.map((s) => ({
+          snapshot_id: s.id,
+          taken_at: s.taken_at,
+          label: s.label,
+          trigger: s.trigger,
+          node_count: s.payload.nodes.length,
+        })),
+      });
+    } catch (err) {
+      if (err.response?.status === 404) return errorResponse('not_found', `Plan ${plan_id} not found`);
+      return errorResponse('upstream_unavailable', `plan_snapshot failed: ${err.response?.data?.error || err.message}`);
+    }
+  }
+
+  try {
+    const snapshot = await takeSnapshot(apiClient, plan_id, { label });
+    const response = {
+      as_of: asOf(),
+      plan_id,
+      snapshot_id: snapshot.id,
+      taken_at: snapshot.taken_at,
+      label: snapshot.label,
+      node_count: snapshot.payload.nodes.length,
+      dependency_count: snapshot.payload.dependencies.length,
+      goal_link_count: snapshot.payload.goal_links.length,
+      next_step: `Later, plan_diff({from_snapshot_id: '${snapshot.id}'}) shows what changed since.`,
+    };
+    if (snapshot.warnings.length) response.warnings = snapshot.warnings;
+    return formatResponse(response);
+  } catch (err) {
+    if (err.response?.status === 404) return errorResponse('not_found', `Plan ${plan_id} not found`);
+    return errorResponse('snapshot_failed', `plan_snapshot failed: ${err.response?.data?.error || err.message}`);
+  }
+}
+
+const planDiffDefinition = {
+  name: 'plan_diff',
+  description:
+    "Compare a plan snapshot with a later snapshot, or with the live plan " +
+    "when to_snapshot_id is omitted. Returns added, removed, moved, " +
+    "retitled and status-changed nodes, plus dependency edges and goal " +
+    "links added or removed.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      from_snapshot_id: { type: 'string', description: 'The earlier snapshot (plan_snapshot action=list finds ids).' },
+      to_snapshot_id: { type: 'string', description: 'Optional. Omit to compare against the live plan.' },
+    },
+    required: ['from_snapshot_id'],
+  },
+};
+
+async function planDiffHandler(args, apiClient) {
+  const { from_snapshot_id, to_snapshot_id } = args;
+  if (!from_snapshot_id) return errorResponse('invalid_arg', 'plan_diff requires from_snapshot_id');
+
+  const from = await getSnapshot(from_snapshot_id);
+  if (!from) return errorResponse('not_found', `Snapshot ${from_snapshot_id} not found (it may have expired)`);
+
+  let to;
+  try {
+    if (to_snapshot_id) {
+      to = await getSnapshot(to_snapshot_id);
+      if (!to) return errorResponse('not_found', `Snapshot ${to_snapshot_id} not found (it may have expired)`);
+      if (to.plan_id !== from.plan_id) {
+        return errorResponse('invalid_arg', `Snapshots belong to different plans (${from.plan_id}, ${to.plan_id})`);
+      }
+      await apiClient.plans.getPlan(from.plan_id);
+    } else {
+      to = await captureSnapshot(apiClient, from.plan_id, { trigger: 'plan_diff' });
+    }
+  } catch (err) {
+    if (err.response?.status === 404) return errorResponse('not_found', `Plan ${from.plan_id} not found`);
+    return errorResponse('upstream_unavailable', `plan_diff failed: ${err.response?.data?.error || err.message}`);
+  }
+
+  const { summary, changes } = diffSnapshots(from.payload, to.payload);
+  const response = {
+    as_of: asOf(),
+    plan_id: from.plan_id,
+    from: { snapshot_id: from.id, taken_at: from.taken_at, label: from.label, trigger: from.trigger },
+    to: to_snapshot_id
+      ? { snapshot_id: to.id, taken_at: to.taken_at, label: to.label, trigger: to.trigger }
+      : { snapshot_id: null, live: true, taken_at: to.taken_at },
+    summary,
+    changes,
+  };
+  if (!to_snapshot_id && to.warnings.length) response.warnings = to.warnings;
+  return formatResponse(response);
+}
+
 module.exports = {
   definitions: [
     briefingDefinition,
@@ -679,8 +1778,15 @@ module.exports = {
     goalStateDefinition,
     recallKnowledgeDefinition,
     listPlansDefinition,
+    listArchivedDefinition,
+    listDecisionsDefinition,
     searchDefinition,
     planAnalysisDefinition,
+    activityFeedDefinition,
+    exportPlanDefinition,
+    exportKnowledgeDefinition,
+    planSnapshotDefinition,
+    planDiffDefinition,
   ],
   handlers: {
     briefing: briefingHandler,
@@ -688,7 +1794,14 @@ module.exports = {
     goal_state: goalStateHandler,
     recall_knowledge: recallKnowledgeHandler,
     list_plans: listPlansHandler,
+    list_archived: listArchivedHandler,
+    list_decisions: listDecisionsHandler,
     search: searchHandler,
     plan_analysis: planAnalysisHandler,
+    activity_feed: activityFeedHandler,
+    export_plan: exportPlanHandler,
+    export_knowledge: exportKnowledgeHandler,
+    plan_snapshot: planSnapshotHandler,
+    plan_diff: planDiffHandler,
   },
 };
@@ -8,6 +8,7 @@
  */
 
 const { asOf, formatResponse, errorResponse, safeArray, apiErrorMessage } = require('./_shared');
+const { emptyPreview, previewResponse } = require('./_preview');
 
 // Success criteria accept plain strings (qualitative) or structured measurable
 // units. A criterion with metric+target+direction becomes "measurable" and
@@ -107,7 +108,8 @@ const updateGoalDefinition = {
   name: 'update_goal',
   description:
     "Atomic goal update. Subsumes update_goal + link_plan_to_goal + unlink_plan_from_goal " +
-    "+ add_achiever + remove_achiever. All changes apply together.",
+    "+ add_achiever + remove_achiever. All changes apply together. Pass dry_run=true " +
+    "to see the field changes and plan/achiever links it would make first.",
   inputSchema: {
     type: 'object',
     properties: {
@@ -129,13 +131,76 @@ const updateGoalDefinition = {
           remove_achievers: { type: 'array', items: { type: 'string' } },
         },
       },
+      dry_run: { type: 'boolean', default: false, description: 'If true, change nothing and return a `preview`.' },
     },
     required: ['goal_id', 'changes'],
   },
 };
 
+// Current value of a changeable field, in the public vocabulary.
+function currentGoalField(goal, field) {
+  switch (field) {
+    case 'success_criteria': return goal.successCriteria ?? goal.success_criteria ?? null;
+    case 'committed': return Boolean(goal.committed ?? goal.promotedAt ?? goal.promoted_at);
+    default: return goal[field] ?? null;
+  }
+}
+
+// Dry run: field diffs against the current goal, plus the plan and achiever
+// links that would change. Links that already match are flagged noop.
+async function previewUpdateGoal(goal_id, changes, apiClient) {
+  let goal;
+  try {
+    goal = await apiClient.goals.get(goal_id);
+  } catch (err) {
+    return errorResponse('not_found', `Goal ${goal_id} not found or not accessible: ${apiErrorMessage(err)}`);
+  }
+
+  const preview = emptyPreview();
+  for (const field of ['title', 'description', 'priority', 'status', 'committed', 'success_criteria']) {
+    if (changes[field] === undefined) continue;
+    const from = currentGoalField(goal, field);
+    if (JSON.stringify(from) !== JSON.stringify(changes[field])) {
+      preview.field_changes.push({ field, from, to: changes[field] });
+    }
+  }
+
+  const linkedPlans = new Set(safeArray(goal.links)
+    .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+    .map((l) => l.linkedId || l.linked_id));
+  for (const planId of safeArray(changes.add_linked_plans)) {
+    preview.goal_links.push({ goal_id, action: 'link_plan', plan_id: planId, noop: linkedPlans.has(planId) });
+  }
+  for (const planId of safeArray(changes.remove_linked_plans)) {
+    preview.goal_links.push({ goal_id, action: 'unlink_plan', plan_id: planId, noop: !linkedPlans.has(planId) });
+  }
+
+  const addAchievers = safeArray(changes.add_achievers);
+  const removeAchievers = safeArray(changes.remove_achievers);
+  let achievers = null;
+  if (addAchievers.length || removeAchievers.length) {
+    try {
+      const list = await apiClient.goals.listAchievers(goal_id);
+      achievers = new Set(safeArray(list.achievers || list).map((a) => a.source_node_id));
+    } catch {
+      // noop stays null — unknown, not a reason the update would fail
+    }
+  }
+  for (const nodeId of addAchievers) {
+    preview.goal_links.push({ goal_id, action: 'add_achiever', node_id: nodeId, noop: achievers ? achievers.has(nodeId) : null });
+  }
+  for (const nodeId of removeAchievers) {
+    preview.goal_links.push({ goal_id, action: 'remove_achiever', node_id: nodeId, noop: achievers ? !achievers.has(nodeId) : null });
+  }
+
+  return previewResponse({ goal_id, goal: { id: goal.id, title: goal.title, status: goal.status } }, preview);
+}
+
 async function updateGoalHandler(args, apiClient) {
   const { goal_id, changes } = args;
+  if (args.dry_run) {
+    return previewUpdateGoal(goal_id, changes || {}, apiClient);
+  }
   const applied = [];
   const failures = [];
 
@@ -13,6 +13,44 @@ const desires = require('./desires');
 const intentions = require('./intentions');
 const utility = require('./utility');
 const workspaces = require('./workspaces');
+const { idempotencyKeyProperty } = require('../../idempotency');
+
+// Tools that only read. Every other tool writes, and accepts an optional
+// idempotency_key so a retried call returns the original result.
+// briefing is the exception: it applies overdue decisions' default actions
+// (see src/decision-deadlines.js). That write is safe to repeat — a resolved
+// decision is no longer pending — while replaying a cached briefing would
+// hand back stale state, so it takes no idempotency_key.
+const READ_ONLY_TOOLS = new Set([
+  'briefing',
+  'task_context',
+  'goal_state',
+  'recall_knowledge',
+  'list_plans',
+  'list_archived',
+  'list_decisions',
+  'search',
+  'plan_analysis',
+  'activity_feed',
+  'export_plan',
+  'export_knowledge',
+  'plan_diff',
+  'list_goals',
+  'get_started',
+  'list_workspaces',
+  'list_blueprints',
+]);
+
+function withIdempotencyKey(definition) {
+  if (READ_ONLY_TOOLS.has(definition.name)) return definition;
+  return {
+    ...definition,
+    inputSchema: {
+      ...definition.inputSchema,
+      properties: { ...definition.inputSchema.properties, idempotency_key: idempotencyKeyProperty },
+    },
+  };
+}
 
 const definitions = [
   ...beliefs.definitions,
@@ -20,7 +58,7 @@ const definitions = [
   ...intentions.definitions,
   ...utility.definitions,
   ...workspaces.definitions,
-];
+].map(withIdempotencyKey);
 
 const handlers = {
   ...beliefs.handlers,
@@ -34,16 +72,25 @@ const names = new Set(definitions.map((t) => t.name));
 
 /**
  * Dispatch a BDI tool call.
+ * @param {Object} [options] - { idempotency: { cache, scope } } makes write
+ *   tools called with an idempotency_key replay-safe (see src/idempotency.js)
  * @returns formatted MCP response, or undefined if the name isn't a BDI tool.
  */
-async function bdiToolHandler(name, args, apiClient) {
+async function bdiToolHandler(name, args, apiClient, options = {}) {
   if (!names.has(name)) return undefined;
   const handler = handlers[name];
-  return handler(args || {}, apiClient);
+  const { idempotency_key: key, ...toolArgs } = args || {};
+
+  if (key === undefined || READ_ONLY_TOOLS.has(name) || !options.idempotency) {
+    return handler(toolArgs, apiClient);
+  }
+  const { cache, scope } = options.idempotency;
+  return cache.run({ scope, tool: name, key, args: toolArgs }, () => handler(toolArgs, apiClient));
 }
 
 module.exports = {
   bdiToolDefinitions: definitions,
   bdiToolHandler,
   bdiToolNames: names,
+  bdiReadOnlyTools: READ_ONLY_TOOLS,
 };
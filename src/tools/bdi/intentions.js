@@ -2,18 +2,40 @@
  * BDI intentions — committed actions.
  *
  * v0.9.0 baseline (execution): queue_decision, resolve_decision, update_task,
- * claim_next_task, release_task, add_learning.
+ * claim_next_task, release_task, add_learning. Later: renew_claim,
+ * curate_knowledge, import_knowledge.
  *
  * v1.0.0 additions (creation, mutation, collaboration):
- *   - form_intention, extend_intention, propose_research_chain
- *   - link_intentions, unlink_intentions
- *   - update_plan, update_node, move_node, delete_plan, delete_node
+ *   - form_intention, import_plan, extend_intention, propose_research_chain
+ *   - link_intentions (incl. cross-plan), add_external_dependency, unlink_intentions
+ *   - update_plan, update_node, move_node, delete_plan, delete_node, restore
+ *   - split_task, merge_tasks, duplicate_subtree (restructuring with edge rewiring)
  *   - share_plan, invite_member, update_member_role, remove_member
+ *   - discuss_task (comment threads)
  *
  * See ../../../docs/MCP_v1.0_FULL_SURFACE.md for design rationale.
  */
 
-const { asOf, formatResponse, errorResponse, apiErrorMessage, isV1Unavailable, planUrl } = require('./_shared');
+const { asOf, formatResponse, errorResponse, safeArray, apiErrorMessage, isV1Unavailable, planUrl } = require('./_shared');
+const { resolveAgentId, agentIdProperty } = require('../../agent-identity');
+const { renewClaim, trackClaim, untrackClaim } = require('../../claim-renewer');
+const { AGENT_COMMENT_TYPE, buildThreads, awaitingReply } = require('./_comments');
+const { emptyPreview, previewResponse, previewTree, loadPlanIndex, subtreeIds } = require('./_preview');
+const { archiveRecord, archivedMetadata, restoredMetadata } = require('./_archive');
+const { IMPORT_FORMATS, parsePlanSource } = require('../../plan-import');
+const { autoSnapshot, autoSnapshotEnabled } = require('../../plan-snapshot');
+const { estimateProperty, validateEstimate, normalizeEstimate } = require('./_estimates');
+const { validateRecurrence, startSeries, nextInstance } = require('../../recurrence');
+const {
+  URGENCY_MAP, VOTES, PLAN_ROLES, validateApproval, normalizeApproval, approvalRule, loadVoter, voterName, castVote,
+  tallyVotes, resolveDecision,
+} = require('./_decisions');
+const { validateDeadline } = require('../../decision-deadlines');
+const {
+  EPISODE_SCAN, episodeId, episodeContent, isCurationRecord, loadEpisodes, supersessions,
+  episodeEntry, redactText,
+} = require('./_knowledge');
+const { TRANSFER_SCAN, parseKnowledgeJsonl, importKnowledge } = require('../../knowledge-transfer');
 const { version: PKG_VERSION } = require('../../../package.json');
 
 // Provenance tag stamped onto every plan this server creates, so a plan stays
@@ -30,7 +52,8 @@ const queueDecisionDefinition = {
     "Queue a decision for human review. Writes to the real decisions table " +
     "(not the knowledge graph). Replaces the autopilot pattern of calling " +
     "add_learning with entry_type=decision and a 'DECISION NEEDED:' title prefix. " +
-    "Resolves via resolve_decision.",
+    "Resolves via resolve_decision. With decide_by + default_action, a " +
+    "decision nobody answers in time resolves itself to the default.",
   inputSchema: {
     type: 'object',
     properties: {
@@ -70,6 +93,27 @@ const queueDecisionDefinition = {
         default: 'normal',
       },
       goal_id: { type: 'string', description: 'Optional goal this decision serves' },
+      decide_by: {
+        type: 'string',
+        description: "ISO 8601 deadline. Once it passes unanswered, default_action is applied by the next briefing (or the server's deadline scheduler). Requires default_action.",
+      },
+      default_action: {
+        type: 'string',
+        description: "What happens at decide_by: 'approve', 'defer', or the label of one of `options` (approves with that option). approve creates proposed_subtasks as if a human had approved.",
+      },
+      approval: {
+        type: 'object',
+        description: "Require more than one human: resolve_decision then records votes and applies the outcome only once this rule is met. Combine freely — e.g. { quorum: 2 } for any two people, { required_roles: ['owner', 'editor'] } for the plan owner plus an editor.",
+        properties: {
+          required_approvers: { type: 'array', items: { type: 'string' }, description: 'Everyone here must approve (user ids or emails).' },
+          quorum: { type: 'integer', minimum: 1, description: 'Approvals needed in all (at least the number of required approvers / roles).' },
+          required_roles: {
+            type: 'array',
+            items: { type: 'string', enum: PLAN_ROLES },
+            description: "Each plan role needs an approving voter who holds it on the plan (the owner, or a collaborator's role).",
+          },
+        },
+      },
       proposed_subtasks: {
         type: 'array',
         description: "Tasks to materialize if the human approves. Agents propose; humans steer structure. On resolve_decision(action='approve'), these are atomically created under the given parent_id and their IDs are returned.",
@@ -87,6 +131,7 @@ const queueDecisionDefinition = {
           required: ['parent_id', 'title'],
         },
       },
+      agent_id: agentIdProperty,
     },
     required: ['title', 'context', 'smallest_input_needed'],
   },
@@ -95,6 +140,15 @@ const queueDecisionDefinition = {
 async function queueDecisionHandler(args, apiClient) {
   const { plan_id, node_id, title, context, options, recommendation, smallest_input_needed, urgency, goal_id, proposed_subtasks } = args;
 
+  const deadlineError = validateDeadline(args);
+  if (deadlineError) return errorResponse('invalid_arg', deadlineError);
+  const approvalError = validateApproval(args.approval);
+  if (approvalError) return errorResponse('invalid_arg', approvalError);
+  // A deadline mustn't get around the approvers
+  if (args.approval && args.default_action && args.default_action !== 'defer') {
+    return errorResponse('invalid_arg', "With an approval rule, default_action can only be 'defer'");
+  }
+
   let planId = plan_id;
   if (!planId && node_id) {
     try {
@@ -111,7 +165,6 @@ async function queueDecisionHandler(args, apiClient) {
   // The agent-facing urgency vocabulary (low/normal/high) differs from the
   // backend decision schema (blocking/can_continue/informational) — map it, or
   // every call fails strict validation.
-  const URGENCY_MAP = { low: 'informational', normal: 'can_continue', high: 'blocking' };
   const mappedUrgency = URGENCY_MAP[urgency] || 'can_continue';
 
   // The backend decisionOption shape is {option, pros?, cons?, recommendation?}
@@ -141,7 +194,11 @@ async function queueDecisionHandler(args, apiClient) {
       recommendation: recommendation || null,
       goal_id: goal_id || null,
       source: 'bdi.queue_decision',
+      agent_id: resolveAgentId(args, apiClient),
       proposed_subtasks: Array.isArray(proposed_subtasks) ? proposed_subtasks : undefined,
+      decide_by: args.decide_by ? new Date(args.decide_by).toISOString() : undefined,
+      default_action: args.default_action || undefined,
+      approval: args.approval ? normalizeApproval(args.approval) : undefined,
     },
   };
   if (node_id) body.node_id = node_id;
@@ -157,6 +214,8 @@ async function queueDecisionHandler(args, apiClient) {
       node_id: node_id || null,
       status: created.status || 'pending',
       title: created.title,
+      ...(body.metadata.decide_by ? { decide_by: body.metadata.decide_by, default_action: body.metadata.default_action } : {}),
+      ...(body.metadata.approval ? { approval: body.metadata.approval } : {}),
     });
   } catch (err) {
     return errorResponse('upstream_unavailable', `Failed to queue decision: ${apiErrorMessage(err)}`);
@@ -171,7 +230,10 @@ const resolveDecisionDefinition = {
   name: 'resolve_decision',
   description:
     "Resolve a pending decision. action is 'approve', 'defer', or 'reject'. " +
-    "Use this from Cowork artifact buttons or after a human responds in chat.",
+    "Use this from Cowork artifact buttons or after a human responds in chat. " +
+    "A decision queued with an approval rule takes one vote per call — from " +
+    "the user behind the API token, in their role on the plan — and resolves " +
+    "only once the votes satisfy the rule.",
   inputSchema: {
     type: 'object',
     properties: {
@@ -182,7 +244,7 @@ const resolveDecisionDefinition = {
       },
       action: {
         type: 'string',
-        enum: ['approve', 'defer', 'reject'],
+        enum: VOTES,
       },
       message: { type: 'string', description: 'Optional resolution note' },
       selected_option: {
@@ -194,78 +256,144 @@ const resolveDecisionDefinition = {
   },
 };
 
-async function resolveDecisionHandler(args, apiClient) {
-  const { decision_id, plan_id, action, message, selected_option } = args;
+// Resolution note for a decision that reached its approval rule
+function voteSummary(tally, message) {
+  const votes = tally.votes
+    .map((v) => `${v.voter}${v.role ? ` (${v.role})` : ''}: ${v.vote}${v.selected_option ? ` — ${v.selected_option}` : ''}`)
+    .join('; ');
+  const summary = `Resolved by vote (quorum ${tally.rule.quorum}). Votes: ${votes}.`;
+  return message ? `${message} — ${summary}` : summary;
+}
 
-  // Fetch the decision first so we can read proposed_subtasks if any.
-  let decision = null;
-  try {
-    decision = await apiClient.axiosInstance
-      .get(`/plans/${plan_id}/decisions/${decision_id}`)
-      .then((r) => r.data);
-  } catch (err) {
-    // Best-effort — if fetch fails, we still try to resolve.
-  }
+// Attempts at recording a vote that a concurrent vote keeps overwriting
+const VOTE_ATTEMPTS = 3;
 
-  // The backend resolve schema is strict {decision, rationale}. Encode the
-  // action (+ chosen option) into `decision` and the note into `rationale` —
-  // the previous {resolution, message, selected_option} body was rejected.
-  const decisionText = selected_option ? `${action} — ${selected_option}` : action;
-  let resolved;
+async function resolveDecisionHandler(args, apiClient) {
+  const { decision_id, plan_id, action, message, selected_option } = args;
+  const readDecision = () => apiClient.axiosInstance
+    .get(`/plans/${plan_id}/decisions/${decision_id}`)
+    .then((r) => r.data);
+  const readFailed = (err) => errorResponse(
+    err.response?.status === 404 ? 'not_found' : 'upstream_unavailable',
+    `Could not read decision ${decision_id}, so it was not resolved: ${apiErrorMessage(err)}`,
+  );
+
+  // Read the decision first for proposed_subtasks and any approval rule —
+  // without it we can't tell whether one caller may resolve it.
+  let decision;
   try {
-    resolved = await apiClient.axiosInstance
-      .post(`/plans/${plan_id}/decisions/${decision_id}/resolve`, {
-        decision: decisionText,
-        rationale: message || undefined,
-      })
-      .then((r) => r.data);
+    decision = await readDecision();
   } catch (err) {
-    return errorResponse('upstream_unavailable', `Failed to resolve decision: ${apiErrorMessage(err)}`);
+    return readFailed(err);
   }
 
-  // On approve, materialize any proposed_subtasks atomically (best-effort per task).
-  const created = [];
-  const createFailures = [];
-  if (action === 'approve' && decision?.metadata?.proposed_subtasks?.length) {
-    for (const proposal of decision.metadata.proposed_subtasks) {
+  // Multi-approver: record the vote, and resolve only once the rule is met
+  const rule = approvalRule(decision);
+  let tally = null;
+  let voteRecorded = null;
+  if (rule) {
+    let voter;
+    try {
+      voter = await loadVoter(apiClient, plan_id);
+    } catch (err) {
+      return errorResponse('upstream_unavailable', `Could not establish who is voting on decision ${decision_id}: ${apiErrorMessage(err)}`);
+    }
+    const name = voterName(rule, voter);
+    if (!voter.role && !rule.required_approvers.includes(name)) {
+      return errorResponse('forbidden', `${name} is neither a member of plan ${plan_id} nor a required approver of decision ${decision_id}`);
+    }
+    const vote = {
+      voter: name,
+      user_id: voter.user_id,
+      role: voter.role,
+      vote: action,
+      selected_option: selected_option || null,
+      message: message || null,
+      at: asOf(),
+    };
+    voteRecorded = { voter: name, role: voter.role, vote: action };
+
+    // The decisions endpoint has no conditional update, so a vote written
+    // alongside another can be lost. Read back after writing and tally what
+    // was actually stored, writing again on top of the other vote if ours
+    // was overwritten.
+    let stored = false;
+    for (let attempt = 0; attempt < VOTE_ATTEMPTS && !stored; attempt += 1) {
+      if ((decision.status || 'pending') !== 'pending') {
+        return errorResponse('invalid_state', `Decision ${decision_id} is already ${decision.status}`);
+      }
+      const metadata = { ...decision.metadata, votes: castVote(decision.metadata?.votes, vote) };
       try {
-        // createNode's schema is .strict() and has no acceptance_criteria field —
-        // sending it 400s the whole subtask. Fold it into the description so the
-        // criteria survive instead of being silently dropped on approval.
-        const description = [
-          proposal.description,
-          proposal.acceptance_criteria ? `Acceptance criteria: ${proposal.acceptance_criteria}` : null,
-        ].filter(Boolean).join('\n\n') || undefined;
-        const node = await apiClient.nodes.createNode(plan_id, {
-          parent_id: proposal.parent_id,
-          node_type: proposal.node_type || 'task',
-          title: proposal.title,
-          description,
-          status: 'not_started',
-          task_mode: proposal.task_mode || 'free',
-          agent_instructions: proposal.agent_instructions,
-        });
-        created.push({ id: node.id || node.node?.id, title: proposal.title, parent_id: proposal.parent_id });
+        await apiClient.axiosInstance.put(`/plans/${plan_id}/decisions/${decision_id}`, { metadata });
       } catch (err) {
-        createFailures.push({
-          title: proposal.title,
-          parent_id: proposal.parent_id,
-          error: err.response?.data?.error || err.message,
-        });
+        return errorResponse('upstream_unavailable', `Failed to record vote: ${apiErrorMessage(err)}`);
+      }
+      try {
+        decision = await readDecision();
+      } catch (err) {
+        return readFailed(err);
       }
+      stored = safeArray(decision.metadata?.votes).some((v) => v.voter === vote.voter && v.at === vote.at);
+    }
+    if (!stored) {
+      return errorResponse('vote_conflict', `Vote on decision ${decision_id} was overwritten by concurrent votes ${VOTE_ATTEMPTS} times — retry`);
+    }
+    if ((decision.status || 'pending') !== 'pending') {
+      return errorResponse('invalid_state', `Decision ${decision_id} was ${decision.status} while the vote was recorded`);
+    }
+
+    tally = tallyVotes(rule, decision.metadata.votes);
+    if (!tally.outcome) {
+      const { outcome, ...progress } = tally;
+      const waitingOn = [
+        ...progress.missing_approvers,
+        ...progress.missing_roles.map((r) => `a plan ${r}`),
+      ];
+      return formatResponse({
+        as_of: asOf(),
+        decision_id,
+        plan_id,
+        status: 'pending',
+        vote_recorded: voteRecorded,
+        approval: { ...progress, quorum_reached: false },
+        next_step: waitingOn.length
+          ? `Waiting on ${waitingOn.join(', ')}.`
+          : `Waiting on ${rule.quorum - progress.approvals} more approval(s).`,
+      });
     }
   }
 
-  return formatResponse({
+  let outcome;
+  try {
+    outcome = await resolveDecision(apiClient, {
+      planId: plan_id,
+      decisionId: decision_id,
+      action: tally ? tally.outcome.action : action,
+      message: tally ? voteSummary(tally, message) : message,
+      selectedOption: tally ? tally.outcome.selected_option : selected_option,
+      decision,
+    });
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Failed to resolve decision: ${apiErrorMessage(err)}`);
+  }
+  const { resolved, created, createFailures } = outcome;
+
+  const response = {
     as_of: asOf(),
     decision_id,
     plan_id,
-    status: resolved.status || action,
+    status: resolved.status || (tally ? tally.outcome.action : action),
     resolved_at: resolved.resolved_at || asOf(),
     message: resolved.message || message || null,
     created_subtasks: created,
     create_failures: createFailures,
-  });
+  };
+  if (tally) {
+    const { outcome: applied, ...progress } = tally;
+    response.vote_recorded = voteRecorded;
+    response.approval = { ...progress, quorum_reached: true, applied };
+  }
+  return formatResponse(response);
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -286,16 +414,39 @@ const STATUS_TO_LOG_TYPE = {
 const LOG_TYPE_ALIASES = { blocker: 'challenge', completion: 'progress' };
 const normalizeLogType = (lt) => (lt ? (LOG_TYPE_ALIASES[lt] || lt) : lt);
 
+const BATCH_LIMIT = 100;
+
 const updateTaskDefinition = {
   name: 'update_task',
   description:
     "Atomic task state transition. Updates status, optionally appends a log " +
     "entry, optionally releases the claim. Idempotent on identical inputs. " +
-    "Replaces quick_status + add_log + release_task fan-out.",
+    "Replaces quick_status + add_log + release_task fan-out. Finishing a " +
+    "phase? Pass `tasks: [...]` instead of task_id to transition many tasks " +
+    "in one call — top-level status/log_type/release_claim/plan_id act as " +
+    "defaults, and each task reports its own applied/failures.",
   inputSchema: {
     type: 'object',
     properties: {
-      task_id: { type: 'string' },
+      task_id: { type: 'string', description: 'The task to update. Required unless `tasks` is given.' },
+      tasks: {
+        type: 'array',
+        maxItems: BATCH_LIMIT,
+        description: 'Batch form: one entry per task. Plans are resolved once per plan, not per task.',
+        items: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string' },
+            plan_id: { type: 'string' },
+            status: { type: 'string', enum: ['not_started', 'in_progress', 'completed', 'blocked', 'plan_ready'] },
+            log_message: { type: 'string' },
+            log_type: { type: 'string', enum: ['progress', 'reasoning', 'decision', 'challenge', 'comment'] },
+            release_claim: { type: 'boolean' },
+            add_learning: { type: 'string' },
+          },
+          required: ['task_id'],
+        },
+      },
       plan_id: {
         type: 'string',
         description: 'Plan that owns the task (auto-resolved from task if omitted)',
@@ -327,61 +478,48 @@ const updateTaskDefinition = {
         type: 'object',
         description: 'Optional decision to queue when blocking a session through the agent-loop endpoint.',
       },
+      agent_id: agentIdProperty,
     },
-    required: ['task_id'],
   },
 };
 
-async function updateTaskHandler(args, apiClient) {
-  const { task_id, status, log_message, add_learning, release_claim, session_id, decision } = args;
-  let planId = args.plan_id;
-
-  if (session_id && (status === 'completed' || status === 'blocked')) {
-    try {
-      const path = status === 'blocked' ? 'block' : 'complete';
-      const response = await apiClient.axiosInstance.post(`/agent/work-sessions/${session_id}/${path}`, {
-        summary: log_message,
-        learning: add_learning ? { content: add_learning } : undefined,
-        decision,
-      });
-      return formatResponse(response.data);
-    } catch {
-      // Fall back to legacy fan-out for older APIs or if the session was not found.
-    }
-  }
-
-  // v1 facade: one atomic server-side call (status + log + claim release +
-  // learning) replaces the 4-endpoint fan-out below. Same response shape.
-  if (apiClient.v1) {
-    try {
-      const data = await apiClient.v1.updateTask(task_id, {
-        status,
-        log_message,
-        log_type: normalizeLogType(args.log_type),
-        release_claim,
-        add_learning,
-      });
-      return formatResponse(data);
-    } catch (err) {
-      if (!isV1Unavailable(err)) {
-        const s = err.response?.status;
-        if (s === 404) return errorResponse('not_found', `Task ${task_id} not found`);
-        if (s === 403) return errorResponse('forbidden', 'Access denied to this plan');
-        // 5xx: fall through to the legacy fan-out.
-      }
-    }
-  }
+// Claim release — auto if status is terminal, explicit override otherwise.
+function shouldReleaseClaim({ status, release_claim }) {
+  return typeof release_claim === 'boolean'
+    ? release_claim
+    : status === 'completed' || status === 'blocked';
+}
 
-  // Resolve plan_id from task if not provided.
-  if (!planId) {
-    try {
-      const node = await apiClient.axiosInstance.get(`/nodes/${task_id}`).then((r) => r.data);
-      planId = node.plan_id || node.planId;
-    } catch (err) {
-      return errorResponse('not_found', `Could not resolve plan_id from task ${task_id}: ${err.message}`);
-    }
+// v1 facade: one atomic server-side call (status + log + claim release +
+// learning) replaces the 4-endpoint fan-out. Same response shape. Returns
+// null when the caller should fall back to the fan-out.
+async function updateTaskViaV1(args, apiClient, agentId) {
+  const { task_id, status, log_message, add_learning, release_claim } = args;
+  try {
+    const data = await apiClient.v1.updateTask(task_id, {
+      status,
+      log_message,
+      log_type: normalizeLogType(args.log_type),
+      release_claim,
+      add_learning,
+      agent_id: agentId,
+    });
+    if (shouldReleaseClaim(args)) untrackClaim(task_id);
+    return { data };
+  } catch (err) {
+    if (isV1Unavailable(err)) return { unavailable: true };
+    const s = err.response?.status;
+    if (s === 404) return { error: { error_type: 'not_found', message: `Task ${task_id} not found` } };
+    if (s === 403) return { error: { error_type: 'forbidden', message: 'Access denied to this plan' } };
+    // 5xx: fall through to the legacy fan-out.
+    return null;
   }
+}
 
+// Legacy fan-out: status, log, claim release and learning as separate calls,
+// each recorded in applied/failures.
+async function applyTaskUpdate(args, planId, apiClient, agentId) {
+  const { task_id, status, log_message, add_learning } = args;
   const result = {
     as_of: asOf(),
     task_id,
@@ -408,6 +546,7 @@ async function updateTaskHandler(args, apiClient) {
       const log = await apiClient.logs.addLogEntry(planId, task_id, {
         content: log_message,
         log_type: logType,
+        metadata: { agent_id: agentId },
       });
       result.applied.log_added = true;
       result.log_id = log?.id || log?.log?.id;
@@ -416,15 +555,12 @@ async function updateTaskHandler(args, apiClient) {
     }
   }
 
-  // 3. Claim release — auto if status is terminal, explicit override otherwise.
-  const shouldRelease =
-    typeof release_claim === 'boolean'
-      ? release_claim
-      : status === 'completed' || status === 'blocked';
-  if (shouldRelease) {
+  // 3. Claim release (see shouldReleaseClaim).
+  if (shouldReleaseClaim(args)) {
     try {
-      await apiClient.axiosInstance.delete(`/nodes/${task_id}/claim`);
+      await apiClient.axiosInstance.delete(`/nodes/${task_id}/claim`, { data: { agent_id: agentId } });
       result.applied.claim_released = true;
+      untrackClaim(task_id);
     } catch (err) {
       // Releasing an unclaimed task is not a hard error — just record it.
       result.failures.push({ step: 'release_claim', error: err.response?.data?.error || err.message });
@@ -440,6 +576,7 @@ async function updateTaskHandler(args, apiClient) {
         source: 'task_update',
         plan_id: planId,
         node_id: task_id,
+        metadata: { agent_id: agentId },
       });
       result.applied.learning_recorded = true;
     } catch (err) {
@@ -447,7 +584,279 @@ async function updateTaskHandler(args, apiClient) {
     }
   }
 
-  return formatResponse(result);
+  // 5. Recurring task: the next instance of its series.
+  if (result.applied.status_changed && status === 'completed') {
+    recordSeries(result, await continueSeries(apiClient, task_id, planId));
+  }
+
+  return result;
+}
+
+// Metadata a series' next instance carries over. The rest (split_from,
+// imported_from, archive, …) records one instance's own history.
+const SERIES_METADATA_KEYS = ['estimate'];
+
+// Completing a recurring task creates the next instance of its series in the
+// same parent, due on the rule's next date (see src/recurrence.js). Returns
+// null when the task isn't recurring, or couldn't be read to find out.
+async function continueSeries(apiClient, taskId, planId) {
+  let node;
+  try {
+    node = planId
+      ? await apiClient.nodes.getNode(planId, taskId)
+      : await apiClient.axiosInstance.get(`/nodes/${taskId}`).then((r) => r.data);
+    node = node?.result || node;
+  } catch {
+    return null;
+  }
+  const recurrence = node?.metadata?.recurrence;
+  if (!recurrence?.rule) return null;
+
+  const series = { series_id: recurrence.series_id || taskId, instance: recurrence.instance || 1 };
+  // Completed before (e.g. reopened and completed again): its successor exists
+  if (recurrence.next_id) return { ...series, next_instance_id: recurrence.next_id };
+
+  let next;
+  try {
+    next = nextInstance(recurrence, taskId, node.due_date || null);
+  } catch (err) {
+    return { ...series, error: err.message };
+  }
+  if (!next) return { ...series, ended: true };
+
+  const owningPlan = planId || node.plan_id || node.planId;
+  try {
+    const metadata = { recurrence: next.recurrence };
+    for (const key of SERIES_METADATA_KEYS) {
+      if (node.metadata[key] !== undefined) metadata[key] = node.metadata[key];
+    }
+    const payload = {
+      node_type: 'task',
+      title: node.title,
+      description: node.description || '',
+      task_mode: node.task_mode || 'free',
+      due_date: next.due_date,
+      metadata,
+    };
+    if (node.parent_id) payload.parent_id = node.parent_id;
+    if (node.agent_instructions) payload.agent_instructions = node.agent_instructions;
+    const resp = await apiClient.nodes.createNode(owningPlan, payload);
+    const created = resp.result || resp;
+
+    try {
+      await apiClient.nodes.updateNode(owningPlan, taskId, {
+        metadata: { ...node.metadata, recurrence: { ...recurrence, next_id: created.id } },
+      });
+    } catch (err) {
+      console.error(`Could not mark ${taskId} as continued by ${created.id}:`, err.message);
+    }
+    return { ...series, next_instance_id: created.id, next_due_date: next.due_date };
+  } catch (err) {
+    return { ...series, error: `Next instance not created: ${err.response?.data?.error || err.message}` };
+  }
+}
+
+// Report continueSeries' outcome on an update_task result.
+function recordSeries(result, series) {
+  if (!series) return result;
+  if (series.error) {
+    result.failures = [...safeArray(result.failures), { step: 'next_recurrence', error: series.error }];
+  } else {
+    result.recurrence = series;
+  }
+  return result;
+}
+
+async function updateTaskHandler(args, apiClient) {
+  if (args.tasks !== undefined) {
+    return updateTasksBatch(args, apiClient);
+  }
+
+  const { task_id, status, log_message, add_learning, session_id, decision } = args;
+  if (!task_id) {
+    return errorResponse('invalid_arg', 'update_task requires task_id, or tasks: [...] for a batch');
+  }
+  const agentId = resolveAgentId(args, apiClient);
+  let planId = args.plan_id;
+
+  if (session_id && (status === 'completed' || status === 'blocked')) {
+    try {
+      const path = status === 'blocked' ? 'block' : 'complete';
+      const response = await apiClient.axiosInstance.post(`/agent/work-sessions/${session_id}/${path}`, {
+        summary: log_message,
+        learning: add_learning ? { content: add_learning } : undefined,
+        decision,
+        agent_id: agentId,
+      });
+      untrackClaim(task_id);
+      const data = status === 'completed'
+        ? recordSeries({ ...response.data }, await continueSeries(apiClient, task_id, planId))
+        : response.data;
+      return formatResponse(data);
+    } catch {
+      // Fall back to legacy fan-out for older APIs or if the session was not found.
+    }
+  }
+
+  if (apiClient.v1) {
+    const outcome = await updateTaskViaV1(args, apiClient, agentId);
+    if (outcome?.data) {
+      if (status !== 'completed') return formatResponse(outcome.data);
+      const series = await continueSeries(apiClient, task_id, planId || outcome.data.plan_id);
+      return formatResponse(recordSeries({ ...outcome.data }, series));
+    }
+    if (outcome?.error) return errorResponse(outcome.error.error_type, outcome.error.message);
+  }
+
+  // Resolve plan_id from task if not provided.
+  if (!planId) {
+    try {
+      const node = await apiClient.axiosInstance.get(`/nodes/${task_id}`).then((r) => r.data);
+      planId = node.plan_id || node.planId;
+    } catch (err) {
+      return errorResponse('not_found', `Could not resolve plan_id from task ${task_id}: ${err.message}`);
+    }
+  }
+
+  return formatResponse(await applyTaskUpdate(args, planId, apiClient, agentId));
+}
+
+// ─── Batch form: update_task({ tasks: [...] }) ────────────────────────────
+
+// Top-level fields that act as defaults for every item in `tasks`.
+const BATCH_DEFAULTS = ['plan_id', 'status', 'log_type', 'release_claim'];
+
+/**
+ * Map task ids to plan ids with one lookup per plan rather than per task:
+ * the first unknown task of a plan is resolved through GET /nodes/:id, then
+ * that plan's node tree claims every other task in it.
+ */
+async function resolveTaskPlans(items, apiClient) {
+  const planOf = new Map();
+  const errors = new Map();
+  const loadedPlans = new Set();
+
+  for (const item of items) {
+    if (item.plan_id) planOf.set(item.task_id, item.plan_id);
+  }
+
+  for (const item of items) {
+    if (planOf.has(item.task_id) || errors.has(item.task_id)) continue;
+    let planId;
+    try {
+      const node = await apiClient.axiosInstance.get(`/nodes/${item.task_id}`).then((r) => r.data);
+      planId = node.plan_id || node.planId;
+    } catch (err) {
+      errors.set(item.task_id, `Could not resolve plan_id from task ${item.task_id}: ${err.message}`);
+      continue;
+    }
+    planOf.set(item.task_id, planId);
+
+    if (loadedPlans.has(planId)) continue;
+    loadedPlans.add(planId);
+    try {
+      const index = await loadPlanIndex(apiClient, planId);
+      for (const id of index.keys()) {
+        if (!planOf.has(id)) planOf.set(id, planId);
+      }
+    } catch {
+      // Best-effort — the remaining tasks fall back to their own lookup.
+    }
+  }
+
+  return { planOf, errors };
+}
+
+async function updateTasksBatch(args, apiClient) {
+  const { tasks } = args;
+  if (!Array.isArray(tasks) || !tasks.length) {
+    return errorResponse('invalid_arg', 'tasks must be a non-empty array of { task_id, status?, log_message?, ... }');
+  }
+  if (tasks.length > BATCH_LIMIT) {
+    return errorResponse('invalid_arg', `tasks accepts at most ${BATCH_LIMIT} items per call (got ${tasks.length})`);
+  }
+  if (args.task_id || args.session_id || tasks.some((t) => t?.session_id)) {
+    return errorResponse('invalid_arg', 'Pass either task_id or tasks, and use session_id only with a single task_id');
+  }
+  const missing = tasks.findIndex((t) => !t || typeof t.task_id !== 'string' || !t.task_id);
+  if (missing !== -1) {
+    return errorResponse('invalid_arg', `tasks[${missing}] is missing task_id`);
+  }
+
+  const agentId = resolveAgentId(args, apiClient);
+  const items = tasks.map((task) => {
+    const item = { ...task };
+    for (const key of BATCH_DEFAULTS) {
+      if (item[key] === undefined && args[key] !== undefined) item[key] = args[key];
+    }
+    return item;
+  });
+
+  // Snapshot every plan the batch touches before the first write (plan_diff
+  // against it shows what the batch did). That needs the plans up front;
+  // otherwise they're resolved only for the items the v1 facade can't take.
+  let resolved = null;
+  const snapshots = [];
+  if (autoSnapshotEnabled()) {
+    resolved = await resolveTaskPlans(items, apiClient);
+    for (const planId of new Set(resolved.planOf.values())) {
+      const snapshotId = await autoSnapshot(apiClient, planId, 'update_task');
+      if (snapshotId) snapshots.push({ plan_id: planId, snapshot_id: snapshotId });
+    }
+  }
+
+  // v1 facade per item while it's available; once it isn't, the rest of the
+  // batch goes through the fan-out with batch-resolved plan ids.
+  const results = new Array(items.length);
+  const pending = [];
+  let useV1 = Boolean(apiClient.v1);
+  for (let i = 0; i < items.length; i += 1) {
+    const outcome = useV1 ? await updateTaskViaV1(items[i], apiClient, agentId) : null;
+    if (outcome?.unavailable) useV1 = false;
+    if (outcome?.data) {
+      results[i] = { task_id: items[i].task_id, ...outcome.data };
+      if (items[i].status === 'completed') {
+        recordSeries(results[i], await continueSeries(apiClient, items[i].task_id, items[i].plan_id || outcome.data.plan_id));
+      }
+    } else if (outcome?.error) {
+      results[i] = {
+        task_id: items[i].task_id,
+        plan_id: items[i].plan_id || null,
+        applied: { status_changed: false, log_added: false, claim_released: false, learning_recorded: false },
+        failures: [{ step: outcome.error.error_type, error: outcome.error.message }],
+      };
+    } else {
+      pending.push(i);
+    }
+  }
+
+  const { planOf, errors } = resolved || await resolveTaskPlans(pending.map((i) => items[i]), apiClient);
+  for (const i of pending) {
+    const item = items[i];
+    const planId = planOf.get(item.task_id);
+    if (!planId) {
+      results[i] = {
+        task_id: item.task_id,
+        plan_id: null,
+        applied: { status_changed: false, log_added: false, claim_released: false, learning_recorded: false },
+        failures: [{ step: 'resolve_plan', error: errors.get(item.task_id) || `Could not resolve plan_id from task ${item.task_id}` }],
+      };
+      continue;
+    }
+    const { as_of, ...result } = await applyTaskUpdate(item, planId, apiClient, agentId);
+    results[i] = result;
+  }
+
+  const failed = results.filter((r) => safeArray(r.failures).length && !Object.values(r.applied || {}).some(Boolean)).length;
+  const partial = results.filter((r) => safeArray(r.failures).length && Object.values(r.applied || {}).some(Boolean)).length;
+  const response = {
+    as_of: asOf(),
+    batch: true,
+    summary: { total: results.length, succeeded: results.length - failed - partial, partial, failed },
+    results,
+  };
+  if (snapshots.length) response.snapshots = snapshots;
+  return formatResponse(response);
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -478,6 +887,7 @@ const claimNextTaskDefinition = {
         default: false,
         description: "If true, return the candidate task without claiming. Lets the caller peek before committing. No phantom claim left behind.",
       },
+      agent_id: agentIdProperty,
     },
     required: ['scope'],
   },
@@ -486,6 +896,7 @@ const claimNextTaskDefinition = {
 async function claimNextTaskHandler(args, apiClient) {
   const { scope = {}, ttl_minutes = 30, fresh = false, context_depth = 2, dry_run = false } = args;
   const { plan_id, goal_id } = scope;
+  const agentId = resolveAgentId(args, apiClient);
 
   const sessionBody = {
     plan_id,
@@ -494,13 +905,27 @@ async function claimNextTaskHandler(args, apiClient) {
     fresh,
     dry_run,
     depth: context_depth,
-    agent_id: 'mcp-agent',
+    agent_id: agentId,
+  };
+
+  // Hand a fresh claim to the background renewer (a no-op unless the stdio
+  // server opted in with MCP_CLAIM_AUTO_RENEW).
+  const trackClaimed = (data) => {
+    if (dry_run || !data || data.error) return;
+    trackClaim({
+      planId: data.plan_id || data.task?.plan_id || plan_id,
+      taskId: data.task?.id || data.task_id,
+      agentId,
+      ttlMinutes: ttl_minutes,
+    });
   };
 
   // v1 public path first; same server-side handler as /agent/work-sessions.
   if (apiClient.v1) {
     try {
-      return formatResponse(await apiClient.v1.claimNext(sessionBody));
+      const data = await apiClient.v1.claimNext(sessionBody);
+      trackClaimed(data);
+      return formatResponse(data);
     } catch {
       // Fall through to the internal facade path, then the legacy fan-out.
     }
@@ -508,6 +933,7 @@ async function claimNextTaskHandler(args, apiClient) {
 
   try {
     const response = await apiClient.axiosInstance.post('/agent/work-sessions', sessionBody);
+    trackClaimed(response.data);
     return formatResponse(response.data);
   } catch {
     // Fall back to the pre-facade fan-out for self-hosted older APIs.
@@ -611,10 +1037,11 @@ async function claimNextTaskHandler(args, apiClient) {
   // Claim
   let claim = null;
   try {
-    claim = await apiClient.nodes.claimTask(taskPlanId, taskId, 'mcp-agent', ttl_minutes);
+    claim = await apiClient.nodes.claimTask(taskPlanId, taskId, agentId, ttl_minutes);
   } catch (err) {
     return errorResponse('claim_collision', `Could not claim task ${taskId}: ${err.response?.data?.error || err.message}`);
   }
+  trackClaimed({ plan_id: taskPlanId, task_id: taskId });
 
   // Load context
   let context = null;
@@ -640,6 +1067,7 @@ async function claimNextTaskHandler(args, apiClient) {
       claimed_at: claim?.claimed_at || asOf(),
       expires_at: claim?.expires_at,
       ttl_minutes,
+      agent_id: agentId,
     },
     next_action_hint: chosen.task_mode === 'implement'
       ? 'Task is implement mode — research and plan outputs are included in context if available'
@@ -660,6 +1088,10 @@ const releaseTaskDefinition = {
       task_id: { type: 'string' },
       plan_id: { type: 'string', description: 'Auto-resolved from task if omitted' },
       message: { type: 'string', description: 'Optional log entry on release' },
+      agent_id: {
+        ...agentIdProperty,
+        description: 'Whose claim to release. Defaults to the session/AGENT_PLANNER_AGENT_ID identity, so an agent only releases its own claims.',
+      },
     },
     required: ['task_id'],
   },
@@ -667,6 +1099,7 @@ const releaseTaskDefinition = {
 
 async function releaseTaskHandler(args, apiClient) {
   const { task_id, message } = args;
+  const agentId = resolveAgentId(args, apiClient);
   let planId = args.plan_id;
   if (!planId) {
     try {
@@ -677,55 +1110,119 @@ async function releaseTaskHandler(args, apiClient) {
     }
   }
   try {
-    await apiClient.nodes.releaseTask(planId, task_id, 'mcp-agent');
+    await apiClient.nodes.releaseTask(planId, task_id, agentId);
   } catch (err) {
     return errorResponse('upstream_unavailable', `release failed: ${err.message}`);
   }
+  untrackClaim(task_id);
   let logId = null;
   if (message) {
     try {
-      const log = await apiClient.logs.addLogEntry(planId, task_id, { content: message, log_type: 'progress' });
+      const log = await apiClient.logs.addLogEntry(planId, task_id, {
+        content: message,
+        log_type: 'progress',
+        metadata: { agent_id: agentId },
+      });
       logId = log?.id || log?.log?.id;
     } catch {}
   }
-  return formatResponse({ as_of: asOf(), task_id, plan_id: planId, released: true, log_id: logId });
+  return formatResponse({ as_of: asOf(), task_id, plan_id: planId, agent_id: agentId, released: true, log_id: logId });
 }
 
 // ─────────────────────────────────────────────────────────────────────────
-// add_learning — knowledge graph write.
+// renew_claim — heartbeat for long-running work.
 // ─────────────────────────────────────────────────────────────────────────
 
-const addLearningDefinition = {
-  name: 'add_learning',
+const renewClaimDefinition = {
+  name: 'renew_claim',
   description:
-    "Record a knowledge episode. Use after research, on decisions, or when discovering " +
-    "important context. Graphiti extracts entities/relationships automatically. " +
-    "Surfaces coherence_warnings if the new content contradicts existing facts.",
+    "Extend your claim on a task so it doesn't expire mid-work (claims last " +
+    "ttl_minutes, default 30). Call periodically during long tasks. Only extends " +
+    "a claim held by the same agent id; re-takes the claim if it already expired " +
+    "and nobody else picked the task up.",
   inputSchema: {
     type: 'object',
     properties: {
-      content: { type: 'string' },
-      scope: {
-        type: 'object',
-        properties: { plan_id: { type: 'string' }, goal_id: { type: 'string' }, node_id: { type: 'string' } },
-      },
-      entry_type: {
-        type: 'string',
-        enum: ['fact', 'decision', 'pattern', 'constraint', 'technique', 'learning'],
-        default: 'fact',
-      },
-      source_description: { type: 'string' },
+      task_id: { type: 'string' },
+      plan_id: { type: 'string', description: 'Auto-resolved from task if omitted' },
+      ttl_minutes: { type: 'integer', default: 30, description: 'New lease length, counted from now' },
+      agent_id: agentIdProperty,
     },
-    required: ['content'],
+    required: ['task_id'],
   },
 };
 
-async function addLearningHandler(args, apiClient) {
-  const { content, scope = {}, entry_type = 'fact', source_description } = args;
+async function renewClaimHandler(args, apiClient) {
+  const { task_id, ttl_minutes = 30 } = args;
+  const agentId = resolveAgentId(args, apiClient);
+  let planId = args.plan_id;
+  if (!planId) {
+    try {
+      const node = await apiClient.axiosInstance.get(`/nodes/${task_id}`).then((r) => r.data);
+      planId = node.plan_id || node.planId;
+    } catch (err) {
+      return errorResponse('not_found', `Could not resolve plan_id from task ${task_id}: ${err.message}`);
+    }
+  }
+
+  let renewal;
   try {
-    const result = await apiClient.graphiti.addEpisode({
-      content,
-      name: content.slice(0, 80),
+    renewal = await renewClaim(apiClient, { planId, taskId: task_id, agentId, ttlMinutes: ttl_minutes });
+  } catch (err) {
+    if (err.code === 'claim_collision') {
+      return errorResponse('claim_collision', err.message, { held_by: err.holder, expires_at: err.expires_at });
+    }
+    return errorResponse('upstream_unavailable', `renew failed: ${err.response?.data?.error || err.message}`);
+  }
+
+  return formatResponse({
+    as_of: asOf(),
+    task_id,
+    plan_id: planId,
+    agent_id: agentId,
+    renewed: true,
+    reacquired: renewal.reacquired,
+    expires_at: renewal.expires_at,
+    ttl_minutes,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// add_learning — knowledge graph write.
+// ─────────────────────────────────────────────────────────────────────────
+
+const addLearningDefinition = {
+  name: 'add_learning',
+  description:
+    "Record a knowledge episode. Use after research, on decisions, or when discovering " +
+    "important context. Graphiti extracts entities/relationships automatically. " +
+    "Surfaces coherence_warnings if the new content contradicts existing facts.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      content: { type: 'string' },
+      scope: {
+        type: 'object',
+        properties: { plan_id: { type: 'string' }, goal_id: { type: 'string' }, node_id: { type: 'string' } },
+      },
+      entry_type: {
+        type: 'string',
+        enum: ['fact', 'decision', 'pattern', 'constraint', 'technique', 'learning'],
+        default: 'fact',
+      },
+      source_description: { type: 'string' },
+      agent_id: agentIdProperty,
+    },
+    required: ['content'],
+  },
+};
+
+async function addLearningHandler(args, apiClient) {
+  const { content, scope = {}, entry_type = 'fact', source_description } = args;
+  try {
+    const result = await apiClient.graphiti.addEpisode({
+      content,
+      name: content.slice(0, 80),
       source: 'text',
       source_description: source_description || 'BDI add_learning',
       plan_id: scope.plan_id,
@@ -737,6 +1234,8 @@ async function addLearningHandler(args, apiClient) {
       metadata: {
         entry_type,
         source_description: source_description || 'BDI add_learning',
+        agent_id: resolveAgentId(args, apiClient),
+        goal_id: scope.goal_id,
       },
     });
     return formatResponse({
@@ -750,6 +1249,424 @@ async function addLearningHandler(args, apiClient) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// curate_knowledge — list, delete, redact and supersede knowledge episodes.
+// See _knowledge.js for how each change is recorded.
+// ─────────────────────────────────────────────────────────────────────────
+
+const CURATE_ACTIONS = ['list', 'delete', 'redact', 'supersede'];
+const CURATION_SOURCE = 'BDI curate_knowledge';
+
+const curateKnowledgeDefinition = {
+  name: 'curate_knowledge',
+  description:
+    "Clean up knowledge episodes recorded by add_learning / update_task. " +
+    "action='list' finds episodes by scope, source, recording agent and date. " +
+    "'delete' removes a wrong or sensitive episode; 'redact' replaces it with a copy " +
+    "where the given terms read [REDACTED]; 'supersede' records corrected content " +
+    "that replaces one or more episodes, so recall_knowledge reports the facts they " +
+    "produced as superseded — while the correction is among the most recent " +
+    `${EPISODE_SCAN} episodes, the furthest recall looks for corrections. ` +
+    "Every change needs a reason, logged on the episode's task " +
+    "(when it has one) and returned in the response — never written to the graph, " +
+    "where facts would be extracted from it. redact / supersede also stamp it on the " +
+    "new episode's metadata.curation.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: CURATE_ACTIONS },
+      episode_id: { type: 'string', description: 'delete / redact: the episode to change' },
+      episode_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'supersede: the episodes the corrected content replaces',
+      },
+      reason: { type: 'string', description: "delete / redact / supersede: why — logged with the change. Don't quote the sensitive text." },
+      redact: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'redact: terms to replace with [REDACTED] (case-insensitive, every occurrence)',
+      },
+      content: { type: 'string', description: 'supersede: the corrected knowledge' },
+      scope: {
+        type: 'object',
+        properties: { plan_id: { type: 'string' }, goal_id: { type: 'string' }, node_id: { type: 'string' } },
+        description: "list: only episodes of this plan, goal's plans or task. " +
+          "supersede: where to record the correction (default: the first superseded episode's plan and task).",
+      },
+      source: { type: 'string', description: 'list: match on source, source_description or entry_type (substring, case-insensitive)' },
+      recorded_by: { type: 'string', description: 'list: only episodes recorded by this agent_id' },
+      since: { type: 'string', description: 'list: ISO 8601 — only episodes created at or after this' },
+      until: { type: 'string', description: 'list: ISO 8601 — only episodes created before this' },
+      include_curation_records: {
+        type: 'boolean',
+        default: false,
+        description: 'list: also show the delete records earlier versions left in the graph (delete them to purge their facts)',
+      },
+      limit: { type: 'integer', default: 25, description: 'list: page size (max 100)' },
+      offset: { type: 'integer', default: 0 },
+      agent_id: agentIdProperty,
+    },
+    required: ['action'],
+  },
+};
+
+const newEpisodeId = (result) => result?.episode?.uuid || result?.uuid || null;
+
+async function listEpisodes(args, apiClient) {
+  const { scope = {}, source, recorded_by, include_curation_records = false } = args;
+  const limit = Math.min(Math.max(Number(args.limit) || 25, 1), 100);
+  const offset = Math.max(Number(args.offset) || 0, 0);
+  const bounds = {};
+  for (const key of ['since', 'until']) {
+    if (!args[key]) continue;
+    bounds[key] = new Date(args[key]).getTime();
+    if (Number.isNaN(bounds[key])) {
+      return errorResponse('invalid_arg', `${key} must be an ISO 8601 date or timestamp, got "${args[key]}"`);
+    }
+  }
+
+  let goalPlans = null;
+  if (scope.goal_id) {
+    try {
+      const goal = await apiClient.goals.get(scope.goal_id);
+      goalPlans = new Set(safeArray(goal?.links)
+        .filter((l) => (l.linkedType || l.linked_type) === 'plan')
+        .map((l) => l.linkedId || l.linked_id));
+    } catch (err) {
+      return errorResponse('not_found', `Goal ${scope.goal_id} not found: ${apiErrorMessage(err)}`);
+    }
+  }
+
+  let episodes;
+  try {
+    episodes = await loadEpisodes(apiClient);
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Failed to read episodes: ${apiErrorMessage(err)}`);
+  }
+  const superseded = supersessions(episodes);
+  const needle = source ? String(source).toLowerCase() : null;
+
+  const matches = episodes
+    .filter((e) => include_curation_records || !isCurationRecord(e))
+    .map((e) => episodeEntry(e, superseded))
+    .filter((e) => !scope.plan_id || e.plan_id === scope.plan_id)
+    .filter((e) => !scope.node_id || e.node_id === scope.node_id)
+    .filter((e) => !goalPlans || goalPlans.has(e.plan_id))
+    .filter((e) => !needle || [e.source, e.source_description, e.entry_type]
+      .some((v) => v && String(v).toLowerCase().includes(needle)))
+    .filter((e) => !recorded_by || e.agent_id === recorded_by)
+    .filter((e) => {
+      const at = e.created_at ? new Date(e.created_at).getTime() : NaN;
+      if (bounds.since !== undefined && !(at >= bounds.since)) return false;
+      if (bounds.until !== undefined && !(at < bounds.until)) return false;
+      return true;
+    });
+
+  const page = matches.slice(offset, offset + limit);
+  return formatResponse({
+    as_of: asOf(),
+    action: 'list',
+    episodes: page,
+    summary: {
+      scanned: episodes.length,
+      total: matches.length,
+      superseded: matches.filter((e) => e.superseded_by).length,
+      returned: page.length,
+      offset,
+      next_offset: offset + page.length < matches.length ? offset + page.length : null,
+    },
+    ...(episodes.length >= EPISODE_SCAN
+      ? { warnings: [`Only the ${EPISODE_SCAN} most recent episodes were scanned.`] }
+      : {}),
+  });
+}
+
+/**
+ * Log a curation change on the task of each episode it touched — never as an
+ * episode, where Graphiti would extract facts from the reason.
+ * Best-effort: failures are returned, not thrown.
+ */
+async function recordCuration(apiClient, { episodes, curation, summary }) {
+  const audit = { task_logs: [], failures: [] };
+  const tasks = new Map();
+  for (const e of episodes.filter(Boolean).map((ep) => episodeEntry(ep))) {
+    if (e.plan_id && e.node_id) tasks.set(e.node_id, e.plan_id);
+  }
+  for (const [nodeId, planId] of tasks) {
+    try {
+      await apiClient.logs.addLogEntry(planId, nodeId, {
+        content: `Knowledge curation: ${summary} Reason: ${curation.reason}`,
+        log_type: 'decision',
+        metadata: { curation },
+      });
+      audit.task_logs.push(nodeId);
+    } catch (err) {
+      audit.failures.push({ step: 'task_log', node_id: nodeId, error: apiErrorMessage(err) });
+    }
+  }
+  return audit;
+}
+
+async function deleteKnowledgeEpisode(args, apiClient, byId, curation, readWarnings = []) {
+  const { episode_id } = args;
+  if (!episode_id) return errorResponse('invalid_arg', 'delete needs episode_id');
+
+  try {
+    await apiClient.graphiti.deleteEpisode(episode_id);
+  } catch (err) {
+    if (err.response?.status === 404) return errorResponse('not_found', `Episode ${episode_id} not found`);
+    return errorResponse('upstream_unavailable', `Failed to delete episode: ${apiErrorMessage(err)}`);
+  }
+
+  const audit = await recordCuration(apiClient, {
+    episodes: [byId.get(episode_id)],
+    curation: { ...curation, episode_id },
+    summary: `deleted episode ${episode_id}.`,
+  });
+  const warnings = [...readWarnings];
+  if (!readWarnings.length && !audit.task_logs.length && !audit.failures.length) {
+    warnings.push(`Episode ${episode_id} has no known task to log the delete on; this response is its only record.`);
+  }
+  return formatResponse({
+    as_of: asOf(),
+    action: 'delete',
+    episode_id,
+    deleted: true,
+    reason: curation.reason,
+    audit,
+    ...(warnings.length ? { warnings } : {}),
+  });
+}
+
+async function redactKnowledgeEpisode(args, apiClient, byId, curation) {
+  const { episode_id, redact } = args;
+  if (!episode_id) return errorResponse('invalid_arg', 'redact needs episode_id');
+  if (!safeArray(redact).filter(Boolean).length) {
+    return errorResponse('invalid_arg', 'redact needs redact: the terms to replace with [REDACTED]');
+  }
+  const episode = byId.get(episode_id);
+  if (!episode) {
+    return errorResponse('not_found',
+      `Episode ${episode_id} is not among the ${EPISODE_SCAN} most recent episodes; use action 'delete' to remove it`);
+  }
+
+  const content = redactText(episodeContent(episode), redact);
+  const name = redactText(episode.name, redact);
+  if (!content.count && !name.count) {
+    return errorResponse('invalid_arg', `None of the redact terms appear in episode ${episode_id}`);
+  }
+  const record = { ...curation, replaces: episode_id, redactions: content.count + name.count };
+  const { plan_id, node_id, source_description } = episodeEntry(episode);
+
+  // Write the redacted copy first, so a failed delete never loses the knowledge
+  let created;
+  try {
+    created = await apiClient.graphiti.addEpisode({
+      name: name.text || undefined,
+      content: content.text,
+      source: episode.source || 'text',
+      source_description: source_description || undefined,
+      plan_id: plan_id || undefined,
+      node_id: node_id || undefined,
+      metadata: { ...(episode.metadata || {}), curation: record },
+    });
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Failed to write the redacted episode (original unchanged): ${apiErrorMessage(err)}`);
+  }
+  const redactedId = newEpisodeId(created);
+
+  const failures = [];
+  try {
+    await apiClient.graphiti.deleteEpisode(episode_id);
+  } catch (err) {
+    failures.push({ step: 'delete_original', error: apiErrorMessage(err) });
+  }
+  const audit = await recordCuration(apiClient, {
+    episodes: [episode],
+    curation: record,
+    summary: `redacted episode ${episode_id} (${record.redactions} occurrence(s)) as ${redactedId}.`,
+  });
+
+  return formatResponse({
+    as_of: asOf(),
+    action: 'redact',
+    episode_id: redactedId,
+    replaces: episode_id,
+    redactions: record.redactions,
+    original_deleted: failures.length === 0,
+    reason: curation.reason,
+    audit,
+    failures,
+    ...(failures.length ? { next_step: `Retry curate_knowledge({action: 'delete', episode_id: '${episode_id}'}) — the unredacted original is still there.` } : {}),
+  });
+}
+
+async function supersedeKnowledgeEpisodes(args, apiClient, byId, curation) {
+  const { content, scope = {} } = args;
+  const ids = [...new Set([...safeArray(args.episode_ids), ...(args.episode_id ? [args.episode_id] : [])])];
+  if (!ids.length) return errorResponse('invalid_arg', 'supersede needs episode_ids: the episodes the correction replaces');
+  if (!content || !String(content).trim()) return errorResponse('invalid_arg', 'supersede needs content: the corrected knowledge');
+
+  const originals = ids.map((id) => byId.get(id)).filter(Boolean);
+  const first = originals[0] ? episodeEntry(originals[0]) : {};
+  const record = { ...curation, supersedes: ids };
+  let created;
+  try {
+    created = await apiClient.graphiti.addEpisode({
+      name: content.slice(0, 80),
+      content,
+      source: 'text',
+      source_description: CURATION_SOURCE,
+      plan_id: scope.plan_id || first.plan_id || undefined,
+      node_id: scope.node_id || first.node_id || undefined,
+      metadata: {
+        entry_type: first.entry_type || 'fact',
+        source_description: CURATION_SOURCE,
+        agent_id: curation.agent_id,
+        curation: record,
+      },
+    });
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Failed to record the correction: ${apiErrorMessage(err)}`);
+  }
+  const correctionId = newEpisodeId(created);
+
+  const audit = await recordCuration(apiClient, {
+    episodes: originals,
+    curation: record,
+    summary: `episode(s) ${ids.join(', ')} superseded by ${correctionId}.`,
+  });
+  const unknown = ids.filter((id) => !byId.has(id));
+  return formatResponse({
+    as_of: asOf(),
+    action: 'supersede',
+    episode_id: correctionId,
+    supersedes: ids,
+    reason: curation.reason,
+    coherence_warnings: created?.coherence_warnings || [],
+    audit,
+    note: `recall_knowledge applies this correction while it is among the ${EPISODE_SCAN} most recent episodes; after that the superseded facts read as current again.`,
+    ...(unknown.length
+      ? { warnings: [`Not among the ${EPISODE_SCAN} most recent episodes: ${unknown.join(', ')}. Recorded as superseded anyway.`] }
+      : {}),
+  });
+}
+
+async function curateKnowledgeHandler(args, apiClient) {
+  const { action, reason } = args;
+  if (!CURATE_ACTIONS.includes(action)) {
+    return errorResponse('invalid_arg', `action must be one of ${CURATE_ACTIONS.join(', ')}`);
+  }
+  if (action === 'list') return listEpisodes(args, apiClient);
+  if (!reason || !String(reason).trim()) {
+    return errorResponse('invalid_arg', `${action} needs a reason — it is logged with the change`);
+  }
+
+  // delete only reads the episodes to find the task to log on, so it goes
+  // ahead without them; redact and supersede need the originals
+  let episodes;
+  const readWarnings = [];
+  try {
+    episodes = await loadEpisodes(apiClient);
+  } catch (err) {
+    if (action !== 'delete') return errorResponse('upstream_unavailable', `Failed to read episodes: ${apiErrorMessage(err)}`);
+    episodes = [];
+    readWarnings.push(`Could not read episodes, so the delete isn't logged on a task: ${apiErrorMessage(err)}`);
+  }
+  const byId = new Map(episodes.map((e) => [episodeId(e), e]));
+  const curation = { action, reason, agent_id: resolveAgentId(args, apiClient), at: asOf() };
+
+  if (action === 'delete') return deleteKnowledgeEpisode(args, apiClient, byId, curation, readWarnings);
+  if (action === 'redact') return redactKnowledgeEpisode(args, apiClient, byId, curation);
+  return supersedeKnowledgeEpisodes(args, apiClient, byId, curation);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// import_knowledge — replay an export_knowledge JSONL dump. See
+// src/knowledge-transfer.js.
+// ─────────────────────────────────────────────────────────────────────────
+
+const importKnowledgeDefinition = {
+  name: 'import_knowledge',
+  description:
+    "Replay knowledge episodes from export_knowledge's JSONL (e.g. staging → production, " +
+    "or into a new workspace) through add_learning's write path. Scope ids are remapped " +
+    "with `remap` first — ids it doesn't cover fail the import unless keep_unmapped or " +
+    "drop_unmapped says what to do with them; lines whose content is already in the graph (among its most " +
+    `recent ${TRANSFER_SCAN} episodes — see dedupe_scan), or earlier in the file, are ` +
+    "skipped as duplicates. Pass dry_run=true to see what would be written.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      content: { type: 'string', description: 'The JSONL export' },
+      remap: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        description: "Old id → new id, applied to every plan_id / goal_id / node_id in the file",
+      },
+      keep_unmapped: {
+        type: 'boolean',
+        default: false,
+        description: 'Keep scope ids not in remap as they are (they exist on this instance too). Without this or drop_unmapped, an unmapped id fails the import.',
+      },
+      drop_unmapped: {
+        type: 'boolean',
+        default: false,
+        description: "Drop scope ids not in remap (they don't exist on this instance)",
+      },
+      dry_run: { type: 'boolean', default: false },
+      agent_id: agentIdProperty,
+    },
+    required: ['content'],
+  },
+};
+
+async function importKnowledgeHandler(args, apiClient) {
+  const { content, remap = {}, keep_unmapped = false, drop_unmapped = false, dry_run = false } = args;
+  if (remap === null || typeof remap !== 'object' || Array.isArray(remap)) {
+    return errorResponse('invalid_arg', 'remap must be an object of old id → new id');
+  }
+
+  let parsed;
+  try {
+    parsed = parseKnowledgeJsonl(content);
+  } catch (err) {
+    if (err.code === 'import_invalid') return errorResponse('invalid_arg', err.message);
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await importKnowledge(apiClient, parsed.records, {
+      remap,
+      keep_unmapped,
+      drop_unmapped,
+      dry_run,
+      agent_id: resolveAgentId(args, apiClient),
+    });
+  } catch (err) {
+    if (err.code === 'import_invalid') return errorResponse('invalid_arg', err.message);
+    throw err;
+  }
+  const warnings = [...parsed.warnings, ...result.warnings];
+  return formatResponse({
+    as_of: asOf(),
+    ...(dry_run ? { dry_run: true } : {}),
+    lines_parsed: parsed.records.length,
+    imported: result.imported,
+    duplicates: result.duplicates,
+    failures: result.failures,
+    summary: {
+      imported: result.imported.length,
+      duplicates: result.duplicates.length,
+      failed: result.failures.length,
+    },
+    dedupe_scan: result.dedupe_scan,
+    ...(warnings.length ? { warnings } : {}),
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // form_intention — create plan + initial tree atomically (v1.0).
 // ─────────────────────────────────────────────────────────────────────────
@@ -757,6 +1674,19 @@ async function addLearningHandler(args, apiClient) {
 const VALID_NODE_TYPES = ['phase', 'task', 'milestone'];
 const VALID_TASK_MODES = ['free', 'research', 'plan', 'implement'];
 
+const dryRunProperty = {
+  type: 'boolean',
+  default: false,
+  description: "If true, apply nothing and return a `preview` of the nodes, edges and goal links this call would change.",
+};
+
+const recurrenceProperty = {
+  type: 'string',
+  description: "Tasks only. RRULE-style rule, e.g. 'FREQ=WEEKLY;BYDAY=MO' or 'FREQ=MONTHLY;BYMONTHDAY=1' " +
+    "(also INTERVAL, COUNT, UNTIL=YYYYMMDD). The task is due on the first matching date; completing it " +
+    "with update_task creates the next instance in the same parent, due on the next date.",
+};
+
 function validateTreeShape(tree, depth = 0) {
   if (!Array.isArray(tree)) {
     return 'tree must be an array';
@@ -770,6 +1700,15 @@ function validateTreeShape(tree, depth = 0) {
     if (node.task_mode && !VALID_TASK_MODES.includes(node.task_mode)) {
       return `invalid task_mode "${node.task_mode}"`;
     }
+    if (node.estimate !== undefined) {
+      const estimateError = validateEstimate(node.estimate);
+      if (estimateError) return `"${node.title}": ${estimateError}`;
+    }
+    if (node.recurrence !== undefined) {
+      if ((node.node_type || 'task') !== 'task') return `"${node.title}": only tasks can recur`;
+      const recurrenceError = validateRecurrence(node.recurrence);
+      if (recurrenceError) return `"${node.title}": ${recurrenceError}`;
+    }
     if (node.children) {
       const err = validateTreeShape(node.children, depth + 1);
       if (err) return err;
@@ -778,6 +1717,32 @@ function validateTreeShape(tree, depth = 0) {
   return null;
 }
 
+// Node metadata (and due date) for a tree item's estimate and recurrence —
+// extra fields the node create schema doesn't take.
+function nodeExtras(item) {
+  const extras = { metadata: null, due_date: null };
+  if (item.estimate) extras.metadata = { estimate: normalizeEstimate(item.estimate) };
+  if (item.recurrence) {
+    const series = startSeries(item.recurrence);
+    extras.metadata = { ...(extras.metadata || {}), recurrence: series.recurrence };
+    extras.due_date = series.due_date;
+  }
+  return extras;
+}
+
+// The facade stores node fields it knows about; estimate and recurrence
+// travel as metadata and due_date, the same way createSubtree sends them.
+function facadeTree(tree) {
+  return tree.map(({ estimate, recurrence, children, ...node }) => {
+    const converted = { ...node };
+    const extras = nodeExtras({ estimate, recurrence });
+    if (extras.metadata) converted.metadata = { ...(node.metadata || {}), ...extras.metadata };
+    if (extras.due_date) converted.due_date = extras.due_date;
+    if (Array.isArray(children)) converted.children = facadeTree(children);
+    return converted;
+  });
+}
+
 // Count every node in a returned tree, recursing through `children`. The facade
 // response's `tree` is the array of top-level nodes; `tree.length` alone counts
 // only those (e.g. 2 phases) and contradicts structure.task_count, so report
@@ -830,6 +1795,8 @@ const formIntentionDefinition = {
             description: { type: 'string' },
             task_mode: { type: 'string', enum: VALID_TASK_MODES, default: 'free' },
             agent_instructions: { type: 'string' },
+            estimate: estimateProperty,
+            recurrence: recurrenceProperty,
             ref: { type: 'string', description: "Optional stable key so other nodes can reference this one in depends_on. Falls back to title if omitted." },
             depends_on: {
               type: 'array',
@@ -841,6 +1808,7 @@ const formIntentionDefinition = {
           required: ['title'],
         },
       },
+      dry_run: dryRunProperty,
     },
     required: ['goal_id', 'title', 'rationale'],
   },
@@ -861,6 +1829,9 @@ async function createSubtree(apiClient, planId, parentId, children, results, ctx
       };
       if (parentId) payload.parent_id = parentId;
       if (child.agent_instructions) payload.agent_instructions = child.agent_instructions;
+      const extras = nodeExtras(child);
+      if (extras.metadata) payload.metadata = extras.metadata;
+      if (extras.due_date) payload.due_date = extras.due_date;
 
       const resp = await apiClient.nodes.createNode(planId, payload);
       // createNode returns { result, created } — unwrap.
@@ -887,9 +1858,52 @@ async function createSubtree(apiClient, planId, parentId, children, results, ctx
   }
 }
 
+// Dry run: the nodes, blocks edges and goal links form_intention would create.
+async function previewFormIntention(args, apiClient) {
+  const { goal_id, title, status = 'active', visibility = 'private', tree = [] } = args;
+
+  const treeError = validateTreeShape(tree);
+  if (treeError) {
+    return errorResponse('tree_shape_invalid', treeError);
+  }
+
+  const warnings = [];
+  try {
+    await apiClient.goals.get(goal_id);
+  } catch (err) {
+    warnings.push(`Goal ${goal_id} not found or not accessible: ${err.message}`);
+  }
+
+  const preview = { ...emptyPreview(), ...previewTree(tree, null) };
+  const tasks = preview.nodes_to_create.filter((n) => n.node_type === 'task' || n.node_type === 'milestone');
+  // Linking happens after the tree exists, so every new task becomes an achiever.
+  preview.goal_links = [
+    { goal_id, action: 'link_plan', plan_id: null },
+    ...tasks.map((n) => ({ goal_id, action: 'add_achiever', node_id: n.preview_id })),
+  ];
+
+  const fields = {
+    goal_id,
+    plan: { title, status, visibility },
+    structure: {
+      task_count: tasks.length,
+      dependency_edges: preview.edges_to_add.length,
+      created_without_dependencies: tasks.length >= 2 && preview.edges_to_add.length === 0,
+    },
+  };
+  if (fields.structure.created_without_dependencies) {
+    fields.warning = `Plan would have ${tasks.length} tasks but no dependency edges — execution order is implicit only.`;
+  }
+  return previewResponse(fields, preview, warnings);
+}
+
 async function formIntentionHandler(args, apiClient) {
   const { goal_id, title, description, rationale, status = 'active', visibility = 'private', tree = [] } = args;
 
+  if (args.dry_run) {
+    return previewFormIntention(args, apiClient);
+  }
+
   if (apiClient.agentLoop?.createIntention) {
     const treeError = validateTreeShape(tree);
     if (treeError) {
@@ -903,7 +1917,7 @@ async function formIntentionHandler(args, apiClient) {
         rationale,
         status,
         visibility,
-        tree,
+        tree: facadeTree(tree),
         client_version: CLIENT_TAG,
       });
       const facadePlanId = result.plan?.id || result.plan_id;
@@ -1045,38 +2059,118 @@ async function formIntentionHandler(args, apiClient) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────
-// extend_intention — add children under an existing parent (v1.0).
-// Lightweight — does not go through the decision queue.
+// import_plan — Markdown / YAML / JSON source → form_intention.
 // ─────────────────────────────────────────────────────────────────────────
 
-const extendIntentionDefinition = {
-  name: 'extend_intention',
+const importPlanDefinition = {
+  name: 'import_plan',
   description:
-    "Add children under an existing phase or task. Use when an agent has " +
-    "implicit authority to decompose work (e.g., a parent task they have " +
-    "claimed). For high-stakes structural proposals, use queue_decision " +
-    "with proposed_subtasks instead. Defaults to status='active'.",
+    "Create a plan from an existing document instead of hand-translating it " +
+    "into a form_intention tree. Parses a Markdown outline (`# Title`, `##` " +
+    "phases, `- [ ]` tasks, `Blocked by:` / `Acceptance criteria:` sub-bullets, " +
+    "`{#ref}` ids — the shape export_plan writes), YAML or JSON " +
+    "(`{title, tree: [{title, ref, depends_on, children, ...}]}`) into the same " +
+    "tree + ref/depends_on structure, then creates it through form_intention — " +
+    "same edges, same `created_without_dependencies` warning. Pass dry_run=true " +
+    "to see the parsed tree without creating anything.",
   inputSchema: {
     type: 'object',
     properties: {
-      parent_id: { type: 'string', description: "Phase or task to add children under." },
-      plan_id: { type: 'string', description: "Plan that owns the parent (auto-resolved if omitted)." },
-      rationale: { type: 'string', description: "Why these children. Stored in metadata for audit." },
-      children: {
-        type: 'array',
-        items: {
-          type: 'object',
-          properties: {
-            node_type: { type: 'string', enum: VALID_NODE_TYPES, default: 'task' },
-            title: { type: 'string' },
-            description: { type: 'string' },
-            task_mode: { type: 'string', enum: VALID_TASK_MODES, default: 'free' },
-            agent_instructions: { type: 'string' },
-            children: { type: 'array' },
-          },
-          required: ['title'],
-        },
-      },
+      content: { type: 'string', description: 'The Markdown, YAML or JSON source' },
+      format: { type: 'string', enum: IMPORT_FORMATS, description: 'Detected from the content when omitted' },
+      goal_id: { type: 'string', description: 'Goal the plan serves. Overrides a goal_id in the source.' },
+      title: { type: 'string', description: "Plan title. Defaults to the source's `# Title` / `title`." },
+      rationale: { type: 'string', description: 'Why this plan. Defaults to the source rationale, else an import note.' },
+      status: { type: 'string', enum: ['draft', 'active'], default: 'active' },
+      visibility: { type: 'string', enum: ['private', 'unlisted', 'public'], default: 'private' },
+      dry_run: { type: 'boolean', default: false },
+    },
+    required: ['content'],
+  },
+};
+
+async function importPlanHandler(args, apiClient) {
+  const { content, format, status = 'active', visibility = 'private', dry_run = false } = args;
+
+  let parsed;
+  try {
+    parsed = parsePlanSource(content, { format });
+  } catch (err) {
+    if (err.code === 'import_invalid') return errorResponse('invalid_arg', err.message);
+    throw err;
+  }
+
+  const goalId = args.goal_id || parsed.goal_id;
+  const title = args.title || parsed.title;
+  const rationale = args.rationale || parsed.rationale || `Imported from ${parsed.format}`;
+  const imported = { format: parsed.format, nodes_parsed: parsed.node_count };
+  if (parsed.warnings.length) imported.parse_warnings = parsed.warnings;
+
+  if (dry_run) {
+    return formatResponse({
+      as_of: asOf(),
+      dry_run: true,
+      goal_id: goalId || null,
+      title: title || null,
+      description: parsed.description,
+      tree: parsed.tree,
+      import: imported,
+    });
+  }
+
+  if (!goalId) return errorResponse('invalid_arg', 'import_plan requires goal_id (argument or in the source)');
+  if (!title) return errorResponse('invalid_arg', 'import_plan requires a title (argument, `# Title` or `title:`)');
+
+  const created = await formIntentionHandler({
+    goal_id: goalId,
+    title,
+    description: parsed.description || undefined,
+    rationale,
+    status,
+    visibility,
+    tree: parsed.tree,
+  }, apiClient);
+  if (created.isError) return created;
+
+  return formatResponse({ ...JSON.parse(created.content[0].text), import: imported });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// extend_intention — add children under an existing parent (v1.0).
+// Lightweight — does not go through the decision queue.
+// ─────────────────────────────────────────────────────────────────────────
+
+const extendIntentionDefinition = {
+  name: 'extend_intention',
+  description:
+    "Add children under an existing phase or task. Use when an agent has " +
+    "implicit authority to decompose work (e.g., a parent task they have " +
+    "claimed). For high-stakes structural proposals, use queue_decision " +
+    "with proposed_subtasks instead. Defaults to status='active'.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      parent_id: { type: 'string', description: "Phase or task to add children under." },
+      plan_id: { type: 'string', description: "Plan that owns the parent (auto-resolved if omitted)." },
+      rationale: { type: 'string', description: "Why these children. Stored in metadata for audit." },
+      children: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            node_type: { type: 'string', enum: VALID_NODE_TYPES, default: 'task' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            task_mode: { type: 'string', enum: VALID_TASK_MODES, default: 'free' },
+            agent_instructions: { type: 'string' },
+            estimate: estimateProperty,
+            recurrence: recurrenceProperty,
+            children: { type: 'array' },
+          },
+          required: ['title'],
+        },
+      },
+      dry_run: dryRunProperty,
     },
     required: ['parent_id', 'rationale', 'children'],
   },
@@ -1101,6 +2195,13 @@ async function extendIntentionHandler(args, apiClient) {
     return errorResponse('tree_shape_invalid', treeError);
   }
 
+  if (args.dry_run) {
+    // extend_intention doesn't wire depends_on, so only the nodes are previewed.
+    const preview = emptyPreview();
+    preview.nodes_to_create = previewTree(children, parent_id).nodes_to_create;
+    return previewResponse({ plan_id, parent_id, rationale }, preview);
+  }
+
   const nodeResults = [];
   await createSubtree(apiClient, plan_id, parent_id, children, nodeResults);
 
@@ -1243,8 +2344,9 @@ const linkIntentionsDefinition = {
   description:
     "Create a dependency edge between two existing tasks. Use to express " +
     "discovered ordering constraints (e.g., agent realizes task B requires " +
-    "task A's output). Server rejects cycles. Both tasks must be in the " +
-    "same plan.",
+    "task A's output). Server rejects cycles. Tasks in different plans need " +
+    "cross_plan=true (programme-level ordering); for blockers outside " +
+    "AgentPlanner use add_external_dependency.",
   inputSchema: {
     type: 'object',
     properties: {
@@ -1252,13 +2354,18 @@ const linkIntentionsDefinition = {
       to_task_id: { type: 'string' },
       relation: { type: 'string', enum: VALID_RELATIONS, default: 'blocks' },
       rationale: { type: 'string', description: "Why this link. Stored in dependency metadata." },
+      cross_plan: {
+        type: 'boolean',
+        default: false,
+        description: "Allow an edge between tasks in different plans. Off by default so a mistyped task id can't silently couple two plans.",
+      },
     },
     required: ['from_task_id', 'to_task_id', 'rationale'],
   },
 };
 
 async function linkIntentionsHandler(args, apiClient) {
-  const { from_task_id, to_task_id, relation = 'blocks', rationale } = args;
+  const { from_task_id, to_task_id, relation = 'blocks', rationale, cross_plan = false } = args;
 
   if (from_task_id === to_task_id) {
     return errorResponse('invalid_argument', 'from_task_id and to_task_id must differ');
@@ -1281,7 +2388,34 @@ async function linkIntentionsHandler(args, apiClient) {
   }
 
   if (fromPlan !== toPlan) {
-    return errorResponse('cross_plan_unsupported', `Both tasks must be in the same plan (from: ${fromPlan}, to: ${toPlan}). Cross-plan links require a separate API.`);
+    if (!cross_plan) {
+      return errorResponse('cross_plan_unconfirmed', `Tasks are in different plans (from: ${fromPlan}, to: ${toPlan}). Pass cross_plan=true to create a cross-plan edge.`);
+    }
+    try {
+      const dep = await apiClient.dependencies.createCrossPlan({
+        source_node_id: from_task_id,
+        target_node_id: to_task_id,
+        dependency_type: relation,
+        metadata: { rationale },
+      });
+      return formatResponse({
+        as_of: asOf(),
+        dependency_id: dep?.id || dep?.dependency?.id || null,
+        plan_id: fromPlan,
+        to_plan_id: toPlan,
+        cross_plan: true,
+        from_task_id,
+        to_task_id,
+        relation,
+      });
+    } catch (err) {
+      const status = err.response?.status;
+      const upstream = err.response?.data?.error || err.message;
+      if (status === 409) {
+        return errorResponse('cycle_detected', `Edge rejected — would create a cycle: ${upstream}`);
+      }
+      return errorResponse('create_failed', `Failed to create cross-plan dependency: ${upstream}`);
+    }
   }
 
   try {
@@ -1310,6 +2444,75 @@ async function linkIntentionsHandler(args, apiClient) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// add_external_dependency — a blocker that lives outside AgentPlanner.
+// ─────────────────────────────────────────────────────────────────────────
+
+const addExternalDependencyDefinition = {
+  name: 'add_external_dependency',
+  description:
+    "Record something outside AgentPlanner that blocks a task — a vendor API " +
+    "key, another team's release, a legal sign-off. Creates an external " +
+    "dependency node plus a `blocks` edge to the task, so plan_analysis " +
+    "(critical_path, bottlenecks) and suggest/claim ordering account for it. " +
+    "Mark it done with update_task(status='completed') on the returned node.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      task_id: { type: 'string', description: 'Task that is blocked' },
+      title: { type: 'string', description: "What we're waiting on, e.g. 'Vendor API key'" },
+      description: { type: 'string' },
+      owner: { type: 'string', description: 'Who outside the plan delivers it (person, team, vendor)' },
+      url: { type: 'string', description: 'Ticket / thread tracking it' },
+      expected_by: { type: 'string', description: 'ISO date it is expected' },
+      rationale: { type: 'string', description: 'Why the task is blocked on it' },
+    },
+    required: ['task_id', 'title'],
+  },
+};
+
+async function addExternalDependencyHandler(args, apiClient) {
+  const { task_id, title, description, owner, url, expected_by, rationale } = args;
+  if (!title || !String(title).trim()) {
+    return errorResponse('invalid_arg', 'add_external_dependency requires a title');
+  }
+
+  let planId;
+  try {
+    const node = await apiClient.axiosInstance.get(`/nodes/${task_id}`).then((r) => r.data);
+    planId = node.plan_id || node.planId;
+  } catch (err) {
+    return errorResponse('not_found', `task ${task_id} not found: ${err.message}`);
+  }
+
+  try {
+    const created = await apiClient.dependencies.createExternal({
+      plan_id: planId,
+      title,
+      description,
+      target_node_id: task_id,
+      dependency_type: 'blocks',
+      metadata: {
+        owner: owner || null,
+        url: url || null,
+        expected_by: expected_by || null,
+        rationale: rationale || null,
+      },
+    });
+    return formatResponse({
+      as_of: asOf(),
+      external_node_id: created?.node?.id || created?.external_node?.id || created?.id || null,
+      dependency_id: created?.dependency?.id || created?.dependency_id || null,
+      plan_id: planId,
+      blocks_task_id: task_id,
+      title,
+      expected_by: expected_by || null,
+    });
+  } catch (err) {
+    return errorResponse('create_failed', `Failed to create external dependency: ${apiErrorMessage(err)}`);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // unlink_intentions — remove a dependency edge (v1.0).
 // ─────────────────────────────────────────────────────────────────────────
@@ -1450,7 +2653,7 @@ const updateNodeDefinition = {
   name: 'update_node',
   description:
     "Edit any node property atomically: title, description, node_type, " +
-    "task_mode, agent_instructions, metadata. Status transitions belong " +
+    "task_mode, agent_instructions, metadata, estimate. Status transitions belong " +
     "on update_task (which handles claim/log side effects). Rejects " +
     "node_type changes when the node has children.",
   inputSchema: {
@@ -1464,15 +2667,25 @@ const updateNodeDefinition = {
       task_mode: { type: 'string', enum: VALID_TASK_MODES },
       agent_instructions: { type: 'string' },
       metadata: { type: 'object' },
+      estimate: {
+        ...estimateProperty,
+        type: ['object', 'null'],
+        description: `${estimateProperty.description} Stored in metadata.estimate alongside the node's other metadata; null clears it.`,
+      },
     },
     required: ['node_id'],
   },
 };
 
 async function updateNodeHandler(args, apiClient) {
-  const { node_id, title, description, node_type, task_mode, agent_instructions, metadata } = args;
+  const { node_id, title, description, node_type, task_mode, agent_instructions, metadata, estimate } = args;
   let { plan_id } = args;
 
+  if (estimate != null) {
+    const estimateError = validateEstimate(estimate);
+    if (estimateError) return errorResponse('invalid_arg', estimateError);
+  }
+
   if (!plan_id) {
     try {
       const node = await apiClient.axiosInstance.get(`/nodes/${node_id}`).then((r) => r.data);
@@ -1490,17 +2703,34 @@ async function updateNodeHandler(args, apiClient) {
   if (agent_instructions !== undefined) payload.agent_instructions = agent_instructions;
   if (metadata !== undefined) payload.metadata = metadata;
 
-  if (!Object.keys(payload).length) {
+  if (!Object.keys(payload).length && estimate === undefined) {
     return errorResponse('no_changes', 'At least one field to update must be provided.');
   }
 
+  if (estimate !== undefined) {
+    // The update replaces metadata wholesale, so merge into what's there
+    // unless the caller sent the full metadata themselves.
+    let base = metadata;
+    if (base === undefined) {
+      try {
+        const current = await apiClient.nodes.getNode(plan_id, node_id);
+        base = (current.result || current)?.metadata || {};
+      } catch (err) {
+        return errorResponse('not_found', `Could not read node ${node_id}: ${err.response?.data?.error || err.message}`);
+      }
+    }
+    payload.metadata = { ...(base || {}), estimate: estimate ? normalizeEstimate(estimate) : null };
+  }
+
   try {
     const updated = await apiClient.nodes.updateNode(plan_id, node_id, payload);
     return formatResponse({
       as_of: asOf(),
       plan_id,
       node_id,
-      applied_changes: Object.keys(payload),
+      applied_changes: estimate !== undefined && metadata === undefined
+        ? [...Object.keys(payload).filter((k) => k !== 'metadata'), 'estimate']
+        : Object.keys(payload),
       node: updated.result || updated,
     });
   } catch (err) {
@@ -1525,6 +2755,7 @@ const moveNodeDefinition = {
       new_parent_id: { type: 'string' },
       plan_id: { type: 'string', description: "Auto-resolved if omitted." },
       position: { type: 'integer', description: "Optional order_index among siblings." },
+      dry_run: dryRunProperty,
     },
     required: ['node_id', 'new_parent_id'],
   },
@@ -1543,6 +2774,10 @@ async function moveNodeHandler(args, apiClient) {
     }
   }
 
+  if (args.dry_run) {
+    return previewMoveNode({ plan_id, node_id, new_parent_id, position }, apiClient);
+  }
+
   const payload = { parent_id: new_parent_id };
   if (typeof position === 'number') payload.order_index = position;
 
@@ -1565,22 +2800,59 @@ async function moveNodeHandler(args, apiClient) {
   }
 }
 
+// Dry run: the subtree that would move, or why the server would reject it.
+async function previewMoveNode({ plan_id, node_id, new_parent_id, position }, apiClient) {
+  let index;
+  try {
+    index = await loadPlanIndex(apiClient, plan_id);
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id} to preview the move: ${apiErrorMessage(err)}`);
+  }
+
+  const preview = emptyPreview();
+  const warnings = [];
+  const node = index.get(node_id);
+  const subtree = subtreeIds(index, node_id);
+
+  if (!node) {
+    warnings.push(`Node ${node_id} not found in plan ${plan_id}`);
+  } else if (!index.has(new_parent_id)) {
+    warnings.push(`New parent ${new_parent_id} not found in plan ${plan_id} (moves stay within one plan)`);
+  } else if (subtree.includes(new_parent_id)) {
+    preview.edges_rejected.push({ from: new_parent_id, to: node_id, type: 'parent', reason: 'cycle' });
+    warnings.push(`Cannot move ${node_id} under ${new_parent_id}: the new parent is inside the subtree being moved`);
+  } else {
+    preview.nodes_to_move.push({
+      id: node_id,
+      title: node.title,
+      from_parent_id: node.parent_id,
+      to_parent_id: new_parent_id,
+      position: position ?? null,
+      subtree_size: subtree.length,
+      noop: node.parent_id === new_parent_id && typeof position !== 'number',
+    });
+  }
+
+  return previewResponse({ plan_id, node_id, new_parent_id, position: position ?? null }, preview, warnings);
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // delete_plan / delete_node — soft delete via status='archived' (v1.0).
-// Hard delete stays REST-only with admin auth.
+// Hard delete stays REST-only with admin auth. Both stamp an archive record
+// (see _archive.js) so restore can put things back exactly.
 // ─────────────────────────────────────────────────────────────────────────
 
 const deletePlanDefinition = {
   name: 'delete_plan',
   description:
     "Soft-delete a plan by setting status='archived'. Recoverable via " +
-    "update_plan({status: 'active', restore: true}). Hard delete is not " +
+    "restore({plan_id}), which puts back the status it had. Hard delete is not " +
     "agent-callable — use REST + admin token if absolutely needed.",
   inputSchema: {
     type: 'object',
     properties: {
       plan_id: { type: 'string' },
-      reason: { type: 'string', description: "Logged for audit." },
+      reason: { type: 'string', description: "Logged for audit; list_archived can filter by it." },
     },
     required: ['plan_id'],
   },
@@ -1589,14 +2861,37 @@ const deletePlanDefinition = {
 async function deletePlanHandler(args, apiClient) {
   const { plan_id, reason } = args;
 
+  // Read first so restore knows which status to put back
+  let current = null;
+  try { current = await apiClient.plans.getPlan(plan_id); } catch {}
+
+  if (current?.status === 'archived') {
+    return formatResponse({
+      as_of: asOf(),
+      plan_id,
+      archived: true,
+      already_archived: true,
+      reason: archiveRecord(current)?.reason ?? null,
+      next_step: `Plan was already archived. To restore: restore({plan_id: '${plan_id}'})`,
+    });
+  }
+
+  const record = {
+    archived_at: asOf(),
+    reason: reason || null,
+    previous_status: current?.status || null,
+    cascade_root: plan_id,
+  };
+
   try {
-    await apiClient.plans.updatePlan(plan_id, { status: 'archived' });
+    // Plan metadata is shallow-merged server-side, so only the record is sent
+    await apiClient.plans.updatePlan(plan_id, { status: 'archived', metadata: { archive: record } });
     return formatResponse({
       as_of: asOf(),
       plan_id,
       archived: true,
       reason: reason || null,
-      next_step: "Plan archived. To restore: update_plan({plan_id, status: 'active', restore: true})",
+      next_step: `Plan archived. To restore: restore({plan_id: '${plan_id}'})`,
     });
   } catch (err) {
     return errorResponse('archive_failed', `Failed to archive plan: ${err.response?.data?.error || err.message}`);
@@ -1607,26 +2902,25 @@ const deleteNodeDefinition = {
   name: 'delete_node',
   description:
     "Soft-delete a node by setting status='archived'. Cascades to children " +
-    "by default. Recoverable via update_task({status: 'not_started'}).",
+    "by default. Recoverable via restore({node_id}), which brings back the " +
+    "whole cascade with each node's previous status. " +
+    "Pass dry_run=true to list every node that would be archived first.",
   inputSchema: {
     type: 'object',
     properties: {
       node_id: { type: 'string' },
       plan_id: { type: 'string', description: "Auto-resolved if omitted." },
-      reason: { type: 'string' },
+      reason: { type: 'string', description: "Logged for audit; list_archived can filter by it." },
       cascade_children: { type: 'boolean', default: true },
+      dry_run: dryRunProperty,
     },
     required: ['node_id'],
   },
 };
 
 async function deleteNodeHandler(args, apiClient) {
-  const { node_id, reason } = args;
+  const { node_id, reason, cascade_children = true, dry_run = false } = args;
   let { plan_id } = args;
-  // cascade_children is intentionally ignored at the MCP layer for now —
-  // backend cascade behavior on archived status is implicit (children remain
-  // accessible until explicitly archived themselves). When backend gains
-  // explicit cascade-on-archive, surface it here.
 
   if (!plan_id) {
     try {
@@ -1637,18 +2931,827 @@ async function deleteNodeHandler(args, apiClient) {
     }
   }
 
+  // cascade_children used to be left to the backend, but archiving a row there
+  // leaves its children live, and a status flip forgets what each node was
+  // before. restore needs both, so the cascade is walked here: the node, then
+  // every descendant that isn't archived already, each written with its own
+  // archive record. The tree is loaded even without a cascade, for the
+  // statuses the record keeps and the metadata it is written alongside.
+  let targets = [{ id: node_id }];
+  let cascadeWarning = null;
+  let found = true;
+  try {
+    const index = await loadPlanIndex(apiClient, plan_id, { details: true });
+    found = index.has(node_id);
+    const ids = cascade_children ? subtreeIds(index, node_id) : [node_id];
+    if (found) {
+      targets = ids
+        .map((id) => index.get(id))
+        .filter((n) => n.id === node_id || n.status !== 'archived');
+    }
+  } catch (err) {
+    cascadeWarning = cascade_children
+      ? `Could not load the subtree; only ${node_id} is covered and restore won't know its previous status: ${apiErrorMessage(err)}`
+      : `Could not load ${node_id}; restore won't know its previous status: ${apiErrorMessage(err)}`;
+  }
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    const warnings = cascadeWarning ? [cascadeWarning] : [];
+    if (found) {
+      preview.nodes_to_archive = targets.map(({ id, title = null, node_type = null, status = null }) => ({ id, title, node_type, status }));
+    } else {
+      warnings.push(`Node ${node_id} not found in plan ${plan_id}`);
+    }
+    return previewResponse({ plan_id, node_id, cascade_children, reason: reason || null }, preview, warnings);
+  }
+
+  // A cascade is a bulk mutation: snapshot the plan first
+  const snapshotId = targets.length > 1 ? await autoSnapshot(apiClient, plan_id, 'delete_node') : null;
+
+  const archivedAtIso = asOf();
+  const archivePayload = (target) => {
+    // Without the node's current metadata a write could clobber it — archive the status only
+    if (!target.metadata) return { status: 'archived' };
+    const previous = target.status === 'archived'
+      ? archiveRecord(target)?.previous_status ?? null
+      : target.status;
+    return {
+      status: 'archived',
+      metadata: archivedMetadata(target.metadata, {
+        archived_at: archivedAtIso,
+        reason: reason || null,
+        previous_status: previous,
+        cascade_root: node_id,
+      }),
+    };
+  };
+
+  try {
+    await apiClient.nodes.updateNode(plan_id, node_id, archivePayload(targets[0]));
+  } catch (err) {
+    return errorResponse('archive_failed', `Failed to archive node: ${err.response?.data?.error || err.message}`);
+  }
+
+  const failures = [];
+  for (const target of targets.slice(1)) {
+    try {
+      await apiClient.nodes.updateNode(plan_id, target.id, archivePayload(target));
+    } catch (err) {
+      failures.push({ node_id: target.id, error: apiErrorMessage(err) });
+    }
+  }
+
+  const response = {
+    as_of: asOf(),
+    plan_id,
+    node_id,
+    archived: true,
+    archived_node_ids: targets.map((t) => t.id).filter((id) => !failures.some((f) => f.node_id === id)),
+    reason: reason || null,
+    next_step: `To restore: restore({node_id: '${node_id}'})`,
+  };
+  if (snapshotId) response.snapshot_id = snapshotId;
+  if (failures.length) response.failures = failures;
+  if (cascadeWarning) response.warning = cascadeWarning;
+  return formatResponse(response);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// restore — undo delete_plan / delete_node in one call.
+// A node comes back with everything archived in the same cascade, each with
+// the status it had before. list_archived finds what to restore.
+// ─────────────────────────────────────────────────────────────────────────
+
+const VALID_RESTORE_STATUSES = ['not_started', 'in_progress', 'completed', 'blocked', 'plan_ready'];
+
+const restoreDefinition = {
+  name: 'restore',
+  description:
+    "Restore an archived plan (plan_id) or node (node_id). A node is restored " +
+    "together with every descendant archived in the same delete_node cascade, " +
+    "each back to its pre-archive status; descendants archived separately " +
+    "stay archived. Use list_archived to find candidates. Pass dry_run=true " +
+    "to see what would come back first.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      plan_id: { type: 'string', description: "Plan to restore, or the node's plan when node_id is given (auto-resolved if omitted)." },
+      node_id: { type: 'string', description: "Cascade root to restore. Omit to restore the plan itself." },
+      fallback_status: {
+        type: 'string',
+        enum: VALID_RESTORE_STATUSES,
+        default: 'not_started',
+        description: "Status for nodes archived without a record of their previous status (e.g. through the web UI).",
+      },
+      dry_run: dryRunProperty,
+    },
+  },
+};
+
+async function restoreHandler(args, apiClient) {
+  const { node_id, fallback_status = 'not_started', dry_run = false } = args;
+  let { plan_id } = args;
+
+  if (!node_id && !plan_id) {
+    return errorResponse('invalid_argument', 'Pass plan_id to restore a plan, or node_id to restore a node and its cascade.');
+  }
+  if (!VALID_RESTORE_STATUSES.includes(fallback_status)) {
+    return errorResponse('invalid_argument', `fallback_status must be one of: ${VALID_RESTORE_STATUSES.join(', ')}`);
+  }
+  if (!node_id) return restorePlan(plan_id, dry_run, apiClient);
+
+  if (!plan_id) {
+    try {
+      const node = await apiClient.axiosInstance.get(`/nodes/${node_id}`).then((r) => r.data);
+      plan_id = node.plan_id || node.planId;
+    } catch (err) {
+      return errorResponse('not_found', `Could not resolve plan_id from node ${node_id}: ${err.message}`);
+    }
+  }
+
+  let index;
+  try {
+    index = await loadPlanIndex(apiClient, plan_id, { details: true });
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id}: ${apiErrorMessage(err)}`);
+  }
+
+  const node = index.get(node_id);
+  if (!node) return errorResponse('not_found', `Node ${node_id} not found in plan ${plan_id}`);
+  if (node.status !== 'archived') {
+    return errorResponse('not_archived', `Node ${node_id} is not archived (status: ${node.status}).`);
+  }
+
+  // With a record, the cascade is exactly the descendants stamped with the
+  // same cascade root (restoring part of a cascade takes that part of it). A
+  // node archived without one predates records, so every unrecorded archived
+  // descendant is taken to belong to it.
+  const rootRecord = archiveRecord(node);
+  const targets = subtreeIds(index, node_id)
+    .map((id) => index.get(id))
+    .filter((n) => {
+      if (n.id === node_id) return true;
+      if (n.status !== 'archived') return false;
+      const record = archiveRecord(n);
+      return rootRecord ? record?.cascade_root === rootRecord.cascade_root : !record;
+    })
+    .map((n) => {
+      const previous = archiveRecord(n)?.previous_status;
+      return {
+        id: n.id,
+        title: n.title,
+        node_type: n.node_type,
+        metadata: n.metadata,
+        status: previous && previous !== 'archived' ? previous : fallback_status,
+      };
+    });
+
+  const warnings = [];
+  const parent = index.get(node.parent_id);
+  if (parent?.status === 'archived') {
+    warnings.push(`Parent ${parent.id} is still archived; restore it as well (or move_node ${node_id} elsewhere) for the subtree to show up in the plan.`);
+  }
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    preview.nodes_to_restore = targets.map(({ id, title = null, node_type = null, status }) => ({ id, title, node_type, status }));
+    // Restoring under an archived parent still applies, so it's a note rather than a warning
+    return previewResponse({ plan_id, node_id, notes: warnings }, preview);
+  }
+
+  const snapshotId = targets.length > 1 ? await autoSnapshot(apiClient, plan_id, 'restore') : null;
+  // As in delete_node: without the node's metadata, restore the status only
+  const restorePayload = (target) => (target.metadata
+    ? { status: target.status, metadata: restoredMetadata(target.metadata) }
+    : { status: target.status });
+
+  try {
+    await apiClient.nodes.updateNode(plan_id, node_id, restorePayload(targets[0]));
+  } catch (err) {
+    return errorResponse('restore_failed', `Failed to restore node: ${apiErrorMessage(err)}`);
+  }
+
+  const failures = [];
+  for (const target of targets.slice(1)) {
+    try {
+      await apiClient.nodes.updateNode(plan_id, target.id, restorePayload(target));
+    } catch (err) {
+      failures.push({ node_id: target.id, error: apiErrorMessage(err) });
+    }
+  }
+
+  const response = {
+    as_of: asOf(),
+    plan_id,
+    node_id,
+    restored: targets
+      .filter((t) => !failures.some((f) => f.node_id === t.id))
+      .map((t) => ({ node_id: t.id, status: t.status })),
+  };
+  if (snapshotId) response.snapshot_id = snapshotId;
+  if (failures.length) response.failures = failures;
+  if (warnings.length) response.warnings = warnings;
+  return formatResponse(response);
+}
+
+async function restorePlan(plan_id, dry_run, apiClient) {
+  let plan;
+  try {
+    plan = await apiClient.plans.getPlan(plan_id);
+  } catch (err) {
+    if (err.response?.status === 404) return errorResponse('not_found', `Plan ${plan_id} not found`);
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id}: ${apiErrorMessage(err)}`);
+  }
+  if (plan.status !== 'archived') {
+    return errorResponse('not_archived', `Plan ${plan_id} is not archived (status: ${plan.status}).`);
+  }
+
+  const previous = archiveRecord(plan)?.previous_status;
+  const status = previous && previous !== 'archived' ? previous : 'active';
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    preview.field_changes.push({ field: 'status', from: 'archived', to: status });
+    return previewResponse({ plan_id }, preview);
+  }
+
+  try {
+    await apiClient.plans.updatePlan(plan_id, { status, metadata: { archive: null } });
+  } catch (err) {
+    return errorResponse('restore_failed', `Failed to restore plan: ${apiErrorMessage(err)}`);
+  }
+  return formatResponse({
+    as_of: asOf(),
+    plan_id,
+    url: planUrl(plan_id),
+    restored: true,
+    status,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// split_task / merge_tasks / duplicate_subtree — restructure tasks without
+// losing their place in the dependency graph. Each snapshots the plan before
+// writing and logs the operation on every node it touches.
+// ─────────────────────────────────────────────────────────────────────────
+
+// A plan's node→node edges as { id, from, to, type }.
+async function loadPlanEdges(apiClient, planId) {
+  const raw = await apiClient.dependencies.listForPlan(planId);
+  return safeArray(Array.isArray(raw) ? raw : raw?.dependencies)
+    .map((e) => ({
+      id: e.id || null,
+      from: e.source_node_id || e.from_node_id || e.source?.id,
+      to: e.target_node_id || e.to_node_id || e.target?.id,
+      type: e.dependency_type || e.relation || 'blocks',
+    }))
+    .filter((e) => e.from && e.to);
+}
+
+// Node tree and edges together; a failed edge read is an error here, since
+// rewiring without the edges would silently drop them.
+async function loadRestructureContext(apiClient, planId, options) {
+  const [index, edges] = await Promise.all([
+    loadPlanIndex(apiClient, planId, options),
+    loadPlanEdges(apiClient, planId),
+  ]);
+  return { index, edges };
+}
+
+const edgeKey = (e) => `${e.from}>${e.to}:${e.type}`;
+
+// Add edges first and remove the old ones after, so a failure part-way
+// leaves extra edges rather than missing ones. `ids` maps preview ids of
+// new nodes to real ids.
+async function applyEdgeChanges(apiClient, planId, { add, remove }, rationale, failures, ids = new Map()) {
+  const added = [];
+  const removed = [];
+  for (const edge of add) {
+    const from = ids.get(edge.from) || edge.from;
+    const to = ids.get(edge.to) || edge.to;
+    try {
+      const dep = await apiClient.axiosInstance.post(`/plans/${planId}/dependencies`, {
+        source_node_id: from,
+        target_node_id: to,
+        dependency_type: edge.type,
+        metadata: { rationale },
+      }).then((r) => r.data);
+      added.push({ dependency_id: dep?.id || null, from, to, type: edge.type });
+    } catch (err) {
+      failures.push({
+        step: err.response?.status === 409 ? 'edge_rejected_cycle' : 'create_edge',
+        from,
+        to,
+        error: apiErrorMessage(err),
+      });
+    }
+  }
+  for (const edge of remove) {
+    try {
+      await apiClient.axiosInstance.delete(`/plans/${planId}/dependencies/${edge.id}`);
+      removed.push(edge);
+    } catch (err) {
+      failures.push({ step: 'remove_edge', dependency_id: edge.id, error: apiErrorMessage(err) });
+    }
+  }
+  return { added, removed };
+}
+
+// One audit log per affected node (`messages`: node id → text).
+async function logOperation(apiClient, planId, messages, agentId, failures) {
+  const logged = [];
+  for (const [nodeId, content] of messages) {
+    try {
+      await apiClient.logs.addLogEntry(planId, nodeId, {
+        content,
+        log_type: 'progress',
+        metadata: { agent_id: agentId },
+      });
+      logged.push(nodeId);
+    } catch (err) {
+      failures.push({ step: 'add_log', node_id: nodeId, error: apiErrorMessage(err) });
+    }
+  }
+  return logged;
+}
+
+// Archive a node that split_task / merge_tasks replaced, with a record
+// restore can undo (status only when its metadata wasn't loaded).
+function replacedPayload(node, reason, extra) {
+  if (!node.metadata) return { status: 'archived' };
+  return {
+    status: 'archived',
+    metadata: {
+      ...archivedMetadata(node.metadata, {
+        archived_at: asOf(),
+        reason,
+        previous_status: node.status,
+        cascade_root: node.id,
+      }),
+      ...extra,
+    },
+  };
+}
+
+// Log on the far end of every rewired edge, too
+function noteNeighbours(messages, removedEdges, text) {
+  for (const edge of removedEdges) {
+    for (const id of [edge.from, edge.to]) {
+      if (!messages.has(id)) messages.set(id, text);
+    }
+  }
+}
+
+async function resolveNodePlan(apiClient, nodeId, planId) {
+  if (planId) return { planId };
+  try {
+    const node = await apiClient.axiosInstance.get(`/nodes/${nodeId}`).then((r) => r.data);
+    return { planId: node.plan_id || node.planId };
+  } catch (err) {
+    return { error: errorResponse('not_found', `Could not resolve plan_id from node ${nodeId}: ${err.message}`) };
+  }
+}
+
+const splitTaskDefinition = {
+  name: 'split_task',
+  description:
+    "Split an oversized task into N subtasks in the same parent. The " +
+    "subtasks take over its dependency edges: with sequential=true (default) " +
+    "they run as a chain, so whatever blocked the task blocks the first and " +
+    "the last blocks whatever the task blocked; with sequential=false every " +
+    "subtask inherits both sides. The original is archived (restore brings " +
+    "it back). Pass dry_run=true to see the new nodes and rewired edges first.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      task_id: { type: 'string' },
+      plan_id: { type: 'string', description: "Auto-resolved if omitted." },
+      subtasks: {
+        type: 'array',
+        minItems: 2,
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string' },
+            task_mode: { type: 'string', enum: VALID_TASK_MODES },
+            agent_instructions: { type: 'string' },
+            estimate: estimateProperty,
+          },
+          required: ['title'],
+        },
+      },
+      sequential: { type: 'boolean', default: true, description: "Chain the subtasks in order with blocks edges." },
+      rationale: { type: 'string', description: "Why the split. Logged on every affected node." },
+      dry_run: dryRunProperty,
+    },
+    required: ['task_id', 'subtasks'],
+  },
+};
+
+// Edge changes for a split: `blocks` edges move to the chain ends (or to
+// every subtask in parallel); `relates_to` edges move to the first subtask.
+function splitEdgeChanges(taskId, edges, subtaskIds, sequential) {
+  const first = subtaskIds[0];
+  const last = subtaskIds[subtaskIds.length - 1];
+  const remove = edges.filter((e) => e.from === taskId || e.to === taskId);
+  const add = [];
+  for (const edge of remove) {
+    const inbound = edge.to === taskId;
+    let targets;
+    if (edge.type !== 'blocks') targets = [first];
+    else if (sequential) targets = [inbound ? first : last];
+    else targets = subtaskIds;
+    for (const id of targets) {
+      add.push(inbound ? { from: edge.from, to: id, type: edge.type } : { from: id, to: edge.to, type: edge.type });
+    }
+  }
+  if (sequential) {
+    for (let i = 1; i < subtaskIds.length; i += 1) add.push({ from: subtaskIds[i - 1], to: subtaskIds[i], type: 'blocks' });
+  }
+  return { add, remove };
+}
+
+async function splitTaskHandler(args, apiClient) {
+  const { task_id, subtasks, sequential = true, rationale, dry_run = false } = args;
+  if (!Array.isArray(subtasks) || subtasks.length < 2) {
+    return errorResponse('invalid_arg', 'split_task needs at least two subtasks');
+  }
+  const shapeError = validateTreeShape(subtasks.map(({ children, ...s }) => ({ ...s, node_type: 'task' })));
+  if (shapeError) return errorResponse('invalid_arg', shapeError);
+
+  const { planId: plan_id, error } = await resolveNodePlan(apiClient, task_id, args.plan_id);
+  if (error) return error;
+
+  let index, edges;
   try {
-    await apiClient.nodes.updateNode(plan_id, node_id, { status: 'archived' });
+    ({ index, edges } = await loadRestructureContext(apiClient, plan_id, { details: true }));
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id} and its edges: ${apiErrorMessage(err)}`);
+  }
+  const task = index.get(task_id);
+  if (!task) return errorResponse('not_found', `Task ${task_id} not found in plan ${plan_id}`);
+  if (task.node_type !== 'task') {
+    return errorResponse('invalid_arg', `${task_id} is a ${task.node_type}, not a task — split_task only splits tasks`);
+  }
+  if (task.status === 'archived') return errorResponse('invalid_state', `Task ${task_id} is archived; restore it before splitting`);
+  if (task.children.some((id) => index.get(id)?.status !== 'archived')) {
+    return errorResponse('invalid_state', `Task ${task_id} already has children — add to them with extend_intention instead`);
+  }
+
+  const previewIds = subtasks.map((_, i) => `new-${i + 1}`);
+  const changes = splitEdgeChanges(task_id, edges, previewIds, sequential);
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    preview.nodes_to_create = subtasks.map((s, i) => ({
+      preview_id: previewIds[i], parent: task.parent_id, node_type: 'task', title: s.title, ref: null,
+    }));
+    preview.nodes_to_archive = [{ id: task.id, title: task.title, node_type: task.node_type, status: task.status }];
+    preview.edges_to_add = changes.add;
+    preview.edges_to_remove = changes.remove;
+    return previewResponse({ plan_id, task_id, sequential }, preview);
+  }
+
+  const snapshotId = await autoSnapshot(apiClient, plan_id, 'split_task');
+  const failures = [];
+  const created = [];
+  for (const subtask of subtasks) {
+    try {
+      const payload = {
+        node_type: 'task',
+        title: subtask.title,
+        description: subtask.description || '',
+        task_mode: subtask.task_mode || task.task_mode || 'free',
+      };
+      if (task.parent_id) payload.parent_id = task.parent_id;
+      if (subtask.agent_instructions) payload.agent_instructions = subtask.agent_instructions;
+      payload.metadata = { ...(nodeExtras(subtask).metadata || {}), split_from: task_id };
+      const resp = await apiClient.nodes.createNode(plan_id, payload);
+      const node = resp.result || resp;
+      created.push({ id: node.id, title: node.title || subtask.title });
+    } catch (err) {
+      failures.push({ step: 'create_subtask', title: subtask.title, error: apiErrorMessage(err) });
+      break;
+    }
+  }
+  // All or nothing up to here: a half-made split leaves the original in place
+  if (created.length < subtasks.length) {
     return formatResponse({
       as_of: asOf(),
       plan_id,
-      node_id,
-      archived: true,
-      reason: reason || null,
+      task_id,
+      partial: true,
+      subtasks: created,
+      failures,
+      warning: `Only ${created.length} of ${subtasks.length} subtasks were created; the original task and its edges are unchanged.`,
+      ...(snapshotId ? { snapshot_id: snapshotId } : {}),
     });
+  }
+
+  const ids = new Map(previewIds.map((p, i) => [p, created[i].id]));
+  const reason = rationale || `Split into ${created.length} subtasks`;
+  const { added, removed } = await applyEdgeChanges(apiClient, plan_id, changes, reason, failures, ids);
+
+  let archived = true;
+  try {
+    await apiClient.nodes.updateNode(plan_id, task_id, replacedPayload(task, reason, { split_into: created.map((c) => c.id) }));
   } catch (err) {
-    return errorResponse('archive_failed', `Failed to archive node: ${err.response?.data?.error || err.message}`);
+    archived = false;
+    failures.push({ step: 'archive_original', error: apiErrorMessage(err) });
   }
+
+  const names = created.map((c) => `'${c.title}'`).join(', ');
+  const messages = new Map([[task_id, `Split into ${created.length} subtasks: ${names}.${rationale ? ` ${rationale}` : ''}`]]);
+  for (const c of created) messages.set(c.id, `Split from '${task.title}' (${task_id}).`);
+  noteNeighbours(messages, changes.remove, `Dependency on '${task.title}' moved to its subtasks after a split.`);
+  const logged = await logOperation(apiClient, plan_id, messages, resolveAgentId(args, apiClient), failures);
+
+  const response = {
+    as_of: asOf(),
+    plan_id,
+    task_id,
+    archived_original: archived,
+    subtasks: created,
+    edges_added: added,
+    edges_removed: removed.map(({ id, from, to, type }) => ({ dependency_id: id, from, to, type })),
+    logged_node_ids: logged,
+    failures,
+    next_step: `To undo: restore({node_id: '${task_id}'}) and delete_node the subtasks.`,
+  };
+  if (snapshotId) response.snapshot_id = snapshotId;
+  return formatResponse(response);
+}
+
+const mergeTasksDefinition = {
+  name: 'merge_tasks',
+  description:
+    "Merge duplicate tasks into one survivor (into_task_id). Every " +
+    "dependency edge of a duplicate moves to the survivor (edges that would " +
+    "become self-loops or repeat an existing edge are dropped), children " +
+    "move under it, and the duplicates are archived. All tasks must be in " +
+    "the same plan. Pass dry_run=true to see the rewiring first.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      into_task_id: { type: 'string', description: "The task that survives." },
+      task_ids: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' },
+        description: "Duplicates to fold into it.",
+      },
+      plan_id: { type: 'string', description: "Auto-resolved if omitted." },
+      rationale: { type: 'string', description: "Why they're duplicates. Logged on every affected node." },
+      dry_run: dryRunProperty,
+    },
+    required: ['into_task_id', 'task_ids'],
+  },
+};
+
+// Edge changes for a merge: each duplicate's edges re-pointed at the survivor.
+function mergeEdgeChanges(survivorId, duplicateIds, edges) {
+  const dupes = new Set(duplicateIds);
+  const remove = edges.filter((e) => dupes.has(e.from) || dupes.has(e.to));
+  const removing = new Set(remove.map((e) => e.id));
+  const existing = new Set(edges.filter((e) => !removing.has(e.id)).map(edgeKey));
+  const add = [];
+  for (const edge of remove) {
+    const moved = {
+      from: dupes.has(edge.from) ? survivorId : edge.from,
+      to: dupes.has(edge.to) ? survivorId : edge.to,
+      type: edge.type,
+    };
+    if (moved.from === moved.to || existing.has(edgeKey(moved))) continue;
+    existing.add(edgeKey(moved));
+    add.push(moved);
+  }
+  return { add, remove };
+}
+
+async function mergeTasksHandler(args, apiClient) {
+  const { into_task_id, rationale, dry_run = false } = args;
+  const task_ids = [...new Set(safeArray(args.task_ids))];
+  if (!task_ids.length) return errorResponse('invalid_arg', 'merge_tasks needs task_ids to merge into into_task_id');
+  if (task_ids.includes(into_task_id)) return errorResponse('invalid_arg', 'into_task_id cannot also be in task_ids');
+
+  const { planId: plan_id, error } = await resolveNodePlan(apiClient, into_task_id, args.plan_id);
+  if (error) return error;
+
+  let index, edges;
+  try {
+    ({ index, edges } = await loadRestructureContext(apiClient, plan_id, { details: true }));
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id} and its edges: ${apiErrorMessage(err)}`);
+  }
+  const survivor = index.get(into_task_id);
+  if (!survivor) return errorResponse('not_found', `Task ${into_task_id} not found in plan ${plan_id}`);
+  const missing = task_ids.filter((id) => !index.has(id));
+  if (missing.length) {
+    return errorResponse('not_found', `Not in plan ${plan_id}: ${missing.join(', ')} (merged tasks must share a plan)`);
+  }
+  const duplicates = task_ids.map((id) => index.get(id));
+  const notTasks = [survivor, ...duplicates].filter((n) => n.node_type !== 'task');
+  if (notTasks.length) {
+    return errorResponse('invalid_arg', `Only tasks can be merged: ${notTasks.map((n) => `${n.id} is a ${n.node_type}`).join(', ')}`);
+  }
+  const archived = [survivor, ...duplicates].filter((n) => n.status === 'archived').map((n) => n.id);
+  if (archived.length) return errorResponse('invalid_state', `Archived tasks can't be merged: ${archived.join(', ')}`);
+  // The survivor can't move under itself
+  const survivorAncestors = new Set();
+  for (let p = survivor.parent_id; p; p = index.get(p)?.parent_id) survivorAncestors.add(p);
+  const nested = task_ids.filter((id) => survivorAncestors.has(id));
+  if (nested.length) return errorResponse('invalid_arg', `${nested.join(', ')} contain ${into_task_id}; merge the other way round`);
+
+  const changes = mergeEdgeChanges(into_task_id, task_ids, edges);
+  const children = duplicates.flatMap((d) => d.children
+    .map((id) => index.get(id))
+    .filter((c) => c && c.status !== 'archived'));
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    preview.nodes_to_archive = duplicates.map(({ id, title, node_type, status }) => ({ id, title, node_type, status }));
+    preview.nodes_to_move = children.map((c) => ({
+      id: c.id, title: c.title, from_parent_id: c.parent_id, to_parent_id: into_task_id, position: null, subtree_size: subtreeIds(index, c.id).length,
+    }));
+    preview.edges_to_add = changes.add;
+    preview.edges_to_remove = changes.remove;
+    return previewResponse({ plan_id, into_task_id, task_ids }, preview);
+  }
+
+  const snapshotId = await autoSnapshot(apiClient, plan_id, 'merge_tasks');
+  const failures = [];
+  const reason = rationale || `Merged into '${survivor.title}'`;
+  const { added, removed } = await applyEdgeChanges(apiClient, plan_id, changes, reason, failures);
+
+  const moved = [];
+  for (const child of children) {
+    try {
+      await apiClient.axiosInstance.post(`/plans/${plan_id}/nodes/${child.id}/move`, { parent_id: into_task_id });
+      moved.push(child.id);
+    } catch (err) {
+      failures.push({ step: 'move_child', node_id: child.id, error: apiErrorMessage(err) });
+    }
+  }
+
+  const merged = [];
+  for (const duplicate of duplicates) {
+    try {
+      await apiClient.nodes.updateNode(plan_id, duplicate.id, replacedPayload(duplicate, reason, { merged_into: into_task_id }));
+      merged.push(duplicate.id);
+    } catch (err) {
+      failures.push({ step: 'archive_duplicate', node_id: duplicate.id, error: apiErrorMessage(err) });
+    }
+  }
+  if (merged.length && !survivor.metadata) {
+    failures.push({ step: 'record_merge', node_id: into_task_id, error: 'Task metadata not loaded; merged_from not recorded' });
+  } else if (merged.length) {
+    try {
+      await apiClient.nodes.updateNode(plan_id, into_task_id, {
+        metadata: { ...survivor.metadata, merged_from: [...safeArray(survivor.metadata?.merged_from), ...merged] },
+      });
+    } catch (err) {
+      failures.push({ step: 'record_merge', node_id: into_task_id, error: apiErrorMessage(err) });
+    }
+  }
+
+  const titles = duplicates.map((d) => `'${d.title}'`).join(', ');
+  const messages = new Map([[into_task_id, `Merged ${titles} into this task.${rationale ? ` ${rationale}` : ''}`]]);
+  for (const d of duplicates) messages.set(d.id, `Merged into '${survivor.title}' (${into_task_id}).`);
+  noteNeighbours(messages, changes.remove, `Dependency moved to '${survivor.title}' after merging duplicates.`);
+  const logged = await logOperation(apiClient, plan_id, messages, resolveAgentId(args, apiClient), failures);
+
+  const response = {
+    as_of: asOf(),
+    plan_id,
+    into_task_id,
+    merged_task_ids: merged,
+    moved_child_ids: moved,
+    edges_added: added,
+    edges_removed: removed.map(({ id, from, to, type }) => ({ dependency_id: id, from, to, type })),
+    logged_node_ids: logged,
+    failures,
+  };
+  if (snapshotId) response.snapshot_id = snapshotId;
+  return formatResponse(response);
+}
+
+const duplicateSubtreeDefinition = {
+  name: 'duplicate_subtree',
+  description:
+    "Clone a phase or task with its whole subtree — titles, descriptions, " +
+    "task modes, instructions, estimates and the dependency edges between " +
+    "nodes inside it — under new_parent_id (default: next to the original). " +
+    "Copies start not_started; archived nodes and edges to nodes outside " +
+    "the subtree aren't copied. Pass dry_run=true to preview.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      node_id: { type: 'string', description: "Root of the subtree to copy." },
+      new_parent_id: { type: 'string', description: "Where the copy goes (same plan). Default: the original's parent." },
+      plan_id: { type: 'string', description: "Auto-resolved if omitted." },
+      title: { type: 'string', description: "Title for the copied root. Default: '<title> (copy)'." },
+      dry_run: dryRunProperty,
+    },
+    required: ['node_id'],
+  },
+};
+
+async function duplicateSubtreeHandler(args, apiClient) {
+  const { node_id, dry_run = false } = args;
+  const { planId: plan_id, error } = await resolveNodePlan(apiClient, node_id, args.plan_id);
+  if (error) return error;
+
+  let index, edges;
+  try {
+    ({ index, edges } = await loadRestructureContext(apiClient, plan_id, { details: true }));
+  } catch (err) {
+    return errorResponse('upstream_unavailable', `Could not load plan ${plan_id} and its edges: ${apiErrorMessage(err)}`);
+  }
+  const root = index.get(node_id);
+  if (!root) return errorResponse('not_found', `Node ${node_id} not found in plan ${plan_id}`);
+  if (root.node_type === 'root') return errorResponse('invalid_arg', 'Cannot duplicate the plan root; duplicate its phases instead');
+  if (root.status === 'archived') return errorResponse('invalid_state', `Node ${node_id} is archived; restore it before copying`);
+  const new_parent_id = args.new_parent_id || root.parent_id;
+  if (new_parent_id && !index.has(new_parent_id)) {
+    return errorResponse('not_found', `New parent ${new_parent_id} not found in plan ${plan_id}`);
+  }
+
+  // Pre-order, skipping archived nodes and everything under them
+  const sources = [];
+  const copied = new Set();
+  for (const id of subtreeIds(index, node_id)) {
+    const node = index.get(id);
+    if (node.status === 'archived' || (id !== node_id && !copied.has(node.parent_id))) continue;
+    copied.add(id);
+    sources.push(node);
+  }
+  const previewIds = new Map(sources.map((n, i) => [n.id, `new-${i + 1}`]));
+  const rootTitle = args.title || `${root.title} (copy)`;
+  const internal = edges.filter((e) => copied.has(e.from) && copied.has(e.to));
+
+  if (dry_run) {
+    const preview = emptyPreview();
+    preview.nodes_to_create = sources.map((n) => ({
+      preview_id: previewIds.get(n.id),
+      parent: n.id === node_id ? new_parent_id : previewIds.get(n.parent_id),
+      node_type: n.node_type,
+      title: n.id === node_id ? rootTitle : n.title,
+      ref: null,
+    }));
+    preview.edges_to_add = internal.map((e) => ({ from: previewIds.get(e.from), to: previewIds.get(e.to), type: e.type }));
+    return previewResponse({ plan_id, node_id, new_parent_id }, preview);
+  }
+
+  const snapshotId = await autoSnapshot(apiClient, plan_id, 'duplicate_subtree');
+  const failures = [];
+  const ids = new Map();
+  for (const source of sources) {
+    const parentId = source.id === node_id ? new_parent_id : ids.get(source.parent_id);
+    if (source.id !== node_id && !parentId) continue; // its parent failed to copy
+    try {
+      const payload = {
+        node_type: source.node_type,
+        title: source.id === node_id ? rootTitle : source.title,
+        description: source.description || '',
+        task_mode: source.task_mode || 'free',
+        metadata: { ...(source.metadata?.estimate ? { estimate: source.metadata.estimate } : {}), duplicated_from: source.id },
+      };
+      if (parentId) payload.parent_id = parentId;
+      if (source.agent_instructions) payload.agent_instructions = source.agent_instructions;
+      const resp = await apiClient.nodes.createNode(plan_id, payload);
+      ids.set(source.id, (resp.result || resp).id);
+    } catch (err) {
+      failures.push({ step: 'create_node', source_id: source.id, error: apiErrorMessage(err) });
+    }
+  }
+  if (!ids.has(node_id)) {
+    return errorResponse('create_failed', `Could not copy ${node_id}: ${failures[0]?.error || 'unknown error'}`);
+  }
+
+  const copyable = internal.filter((e) => ids.has(e.from) && ids.has(e.to));
+  const { added } = await applyEdgeChanges(apiClient, plan_id, { add: copyable, remove: [] }, `Copied with ${rootTitle}`, failures, ids);
+
+  const newRootId = ids.get(node_id);
+  const messages = new Map([[node_id, `Duplicated with its subtree as '${rootTitle}' (${newRootId}, ${ids.size} nodes).`]]);
+  for (const [sourceId, copyId] of ids) messages.set(copyId, `Copied from ${sourceId}.`);
+  const logged = await logOperation(apiClient, plan_id, messages, resolveAgentId(args, apiClient), failures);
+
+  const response = {
+    as_of: asOf(),
+    plan_id,
+    node_id,
+    new_node_id: newRootId,
+    new_parent_id: new_parent_id || null,
+    nodes_created: ids.size,
+    id_map: Object.fromEntries(ids),
+    edges_added: added,
+    logged_node_ids: logged,
+    failures,
+  };
+  if (snapshotId) response.snapshot_id = snapshotId;
+  return formatResponse(response);
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -1878,6 +3981,99 @@ async function removeMemberHandler(args, apiClient) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// discuss_task — read and answer human feedback left as task comments.
+// ─────────────────────────────────────────────────────────────────────────
+
+const discussTaskDefinition = {
+  name: 'discuss_task',
+  description:
+    "Comment threads on a task — the feedback channel humans use in the web UI. " +
+    "action='list' returns threads (flagging those awaiting an agent reply), " +
+    "'add' starts a new thread, 'reply' answers one by comment_id. " +
+    "task_context (depth ≥ 2) and briefing already surface threads waiting on you.",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      task_id: { type: 'string' },
+      plan_id: { type: 'string', description: 'Auto-resolved from task if omitted' },
+      action: { type: 'string', enum: ['list', 'add', 'reply'], default: 'list' },
+      content: { type: 'string', description: "Comment text (add/reply)" },
+      comment_id: { type: 'string', description: "Comment to reply to (reply). Any comment in the thread works." },
+      include_resolved: { type: 'boolean', default: false, description: 'list: also return resolved threads' },
+      agent_id: agentIdProperty,
+    },
+    required: ['task_id'],
+  },
+};
+
+async function discussTaskHandler(args, apiClient) {
+  const { task_id, action = 'list', content, comment_id, include_resolved = false } = args;
+  if (!['list', 'add', 'reply'].includes(action)) {
+    return errorResponse('invalid_arg', `Unknown action '${action}'. Use list, add or reply.`);
+  }
+  if (action !== 'list' && !content) {
+    return errorResponse('invalid_arg', `discuss_task action='${action}' requires content`);
+  }
+  if (action === 'reply' && !comment_id) {
+    return errorResponse('invalid_arg', "discuss_task action='reply' requires comment_id");
+  }
+
+  let planId = args.plan_id;
+  if (!planId) {
+    try {
+      const node = await apiClient.axiosInstance.get(`/nodes/${task_id}`).then((r) => r.data);
+      planId = node.plan_id || node.planId;
+    } catch (err) {
+      return errorResponse('not_found', `Could not resolve plan_id from task ${task_id}: ${err.message}`);
+    }
+  }
+
+  if (action === 'list') {
+    try {
+      const threads = buildThreads(await apiClient.comments.getComments(planId, task_id));
+      const visible = include_resolved ? threads : threads.filter((t) => !t.resolved);
+      return formatResponse({
+        as_of: asOf(),
+        task_id,
+        plan_id: planId,
+        threads: visible,
+        awaiting_reply_count: awaitingReply(threads).length,
+      });
+    } catch (err) {
+      if (err.response?.status === 404) return errorResponse('not_found', `Task ${task_id} not found`);
+      return errorResponse('upstream_unavailable', `Failed to load comments: ${apiErrorMessage(err)}`);
+    }
+  }
+
+  const agentId = resolveAgentId(args, apiClient);
+  const body = {
+    content,
+    comment_type: AGENT_COMMENT_TYPE,
+    metadata: { agent_id: agentId },
+  };
+  if (action === 'reply') body.parent_id = comment_id;
+
+  try {
+    const created = await apiClient.comments.addComment(planId, task_id, body);
+    const comment = created?.comment || created;
+    return formatResponse({
+      as_of: asOf(),
+      task_id,
+      plan_id: planId,
+      action,
+      comment_id: comment?.id || null,
+      parent_id: body.parent_id || null,
+      agent_id: agentId,
+    });
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return errorResponse('not_found', action === 'reply' ? `Comment ${comment_id} or task ${task_id} not found` : `Task ${task_id} not found`);
+    }
+    return errorResponse('upstream_unavailable', `Failed to ${action} comment: ${apiErrorMessage(err)}`);
+  }
+}
+
 module.exports = {
   definitions: [
     queueDecisionDefinition,
@@ -1885,21 +4081,31 @@ module.exports = {
     updateTaskDefinition,
     claimNextTaskDefinition,
     releaseTaskDefinition,
+    renewClaimDefinition,
     addLearningDefinition,
+    curateKnowledgeDefinition,
+    importKnowledgeDefinition,
     formIntentionDefinition,
+    importPlanDefinition,
     extendIntentionDefinition,
     proposeResearchChainDefinition,
     linkIntentionsDefinition,
+    addExternalDependencyDefinition,
     unlinkIntentionsDefinition,
     updatePlanDefinition,
     updateNodeDefinition,
     moveNodeDefinition,
     deletePlanDefinition,
     deleteNodeDefinition,
+    restoreDefinition,
+    splitTaskDefinition,
+    mergeTasksDefinition,
+    duplicateSubtreeDefinition,
     sharePlanDefinition,
     inviteMemberDefinition,
     updateMemberRoleDefinition,
     removeMemberDefinition,
+    discussTaskDefinition,
   ],
   handlers: {
     queue_decision: queueDecisionHandler,
@@ -1907,20 +4113,30 @@ module.exports = {
     update_task: updateTaskHandler,
     claim_next_task: claimNextTaskHandler,
     release_task: releaseTaskHandler,
+    renew_claim: renewClaimHandler,
     add_learning: addLearningHandler,
+    curate_knowledge: curateKnowledgeHandler,
+    import_knowledge: importKnowledgeHandler,
     form_intention: formIntentionHandler,
+    import_plan: importPlanHandler,
     extend_intention: extendIntentionHandler,
     propose_research_chain: proposeResearchChainHandler,
     link_intentions: linkIntentionsHandler,
+    add_external_dependency: addExternalDependencyHandler,
     unlink_intentions: unlinkIntentionsHandler,
     update_plan: updatePlanHandler,
     update_node: updateNodeHandler,
     move_node: moveNodeHandler,
     delete_plan: deletePlanHandler,
     delete_node: deleteNodeHandler,
+    restore: restoreHandler,
+    split_task: splitTaskHandler,
+    merge_tasks: mergeTasksHandler,
+    duplicate_subtree: duplicateSubtreeHandler,
     share_plan: sharePlanHandler,
     invite_member: inviteMemberHandler,
     update_member_role: updateMemberRoleHandler,
     remove_member: removeMemberHandler,
+    discuss_task: discussTaskHandler,
   },
 };
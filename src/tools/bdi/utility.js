@@ -3,6 +3,7 @@
  */
 
 const { asOf, formatResponse } = require('./_shared');
+const { WORKFLOWS } = require('../../workflows');
 const { version: MCP_VERSION } = require('../../../package.json');
 
 const getStartedDefinition = {
@@ -53,43 +54,9 @@ async function getStartedHandler(args, apiClient) {
       "Beliefs (state queries), Desires (goals), and Intentions (committed actions). " +
       "Each tool answers one whole agentic question and returns an `as_of` timestamp.",
     tools_by_namespace: toolsByNamespace,
-    recommended_workflows: [
-      {
-        name: 'Set up new work a human asked for',
-        steps: [
-          'list_goals / recall_knowledge — check what already exists',
-          'create_goal(...) — create the goal directly (status active). Agents create goals; there is no UI step or approval gate when a human asked.',
-          'form_intention(goal_id, nodes with ref + depends_on) — create the plan + task tree atomically, with execution order declared inline',
-          'Then execute it: claim_next_task → update_task',
-        ],
-      },
-      {
-        name: 'Mission control loop (Cowork autopilot or scheduled task)',
-        steps: [
-          'briefing(scope="mission_control") — single read for full state',
-          'For each at_risk goal: goal_state(goal_id)',
-          'If action is reversible: do it via update_task or update_goal',
-          'If action needs human approval: queue_decision',
-          'Always: add_learning to record what you did and why',
-        ],
-      },
-      {
-        name: 'Single coding session (Claude Code, ap CLI)',
-        steps: [
-          'claim_next_task(scope={plan_id}) — pick + claim + load context',
-          'update_task(task_id, status="in_progress") when work starts',
-          'update_task(task_id, status="completed", log_message=..., add_learning=...) when done',
-        ],
-      },
-      {
-        name: 'Multi-agent server (OpenClaw)',
-        steps: [
-          'claim_next_task with explicit ttl_minutes',
-          'Periodic task_context refresh during long work',
-          'release_task on handoff',
-        ],
-      },
-    ],
+    // Same list the MCP prompts are built from (see ../../workflows.js), so a
+    // client with prompt support can run any of these as a slash command.
+    recommended_workflows: WORKFLOWS.map((w) => ({ name: w.title, prompt: w.name, steps: w.steps })),
     key_principles: [
       'Agents create goals AND plans, not just execute — when a human asks you to set something up, use create_goal / form_intention directly (no UI round-trip, no approval gate). The UI is for human oversight, not the only way to create work.',
       'Tools are intent-shaped, not CRUD-shaped',
@@ -0,0 +1,80 @@
+/**
+ * Canonical agent workflows — the single source for both `get_started`'s
+ * recommended_workflows and the MCP prompts (prompts/list, prompts/get) that
+ * surface them as slash commands (e.g. /agentplanner:autopilot) in any MCP
+ * client, with or without SKILL.md loaded.
+ *
+ * `prefill` names the read a rendered prompt embeds so the agent starts from
+ * current state: 'briefing' (at `briefing_scope`), or 'task_context' when a
+ * task_id is supplied — without one it falls back to the briefing.
+ */
+const WORKFLOWS = [
+  {
+    name: 'setup-work',
+    title: 'Set up new work a human asked for',
+    description: 'Turn a human request into a goal plus a plan with an ordered task tree.',
+    arguments: [
+      { name: 'request', description: 'What the human asked for, in their words', required: false },
+    ],
+    prefill: 'briefing',
+    briefing_scope: 'mission_control',
+    steps: [
+      'list_goals / recall_knowledge — check what already exists',
+      'create_goal(...) — create the goal directly (status active). Agents create goals; there is no UI step or approval gate when a human asked.',
+      'form_intention(goal_id, nodes with ref + depends_on) — create the plan + task tree atomically, with execution order declared inline',
+      'Then execute it: claim_next_task → update_task',
+    ],
+  },
+  {
+    name: 'autopilot',
+    title: 'Mission control loop (Cowork autopilot or scheduled task)',
+    description: 'Run one tick of the mission control loop over goals, decisions and tasks.',
+    arguments: [
+      { name: 'goal_id', description: 'Restrict the loop to one goal', required: false },
+      { name: 'plan_id', description: 'Restrict the loop to one plan', required: false },
+    ],
+    prefill: 'briefing',
+    briefing_scope: 'mission_control',
+    steps: [
+      'briefing(scope="mission_control") — single read for full state',
+      'For each at_risk goal: goal_state(goal_id)',
+      'If action is reversible: do it via update_task or update_goal',
+      'If action needs human approval: queue_decision',
+      'Always: add_learning to record what you did and why',
+    ],
+  },
+  {
+    name: 'start-task',
+    title: 'Single coding session (Claude Code, ap CLI)',
+    description: 'Pick up one task, work it, and write the result back.',
+    arguments: [
+      { name: 'plan_id', description: 'Plan to pick the next task from', required: false },
+      { name: 'task_id', description: 'A specific task to start (loads its context instead of the briefing)', required: false },
+    ],
+    prefill: 'task_context',
+    briefing_scope: 'task_session',
+    steps: [
+      'claim_next_task(scope={plan_id}) — pick + claim + load context',
+      'update_task(task_id, status="in_progress") when work starts',
+      'update_task(task_id, status="completed", log_message=..., add_learning=...) when done',
+    ],
+  },
+  {
+    name: 'multi-agent',
+    title: 'Multi-agent server (OpenClaw)',
+    description: 'Claim-and-work loop for one of several agents sharing a plan.',
+    arguments: [
+      { name: 'plan_id', description: 'Plan the agents share', required: false },
+      { name: 'goal_id', description: 'Goal the agents share', required: false },
+    ],
+    prefill: 'briefing',
+    briefing_scope: 'task_session',
+    steps: [
+      'claim_next_task with explicit ttl_minutes',
+      'Periodic task_context refresh during long work; renew_claim before ttl_minutes runs out',
+      'release_task on handoff',
+    ],
+  },
+];
+
+module.exports = { WORKFLOWS };